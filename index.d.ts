@@ -2,18 +2,274 @@ import {
   AxiosInstance, 
   AxiosRequestConfig, 
   AxiosResponse,
+  InternalAxiosRequestConfig,
   AxiosStatic 
 } from 'axios';
 
+type MaybePromise<T> = T | Promise<T>;
+
+export interface Tokens {
+  token: string | null;
+  refreshToken: string | null;
+}
+
+export interface TokenStorage {
+  get: () => MaybePromise<Partial<Tokens> | null | undefined>;
+  set: (tokens: Partial<Tokens>) => MaybePromise<void>;
+  clear?: () => MaybePromise<void>;
+  getAccessToken?: () => MaybePromise<string | null | undefined>;
+  getRefreshToken?: () => MaybePromise<string | null | undefined>;
+}
+
+export declare class TokenProvider {
+  constructor(options?: Partial<TokenStorage> & { initialTokens?: Partial<Tokens> });
+  static fromCallbacks(callbacks: {
+    getAccessToken?: () => MaybePromise<string | null | undefined>;
+    getRefreshToken?: () => MaybePromise<string | null | undefined>;
+    setAccessToken?: (token: string) => MaybePromise<void>;
+    setRefreshToken?: (token: string) => MaybePromise<void>;
+    clear?: () => MaybePromise<void>;
+  }): TokenProvider;
+  static isTokenProvider(value: any): value is TokenProvider;
+  get(): Promise<Tokens>;
+  getAccessToken(): Promise<string | null>;
+  getRefreshToken(): Promise<string | null>;
+  set(tokens: Partial<Tokens>): Promise<void>;
+  clear(): Promise<void>;
+  onChange(listener: (tokens: Tokens) => void): () => void;
+}
+
+export interface OAuth2ClientOptions {
+  tokenUrl: string;
+  authorizationUrl?: string;
+  clientId: string;
+  clientSecret?: string;
+  scope?: string | string[];
+  redirectUri?: string;
+  grantType?: 'client_credentials' | 'authorization_code';
+  clientAuthentication?: 'basic' | 'body';
+  tokenProvider?: TokenProvider;
+  httpClient?: AxiosInstance | ((config: AxiosRequestConfig) => Promise<AxiosResponse>);
+  /** Treat tokens as expired this many milliseconds early (default 30000) */
+  expirySkew?: number;
+}
+
+export interface OAuth2Tokens {
+  token: string;
+  refreshToken?: string;
+  expiresAt: number | null;
+  scope: string | null;
+  tokenType: string;
+}
+
+export interface OAuth2AuthorizationRequest {
+  url: string;
+  state: string;
+  codeVerifier: string;
+  codeChallenge: string;
+}
+
+export declare class OAuth2Client {
+  constructor(options: OAuth2ClientOptions);
+  tokenProvider: TokenProvider;
+  expiresAt: number | null;
+  grantedScope: string | null;
+  createTokenRequestConfig(params: Record<string, string | undefined | null>): AxiosRequestConfig;
+  parseTokenResponse(response: AxiosResponse): OAuth2Tokens;
+  requestToken(params: Record<string, string | undefined | null>): Promise<OAuth2Tokens>;
+  clientCredentials(options?: { scope?: string | string[] }): Promise<OAuth2Tokens>;
+  refresh(refreshToken?: string, options?: { scope?: string | string[] }): Promise<OAuth2Tokens>;
+  createAuthorizationRequest(options?: {
+    scope?: string | string[];
+    redirectUri?: string;
+    state?: string;
+    codeVerifier?: string;
+    params?: Record<string, string>;
+  }): OAuth2AuthorizationRequest;
+  exchangeCode(options: { code: string; codeVerifier: string; redirectUri?: string }): Promise<OAuth2Tokens>;
+  isExpired(): boolean;
+  getAccessToken(): Promise<string | null>;
+  createRefreshOptions(): RefreshTokenOptions;
+}
+
+export declare function generateCodeVerifier(length?: number): string;
+export declare function createCodeChallenge(codeVerifier: string, method?: 'S256' | 'plain'): string;
+
+export interface RefreshCoordinationMessage {
+  type: 'tokens' | 'failed';
+  tokens?: Partial<Tokens>;
+  message?: string;
+}
+
+export interface RefreshLockAdapter {
+  acquire(ttl: number): Promise<boolean>;
+  release(): Promise<void>;
+  publish(message: RefreshCoordinationMessage): void;
+  subscribe(listener: (message: RefreshCoordinationMessage) => void): () => void;
+  close?(): void;
+}
+
+export declare class MemoryLockAdapter implements RefreshLockAdapter {
+  constructor(shared?: { lock: any; listeners: Map<string, Set<Function>> });
+  static createShared(): { lock: any; listeners: Map<string, Set<Function>> };
+  acquire(ttl: number): Promise<boolean>;
+  release(): Promise<void>;
+  publish(message: RefreshCoordinationMessage): void;
+  subscribe(listener: (message: RefreshCoordinationMessage) => void): () => void;
+  close(): void;
+}
+
+export interface StorageLockAdapterOptions {
+  channelName?: string;
+  storage?: Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+  BroadcastChannel?: { new (name: string): any } | null;
+  eventTarget?: { addEventListener: Function; removeEventListener: Function } | null;
+  settleDelay?: number;
+}
+
+export declare class StorageLockAdapter implements RefreshLockAdapter {
+  constructor(options?: StorageLockAdapterOptions);
+  acquire(ttl: number): Promise<boolean>;
+  release(): Promise<void>;
+  publish(message: RefreshCoordinationMessage): void;
+  subscribe(listener: (message: RefreshCoordinationMessage) => void): () => void;
+  close(): void;
+}
+
+export interface RefreshCoordinatorOptions {
+  lock?: RefreshLockAdapter;
+  /** How long a waiting tab waits for another tab's tokens (default 10000) */
+  timeout?: number;
+  /** Lock expiry in milliseconds (default 15000) */
+  lockTtl?: number;
+}
+
+export declare class RefreshCoordinator {
+  constructor(options?: RefreshCoordinatorOptions);
+  static createDefaultLock(): RefreshLockAdapter;
+  run(refreshFn: () => Promise<Partial<Tokens>>): Promise<Partial<Tokens>>;
+  onTokens(listener: (tokens: Partial<Tokens>) => MaybePromise<void>): () => void;
+  close(): void;
+}
+
+export declare class TokenRefreshFailedError extends Error {
+  name: 'TokenRefreshFailedError';
+  code: 'TOKEN_REFRESH_FAILED';
+  /** Error thrown by the refresh; null when no refresh token was available */
+  cause: any;
+  config?: AxiosRequestConfig;
+  /** Error that triggered the refresh */
+  originalError?: any;
+  response?: AxiosResponse;
+  constructor(message: string, details?: { cause?: any; config?: AxiosRequestConfig; originalError?: any });
+}
+
+export type RefreshTrigger = number | ((error: any) => boolean);
+
 export interface RefreshTokenOptions {
-  getAccessToken: () => string | null | undefined;
-  getRefreshToken: () => string | null | undefined;
-  setAccessToken: (token: string) => void;
-  setRefreshToken: (token: string) => void;
+  tokenProvider?: TokenProvider;
+  getAccessToken?: () => MaybePromise<string | null | undefined>;
+  getRefreshToken?: () => MaybePromise<string | null | undefined>;
+  setAccessToken?: (token: string) => MaybePromise<void>;
+  setRefreshToken?: (token: string) => MaybePromise<void>;
   onRefreshTokenFail: () => void;
   refreshUrl: string;
   refreshRequestConfig?: (refreshToken: string) => AxiosRequestConfig;
   handleRefreshResponse?: (response: AxiosResponse) => { token: string; refreshToken: string };
+  proactiveRefresh?: boolean | ProactiveRefreshOptions;
+  /** Client for the refresh call: 'instance' for this instance's pipeline, or a dedicated axios instance (default: global axios) */
+  refreshClient?: 'instance' | AxiosInstance | ((config: AxiosRequestConfig) => Promise<AxiosResponse>);
+  /** Status codes and/or predicates that trigger a refresh (default [401]) */
+  shouldRefresh?: RefreshTrigger | RefreshTrigger[];
+  /** Maximum refreshes for a single request (default 1) */
+  maxRefreshAttempts?: number;
+  /** Coordinate refreshes across browser tabs */
+  coordination?: boolean | RefreshCoordinatorOptions | RefreshCoordinator;
+}
+
+export interface ProactiveRefreshOptions {
+  /** Refresh when the access token expires within this many milliseconds (default 30000) */
+  skew?: number;
+  /** Expiry as a millisecond timestamp or Date; defaults to the JWT `exp` claim */
+  getExpiry?: (token: string) => MaybePromise<number | Date | null | undefined>;
+}
+
+export interface AuthScheme {
+  type: string;
+  apply(config: AxiosRequestConfig, credential: any): AxiosRequestConfig;
+}
+
+export type AuthSchemeName = 'bearer' | 'token' | 'basic' | 'apiKey' | 'apiKeyQuery';
+
+export type AuthSchemeDefinition =
+  | AuthSchemeName
+  | AuthScheme
+  | ({ type: AuthSchemeName } & Record<string, any>)
+  | ((config: AxiosRequestConfig, credential: any) => AxiosRequestConfig | void);
+
+/**
+ * Per-request override for the auth and refresh interceptors
+ */
+export interface RequestAuthentication {
+  /** Credential for this request only; requests with their own token are never refreshed */
+  token?: any | (() => any);
+  /** Scheme for this request only */
+  scheme?: AuthSchemeDefinition;
+}
+
+declare module 'axios' {
+  interface AxiosRequestConfig {
+    /**
+     * `false` skips the auth interceptor and token refresh for this request;
+     * an object supplies another token and/or scheme.
+     * (Axios' own `auth` option is reserved for HTTP Basic credentials.)
+     */
+    authentication?: false | RequestAuthentication;
+    /** Tags of the cached response, for `instance.cache.invalidate(tag)` */
+    cacheTags?: string[];
+    /** Cache entries to invalidate after this request succeeds (mutations only) */
+    cacheInvalidate?: CacheInvalidationTarget | CacheInvalidationTarget[];
+  }
+
+  interface AxiosResponse {
+    /** Retries made before this response (set by the retry interceptor) */
+    retryHistory?: RetryHistoryEntry[];
+    /** True when the cache served an expired response (stale-while-revalidate or stale-if-error) */
+    stale?: boolean;
+    /** True when the response came from the cache, 304 revalidations included (GET requests) */
+    cached?: boolean;
+    /** Cache key of the request (GET requests) */
+    cacheKey?: string;
+    /** Age of a cached response in milliseconds */
+    cacheAge?: number;
+    /** True when the server confirmed the cached response with a 304 */
+    revalidated?: boolean;
+  }
+}
+
+export interface AuthSchemeRule {
+  match: string | RegExp | (string | RegExp)[] | ((config: AxiosRequestConfig) => boolean);
+  scheme: AuthSchemeDefinition;
+  getToken?: () => any;
+}
+
+export interface AuthOptions {
+  getToken?: () => any;
+  tokenProvider?: TokenProvider;
+  scheme?: AuthSchemeDefinition;
+  schemes?: AuthSchemeRule[];
+}
+
+// Auth scheme factories
+export declare class AuthSchemes {
+  static bearer(options?: { header?: string; prefix?: string }): AuthScheme;
+  static token(options?: { header?: string }): AuthScheme;
+  static basic(options?: { encoded?: boolean }): AuthScheme;
+  static apiKey(options?: { name?: string; in?: 'header' | 'query'; prefix?: string }): AuthScheme;
+  static custom(
+    applyFn: (config: AxiosRequestConfig, credential: any) => AxiosRequestConfig | void,
+    type?: string
+  ): AuthScheme;
 }
 
 export interface ConditionalInterceptorConfig {
@@ -50,6 +306,8 @@ export interface EnhancedInterceptorStatus {
   cache: boolean;
   smartTimeout: boolean;
   rateLimit: boolean;
+  signing: boolean;
+  challengeAuth: boolean;
   interceptorManager: InterceptorManagerStatus;
 }
 
@@ -138,7 +396,7 @@ export declare class InterceptorManager {
 // Enhanced HCAxiosInstance with interceptor management
 export interface HCAxiosInstance extends AxiosInstance {  
   // Auth methods
-  useAuth(getToken: () => string | null | undefined): HCAxiosInstance;
+  useAuth(getToken: (() => MaybePromise<string | null | undefined>) | TokenProvider | AuthOptions): HCAxiosInstance;
   removeAuth(): HCAxiosInstance;
   
   // Refresh token methods
@@ -160,6 +418,8 @@ export interface HCAxiosInstance extends AxiosInstance {
   // Cache methods
   useCache(options?: CacheOptions): HCAxiosInstance;
   removeCache(): HCAxiosInstance;
+  /** Cache invalidation, available while the cache is in use */
+  cache?: CacheController;
   
   // Timeout methods
   useSmartTimeout(options?: TimeoutOptions): HCAxiosInstance;
@@ -169,6 +429,14 @@ export interface HCAxiosInstance extends AxiosInstance {
   useRateLimit(options?: RateLimitOptions): HCAxiosInstance;
   removeRateLimit(): HCAxiosInstance;
   
+  // Request signing methods
+  useRequestSigning(options: RequestSigningOptions): HCAxiosInstance;
+  removeRequestSigning(): HCAxiosInstance;
+  
+  // Challenge-response authentication methods
+  useChallengeAuth(options: ChallengeAuthOptions): HCAxiosInstance;
+  removeChallengeAuth(): HCAxiosInstance;
+  
   // Response transformation methods
   useResponseTransform(transformer: (data: any) => any): HCAxiosInstance;
   useCamelCase(): HCAxiosInstance;
@@ -216,11 +484,11 @@ export interface HCAxiosInstance extends AxiosInstance {
   cancelAll(): void;
   paginate<T = any>(url: string, options?: AxiosRequestConfig): AsyncIterableIterator<PaginationPage<T>>;
   fetchAll<T = any>(url: string, options?: AxiosRequestConfig): Promise<T[]>;
-  resource<T = any>(resourcePath: string): ResourceMethods<T>;
+  resource<T = any>(resourcePath: string, options?: ResourceOptions): ResourceMethods<T>;
   healthCheck(endpoint?: string): HealthCheck;
   poll<T = any>(url: string, options?: PollingOptions): Promise<AxiosResponse<T>>;
   concurrent<T = any>(requests: Array<() => Promise<AxiosResponse<T>>>, limit?: number): Promise<AxiosResponse<T>[]>;
-  retryRequest<T = any>(config: AxiosRequestConfig, options?: RetryRequestOptions): Promise<AxiosResponse<T>>;
+  requestWithRetry<T = any>(config: AxiosRequestConfig, options?: RetryRequestOptions): Promise<AxiosResponse<T>>;
   withCircuitBreaker(options?: CircuitBreakerOptions): HCAxiosInstance;
   dedupe(): HCAxiosInstance;
   mock(mocks: MockConfig): HCAxiosInstance;
@@ -228,6 +496,8 @@ export interface HCAxiosInstance extends AxiosInstance {
   
   // Setup helpers
   setupAuth(config: AuthConfig): HCAxiosInstance;
+  setupOAuth2(options: OAuth2Client | (OAuth2ClientOptions & { refresh?: Partial<RefreshTokenOptions> })): HCAxiosInstance;
+  oauth2?: OAuth2Client;
   setupDevelopment(options?: DevelopmentSetupOptions): HCAxiosInstance;
   setupProduction(options?: ProductionSetupOptions): HCAxiosInstance;
   
@@ -303,6 +573,11 @@ export interface PollingOptions {
   config?: AxiosRequestConfig;
 }
 
+export interface ResourceOptions {
+  /** Tag cached reads and invalidate the tags after writes */
+  cacheTags?: string[];
+}
+
 export interface ResourceMethods<T = any> {
   list(params?: any): Promise<AxiosResponse<T[]>>;
   get(id: string | number): Promise<AxiosResponse<T>>;
@@ -336,10 +611,155 @@ export interface MockConfig {
 export interface RetryOptions {
   retries?: number;
   retryDelay?: number | ((retryCount: number) => number);
+  /** Backoff strategy used instead of retryDelay */
+  backoff?: BackoffStrategy | BackoffOptions | BackoffFunction;
   retryCondition?: (error: any) => boolean;
+  /** Also retry 429 responses with the default retryCondition (default false) */
+  retryOnRateLimit?: boolean;
+  /** Give every attempt the full timeout; when false, retries get what is left of the first one (default true) */
   shouldResetTimeout?: boolean;
+  /** Timeout of each attempt in ms, instead of the request's `timeout` */
+  attemptTimeout?: number;
+  /** Overall time for all attempts and delays in ms */
+  deadline?: number;
+  onRetry?: (error: any, info: { attempt: number; delay: number; config: AxiosRequestConfig }) => void | Promise<void>;
+  onGiveUp?: (error: any, info: { attempts: number; reason: RetryGiveUpReason; history: RetryHistoryEntry[] }) => void;
+  /** Wait as long as Retry-After / rate limit reset headers ask (default true) */
+  respectRetryAfter?: boolean;
+  /** Upper bound for server-supplied delays in ms (default 60000) */
+  maxRetryAfter?: number;
+  /** Add idempotency keys to POST/PATCH requests so they are retried too (default false) */
+  idempotencyKey?: boolean | IdempotencyKeyOptions;
+  /** Limit retries across the instance (default false) */
+  budget?: boolean | RetryBudgetOptions | RetryBudget;
+}
+
+export interface RetryBudgetOptions {
+  /** Retries allowed per successful request (default 0.2) */
+  ratio?: number;
+  /** Retries allowed regardless of successes (default 10) */
+  minRetriesPerSecond?: number;
+  /** Window in which successes and retries count, in ms (default 10000) */
+  ttl?: number;
+  /** Number of time slots the window is split into (default 10) */
+  slots?: number;
+  now?: () => number;
+}
+
+export interface RetryBudgetStats {
+  ratio: number;
+  minRetriesPerSecond: number;
+  ttl: number;
+  successes: number;
+  retries: number;
+  available: number;
+  suppressed: number;
+}
+
+export declare class RetryBudget {
+  constructor(options?: RetryBudgetOptions);
+  recordSuccess(): void;
+  tryRetry(): boolean;
+  available(): number;
+  getStats(): RetryBudgetStats;
+  reset(): void;
+}
+
+export interface RetryHistoryEntry {
+  attempt: number;
+  delay: number;
+  error: any;
+}
+
+export type RetryGiveUpReason =
+  | 'not-retryable'
+  | 'retries-exhausted'
+  | 'deadline'
+  | 'circuit-open'
+  | 'budget-exhausted';
+
+export interface IdempotencyKeyOptions {
+  /** Header name (default 'Idempotency-Key') */
+  header?: string;
+  /** Methods that get a key (default ['post', 'patch']) */
+  methods?: string[];
+  /** Key generator (default random UUID) */
+  generateKey?: (config: InternalAxiosRequestConfig) => string;
+}
+
+export declare const IDEMPOTENT_METHODS: string[];
+export declare function isRetrySafe(config: AxiosRequestConfig | undefined, header?: string): boolean;
+export declare function createIdempotencyKeyHandler(
+  options?: IdempotencyKeyOptions
+): (config: InternalAxiosRequestConfig) => InternalAxiosRequestConfig;
+export declare function attachIdempotencyKeyInterceptor(
+  instance: AxiosInstance,
+  options?: IdempotencyKeyOptions
+): number;
+
+export type BackoffStrategy =
+  | 'constant'
+  | 'linear'
+  | 'exponential'
+  | 'full-jitter'
+  | 'equal-jitter'
+  | 'decorrelated-jitter';
+
+export type BackoffFunction = (attempt: number, previousDelay?: number) => number;
+
+export interface BackoffOptions {
+  strategy?: BackoffStrategy;
+  baseDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  seed?: number;
+  random?: () => number;
 }
 
+export declare const BACKOFF_STRATEGIES: BackoffStrategy[];
+export declare function createBackoff(options?: BackoffStrategy | BackoffOptions | BackoffFunction): BackoffFunction;
+export declare function createSeededRandom(seed: number): () => number;
+
+export declare function getServerRetryDelay(
+  response: { status?: number; headers?: any } | undefined,
+  now?: number
+): number | null;
+export declare function parseRetryAfter(value: string | null | undefined, now?: number): number | null;
+export declare function parseRateLimitReset(value: string | null | undefined, now?: number): number | null;
+
+export interface RateLimitInfo {
+  limit: number | null;
+  remaining: number | null;
+  /** Delay until the quota resets (ms) */
+  reset: number | null;
+  windowMs: number | null;
+}
+export declare function parseRateLimitHeaders(headers: any, now?: number): RateLimitInfo | null;
+
+export declare function parseCacheControl(header?: string | null): Record<string, string | true>;
+export declare function getCachePolicy(
+  response: { headers?: any },
+  options?: { shared?: boolean; now?: number }
+): CachePolicy;
+export declare function isStorable(response: { headers?: any }, options?: { shared?: boolean }): boolean;
+export declare function getVaryHeaders(response: { headers?: any }): string[];
+
+export declare function createCacheKey(config: AxiosRequestConfig, options?: CacheKeyOptions): string;
+export declare function resolveCacheUrl(config: AxiosRequestConfig): string;
+export declare function stableStringify(value: any): string | undefined;
+
+export declare function createMemoryStorage(options?: CacheStorageOptions): Required<CacheStorage>;
+export declare function createWebStorage(
+  webStorage?: Storage,
+  options?: CacheStorageOptions & { prefix?: string }
+): Required<CacheStorage>;
+export declare function createIndexedDBStorage(
+  options?: CacheStorageOptions & { dbName?: string; storeName?: string; indexedDB?: IDBFactory }
+): Required<CacheStorage>;
+export declare function createFileStorage(
+  options: CacheStorageOptions & { directory: string }
+): Required<CacheStorage>;
+
 export interface LoggingOptions {
   logRequests?: boolean;
   logResponses?: boolean;
@@ -361,9 +781,110 @@ export interface UploadOptions {
 }
 
 export interface CacheOptions {
+  mode?: 'simple' | 'http';
   maxAge?: number;
+  staleWhileRevalidate?: number;
+  staleIfError?: number;
   maxSize?: number;
+  maxBytes?: number;
+  storage?: CacheStorage;
+  shared?: boolean;
+  varyHeaders?: string[];
+  partition?: CacheKeyOptions['partition'];
   keyGenerator?: (config: AxiosRequestConfig) => string;
+  coalesce?: boolean;
+  invalidateOnMutation?: boolean | ((config: AxiosRequestConfig) => MaybePromise<CacheInvalidationTarget | CacheInvalidationTarget[] | void>);
+}
+
+export interface CacheKeyOptions {
+  /** Request headers whose values are part of the key */
+  varyHeaders?: string[];
+  /** Partition name (e.g. the current user), or a function returning it */
+  partition?: string | ((config: AxiosRequestConfig) => string | null | undefined);
+}
+
+/** Cache key or tag, or a key pattern */
+export type CacheInvalidationTarget = string | RegExp;
+
+export interface CacheController {
+  invalidate(target: CacheInvalidationTarget | CacheInvalidationTarget[]): Promise<number>;
+  invalidateUrl(url: string): Promise<number>;
+  clear(): Promise<void>;
+  export(): Promise<CacheSnapshot>;
+  import(snapshot: CacheSnapshot | string): Promise<number>;
+  warm(
+    requests: Array<string | AxiosRequestConfig>,
+    options?: { concurrency?: number }
+  ): Promise<ConcurrentResult<AxiosResponse>[]>;
+  getStats(): CacheStats;
+}
+
+export interface ConcurrentResult<T = any> {
+  status: 'fulfilled' | 'rejected';
+  value?: T;
+  reason?: any;
+  index: number;
+}
+
+export interface CacheSnapshot {
+  version: number;
+  createdAt: number;
+  entries: Array<{ key: string; entry: CacheEntry }>;
+}
+
+export interface CacheStats {
+  hits: number;
+  staleHits: number;
+  misses: number;
+  hitRate: number;
+  revalidations: number;
+  notModified: number;
+  backgroundRefreshes: number;
+  coalesced: number;
+  invalidations: number;
+  entries: number | null;
+  bytes: number | null;
+  evictions: number | null;
+}
+
+export interface CacheEntry {
+  response: Partial<AxiosResponse> & { data: any; status: number };
+  timestamp: number;
+  [key: string]: any;
+}
+
+export interface CacheStorageStats {
+  entries: number;
+  bytes: number;
+  maxBytes: number;
+  maxEntries: number;
+  evictions: number;
+}
+
+export interface CacheStorage {
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear?(): Promise<void>;
+  keys?(): Promise<string[]>;
+  getStats?(): Promise<CacheStorageStats>;
+}
+
+export interface CacheStorageOptions {
+  maxBytes?: number;
+  maxEntries?: number;
+}
+
+export interface CachePolicy {
+  directives: Record<string, string | true>;
+  lifetime: number;
+  age: number;
+  etag?: string;
+  lastModified?: string;
+  noCache: boolean;
+  mustRevalidate: boolean;
+  staleWhileRevalidate: number | null;
+  staleIfError: number | null;
 }
 
 export interface TimeoutOptions {
@@ -372,14 +893,198 @@ export interface TimeoutOptions {
   onTimeout?: (error: any, config: AxiosRequestConfig) => void;
 }
 
+export interface AuthChallenge {
+  scheme: string;
+  params: Record<string, string>;
+  token68?: string;
+}
+
+export interface ChallengeCredentials {
+  username: string;
+  password: string;
+}
+
+export interface ChallengeAuthHandler {
+  scheme: string;
+  supports?(challenge: AuthChallenge): boolean;
+  handleChallenge(
+    challenge: AuthChallenge,
+    context: { config: InternalAxiosRequestConfig; credentials: ChallengeCredentials; response: AxiosResponse }
+  ): void | Promise<void>;
+  authorize(config: InternalAxiosRequestConfig): string | null;
+  reset?(): void;
+}
+
+export declare class DigestAuthHandler implements ChallengeAuthHandler {
+  constructor(options?: { createCnonce?: () => string });
+  scheme: 'Digest';
+  supports(challenge: AuthChallenge): boolean;
+  handleChallenge(
+    challenge: AuthChallenge,
+    context: { config: InternalAxiosRequestConfig; credentials: ChallengeCredentials }
+  ): void;
+  authorize(config: InternalAxiosRequestConfig): string | null;
+  reset(config?: AxiosRequestConfig): void;
+}
+
+export declare function parseAuthenticateHeader(header: string | null | undefined): AuthChallenge[];
+
+export interface ChallengeAuthOptions {
+  username?: string;
+  password?: string;
+  credentials?: () => MaybePromise<ChallengeCredentials>;
+  handlers?: ChallengeAuthHandler[];
+  maxAttempts?: number;
+  preemptive?: boolean;
+  onAuthFail?: (error: any) => void;
+}
+
+export declare function attachChallengeAuthInterceptor(
+  instance: AxiosInstance,
+  options: ChallengeAuthOptions
+): { request: number; response: number };
+
+export declare class ReplayQueue {
+  constructor(options?: {
+    createError?: (cause: any, config: AxiosRequestConfig, error?: any) => any;
+    clearMessage?: string;
+  });
+  readonly size: number;
+  enqueue<T = any>(config: AxiosRequestConfig, error?: any): Promise<T>;
+  replay(send: (config: AxiosRequestConfig) => any, prepare?: (config: AxiosRequestConfig) => void): void;
+  rejectAll(cause: any): void;
+  clear(): void;
+}
+
+export type RateLimitAlgorithm =
+  | 'sliding-window-log'
+  | 'sliding-window-counter'
+  | 'token-bucket'
+  | 'leaky-bucket';
+
 export interface RateLimitOptions {
   maxRequests?: number;
   windowMs?: number;
+  algorithm?: RateLimitAlgorithm;
+  /** Bucket capacity (`token-bucket` and `leaky-bucket`) */
+  burst?: number;
+  /** Fail requests over the limit, or delay them until a slot opens */
+  mode?: 'reject' | 'queue';
+  /** Longest time a request may wait in `queue` mode (ms) */
+  maxWait?: number;
   onLimit?: (error: any, config: AxiosRequestConfig) => void;
+  /** Limits for groups of requests; the first matching rule wins */
+  buckets?: RateLimitBucketRule[];
+  /** Follow the quota reported in the server's rate limit headers */
+  adaptive?: boolean | {
+    /** Share of the server's quota left when requests start being spaced out (default 0.2) */
+    slowdownAt?: number;
+  };
+}
+
+export interface RateLimitBucketRule {
+  name?: string;
+  /** URL pattern(s), or a function of the request config */
+  match?: string | RegExp | Array<string | RegExp> | ((config: InternalAxiosRequestConfig) => boolean);
+  method?: string | string[];
+  host?: string | RegExp | Array<string | RegExp>;
+  /** Keep a bucket per host, or per value returned for the request */
+  key?: 'host' | ((config: InternalAxiosRequestConfig) => string);
+  maxRequests?: number;
+  windowMs?: number;
+  algorithm?: RateLimitAlgorithm;
+  burst?: number;
+}
+
+export interface RateLimitBucketStats {
+  name: string;
+  algorithm: RateLimitAlgorithm;
+  maxRequests: number;
+  windowMs: number;
+  remaining: number;
+  queued: number;
+  allowed: number;
+  limited: number;
+  /** Quota learned from the server in `adaptive` mode */
+  server: {
+    limit: number | null;
+    remaining: number | null;
+    resetAt: number | null;
+    pausedUntil: number | null;
+  } | null;
+}
+
+export interface RateLimiter {
+  readonly algorithm: RateLimitAlgorithm;
+  /** Take a slot and return 0, or return the ms until one may be free (Infinity when none ever will) */
+  tryAcquire(now?: number): number;
+  /** Free slots, without taking one */
+  remaining(now?: number): number;
+}
+
+export declare const RATE_LIMIT_ALGORITHMS: RateLimitAlgorithm[];
+export declare function createRateLimiter(
+  options?: Pick<RateLimitOptions, 'algorithm' | 'maxRequests' | 'windowMs' | 'burst'>
+): RateLimiter;
+
+interface BaseRequestSigningOptions {
+  shouldSign?: (config: InternalAxiosRequestConfig) => boolean;
+  signedHeaders?: string[];
+  allowUnsignedPayload?: boolean;
+  now?: () => Date;
+}
+
+export interface HmacSigningOptions extends BaseRequestSigningOptions {
+  preset?: 'hmac';
+  secret: string | Uint8Array | (() => MaybePromise<string | Uint8Array>);
+  keyId?: string | (() => MaybePromise<string>);
+  signatureHeader?: string;
+  keyIdHeader?: string;
+  timestampHeader?: string;
+  signedHeadersHeader?: string | null;
+  encoding?: 'hex' | 'base64';
 }
 
+export interface AwsCredentials {
+  accessKeyId: string;
+  secretAccessKey: string;
+  sessionToken?: string;
+}
+
+export interface AwsSigV4SigningOptions extends BaseRequestSigningOptions, Partial<AwsCredentials> {
+  preset: 'aws-sigv4';
+  region: string;
+  service: string;
+  credentials?: AwsCredentials | (() => MaybePromise<AwsCredentials>);
+}
+
+export type RequestSigningOptions = HmacSigningOptions | AwsSigV4SigningOptions;
+
+export interface CanonicalRequest {
+  method: string;
+  url: URL;
+  path: string;
+  query: string;
+  headers: Array<[string, string]>;
+  signedHeaders: string;
+  payloadHash: string;
+  canonicalRequest: string;
+}
+
+export declare function createRequestSigner(
+  options: RequestSigningOptions
+): (config: InternalAxiosRequestConfig) => InternalAxiosRequestConfig;
+export declare function attachSigningInterceptor(instance: AxiosInstance, options: RequestSigningOptions): number;
+export declare function canonicalizeRequest(
+  config: InternalAxiosRequestConfig,
+  options: { signedHeaders: string[]; doubleEncodePath?: boolean; allowUnsignedPayload?: boolean }
+): CanonicalRequest;
+
 export interface AuthConfig {
-  getToken: () => string | null | undefined;
+  getToken?: () => MaybePromise<string | null | undefined>;
+  tokenProvider?: TokenProvider;
+  scheme?: AuthSchemeDefinition;
+  schemes?: AuthSchemeRule[];
   refresh?: RefreshTokenOptions;
 }
 
@@ -409,6 +1114,9 @@ export interface RetryRequestOptions {
   baseDelay?: number;
   maxDelay?: number;
   backoffFactor?: number;
+  backoff?: BackoffStrategy | BackoffOptions | BackoffFunction;
+  seed?: number;
+  retryCondition?: (error: any) => boolean;
 }
 
 export interface FileUploadOptions {
@@ -436,7 +1144,7 @@ export declare const responseTransformers: {
 
 export declare const commonPatterns: {
   createApiClient: (baseURL: string, options?: AxiosRequestConfig) => AxiosInstance;
-  createResource: <T = any>(instance: AxiosInstance, resourcePath: string) => ResourceMethods<T>;
+  createResource: <T = any>(instance: AxiosInstance, resourcePath: string, options?: ResourceOptions) => ResourceMethods<T>;
   uploadFile: (instance: AxiosInstance, file: File, options?: FileUploadOptions) => Promise<AxiosResponse>;
   createHealthCheck: (instance: AxiosInstance, endpoint?: string) => HealthCheck;
 };
@@ -8,13 +8,25 @@ export { createExtendedInstance } from './lib/core/createExtendedInstance.js';
 
 // Interceptors
 export { attachAuthInterceptor } from './lib/interceptors/auth.js';
-export { attachRefreshInterceptor } from './lib/interceptors/refresh.js';
+export { attachRefreshInterceptor, TokenRefreshFailedError } from './lib/interceptors/refresh.js';
 export { attachRetryInterceptor } from './lib/interceptors/retry.js';
+export {
+  attachIdempotencyKeyInterceptor,
+  createIdempotencyKeyHandler,
+  isRetrySafe,
+  IDEMPOTENT_METHODS
+} from './lib/interceptors/idempotencyKey.js';
 export { attachLoggingInterceptor } from './lib/interceptors/logging.js';
 export { attachUploadInterceptor } from './lib/interceptors/upload.js';
 export { attachCacheInterceptor } from './lib/interceptors/cache.js';
 export { attachTimeoutInterceptor } from './lib/interceptors/timeout.js';
 export { attachRateLimitInterceptor } from './lib/interceptors/rateLimit.js';
+export {
+  attachSigningInterceptor,
+  createRequestSigner,
+  canonicalizeRequest
+} from './lib/interceptors/signing.js';
+export { attachChallengeAuthInterceptor } from './lib/interceptors/challengeAuth.js';
 
 // Utilities - Export classes and functions separately to avoid circular deps
 export { RequestQueue } from './lib/utils/requestQueue.js';
@@ -41,6 +53,52 @@ export {
   CommonConditions 
 } from './lib/utils/interceptorConditions.js';
 
+// Auth schemes
+export { AuthSchemes } from './lib/utils/authSchemes.js';
+
+// Token storage shared by auth and refresh
+export { TokenProvider } from './lib/utils/tokenProvider.js';
+
+// OAuth2 client flows
+export {
+  OAuth2Client,
+  generateCodeVerifier,
+  createCodeChallenge
+} from './lib/utils/oauth2.js';
+
+// Cross-tab refresh coordination
+export {
+  RefreshCoordinator,
+  StorageLockAdapter,
+  MemoryLockAdapter
+} from './lib/utils/refreshCoordinator.js';
+
+// Challenge-response authentication
+export { DigestAuthHandler, parseAuthenticateHeader } from './lib/utils/digestAuth.js';
+export { ReplayQueue } from './lib/utils/replayQueue.js';
+
+// Server-requested retry delays
+export { getServerRetryDelay, parseRetryAfter, parseRateLimitReset, parseRateLimitHeaders } from './lib/utils/retryAfter.js';
+
+// Retry backoff strategies
+export { createBackoff, createSeededRandom, BACKOFF_STRATEGIES } from './lib/utils/backoff.js';
+export { RetryBudget } from './lib/utils/retryBudget.js';
+export { createRateLimiter, RATE_LIMIT_ALGORITHMS } from './lib/utils/rateLimiter.js';
+
+// HTTP caching semantics
+export { parseCacheControl, getCachePolicy, isStorable, getVaryHeaders } from './lib/utils/cacheControl.js';
+
+// Cache keys
+export { createCacheKey, resolveCacheUrl, stableStringify } from './lib/utils/cacheKey.js';
+
+// Cache storage adapters
+export {
+  createMemoryStorage,
+  createWebStorage,
+  createIndexedDBStorage,
+  createFileStorage
+} from './lib/utils/cacheStorage.js';
+
 // Version
 export { version } from './lib/utils/version.js';
 
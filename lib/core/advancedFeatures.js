@@ -1,3 +1,5 @@
+import { createBackoff } from '../utils/backoff.js';
+
 /**
  * Attaches advanced feature methods to the axios instance
  * @param {Object} instance - The axios instance
@@ -8,6 +10,8 @@ export function attachAdvancedFeatures(instance, commonPatterns) {
    * Request with retry using exponential backoff
    * @param {Object} config - Request configuration
    * @param {Object} options - Retry options
+   * @param {string|Object|Function} [options.backoff='exponential'] - Backoff strategy name, options or function (see createBackoff)
+   * @param {number} [options.seed] - Seed for deterministic jitter
    */
   instance.requestWithRetry = async function(config, options = {}) {
     const { 
@@ -15,13 +19,19 @@ export function attachAdvancedFeatures(instance, commonPatterns) {
       baseDelay = 1000, 
       maxDelay = 30000,
       backoffFactor = 2,
+      backoff = 'exponential',
+      seed,
       retryCondition = (error) => {
         // Retry on network errors or 5xx status codes
         return !error.response || error.response.status >= 500;
       }
     } = options;
     
-    const makeRequest = async (attempt = 1) => {
+    const nextDelay = createBackoff(typeof backoff === 'string'
+      ? { strategy: backoff, baseDelay, maxDelay, factor: backoffFactor, seed }
+      : backoff);
+    
+    const makeRequest = async (attempt = 1, previousDelay) => {
       try {
         return await instance.request(config);
       } catch (error) {
@@ -29,7 +39,7 @@ export function attachAdvancedFeatures(instance, commonPatterns) {
           throw error;
         }
         
-        const delay = Math.min(baseDelay * Math.pow(backoffFactor, attempt - 1), maxDelay);
+        const delay = nextDelay(attempt, previousDelay);
         
         // Add retry info to error for logging
         error.retryAttempt = attempt;
@@ -37,7 +47,7 @@ export function attachAdvancedFeatures(instance, commonPatterns) {
         
         await new Promise(resolve => setTimeout(resolve, delay));
         
-        return makeRequest(attempt + 1);
+        return makeRequest(attempt + 1, delay);
       }
     };
     
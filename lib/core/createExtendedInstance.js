@@ -9,6 +9,8 @@ import { attachUploadInterceptor } from '../interceptors/upload.js';
 import { attachCacheInterceptor } from '../interceptors/cache.js';
 import { attachTimeoutInterceptor } from '../interceptors/timeout.js';
 import { attachRateLimitInterceptor } from '../interceptors/rateLimit.js';
+import { attachSigningInterceptor } from '../interceptors/signing.js';
+import { attachChallengeAuthInterceptor } from '../interceptors/challengeAuth.js';
 
 // Import utilities
 import { RequestQueue } from '../utils/requestQueue.js';
@@ -55,7 +57,9 @@ export function createExtendedInstance(config) {
     upload: { request: null, response: null },
     cache: { request: null, response: null },
     timeout: { request: null, response: null },
-    rateLimit: null
+    rateLimit: null,
+    signing: null,
+    challengeAuth: { request: null, response: null }
   };
 
   // Initialize interceptor status tracking
@@ -67,7 +71,9 @@ export function createExtendedInstance(config) {
     upload: { enabled: false, lastEnabled: null, config: null },
     cache: { enabled: false, lastEnabled: null, config: null },
     timeout: { enabled: false, lastEnabled: null, config: null },
-    rateLimit: { enabled: false, lastEnabled: null, config: null }
+    rateLimit: { enabled: false, lastEnabled: null, config: null },
+    signing: { enabled: false, lastEnabled: null, config: null },
+    challengeAuth: { enabled: false, lastEnabled: null, config: null }
   };
 
   // Initialize event emitter for interceptor events
@@ -122,7 +128,9 @@ export function createExtendedInstance(config) {
     attachUploadInterceptor,
     attachCacheInterceptor,
     attachTimeoutInterceptor,
-    attachRateLimitInterceptor
+    attachRateLimitInterceptor,
+    attachSigningInterceptor,
+    attachChallengeAuthInterceptor
   };
 
   // Common pattern functions
@@ -1,4 +1,5 @@
 import axios from "axios";
+import { describeAuthScheme } from "../utils/authSchemes.js";
 
 /**
  * Utility function to deep clone objects
@@ -51,10 +52,16 @@ export function attachInstanceState(
 
     if (interceptorIds.refresh !== null) {
       active.response.push({ name: "refresh", id: interceptorIds.refresh });
+      if (instance._refreshRequestInterceptorId !== undefined) {
+        active.request.push({ name: "refresh", id: instance._refreshRequestInterceptorId });
+      }
     }
 
     if (interceptorIds.retry !== null) {
       active.response.push({ name: "retry", id: interceptorIds.retry });
+      if (instance._retryRequestInterceptorId !== undefined) {
+        active.request.push({ name: "retry", id: instance._retryRequestInterceptorId });
+      }
     }
 
     if (interceptorIds.logging && interceptorIds.logging.request !== null) {
@@ -114,6 +121,24 @@ export function attachInstanceState(
       active.request.push({ name: "rateLimit", id: interceptorIds.rateLimit });
     }
 
+    if (interceptorIds.signing != null) {
+      active.request.push({ name: "signing", id: interceptorIds.signing });
+    }
+
+    if (interceptorIds.challengeAuth && interceptorIds.challengeAuth.request !== null) {
+      active.request.push({
+        name: "challengeAuth",
+        id: interceptorIds.challengeAuth.request,
+      });
+    }
+
+    if (interceptorIds.challengeAuth && interceptorIds.challengeAuth.response !== null) {
+      active.response.push({
+        name: "challengeAuth",
+        id: interceptorIds.challengeAuth.response,
+      });
+    }
+
     return active;
   };
 
@@ -180,6 +205,8 @@ export function attachInstanceState(
         ? instance.getCircuitBreakerStatus()
         : null,
       dedupe: instance.getDedupeStats ? instance.getDedupeStats() : null,
+      retryBudget: instance._retryBudget ? instance._retryBudget.getStats() : null,
+      cache: instance.cache && instance.cache.getStats ? instance.cache.getStats() : null,
     };
   };
 
@@ -230,6 +257,8 @@ export function attachInstanceState(
       if (instance.removeCache) instance.removeCache();
       if (instance.removeSmartTimeout) instance.removeSmartTimeout();
       if (instance.removeRateLimit) instance.removeRateLimit();
+      if (instance.removeRequestSigning) instance.removeRequestSigning();
+      if (instance.removeChallengeAuth) instance.removeChallengeAuth();
     } catch (error) {
       // Silently handle missing methods
     }
@@ -325,7 +354,8 @@ export function attachInstanceState(
         name === "auth" ||
         name === "refresh" ||
         name === "retry" ||
-        name === "rateLimit"
+        name === "rateLimit" ||
+        name === "signing"
       ) {
         status[name].interceptorId = interceptorIds[name];
       } else if (
@@ -337,6 +367,16 @@ export function attachInstanceState(
           response: interceptorIds[name].response,
         };
       }
+
+      // Report which auth scheme(s) are active
+      if (name === "auth" && info.enabled) {
+        status.auth.scheme = describeAuthScheme(info.config);
+      }
+
+      // Report usage of each rate limit bucket
+      if (name === "rateLimit" && info.enabled && instance._rateLimiter?.getBucketStats) {
+        status.rateLimit.buckets = instance._rateLimiter.getBucketStats();
+      }
     });
 
     return status;
@@ -47,6 +47,14 @@ export function attachInterceptorMethods(
     if (interceptorIds.refresh !== null) {
       instance.interceptors.response.eject(interceptorIds.refresh);
     }
+    if (instance._refreshRequestInterceptorId !== undefined) {
+      instance.interceptors.request.eject(instance._refreshRequestInterceptorId);
+      delete instance._refreshRequestInterceptorId;
+    }
+    if (instance._refreshCoordinatorCleanup) {
+      instance._refreshCoordinatorCleanup();
+      delete instance._refreshCoordinatorCleanup;
+    }
     interceptorIds.refresh = attachers.attachRefreshInterceptor(
       instance,
       options
@@ -74,6 +82,11 @@ export function attachInterceptorMethods(
     if (interceptorIds.retry !== null) {
       instance.interceptors.response.eject(interceptorIds.retry);
     }
+    if (instance._retryRequestInterceptorId !== undefined) {
+      instance.interceptors.request.eject(instance._retryRequestInterceptorId);
+      delete instance._retryRequestInterceptorId;
+    }
+    delete instance._retryBudget;
     interceptorIds.retry = attachers.attachRetryInterceptor(instance, options);
 
     interceptorStatus.retry = {
@@ -209,6 +222,8 @@ export function attachInterceptorMethods(
   instance.useRateLimit = function (options = {}) {
     if (interceptorIds.rateLimit !== null) {
       instance.interceptors.request.eject(interceptorIds.rateLimit);
+      // Lets queued requests through and drops the adaptive response interceptor
+      instance._rateLimiter?.stop?.();
     }
     interceptorIds.rateLimit = attachers.attachRateLimitInterceptor(
       instance,
@@ -230,6 +245,65 @@ export function attachInterceptorMethods(
     return instance;
   };
 
+  /**
+   * Sign outgoing requests (HMAC or AWS SigV4)
+   * Signing always happens after every other request interceptor.
+   */
+  instance.useRequestSigning = function (options = {}) {
+    if (interceptorIds.signing !== null) {
+      instance.interceptors.request.eject(interceptorIds.signing);
+    }
+    interceptorIds.signing = attachers.attachSigningInterceptor(
+      instance,
+      options
+    );
+
+    interceptorStatus.signing = {
+      enabled: true,
+      lastEnabled: new Date(),
+      config: options,
+    };
+
+    interceptorEvents.emit("interceptor:enabled", {
+      name: "signing",
+      config: options,
+      timestamp: new Date(),
+    });
+
+    return instance;
+  };
+
+  /**
+   * Answer WWW-Authenticate challenges (Digest by default) and replay the request
+   */
+  instance.useChallengeAuth = function (options = {}) {
+    if (interceptorIds.challengeAuth.request !== null) {
+      instance.interceptors.request.eject(interceptorIds.challengeAuth.request);
+    }
+    if (interceptorIds.challengeAuth.response !== null) {
+      instance.interceptors.response.eject(interceptorIds.challengeAuth.response);
+    }
+    if (instance._challengeAuthQueue) {
+      instance._challengeAuthQueue.clear();
+    }
+    const ids = attachers.attachChallengeAuthInterceptor(instance, options);
+    interceptorIds.challengeAuth = ids;
+
+    interceptorStatus.challengeAuth = {
+      enabled: true,
+      lastEnabled: new Date(),
+      config: options,
+    };
+
+    interceptorEvents.emit("interceptor:enabled", {
+      name: "challengeAuth",
+      config: options,
+      timestamp: new Date(),
+    });
+
+    return instance;
+  };
+
   // Enhanced removal methods with proper validation and cleanup
 
   /**
@@ -266,6 +340,9 @@ export function attachInterceptorMethods(
       if (instance._authCache) {
         delete instance._authCache;
       }
+      if (instance._authOptions) {
+        delete instance._authOptions;
+      }
 
       // Emit removal event
       interceptorEvents.emit("interceptor:removed", {
@@ -318,6 +395,14 @@ export function attachInterceptorMethods(
       if (instance._isRefreshing !== undefined) {
         delete instance._isRefreshing;
       }
+      if (instance._refreshRequestInterceptorId !== undefined) {
+        instance.interceptors.request.eject(instance._refreshRequestInterceptorId);
+        delete instance._refreshRequestInterceptorId;
+      }
+      if (instance._refreshCoordinatorCleanup) {
+        instance._refreshCoordinatorCleanup();
+        delete instance._refreshCoordinatorCleanup;
+      }
 
       interceptorEvents.emit("interceptor:removed", {
         name: "refresh",
@@ -362,6 +447,11 @@ export function attachInterceptorMethods(
       };
 
       // Clean up retry-specific state
+      if (instance._retryRequestInterceptorId !== undefined) {
+        instance.interceptors.request.eject(instance._retryRequestInterceptorId);
+        delete instance._retryRequestInterceptorId;
+      }
+      delete instance._retryBudget;
       if (instance._retryQueue) {
         delete instance._retryQueue;
       }
@@ -558,6 +648,8 @@ export function attachInterceptorMethods(
       if (instance._cacheKeyGenerator) {
         delete instance._cacheKeyGenerator;
       }
+      // Persistent storage keeps its entries for the next useCache()
+      delete instance.cache;
 
       interceptorEvents.emit("interceptor:removed", {
         name: "cache",
@@ -706,4 +798,112 @@ export function attachInterceptorMethods(
       );
     }
   };
+
+  /**
+   * Remove request signing interceptor
+   * @returns {Object} The instance for chaining
+   * @throws {Error} If removal fails
+   */
+  instance.removeRequestSigning = function () {
+    try {
+      if (interceptorIds.signing === null) {
+        if (process.env.NODE_ENV !== "production") {
+          console.warn(
+            "[hc-axios] Request signing interceptor is not currently active"
+          );
+        }
+        return instance;
+      }
+
+      instance.interceptors.request.eject(interceptorIds.signing);
+      interceptorIds.signing = null;
+
+      interceptorStatus.signing = {
+        enabled: false,
+        lastEnabled: interceptorStatus.signing.lastEnabled,
+        config: null,
+      };
+
+      interceptorEvents.emit("interceptor:removed", {
+        name: "signing",
+        timestamp: new Date(),
+      });
+
+      return instance;
+    } catch (error) {
+      interceptorEvents.emit("interceptor:error", {
+        name: "signing",
+        operation: "remove",
+        error: error.message,
+        timestamp: new Date(),
+      });
+      throw new Error(
+        `Failed to remove request signing interceptor: ${error.message}`
+      );
+    }
+  };
+
+  /**
+   * Remove challenge-response authentication interceptors
+   * @returns {Object} The instance for chaining
+   * @throws {Error} If removal fails
+   */
+  instance.removeChallengeAuth = function () {
+    try {
+      const hadRequest = interceptorIds.challengeAuth.request !== null;
+      const hadResponse = interceptorIds.challengeAuth.response !== null;
+
+      if (!hadRequest && !hadResponse) {
+        if (process.env.NODE_ENV !== "production") {
+          console.warn(
+            "[hc-axios] Challenge auth interceptors are not currently active"
+          );
+        }
+        return instance;
+      }
+
+      if (hadRequest) {
+        instance.interceptors.request.eject(interceptorIds.challengeAuth.request);
+        interceptorIds.challengeAuth.request = null;
+      }
+
+      if (hadResponse) {
+        instance.interceptors.response.eject(interceptorIds.challengeAuth.response);
+        interceptorIds.challengeAuth.response = null;
+      }
+
+      interceptorStatus.challengeAuth = {
+        enabled: false,
+        lastEnabled: interceptorStatus.challengeAuth.lastEnabled,
+        config: null,
+      };
+
+      // Reject paused requests and forget sessions
+      if (instance._challengeAuthQueue) {
+        instance._challengeAuthQueue.clear();
+        delete instance._challengeAuthQueue;
+      }
+      if (instance._challengeAuthHandlers) {
+        instance._challengeAuthHandlers.forEach(handler => handler.reset && handler.reset());
+        delete instance._challengeAuthHandlers;
+      }
+
+      interceptorEvents.emit("interceptor:removed", {
+        name: "challengeAuth",
+        timestamp: new Date(),
+      });
+
+      return instance;
+    } catch (error) {
+      interceptorEvents.emit("interceptor:error", {
+        name: "challengeAuth",
+        operation: "remove",
+        error: error.message,
+        timestamp: new Date(),
+      });
+      throw new Error(
+        `Failed to remove challenge auth interceptors: ${error.message}`
+      );
+    }
+  };
 }
@@ -1,3 +1,5 @@
+import { OAuth2Client } from '../utils/oauth2.js';
+
 /**
  * Attaches setup and configuration methods to the axios instance
  * @param {Object} instance - The axios instance
@@ -12,17 +14,53 @@ export function attachSetupMethods(instance) {
       return instance;
     }
     
-    if (authConfig.getToken) {
-      instance.useAuth(authConfig.getToken);
+    if (authConfig.getToken || authConfig.tokenProvider) {
+      // Only pass an options object when a non-default scheme or a provider is requested
+      if (authConfig.scheme || authConfig.schemes || authConfig.tokenProvider) {
+        instance.useAuth({
+          getToken: authConfig.getToken,
+          tokenProvider: authConfig.tokenProvider,
+          scheme: authConfig.scheme,
+          schemes: authConfig.schemes
+        });
+      } else {
+        instance.useAuth(authConfig.getToken);
+      }
     }
     
     if (authConfig.refresh) {
-      instance.useRefreshToken(authConfig.refresh);
+      // Share the token provider with the refresh interceptor unless it has its own
+      const refreshConfig = authConfig.tokenProvider && !authConfig.refresh.tokenProvider
+        ? { tokenProvider: authConfig.tokenProvider, ...authConfig.refresh }
+        : authConfig.refresh;
+      instance.useRefreshToken(refreshConfig);
     }
     
     return instance;
   };
 
+  /**
+   * Configure auth and refresh interceptors from an OAuth2 client
+   * Accepts an OAuth2Client or its constructor options; the client is
+   * exposed as `instance.oauth2` for starting flows and exchanging codes.
+   * @param {OAuth2Client|Object} options - Client or client options
+   * @param {Object} [options.refresh] - Overrides for useRefreshToken (e.g. onRefreshTokenFail)
+   * @returns {Object} The instance for chaining
+   */
+  instance.setupOAuth2 = function(options = {}) {
+    const client = options instanceof OAuth2Client ? options : new OAuth2Client(options);
+    const refreshOverrides = options instanceof OAuth2Client ? {} : options.refresh;
+
+    instance.useAuth(() => client.getAccessToken());
+    instance.useRefreshToken({
+      ...client.createRefreshOptions(),
+      ...refreshOverrides
+    });
+    instance.oauth2 = client;
+
+    return instance;
+  };
+
   /**
    * Setup common interceptor groups
    */
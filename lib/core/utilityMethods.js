@@ -42,11 +42,14 @@ export function attachUtilityMethods(instance, utilities, responseTransformers)
       results[index] = promise;
       
       if (limit <= requests.length) {
-        executing.push(promise);
+        // Each request leaves the running set once it settles
+        const running = promise.then(() => {
+          executing.splice(executing.indexOf(running), 1);
+        });
+        executing.push(running);
         
         if (executing.length >= limit) {
           await Promise.race(executing);
-          executing.splice(executing.findIndex(p => p === promise), 1);
         }
       }
     }
@@ -1,21 +1,63 @@
+import {
+  normalizeAuthOptions,
+  selectAuthScheme,
+  resolveAuthScheme,
+  getRequestAuthentication
+} from '../utils/authSchemes.js';
+import { whenResolved } from '../utils/tokenProvider.js';
+
 /**
- * Attaches an Authorization header to all requests using the provided token getter.
+ * Attaches authentication credentials to all requests using the provided token getter.
+ *
+ * Passing a function keeps the classic behaviour (`Authorization: Bearer <token>`).
+ * Passing an options object allows choosing a scheme and per-URL scheme rules.
+ * Token getters may be async; the request waits for the token before being sent.
+ *
+ * Requests can opt out with `authentication: false`, or use another credential
+ * or scheme with `authentication: { token, scheme }` (see getRequestAuthentication).
+ *
+ * The normalized options are stored on `instance._authOptions`.
+ *
  * @param {import('axios').AxiosInstance} instance - The Axios instance to attach the interceptor to.
- * @param {() => string | null | undefined} getTokenFn - A function that returns the token (or null/undefined).
+ * @param {(() => *) | import('../utils/tokenProvider.js').TokenProvider | Object} getTokenFn - A function that returns the token (or null/undefined, or a promise of it), a TokenProvider, or auth options.
+ * @param {() => *} [getTokenFn.getToken] - Function returning the credential (sync or async).
+ * @param {import('../utils/tokenProvider.js').TokenProvider} [getTokenFn.tokenProvider] - Token provider used when getToken is omitted.
+ * @param {string|Object|Function} [getTokenFn.scheme='bearer'] - Default scheme (see AuthSchemes).
+ * @param {Array<{match: string|RegExp|Array|Function, scheme: string|Object|Function, getToken?: Function}>} [getTokenFn.schemes] - Per-URL scheme rules, first match wins.
  * @returns {number} The interceptor ID (can be used to eject the interceptor)
  */
 export function attachAuthInterceptor(instance, getTokenFn) {
+  const authOptions = normalizeAuthOptions(getTokenFn);
+  // Read by the refresh interceptor to apply refreshed tokens with the same scheme
+  instance._authOptions = authOptions;
+
   const interceptorId = instance.interceptors.request.use(
     (config) => {
-      const token = getTokenFn?.();
-      if (token) {
-        config.headers = config.headers || {};
-        config.headers.Authorization = `Bearer ${token}`;
+      // Refresh calls sent through the instance carry their own credentials
+      if (config.__isRefreshRequest) {
+        return config;
       }
-      return config;
+
+      const authentication = getRequestAuthentication(config);
+      if (authentication === false) {
+        return config;
+      }
+
+      const selected = selectAuthScheme(authOptions, config);
+      const scheme = authentication?.scheme ? resolveAuthScheme(authentication.scheme) : selected.scheme;
+      const getToken = authentication?.token !== undefined
+        ? () => (typeof authentication.token === 'function' ? authentication.token() : authentication.token)
+        : selected.getToken;
+
+      return whenResolved(getToken?.(), (token) => {
+        if (token) {
+          scheme.apply(config, token);
+        }
+        return config;
+      });
     },
     (error) => Promise.reject(error)
   );
-  
+
   return interceptorId;
-}
\ No newline at end of file
+}
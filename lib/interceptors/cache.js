@@ -1,76 +1,725 @@
+import axios from 'axios';
+import { getCachePolicy, getVaryHeaders, isStorable, parseCacheControl } from '../utils/cacheControl.js';
+import { readHeader } from '../utils/retryAfter.js';
+import { createMemoryStorage, toSerializableEntry } from '../utils/cacheStorage.js';
+import { createCacheKey } from '../utils/cacheKey.js';
+
+const MUTATION_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// Format version of `cache.export()` snapshots
+const SNAPSHOT_VERSION = 1;
+
+const createSnapshotError = (message) => {
+  const error = new Error(message);
+  error.code = 'CACHE_SNAPSHOT_INVALID';
+  return error;
+};
+
+// Path of a URL without origin, query, fragment and trailing slash
+const urlPath = (url = '') => {
+  const path = String(url)
+    .replace(/^[a-z][a-z\d+.-]*:\/\/[^/]*/i, '')
+    .split(/[?#]/)[0]
+    .replace(/^\/*/, '/')
+    .replace(/\/+$/, '');
+  return path || '/';
+};
+
+// Same path, or one is a parent of the other
+const isRelatedPath = (a, b) => a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+
 /**
  * Simple response caching interceptor
+ *
+ * The default `simple` mode caches every 200 GET response for `maxAge`.
+ *
+ * The `http` mode follows HTTP caching (RFC 9111) instead:
+ * - Freshness comes from `Cache-Control` (`max-age`, `s-maxage` when
+ *   `shared`), `Expires` or, with only `Last-Modified`, a heuristic.
+ *   `maxAge` is not used.
+ * - `no-store` responses are never stored, and neither are `private`
+ *   responses in a `shared` cache. `no-cache` responses are revalidated on
+ *   every use. So are all stored responses for requests sent with
+ *   `Cache-Control: no-cache`. Requests sent with `Cache-Control: no-store`
+ *   bypass the cache.
+ * - Stale responses with an `ETag` or `Last-Modified` validator are
+ *   revalidated with `If-None-Match`/`If-Modified-Since`. A 304 answer is
+ *   turned into the stored response, with its headers updated.
+ * - Responses are only reused for requests whose headers listed in `Vary`
+ *   match the original request's.
+ *
+ * Stale responses can still be used for a while after they expire:
+ * - Within `staleWhileRevalidate` they are served immediately, marked with
+ *   `response.stale`, while a background request refreshes the entry. Only
+ *   one refresh per entry runs at a time.
+ * - Within `staleIfError` they are served, marked with `response.stale`,
+ *   when the request fails with a network error or a 5xx status.
+ * In `http` mode the response's `stale-while-revalidate` and
+ * `stale-if-error` directives take precedence over these options, and
+ * `must-revalidate` responses are never served stale.
+ *
+ * Keys come from `createCacheKey()`: the method, the URL resolved against
+ * `baseURL`, and the params with sorted keys, plus the values of the
+ * `varyHeaders` request headers and the request's `partition` (e.g. the
+ * current user). Concurrent misses for the same key share one request
+ * (`coalesce`); each caller gets its own copy of the response, and a failure
+ * is passed on to all of them, except a cancellation, after which the
+ * others send their own request.
+ *
+ * Entries can be removed with `instance.cache`:
+ * - `invalidate(target)` removes entries by key, by tag (set with the
+ *   `cacheTags` request option), by key pattern (RegExp), or a list of these.
+ * - `invalidateUrl(url)` removes entries for the URL, its parent paths and
+ *   its sub-paths.
+ * - `clear()` removes all entries.
+ * A successful POST, PUT, PATCH or DELETE invalidates the URLs related to
+ * its own (`invalidateOnMutation`), plus the targets in its
+ * `cacheInvalidate` request option. So a PUT to `/users/1` purges cached
+ * GETs of `/users` and `/users/1`.
+ *
+ * `export()` returns a versioned, JSON-serializable snapshot of the live
+ * entries, with their timestamps and validators, and `import(snapshot)`
+ * stores them again, e.g. to ship pre-populated responses for cold starts
+ * or tests. Imported entries keep their age, so expired ones are skipped.
+ * `warm(urls)` prefetches GETs, a few at a time.
+ *
+ * GET responses are marked with `response.cached` (true when served from
+ * the cache, including 304 revalidations, which also set
+ * `response.revalidated`), `response.cacheKey` and, for cached responses,
+ * `response.cacheAge` in ms. `instance.cache.getStats()` reports hits,
+ * misses, revalidations, invalidations and the storage's size and
+ * evictions.
+ *
+ * Entries are kept in a storage adapter (see `cacheStorage.js`), by default
+ * in memory with LRU eviction once `maxSize` entries or `maxBytes` bytes are
+ * reached. A custom `storage` enforces its own limits. Storage failures
+ * never fail a request: the response is just not cached.
+ *
  * @param {import('axios').AxiosInstance} instance - The Axios instance
  * @param {Object} options - Cache configuration
- * @param {number} [options.maxAge=300000] - Cache max age in milliseconds (5 minutes default)
+ * @param {'simple'|'http'} [options.mode='simple'] - Fixed `maxAge` or HTTP caching semantics
+ * @param {number} [options.maxAge=300000] - Cache max age in milliseconds (5 minutes default, `simple` mode)
+ * @param {number} [options.staleWhileRevalidate=0] - How long after expiry stale responses are served while refreshing (ms)
+ * @param {number} [options.staleIfError=0] - How long after expiry stale responses are served when the request fails (ms)
  * @param {number} [options.maxSize=100] - Maximum number of cached responses
- * @param {Function} [options.keyGenerator] - Custom cache key generator
- * @returns {number} Interceptor ID
+ * @param {number} [options.maxBytes=Infinity] - Maximum total size of the cached responses in bytes
+ * @param {Object} [options.storage] - Storage adapter, e.g. from `createWebStorage()`; replaces `maxSize` and `maxBytes`
+ * @param {boolean} [options.shared=false] - Cache shared between users (`http` mode: skips `private`, uses `s-maxage`)
+ * @param {string[]} [options.varyHeaders=[]] - Request headers whose values are part of the cache key
+ * @param {string|Function} [options.partition] - Cache key partition, or a function returning it for a request config
+ * @param {Function} [options.keyGenerator] - Custom cache key generator; replaces `varyHeaders` and `partition`
+ * @param {boolean} [options.coalesce=true] - Share one request between concurrent misses for the same key
+ * @param {boolean|Function} [options.invalidateOnMutation=true] - Purge related URLs after mutations, or a function returning invalidation targets for a mutation's config
+ * @returns {{request: number, response: number}} Interceptor IDs
  */
 export function attachCacheInterceptor(instance, {
+  mode = 'simple',
   maxAge = 300000, // 5 minutes
+  staleWhileRevalidate = 0,
+  staleIfError = 0,
   maxSize = 100,
-  keyGenerator
+  maxBytes = Infinity,
+  storage = createMemoryStorage({ maxEntries: maxSize, maxBytes }),
+  shared = false,
+  varyHeaders = [],
+  partition,
+  keyGenerator,
+  coalesce = true,
+  invalidateOnMutation = true
 } = {}) {
-  
-  const cache = new Map();
-  
-  const defaultKeyGenerator = (config) => {
-    return `${config.method}:${config.url}:${JSON.stringify(config.params || {})}`;
-  };
-  
-  const generateKey = keyGenerator || defaultKeyGenerator;
-  
-  const cleanExpiredEntries = () => {
+  if (mode !== 'simple' && mode !== 'http') {
+    throw new Error(`Unknown cache mode '${mode}'`);
+  }
+
+  // Responses served from the cache, which must not be stored again
+  const served = new WeakSet();
+
+  // Background refreshes by cache key
+  const refreshing = new Map();
+
+  // URL and tags of the stored entries by cache key, for invalidation
+  const metadata = new Map();
+
+  // 304 answers turned into the cached response
+  const revalidated = new WeakSet();
+
+  // Requests on their way to the server by cache key, and the copies of
+  // their responses handed to concurrent requests, which are not stored again
+  const inFlight = new Map();
+  const coalesced = new WeakSet();
+
+  const stats = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    revalidations: 0,
+    notModified: 0,
+    backgroundRefreshes: 0,
+    coalesced: 0,
+    invalidations: 0
+  };
+  let storageStats = null;
+
+  // Keep a snapshot, so getStats() stays synchronous
+  const updateStorageStats = async () => {
+    if (typeof storage.getStats === 'function') {
+      try {
+        storageStats = await storage.getStats();
+      } catch (error) {
+        // Keep the last snapshot
+      }
+    }
+  };
+
+  const generateKey = keyGenerator || ((config) => createCacheKey(config, { varyHeaders, partition }));
+
+  const hasValidator = (entry) => Boolean(entry.etag || entry.lastModified);
+
+  // Time since the entry stopped being fresh; negative while fresh
+  const staleness = (entry, now) => {
+    if (mode === 'simple') {
+      return now - entry.timestamp - maxAge;
+    }
+    return entry.noCache ? Infinity : entry.age + (now - entry.timestamp) - entry.lifetime;
+  };
+
+  const staleWindows = (entry) => {
+    if (entry.mustRevalidate) {
+      return { revalidate: 0, error: 0 };
+    }
+    return {
+      revalidate: entry.staleWhileRevalidate ?? staleWhileRevalidate,
+      error: entry.staleIfError ?? staleIfError
+    };
+  };
+
+  // Stale HTTP responses are kept while they can be revalidated
+  const isExpired = (entry, now) => {
+    const { revalidate, error } = staleWindows(entry);
+    return staleness(entry, now) >= Math.max(revalidate, error, 0) && (mode === 'simple' || !hasValidator(entry));
+  };
+
+  const remember = (key, entry) => {
+    metadata.set(key, { url: entry.url, tags: entry.tags || [] });
+  };
+
+  const lookup = async (key) => {
+    try {
+      const entry = await storage.get(key);
+      if (!entry) {
+        metadata.delete(key);
+        return undefined;
+      }
+      if (isExpired(entry, Date.now())) {
+        await removeEntry(key);
+        return undefined;
+      }
+      remember(key, entry);
+      return entry;
+    } catch (error) {
+      return undefined;
+    }
+  };
+
+  const storeEntry = async (key, entry) => {
+    let stored = false;
+    try {
+      await storage.set(key, entry);
+      remember(key, entry);
+      stored = true;
+    } catch (error) {
+      // Not cached
+    }
+    await updateStorageStats();
+    return stored;
+  };
+
+  const removeEntry = async (key) => {
+    metadata.delete(key);
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      // Already unreachable
+    }
+    await updateStorageStats();
+  };
+
+  // Metadata of every stored entry, including ones persisted earlier
+  const readIndex = async () => {
+    if (typeof storage.keys !== 'function') {
+      return metadata;
+    }
+    try {
+      const keys = await storage.keys();
+      const stored = new Set(keys);
+      for (const key of metadata.keys()) {
+        if (!stored.has(key)) metadata.delete(key);
+      }
+      for (const key of keys) {
+        if (!metadata.has(key)) {
+          const entry = await storage.get(key);
+          if (entry) remember(key, entry);
+        }
+      }
+    } catch (error) {
+      // Use what is known
+    }
+    return metadata;
+  };
+
+  const invalidateWhere = async (predicate) => {
+    const keys = [...(await readIndex())]
+      .filter(([key, meta]) => predicate(key, meta))
+      .map(([key]) => key);
+    await Promise.all(keys.map(removeEntry));
+    stats.invalidations += keys.length;
+    return keys.length;
+  };
+
+  const matchTargets = (targets) => {
+    const list = [].concat(targets);
+    return (key, meta) => list.some(target => (target instanceof RegExp
+      ? target.test(key)
+      : key === target || meta.tags.includes(target)));
+  };
+
+  const matchUrl = (url) => {
+    const path = urlPath(url);
+    return (key, meta) => meta.url !== undefined && isRelatedPath(meta.url, path);
+  };
+
+  const invalidateAfterMutation = async (config) => {
+    if (typeof invalidateOnMutation === 'function') {
+      const targets = await invalidateOnMutation(config);
+      if (targets) await invalidateWhere(matchTargets(targets));
+    } else if (invalidateOnMutation) {
+      await invalidateWhere(matchUrl(config.url));
+    }
+    if (config.cacheInvalidate) {
+      await invalidateWhere(matchTargets(config.cacheInvalidate));
+    }
+  };
+
+  instance.cache = {
+    /**
+     * Remove entries by key, tag or key pattern
+     * @param {string|RegExp|Array<string|RegExp>} target - Key or tag, key pattern, or a list of them
+     * @returns {Promise<number>} Number of removed entries
+     */
+    invalidate: (target) => invalidateWhere(matchTargets(target)),
+
+    /**
+     * Remove entries for a URL, its parent paths and its sub-paths
+     * @param {string} url - URL or path
+     * @returns {Promise<number>} Number of removed entries
+     */
+    invalidateUrl: (url) => invalidateWhere(matchUrl(url)),
+
+    /**
+     * Remove all entries
+     * @returns {Promise<void>}
+     */
+    clear: async () => {
+      if (typeof storage.clear === 'function') {
+        await storage.clear();
+        metadata.clear();
+        await updateStorageStats();
+      } else {
+        await invalidateWhere(() => true);
+      }
+    },
+
+    /**
+     * Snapshot of the live entries
+     * @returns {Promise<{version: number, createdAt: number, entries: Array<{key: string, entry: Object}>}>}
+     */
+    export: async () => {
+      const now = Date.now();
+      const entries = [];
+      for (const key of (await readIndex()).keys()) {
+        let entry;
+        try {
+          entry = await storage.get(key);
+        } catch (error) {
+          continue;
+        }
+        if (entry && !isExpired(entry, now)) {
+          entries.push({ key, entry: toSerializableEntry(entry) });
+        }
+      }
+      return { version: SNAPSHOT_VERSION, createdAt: now, entries };
+    },
+
+    /**
+     * Store the entries of a snapshot, replacing entries with the same key
+     * @param {Object|string} snapshot - Result of `export()`, or its JSON
+     * @returns {Promise<number>} Number of imported entries
+     */
+    import: async (snapshot) => {
+      const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+      if (!data || !Array.isArray(data.entries)) {
+        throw createSnapshotError('Invalid cache snapshot');
+      }
+      if (data.version !== SNAPSHOT_VERSION) {
+        throw createSnapshotError(`Unsupported cache snapshot version ${data.version}`);
+      }
+
+      const now = Date.now();
+      let imported = 0;
+      for (const { key, entry } of data.entries) {
+        if (typeof key === 'string' && entry?.response && !isExpired(entry, now)) {
+          if (await storeEntry(key, entry)) imported += 1;
+        }
+      }
+      return imported;
+    },
+
+    /**
+     * Prefetch GET requests into the cache
+     * Fresh entries are not fetched again. Requests run through
+     * `instance.concurrent`, so the instance must be an hc-axios instance.
+     * @param {Array<string|Object>} requests - URLs or request configs
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=5] - Maximum number of requests at once
+     * @returns {Promise<Array<{status: 'fulfilled'|'rejected', value?: Object, reason?: Error, index: number}>>} Outcome of each request
+     */
+    warm: (requests, { concurrency = 5 } = {}) => instance.concurrent(
+      requests.map(request => () => instance.request({
+        ...(typeof request === 'string' ? { url: request } : request),
+        method: 'get'
+      })),
+      concurrency
+    ),
+
+    /**
+     * Cache statistics
+     * `hits` are responses served without contacting the server, `misses`
+     * requests sent to it (revalidations included) and `coalesced` requests
+     * that shared another one's. Stale responses served on errors count as
+     * misses and as `staleHits`. Storage figures are null when the storage
+     * doesn't report them.
+     * @returns {{hits: number, staleHits: number, misses: number, hitRate: number, revalidations: number, notModified: number, backgroundRefreshes: number, coalesced: number, invalidations: number, entries: number|null, bytes: number|null, evictions: number|null}}
+     */
+    getStats: () => {
+      const requests = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: requests > 0 ? stats.hits / requests : 0,
+        entries: storageStats ? storageStats.entries : null,
+        bytes: storageStats ? storageStats.bytes : null,
+        evictions: storageStats ? storageStats.evictions : null
+      };
+    }
+  };
+
+  updateStorageStats();
+
+  const createHttpEntry = (response, now) => {
+    const policy = getCachePolicy(response, { shared, now });
+    const requestHeaders = response.config.__cacheRequestHeaders || response.config.headers;
+    return {
+      response: {
+        ...response,
+        config: response.config
+      },
+      timestamp: now,
+      url: urlPath(response.config.url),
+      tags: response.config.cacheTags || [],
+      lifetime: policy.lifetime,
+      age: policy.age,
+      etag: policy.etag,
+      lastModified: policy.lastModified,
+      noCache: policy.noCache,
+      mustRevalidate: policy.mustRevalidate,
+      staleWhileRevalidate: policy.staleWhileRevalidate,
+      staleIfError: policy.staleIfError,
+      vary: Object.fromEntries(
+        getVaryHeaders(response).map(name => [name, readHeader(requestHeaders, name) ?? null])
+      )
+    };
+  };
+
+  const varyMatches = (entry, config) => Object.entries(entry.vary || {})
+    .every(([name, value]) => (readHeader(config.headers, name) ?? null) === value);
+
+  // Persistent storage doesn't keep the response's config
+  const cachedResponse = (key, entry, config, stale) => {
+    const response = mode === 'simple'
+      ? { config, ...entry.response }
+      : { ...entry.response, config };
     const now = Date.now();
-    for (const [key, entry] of cache.entries()) {
-      if (now - entry.timestamp > maxAge) {
-        cache.delete(key);
+    response.cached = true;
+    response.cacheKey = key;
+    response.cacheAge = mode === 'simple' ? now - entry.timestamp : entry.age + (now - entry.timestamp);
+    if (stale) {
+      response.stale = true;
+      stats.staleHits += 1;
+    }
+    served.add(response);
+    return response;
+  };
+
+  /**
+   * Send a conditional request for a stale entry, turning 304 into the
+   * stored response
+   */
+  const revalidate = (config, entry) => {
+    stats.revalidations += 1;
+    config.headers = config.headers || {};
+    if (entry.etag) {
+      config.headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      config.headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    const baseAdapter = config.adapter;
+    config.adapter = async (adapterConfig) => {
+      let response;
+      try {
+        response = await axios.getAdapter(baseAdapter)(adapterConfig);
+      } catch (error) {
+        if (error.response?.status !== 304) {
+          throw error;
+        }
+        response = error.response;
+      }
+      if (response.status !== 304) {
+        return response;
+      }
+
+      // Stored headers are updated with the ones sent with the 304, and the
+      // response interceptor stores the result with its new freshness
+      stats.notModified += 1;
+      const headers = new axios.AxiosHeaders(entry.response.headers);
+      headers.delete('age');
+      headers.set(response.headers);
+      const cached = {
+        ...entry.response,
+        headers,
+        config: adapterConfig,
+        request: response.request
+      };
+      revalidated.add(cached);
+      return cached;
+    };
+  };
+
+  /**
+   * Serve the stale entry when the request fails with a network error or 5xx
+   */
+  const fallBackToStale = (key, config, entry) => {
+    const baseAdapter = config.adapter;
+    config.adapter = async (adapterConfig) => {
+      let response;
+      try {
+        response = await axios.getAdapter(baseAdapter)(adapterConfig);
+      } catch (error) {
+        if (axios.isCancel(error) || (error.response && error.response.status < 500)) {
+          throw error;
+        }
+        return cachedResponse(key, entry, adapterConfig, true);
+      }
+      return response.status >= 500 ? cachedResponse(key, entry, adapterConfig, true) : response;
+    };
+  };
+
+  const refreshInBackground = (key, config) => {
+    if (refreshing.has(key)) {
+      return;
+    }
+    stats.backgroundRefreshes += 1;
+    // The stale entry stays in place when the refresh fails
+    const refresh = instance({ ...config, __cacheRefresh: true })
+      .catch(() => {})
+      .finally(() => refreshing.delete(key));
+    refreshing.set(key, refresh);
+  };
+
+  /**
+   * Send the request, or wait for the one already sent for the same key.
+   * The responses are shared as the adapter returned them, before the
+   * leading request's transforms ran.
+   */
+  const coalesceRequest = (key, config, refresh) => {
+    const baseAdapter = config.adapter;
+    config.adapter = async (adapterConfig) => {
+      const pending = inFlight.get(key);
+      if (pending) {
+        if (!refresh) {
+          stats.coalesced += 1;
+        }
+        return followRequest(pending, adapterConfig, baseAdapter);
+      }
+
+      if (!refresh) {
+        stats.misses += 1;
+      }
+      const request = Promise.resolve().then(() => axios.getAdapter(baseAdapter)(adapterConfig));
+      inFlight.set(key, request.then(
+        (response) => ({ response: { ...response }, served: served.has(response), revalidated: revalidated.has(response) }),
+        (error) => ({ error, response: error.response && { ...error.response } })
+      ).finally(() => inFlight.delete(key)));
+      return request;
+    };
+  };
+
+  const followRequest = async (pending, adapterConfig, baseAdapter) => {
+    const outcome = await pending;
+    if (outcome.error) {
+      if (axios.isCancel(outcome.error)) {
+        return axios.getAdapter(baseAdapter)(adapterConfig);
+      }
+      const { error } = outcome;
+      const response = outcome.response && { ...outcome.response, config: adapterConfig };
+      throw axios.AxiosError.from(error, error.code, adapterConfig, error.request, response);
+    }
+
+    const response = {
+      ...outcome.response,
+      headers: new axios.AxiosHeaders(outcome.response.headers),
+      config: adapterConfig
+    };
+    coalesced.add(response);
+    if (outcome.served) {
+      served.add(response);
+    }
+    if (outcome.revalidated) {
+      revalidated.add(response);
+    }
+    return response;
+  };
+
+  const handleRequest = async (config) => {
+    const requestDirectives = mode === 'http'
+      ? parseCacheControl(readHeader(config.headers, 'cache-control'))
+      : {};
+    // Kept for the response, whose config may have changed on the way
+    const key = generateKey(config);
+    config.__cacheKey = key;
+    if (mode === 'http') {
+      // Adapters add headers such as Accept-Encoding; Vary is matched against
+      // the headers as they are at lookup
+      config.__cacheRequestHeaders = new axios.AxiosHeaders(config.headers);
+    }
+
+    // Background refreshes are not counted as misses
+    const refresh = Boolean(config.__cacheRefresh);
+    const toServer = (shareable = coalesce) => {
+      if (shareable && config.responseType !== 'stream') {
+        coalesceRequest(key, config, refresh);
+      } else if (!refresh) {
+        stats.misses += 1;
       }
+      return config;
+    };
+
+    if (requestDirectives['no-store']) {
+      return toServer(false);
+    }
+
+    const entry = await lookup(key);
+    if (!entry || !varyMatches(entry, config)) {
+      return toServer();
+    }
+
+    // Background refreshes and `no-cache` requests must reach the server
+    const mayServe = !refresh && !requestDirectives['no-cache'];
+    const age = staleness(entry, Date.now());
+    const windows = staleWindows(entry);
+    const serve = (stale) => {
+      stats.hits += 1;
+      config.adapter = () => Promise.resolve(cachedResponse(key, entry, config, stale));
+    };
+
+    if (mayServe && age < 0) {
+      serve(false);
+      return config;
+    }
+    if (mayServe && age < windows.revalidate) {
+      refreshInBackground(key, config);
+      serve(true);
+      return config;
+    }
+
+    if (mode === 'http' && hasValidator(entry)) {
+      revalidate(config, entry);
     }
+    if (!refresh && age < windows.error) {
+      fallBackToStale(key, config, entry);
+    }
+    return toServer();
   };
-  
+
+  const handleHttpResponse = async (key, response) => {
+    if (!isStorable(response, { shared })) {
+      await removeEntry(key);
+      return;
+    }
+
+    const entry = createHttpEntry(response, Date.now());
+    // Nothing to reuse without freshness, a validator or a stale window
+    const { revalidate, error } = staleWindows(entry);
+    if (entry.lifetime === 0 && !hasValidator(entry) && Math.max(revalidate, error) <= 0) {
+      return;
+    }
+    await storeEntry(key, entry);
+  };
+
   const requestInterceptorId = instance.interceptors.request.use(
-    (config) => {
+    async (config) => {
       // Only cache GET requests by default
       if (config.method?.toLowerCase() === 'get') {
-        const key = generateKey(config);
-        const cached = cache.get(key);
-        
-        if (cached && Date.now() - cached.timestamp < maxAge) {
-          // Return cached response
-          config.adapter = () => Promise.resolve(cached.response);
-        }
+        return handleRequest(config);
       }
-      
+
       return config;
     }
   );
-  
+
   const responseInterceptorId = instance.interceptors.response.use(
-    (response) => {
-      if (response.config.method?.toLowerCase() === 'get' && response.status === 200) {
-        cleanExpiredEntries();
-        
-        if (cache.size >= maxSize) {
-          // Remove oldest entry
-          const firstKey = cache.keys().next().value;
-          cache.delete(firstKey);
+    async (response) => {
+      const method = response.config.method?.toLowerCase();
+      if (MUTATION_METHODS.includes(method)) {
+        // The mutation succeeded; a failing rule must not turn it into an error
+        try {
+          await invalidateAfterMutation(response.config);
+        } catch (error) {
+          console.error('Error invalidating cache after mutation:', error);
         }
-        
-        const key = generateKey(response.config);
-        cache.set(key, {
-          response: {
-            ...response,
-            config: response.config
-          },
-          timestamp: Date.now()
-        });
-      }
-      
+        return response;
+      }
+      if (method !== 'get' || served.has(response)) {
+        return response;
+      }
+
+      const key = response.config.__cacheKey || generateKey(response.config);
+      if (response.status === 200 && !coalesced.has(response)) {
+        if (mode === 'http') {
+          await handleHttpResponse(key, response);
+        } else {
+          await storeEntry(key, {
+            response: {
+              ...response,
+              config: response.config
+            },
+            timestamp: Date.now(),
+            url: urlPath(response.config.url),
+            tags: response.config.cacheTags || []
+          });
+        }
+      }
+
+      // Marked after storing, so the stored copy stays clean
+      response.cached = revalidated.has(response);
+      response.cacheKey = key;
+      if (response.cached) {
+        response.revalidated = true;
+        response.cacheAge = (Number(readHeader(response.headers, 'age')) || 0) * 1000;
+      }
       return response;
     }
   );
-  
+
   return { request: requestInterceptorId, response: responseInterceptorId };
-}
\ No newline at end of file
+}
@@ -0,0 +1,163 @@
+import { DigestAuthHandler, parseAuthenticateHeader } from '../utils/digestAuth.js';
+import { ReplayQueue } from '../utils/replayQueue.js';
+
+/**
+ * Create the error for a request that could not be replayed
+ * @param {*} cause - Why the challenge could not be answered
+ * @param {Object} config - Request config
+ * @param {Error} [originalError] - The 401 that carried the challenge
+ * @returns {Error} Error with code CHALLENGE_AUTH_FAILED
+ */
+function createChallengeFailedError(cause, config, originalError) {
+  const error = new Error(`Challenge authentication failed: ${cause?.message || cause}`);
+  error.code = 'CHALLENGE_AUTH_FAILED';
+  error.cause = cause;
+  error.config = config;
+  error.response = originalError?.response;
+  return error;
+}
+
+const readAuthenticateHeader = (headers) => {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    return headers.get('www-authenticate');
+  }
+  const name = Object.keys(headers).find(key => key.toLowerCase() === 'www-authenticate');
+  const value = name ? headers[name] : undefined;
+  return Array.isArray(value) ? value.join(', ') : value;
+};
+
+/**
+ * Challenge-response authentication interceptor
+ *
+ * Catches 401 responses carrying a `WWW-Authenticate` challenge one of the
+ * handlers understands, answers it and replays the request. Requests failing
+ * while a challenge is being answered are paused and replayed in order, using
+ * the same queue as the refresh interceptor. Once a handler holds a session
+ * for an origin, later requests to it are authorized up front (`preemptive`).
+ *
+ * HTTP Digest (DigestAuthHandler) is built in. Other schemes plug in as
+ * handler objects:
+ * - `scheme` - challenge scheme name, matched case-insensitively
+ * - `supports(challenge)` (optional) - whether the challenge can be answered
+ * - `handleChallenge(challenge, { config, credentials, response })` - stores the challenge (may be async)
+ * - `authorize(config)` - Authorization header value for a request, or null
+ * - `reset()` (optional) - forgets all sessions
+ * Multi-leg handshakes (NTLM-style) need `maxAttempts` of at least the number
+ * of legs, and usually a keep-alive agent so every leg uses one connection.
+ *
+ * The queue is stored on `instance._challengeAuthQueue` and the handlers on
+ * `instance._challengeAuthHandlers`.
+ *
+ * @param {import('axios').AxiosInstance} instance - The Axios instance
+ * @param {Object} options
+ * @param {string} [options.username] - User name
+ * @param {string} [options.password] - Password
+ * @param {() => ({username: string, password: string}|Promise<{username: string, password: string}>)} [options.credentials] - Credentials getter used instead of username/password
+ * @param {Array<Object>} [options.handlers] - Scheme handlers in order of preference (default: Digest)
+ * @param {number} [options.maxAttempts=1] - Challenges answered for a single request
+ * @param {boolean} [options.preemptive=true] - Authorize requests up front once a session exists
+ * @param {(error: Error) => void} [options.onAuthFail] - Called when a request is still rejected after the last attempt
+ * @returns {{request: number, response: number}} Interceptor IDs
+ */
+export function attachChallengeAuthInterceptor(instance, {
+  username,
+  password,
+  credentials,
+  handlers = [new DigestAuthHandler()],
+  maxAttempts = 1,
+  preemptive = true,
+  onAuthFail
+} = {}) {
+  const queue = new ReplayQueue({
+    createError: createChallengeFailedError,
+    clearMessage: 'challenge auth interceptor was removed'
+  });
+  instance._challengeAuthQueue = queue;
+  instance._challengeAuthHandlers = handlers;
+
+  const resolveCredentials = async () => (credentials ? credentials() : { username, password });
+
+  const findHandler = (challenges) => {
+    for (const handler of handlers) {
+      const challenge = challenges.find(c => c.scheme.toLowerCase() === handler.scheme.toLowerCase()
+        && (!handler.supports || handler.supports(c)));
+      if (challenge) return { handler, challenge };
+    }
+    return null;
+  };
+
+  let negotiation = null;
+
+  /**
+   * Answer a challenge, sharing one in-flight answer between paused requests
+   */
+  const negotiate = (handler, challenge, error) => {
+    if (!negotiation) {
+      negotiation = resolveCredentials()
+        .then(creds => handler.handleChallenge(challenge, {
+          config: error.config,
+          credentials: creds,
+          response: error.response
+        }))
+        .finally(() => {
+          negotiation = null;
+        });
+
+      // Replayed requests pick up the new session in the request interceptor
+      negotiation.then(
+        () => queue.replay(instance),
+        (cause) => queue.rejectAll(cause)
+      );
+    }
+    return negotiation;
+  };
+
+  const requestInterceptorId = instance.interceptors.request.use(
+    (config) => {
+      if (!preemptive && !config.__challengeAttempts) {
+        return config;
+      }
+
+      for (const handler of handlers) {
+        const authorization = handler.authorize(config);
+        if (authorization) {
+          config.headers = config.headers || {};
+          config.headers.Authorization = authorization;
+          break;
+        }
+      }
+      return config;
+    },
+    (error) => Promise.reject(error)
+  );
+
+  const responseInterceptorId = instance.interceptors.response.use(
+    (res) => res,
+    (error) => {
+      const config = error.config;
+      if (!config || error.response?.status !== 401) {
+        return Promise.reject(error);
+      }
+
+      const match = findHandler(parseAuthenticateHeader(readAuthenticateHeader(error.response.headers)));
+      if (!match) {
+        return Promise.reject(error);
+      }
+
+      const attempts = config.__challengeAttempts || 0;
+      if (attempts >= maxAttempts) {
+        if (onAuthFail) {
+          onAuthFail(error);
+        }
+        return Promise.reject(error);
+      }
+
+      const paused = queue.enqueue({ ...config, __challengeAttempts: attempts + 1 }, error);
+      negotiate(match.handler, match.challenge, error);
+      return paused;
+    }
+  );
+
+  return { request: requestInterceptorId, response: responseInterceptorId };
+}
@@ -0,0 +1,76 @@
+import { randomUUID } from '../utils/crypto.js';
+import { readHeader } from '../utils/retryAfter.js';
+
+/**
+ * Methods that can be repeated without changing the result (RFC 9110 §9.2.2)
+ */
+export const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete', 'trace'];
+
+/**
+ * Whether a request is safe to send again
+ * Idempotent methods are, and so is any request carrying an idempotency key,
+ * since the server can recognise the repeat.
+ * @param {Object} [config] - Request config
+ * @param {string} [header='Idempotency-Key'] - Idempotency key header name
+ * @returns {boolean} True when a retry cannot duplicate the request's effect
+ */
+export function isRetrySafe(config, header = 'Idempotency-Key') {
+  const method = (config?.method || 'get').toLowerCase();
+  return IDEMPOTENT_METHODS.includes(method) || Boolean(readHeader(config?.headers, header));
+}
+
+/**
+ * Create a request handler adding an `Idempotency-Key` header to
+ * non-idempotent requests
+ *
+ * Requests that already carry the header keep it, so a key set by the caller
+ * or by the first attempt is sent unchanged on every retry. If no key can be
+ * generated the request fails with `IDEMPOTENCY_KEY_FAILED`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.header='Idempotency-Key'] - Header name
+ * @param {string[]} [options.methods=['post', 'patch']] - Methods that get a key
+ * @param {(config: Object) => string} [options.generateKey] - Key generator (random UUID)
+ * @returns {(config: Object) => Object} Request interceptor
+ */
+export function createIdempotencyKeyHandler({
+  header = 'Idempotency-Key',
+  methods = ['post', 'patch'],
+  generateKey = () => randomUUID()
+} = {}) {
+  const keyedMethods = methods.map(method => method.toLowerCase());
+
+  return (config) => {
+    const method = (config.method || 'get').toLowerCase();
+    if (!keyedMethods.includes(method) || readHeader(config.headers, header)) {
+      return config;
+    }
+
+    let key;
+    try {
+      key = generateKey(config);
+    } catch (cause) {
+      const error = new Error(`Could not generate an ${header} header: ${cause?.message || cause}`);
+      error.code = 'IDEMPOTENCY_KEY_FAILED';
+      error.cause = cause;
+      error.config = config;
+      throw error;
+    }
+
+    config.headers = config.headers || {};
+    config.headers[header] = key;
+    return config;
+  };
+}
+
+/**
+ * Attaches an interceptor adding an `Idempotency-Key` header to
+ * non-idempotent requests (see createIdempotencyKeyHandler)
+ *
+ * @param {import('axios').AxiosInstance} instance - The Axios instance
+ * @param {Object} [options] - Options of createIdempotencyKeyHandler
+ * @returns {number} Interceptor ID
+ */
+export function attachIdempotencyKeyInterceptor(instance, options = {}) {
+  return instance.interceptors.request.use(createIdempotencyKeyHandler(options));
+}
@@ -1,47 +1,403 @@
+import axios from 'axios';
+import { createRateLimiter } from '../utils/rateLimiter.js';
+import { InterceptorConditions } from '../utils/interceptorConditions.js';
+import { getServerRetryDelay, parseRateLimitHeaders } from '../utils/retryAfter.js';
+
+const createRateLimitError = (message, bucket, retryAfter) => {
+  const error = new Error(message);
+  error.code = 'RATE_LIMIT_EXCEEDED';
+  error.bucket = bucket;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+// Host of the request URL, or '' for relative URLs without a baseURL
+const requestHost = (config) => {
+  try {
+    return new URL(axios.getUri(config)).host;
+  } catch (error) {
+    return '';
+  }
+};
+
+const matchesHost = (hosts, host) => [].concat(hosts).some(pattern => (pattern instanceof RegExp
+  ? pattern.test(host)
+  : pattern.toLowerCase() === host.toLowerCase()));
+
+const describeRule = (rule, index) => {
+  if (rule.name) return rule.name;
+  const parts = [
+    rule.method && [].concat(rule.method).map(method => method.toUpperCase()).join(','),
+    rule.host && [].concat(rule.host).join(','),
+    typeof rule.match === 'function' ? 'custom' : rule.match && [].concat(rule.match).join(',')
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : `bucket-${index}`;
+};
+
 /**
  * Rate limiting interceptor
+ *
+ * Requests over the limit are rejected with `RATE_LIMIT_EXCEEDED` (and
+ * `error.retryAfter`, the ms until a slot may be free), or, in `queue` mode,
+ * wait in line until a slot opens. Queued requests are rejected once they
+ * have waited `maxWait`, and cancelled when their `signal` aborts. Removing
+ * the interceptor lets the queued requests through.
+ *
+ * `buckets` give groups of requests their own limits. Rules are checked in
+ * order and the first match wins; other requests share the `default` bucket
+ * with the top-level limits. A rule matches by URL pattern (`match`, as in
+ * auth scheme rules), `method` and `host`, all of which must match, and
+ * takes the top-level limits it doesn't set. With `key` (`'host'` or a
+ * function of the config), each key value gets a bucket of its own. Idle
+ * keyed buckets are dropped when new keys arrive.
+ *
+ * With `adaptive`, each bucket learns the server's quota from the rate limit
+ * headers of its responses (see `parseRateLimitHeaders`): the reported
+ * limit and window replace the configured ones, requests are spaced out
+ * evenly until the reset once less than `slowdownAt` of the quota is left,
+ * and stop until the reset when it is used up or a 429 arrives.
+ *
+ * See `rateLimiter.js` for the algorithms.
+ *
  * @param {import('axios').AxiosInstance} instance - The Axios instance
  * @param {Object} options - Rate limit configuration
  * @param {number} [options.maxRequests=100] - Maximum requests per window
  * @param {number} [options.windowMs=60000] - Time window in milliseconds
+ * @param {string} [options.algorithm='sliding-window-log'] - One of RATE_LIMIT_ALGORITHMS
+ * @param {number} [options.burst] - Bucket capacity (`token-bucket` and `leaky-bucket`)
+ * @param {Array<Object>} [options.buckets=[]] - Bucket rules: `{name, match, method, host, key, maxRequests, windowMs, algorithm, burst}`
+ * @param {'reject'|'queue'} [options.mode='reject'] - Fail requests over the limit, or delay them
+ * @param {number} [options.maxWait=Infinity] - Longest time a request may wait in `queue` mode (ms)
  * @param {Function} [options.onLimit] - Rate limit exceeded callback
+ * @param {boolean|Object} [options.adaptive=false] - Follow the server's rate limit headers
+ * @param {number} [options.adaptive.slowdownAt=0.2] - Share of the server's quota left when spacing starts
  * @returns {number} Interceptor ID
  */
 export function attachRateLimitInterceptor(instance, {
   maxRequests = 100,
   windowMs = 60000,
-  onLimit
+  algorithm = 'sliding-window-log',
+  burst,
+  buckets = [],
+  mode = 'reject',
+  maxWait = Infinity,
+  onLimit,
+  adaptive = false
 } = {}) {
-  
-  const requests = [];
-  
-  const requestInterceptorId = instance.interceptors.request.use(
-    async (config) => {
+  if (mode !== 'reject' && mode !== 'queue') {
+    throw new Error(`Unknown rate limit mode '${mode}'`);
+  }
+
+  const reject = (error, config) => {
+    if (onLimit) {
+      onLimit(error, config);
+    }
+    throw error;
+  };
+
+  const slowdownAt = adaptive?.slowdownAt ?? 0.2;
+
+  const createBucket = (name, configured) => {
+    let limits = configured;
+    let limiter = createRateLimiter(limits);
+    // Free slots of an unused limiter
+    let capacity = limiter.remaining();
+    const queue = [];
+    let timer = null;
+    let allowed = 0;
+    let limited = 0;
+
+    // What the server reported, counting down as requests are sent
+    let server = null;
+    let pausedUntil = 0;
+    let lastSent = -Infinity;
+
+    const serverWait = (now) => {
+      if (pausedUntil > now) {
+        return pausedUntil - now;
+      }
+      if (!server || server.resetAt === null || server.resetAt <= now || server.remaining === null) {
+        return 0;
+      }
+      if (server.remaining <= 0) {
+        return server.resetAt - now;
+      }
+      if (server.limit === null || server.remaining > server.limit * slowdownAt) {
+        return 0;
+      }
+      // Spread what is left of the quota evenly until the reset
+      const interval = (server.resetAt - now) / server.remaining;
+      return Math.max(0, Math.ceil(lastSent + interval - now));
+    };
+
+    // Take a slot and return 0, or return the ms until one may be free
+    const take = () => {
+      const now = Date.now();
+      const wait = serverWait(now) || limiter.tryAcquire(now);
+      if (wait === 0) {
+        allowed += 1;
+        lastSent = now;
+        if (server?.remaining != null) {
+          server.remaining -= 1;
+        }
+      }
+      return wait;
+    };
+
+    const learn = (response) => {
       const now = Date.now();
-      
-      // Remove old requests outside the window
-      while (requests.length > 0 && now - requests[0] > windowMs) {
-        requests.shift();
-      }
-      
-      // Check if rate limit exceeded
-      if (requests.length >= maxRequests) {
-        const error = new Error('Rate limit exceeded');
-        error.code = 'RATE_LIMIT_EXCEEDED';
-        
-        if (onLimit) {
-          onLimit(error, config);
+      if (response.status === 429) {
+        const delay = getServerRetryDelay(response, now);
+        if (delay !== null) {
+          pausedUntil = Math.max(pausedUntil, now + delay);
+        }
+      }
+
+      const info = parseRateLimitHeaders(response.headers, now);
+      if (!info) return;
+
+      const resetAt = info.reset === null ? server?.resetAt ?? null : now + info.reset;
+      // Requests sent after this response was produced are already counted
+      const sameWindow = server?.resetAt != null && resetAt !== null && Math.abs(resetAt - server.resetAt) < 1000;
+      server = {
+        limit: info.limit ?? server?.limit ?? null,
+        remaining: sameWindow && info.remaining !== null && server.remaining !== null
+          ? Math.min(info.remaining, server.remaining)
+          : info.remaining ?? server?.remaining ?? null,
+        resetAt,
+        windowMs: info.windowMs ?? server?.windowMs ?? null
+      };
+
+      const learned = {
+        ...limits,
+        maxRequests: server.limit ?? limits.maxRequests,
+        windowMs: server.windowMs ?? limits.windowMs
+      };
+      if (learned.maxRequests !== limits.maxRequests || learned.windowMs !== limits.windowMs) {
+        limits = learned;
+        limiter = createRateLimiter(limits);
+        capacity = limiter.remaining();
+      }
+    };
+
+    const limit = (error, config) => {
+      limited += 1;
+      return reject(error, config);
+    };
+
+    // Let queued requests through, in order, as slots open
+    const drain = () => {
+      timer = null;
+      while (queue.length > 0) {
+        const wait = take();
+        if (wait > 0) {
+          if (wait !== Infinity) {
+            timer = setTimeout(drain, wait);
+          }
+          return;
+        }
+        queue[0].release();
+      }
+    };
+
+    const enqueue = (config, wait = 0) => new Promise((resolve, rejectQueued) => {
+      const { signal } = config;
+      const waiter = {};
+      const leave = () => {
+        clearTimeout(waiter.timeout);
+        signal?.removeEventListener?.('abort', waiter.abort);
+        const index = queue.indexOf(waiter);
+        if (index !== -1) queue.splice(index, 1);
+      };
+
+      waiter.release = () => {
+        leave();
+        resolve(config);
+      };
+      waiter.abort = () => {
+        leave();
+        rejectQueued(new axios.CanceledError(null, config));
+      };
+      if (maxWait !== Infinity) {
+        waiter.timeout = setTimeout(() => {
+          leave();
+          try {
+            limit(createRateLimitError(`Rate limit exceeded: waited ${maxWait}ms`, name), config);
+          } catch (error) {
+            rejectQueued(error);
+          }
+        }, maxWait);
+      }
+      signal?.addEventListener?.('abort', waiter.abort);
+
+      queue.push(waiter);
+      if (!timer) {
+        timer = setTimeout(drain, wait);
+      }
+    });
+
+    return {
+      acquire: async (config) => {
+        // Requests already waiting go first
+        let wait;
+        if (queue.length === 0) {
+          wait = take();
+          if (wait === 0) {
+            return config;
+          }
+          if (mode === 'reject' || wait === Infinity || wait > maxWait) {
+            return limit(createRateLimitError('Rate limit exceeded', name, wait), config);
+          }
         }
-        
-        throw error;
-      }
-      
-      // Add current request timestamp
-      requests.push(now);
-      
-      return config;
+
+        if (config.signal?.aborted) {
+          throw new axios.CanceledError(null, config);
+        }
+        return enqueue(config, wait);
+      },
+
+      learn,
+
+      // Nothing queued, unused for a window and no server limit pending,
+      // so a new bucket would behave the same
+      isIdle: (now) => queue.length === 0
+        && now - lastSent >= limits.windowMs
+        && limiter.remaining(now) >= capacity
+        && pausedUntil <= now
+        && !(server?.resetAt > now),
+
+      stop: () => {
+        clearTimeout(timer);
+        timer = null;
+        [...queue].forEach(waiter => waiter.release());
+      },
+
+      getStats: () => ({
+        name,
+        algorithm: limiter.algorithm,
+        maxRequests: limits.maxRequests,
+        windowMs: limits.windowMs,
+        remaining: limiter.remaining(),
+        queued: queue.length,
+        allowed,
+        limited,
+        server: server || pausedUntil > Date.now()
+          ? {
+            limit: server?.limit ?? null,
+            remaining: server?.remaining ?? null,
+            resetAt: server?.resetAt ?? null,
+            pausedUntil: pausedUntil > Date.now() ? pausedUntil : null
+          }
+          : null
+      })
+    };
+  };
+
+  const defaults = { algorithm, maxRequests, windowMs, burst };
+  const defaultBucket = createBucket('default', defaults);
+
+  const rules = buckets.map((rule, index) => {
+    const conditions = [
+      rule.match && (typeof rule.match === 'function' ? rule.match : InterceptorConditions.urlMatches(rule.match)),
+      rule.method && InterceptorConditions.methodMatches(rule.method),
+      rule.host && ((config) => matchesHost(rule.host, requestHost(config)))
+    ].filter(Boolean);
+
+    const name = describeRule(rule, index);
+    const limits = {
+      algorithm: rule.algorithm ?? algorithm,
+      maxRequests: rule.maxRequests ?? maxRequests,
+      windowMs: rule.windowMs ?? windowMs,
+      burst: rule.burst ?? burst
+    };
+    // Fails on unknown algorithms while attaching, not on the first request
+    const bucket = createBucket(name, limits);
+    const keyOf = rule.key === 'host' ? requestHost : rule.key;
+
+    return {
+      matches: (config) => conditions.every(condition => condition(config)),
+      bucket,
+      keyOf,
+      keyed: new Map(),
+      sweptAt: Date.now(),
+      name,
+      limits
+    };
+  });
+
+  const selectBucket = (config) => {
+    const rule = rules.find(r => r.matches(config));
+    if (!rule) {
+      return defaultBucket;
+    }
+    if (typeof rule.keyOf !== 'function') {
+      return rule.bucket;
+    }
+
+    const key = String(rule.keyOf(config) ?? '');
+    if (!rule.keyed.has(key)) {
+      // Drop idle buckets of other keys, at most once per window, so
+      // keys seen once do not pile up
+      const now = Date.now();
+      if (now - rule.sweptAt >= rule.limits.windowMs) {
+        rule.sweptAt = now;
+        rule.keyed.forEach((bucket, idleKey) => {
+          if (bucket.isIdle(now)) rule.keyed.delete(idleKey);
+        });
+      }
+      rule.keyed.set(key, createBucket(`${rule.name}:${key}`, rule.limits));
+    }
+    return rule.keyed.get(key);
+  };
+
+  const allBuckets = () => [
+    defaultBucket,
+    ...rules.flatMap(rule => (typeof rule.keyOf === 'function' ? [...rule.keyed.values()] : [rule.bucket]))
+  ];
+
+  // Bucket each request was counted in, for learning from its response
+  const requestBuckets = new WeakMap();
+
+  const requestInterceptorId = instance.interceptors.request.use(async (config) => {
+    const bucket = selectBucket(config);
+    if (adaptive) {
+      requestBuckets.set(config, bucket);
     }
-  );
-  
+    return bucket.acquire(config);
+  });
+
+  let responseInterceptorId = null;
+  if (adaptive) {
+    const learnFrom = (response) => {
+      const bucket = response?.config && requestBuckets.get(response.config);
+      if (bucket) {
+        bucket.learn(response);
+      }
+    };
+
+    responseInterceptorId = instance.interceptors.response.use(
+      (response) => {
+        learnFrom(response);
+        return response;
+      },
+      (error) => {
+        learnFrom(error.response);
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  instance._rateLimiter = {
+    algorithm,
+    stop: () => {
+      if (responseInterceptorId !== null) {
+        instance.interceptors.response.eject(responseInterceptorId);
+        responseInterceptorId = null;
+      }
+      allBuckets().forEach(bucket => bucket.stop());
+    },
+    getBucketStats: () => allBuckets().map(bucket => bucket.getStats())
+  };
+
   return requestInterceptorId;
-}
\ No newline at end of file
+}
@@ -1,22 +1,123 @@
 import axios from 'axios';
+import { TokenProvider, whenResolved } from '../utils/tokenProvider.js';
+import { getJwtExpiry } from '../utils/jwt.js';
+import { usesInstanceToken, applyInstanceToken } from '../utils/authSchemes.js';
+import { RefreshCoordinator } from '../utils/refreshCoordinator.js';
+import { ReplayQueue } from '../utils/replayQueue.js';
+
+// Marker used to reject waiting requests when no refresh token is available
+const NO_REFRESH_TOKEN = Symbol('NO_REFRESH_TOKEN');
+
+/**
+ * Error used to reject requests that were waiting on a token refresh that failed
+ */
+export class TokenRefreshFailedError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {*} [details.cause] - Error thrown by the refresh (null when no refresh token was available)
+   * @param {Object} [details.config] - Config of the request that could not be replayed
+   * @param {Error} [details.originalError] - Error that triggered the refresh
+   */
+  constructor(message, { cause = null, config, originalError } = {}) {
+    super(message);
+    this.name = 'TokenRefreshFailedError';
+    this.code = 'TOKEN_REFRESH_FAILED';
+    this.cause = cause;
+    this.config = config;
+    this.originalError = originalError;
+    this.response = originalError?.response;
+  }
+}
+
+/**
+ * Create the error for a request that could not be replayed
+ * @param {*} cause - Refresh failure (or the NO_REFRESH_TOKEN marker)
+ * @param {Object} config - Request config
+ * @param {Error} [originalError] - Error that triggered the refresh
+ * @returns {TokenRefreshFailedError} Typed error
+ */
+function createRefreshFailedError(cause, config, originalError) {
+  if (cause === NO_REFRESH_TOKEN) {
+    return new TokenRefreshFailedError('Token refresh failed: no refresh token available', {
+      config,
+      originalError
+    });
+  }
+  return new TokenRefreshFailedError(`Token refresh failed: ${cause?.message || cause}`, {
+    cause,
+    config,
+    originalError
+  });
+}
+
+/**
+ * Normalize refresh triggers into a predicate
+ * @param {Function|Array<number|Function>} shouldRefresh - Predicate, or status codes and predicates
+ * @returns {(error: Object) => boolean} Predicate
+ */
+function createRefreshTrigger(shouldRefresh) {
+  const triggers = Array.isArray(shouldRefresh) ? shouldRefresh : [shouldRefresh];
+  return (error) => triggers.some(trigger => typeof trigger === 'function'
+    ? trigger(error)
+    : error.response?.status === trigger);
+}
 
 /**
  * Attaches an interceptor to the given Axios instance that will refresh
  * the access token if any request returns a 401.
  *
+ * Other triggers can be configured with `shouldRefresh`. Requests that fail
+ * while a refresh is in flight are paused in a queue (`instance._refreshQueue`)
+ * and replayed in order with the new token, or rejected with a
+ * TokenRefreshFailedError if the refresh fails. A request is refreshed at most
+ * `maxRefreshAttempts` times, so an endpoint that keeps returning 401 cannot
+ * cause a refresh loop.
+ *
+ * Token getters and setters may be async. Instead of the four callbacks a
+ * shared `tokenProvider` (see TokenProvider) can be supplied.
+ *
+ * With `proactiveRefresh` enabled, a request interceptor is also registered
+ * that refreshes the access token before a request is sent when it expires
+ * within the skew window. It shares the single in-flight refresh with the
+ * 401 handler, and its ID is stored on `instance._refreshRequestInterceptorId`.
+ * If that refresh fails, the request is sent with the current token;
+ * `onRefreshTokenFail` only runs for refreshes that a failed request waits on.
+ *
+ * The refresh call is sent with the global axios by default. Set `refreshClient`
+ * to `'instance'` to send it through this instance (baseURL, headers, logging
+ * and mocks apply, while the auth and refresh interceptors skip it), or pass a
+ * dedicated axios instance.
+ *
+ * Requests sent with `authentication: false` or their own
+ * `authentication.token` are never refreshed.
+ *
+ * With `coordination` enabled, browser tabs elect a single tab to run the
+ * refresh and share the new tokens with the others (see RefreshCoordinator).
+ * The cleanup function is stored on `instance._refreshCoordinatorCleanup`.
+ *
  * @param {import('axios').AxiosInstance} instance - The Axios instance to attach the interceptor to.
  * @param {Object} options
- * @param {() => string | null | undefined} options.getAccessToken - Function returning current access token.
- * @param {() => string | null | undefined} options.getRefreshToken - Function returning current refresh token.
- * @param {(token: string) => void} options.setAccessToken - Function to save new access token.
- * @param {(refreshToken: string) => void} options.setRefreshToken - Function to save new refresh token.
+ * @param {import('../utils/tokenProvider.js').TokenProvider} [options.tokenProvider] - Token storage shared with the auth interceptor.
+ * @param {() => string | null | undefined | Promise<string | null | undefined>} [options.getAccessToken] - Function returning current access token.
+ * @param {() => string | null | undefined | Promise<string | null | undefined>} [options.getRefreshToken] - Function returning current refresh token.
+ * @param {(token: string) => void | Promise<void>} [options.setAccessToken] - Function to save new access token.
+ * @param {(refreshToken: string) => void | Promise<void>} [options.setRefreshToken] - Function to save new refresh token.
  * @param {() => void} options.onRefreshTokenFail - Callback when refresh token fails (e.g., redirect to login).
  * @param {string} options.refreshUrl - The URL to call to refresh tokens.
  * @param {(refreshToken: string) => import('axios').AxiosRequestConfig} [options.refreshRequestConfig] - Custom config builder for refresh request.
  * @param {(response: import('axios').AxiosResponse) => {token: string, refreshToken: string}} [options.handleRefreshResponse] - Custom response handler.
+ * @param {'instance'|import('axios').AxiosInstance|Function} [options.refreshClient] - Client used to send the refresh request (defaults to the global axios).
+ * @param {Function|Array<number|Function>} [options.shouldRefresh=[401]] - Predicate(s) or status codes that trigger a refresh; receives the axios error.
+ * @param {number} [options.maxRefreshAttempts=1] - Maximum refreshes for a single request.
+ * @param {boolean|Object|RefreshCoordinator} [options.coordination=false] - Coordinate refreshes across tabs; an object is passed to the RefreshCoordinator constructor.
+ * @param {boolean|Object} [options.proactiveRefresh=false] - Refresh before sending when the access token is about to expire.
+ * @param {number} [options.proactiveRefresh.skew=30000] - Refresh when the token expires within this many milliseconds.
+ * @param {(token: string) => number | Date | null | Promise<number | Date | null>} [options.proactiveRefresh.getExpiry] - Expiry getter (ms timestamp or Date); defaults to the JWT `exp` claim.
  * @returns {number} The interceptor ID (can be used to eject the interceptor)
  */
 export function attachRefreshInterceptor(instance, {
+  tokenProvider,
   getAccessToken,
   getRefreshToken,
   setAccessToken,
@@ -24,9 +125,35 @@ export function attachRefreshInterceptor(instance, {
   onRefreshTokenFail,
   refreshUrl,
   refreshRequestConfig,
-  handleRefreshResponse
+  handleRefreshResponse,
+  refreshClient,
+  shouldRefresh = [401],
+  maxRefreshAttempts = 1,
+  coordination = false,
+  proactiveRefresh = false
 }) {
   let refreshTokenPromise = null;
+  // Set once a failed request waits on the in-flight refresh; a refresh only
+  // started proactively does not report its failure
+  let reportRefreshFailure = false;
+  const isRefreshTrigger = createRefreshTrigger(shouldRefresh);
+  const queue = new ReplayQueue({
+    createError: createRefreshFailedError,
+    clearMessage: 'refresh interceptor was removed'
+  });
+  instance._refreshQueue = queue;
+
+  // Read the refresh token straight from the callback when one is given so that
+  // synchronous getters start the refresh request synchronously
+  const tokens = tokenProvider || TokenProvider.fromCallbacks({
+    getAccessToken,
+    getRefreshToken,
+    setAccessToken,
+    setRefreshToken
+  });
+  const readRefreshToken = getRefreshToken && !tokenProvider
+    ? getRefreshToken
+    : () => tokens.getRefreshToken();
 
   // Default refresh request config builder
   const defaultRefreshConfig = (refreshToken) => ({
@@ -35,6 +162,20 @@ export function attachRefreshInterceptor(instance, {
     params: { refreshToken }
   });
 
+  // Send the refresh request with the configured client
+  const sendRefreshRequest = (config) => {
+    if (refreshClient === 'instance') {
+      // Marked so the auth and refresh interceptors leave the refresh call alone
+      return instance.request({ ...config, __isRefreshRequest: true });
+    }
+    if (refreshClient) {
+      return typeof refreshClient.request === 'function'
+        ? refreshClient.request(config)
+        : refreshClient(config);
+    }
+    return axios(config);
+  };
+
   // Default response handler
   const defaultResponseHandler = (res) => {
     if (!res.data || !res.data.token || !res.data.refreshToken) {
@@ -43,66 +184,162 @@ export function attachRefreshInterceptor(instance, {
     return res.data;
   };
 
-  const interceptorId = instance.interceptors.response.use(
-    (res) => res,
-    async (error) => {
-      const originalRequest = error.config;
+  /**
+   * Run the refresh request in this tab and store the new tokens
+   * @returns {Promise<{token: string, refreshToken: string}>} The new tokens
+   */
+  const performRefresh = () => whenResolved(readRefreshToken(), (refreshToken) => {
+    if (!refreshToken) {
+      return Promise.reject(NO_REFRESH_TOKEN);
+    }
 
-      // Handle network errors
-      if (!error.response) {
-        return Promise.reject(error);
+    const config = refreshRequestConfig 
+      ? refreshRequestConfig(refreshToken) 
+      : defaultRefreshConfig(refreshToken);
+
+    return sendRefreshRequest(config)
+      .then(async (res) => {
+        const handler = handleRefreshResponse || defaultResponseHandler;
+        const tokenData = handler(res);
+        const newTokens = {
+          token: tokenData.token,
+          refreshToken: tokenData.refreshToken
+        };
+        
+        await tokens.set(newTokens);
+        
+        return newTokens;
+      });
+  });
+
+  let coordinator = null;
+  if (coordination) {
+    coordinator = coordination instanceof RefreshCoordinator
+      ? coordination
+      : new RefreshCoordinator(coordination === true ? {} : coordination);
+
+    // Tokens refreshed by another tab replace the ones stored in this tab
+    const unsubscribe = coordinator.onTokens((newTokens) => tokens.set(newTokens));
+    instance._refreshCoordinatorCleanup = () => {
+      unsubscribe();
+      if (coordinator !== coordination) {
+        coordinator.close();
+      }
+    };
+  }
+
+  /**
+   * Refresh under the cross-tab lock
+   * Another tab may rotate the tokens while this one waits for the lock, in
+   * which case the stored tokens are used instead of refreshing again.
+   * @returns {Promise<{token: string, refreshToken: string}>} The new tokens
+   */
+  const performCoordinatedRefresh = async () => {
+    const staleRefreshToken = await readRefreshToken();
+
+    return coordinator.run(async () => {
+      const currentRefreshToken = await readRefreshToken();
+      if (currentRefreshToken && currentRefreshToken !== staleRefreshToken) {
+        return { token: await tokens.getAccessToken(), refreshToken: currentRefreshToken };
       }
+      return performRefresh();
+    });
+  };
 
-      // Handle 401 errors
-      if (error.response.status === 401 && !originalRequest._retry) {
-        originalRequest._retry = true;
+  /**
+   * Refresh the tokens, sharing a single in-flight refresh between callers
+   * @returns {Promise<string>} The new access token
+   */
+  const refreshTokens = () => {
+    if (!refreshTokenPromise) {
+      reportRefreshFailure = false;
+      let refresh;
+      try {
+        refresh = coordinator ? performCoordinatedRefresh() : performRefresh();
+      } catch (e) {
+        // Token getters may throw synchronously; paused requests must still settle
+        refresh = Promise.reject(e);
+      }
 
-        // Prevent multiple simultaneous refresh requests
-        if (!refreshTokenPromise) {
-          const refreshToken = getRefreshToken();
-          
-          if (!refreshToken) {
+      refreshTokenPromise = Promise.resolve(refresh)
+        .then((newTokens) => newTokens.token)
+        .finally(() => {
+          refreshTokenPromise = null;
+        });
+
+      // Settle paused requests once the refresh completes
+      refreshTokenPromise.then(
+        (newAccessToken) => queue.replay(instance, (config) => {
+          applyInstanceToken(instance._authOptions, config, newAccessToken);
+        }),
+        (e) => {
+          if (reportRefreshFailure) {
             onRefreshTokenFail();
-            return Promise.reject(error);
           }
+          queue.rejectAll(e);
+        }
+      );
+    }
+    return refreshTokenPromise;
+  };
+
+  if (proactiveRefresh) {
+    const { skew = 30000, getExpiry = getJwtExpiry } = proactiveRefresh === true ? {} : proactiveRefresh;
+
+    instance._refreshRequestInterceptorId = instance.interceptors.request.use(
+      async (config) => {
+        if (config.__isRefreshRequest || !usesInstanceToken(config)) {
+          return config;
+        }
 
-          const config = refreshRequestConfig 
-            ? refreshRequestConfig(refreshToken) 
-            : defaultRefreshConfig(refreshToken);
-
-          refreshTokenPromise = axios(config)
-            .then((res) => {
-              const handler = handleRefreshResponse || defaultResponseHandler;
-              const tokenData = handler(res);
-              
-              setAccessToken(tokenData.token);
-              setRefreshToken(tokenData.refreshToken);
-              
-              return tokenData.token;
-            })
-            .catch((err) => {
-              onRefreshTokenFail();
-              throw err;
-            })
-            .finally(() => {
-              refreshTokenPromise = null;
-            });
+        const accessToken = await tokens.getAccessToken();
+        if (!accessToken) {
+          return config;
+        }
+
+        const expiry = await getExpiry(accessToken);
+        const expiresAt = expiry instanceof Date ? expiry.getTime() : expiry;
+        if (typeof expiresAt !== 'number' || expiresAt - Date.now() > skew) {
+          return config;
         }
 
         try {
-          const newAccessToken = await refreshTokenPromise;
-          
-          // Update the authorization header
-          originalRequest.headers = originalRequest.headers || {};
-          originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
-          
-          return instance(originalRequest);
+          const newAccessToken = await refreshTokens();
+          applyInstanceToken(instance._authOptions, config, newAccessToken);
         } catch (e) {
-          return Promise.reject(e);
+          // The current token may still be valid: send the request with it
+          // and leave failure handling to the 401 path
         }
+        return config;
+      },
+      (error) => Promise.reject(error)
+    );
+  }
+
+  const interceptorId = instance.interceptors.response.use(
+    (res) => res,
+    async (error) => {
+      const originalRequest = error.config;
+
+      // Handle network errors and failures of the refresh call itself
+      if (!error.response || originalRequest?.__isRefreshRequest) {
+        return Promise.reject(error);
+      }
+
+      if (!isRefreshTrigger(error) || !usesInstanceToken(originalRequest)) {
+        return Promise.reject(error);
+      }
+
+      // Guard against endpoints that keep failing after a refresh
+      const attempts = originalRequest?.__refreshAttempts || 0;
+      if (attempts >= maxRefreshAttempts) {
+        return Promise.reject(error);
       }
 
-      return Promise.reject(error);
+      const paused = queue.enqueue({ ...originalRequest, __refreshAttempts: attempts + 1 }, error);
+      refreshTokens();
+      reportRefreshFailure = true;
+      return paused;
     }
   );
 
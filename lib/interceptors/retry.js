@@ -1,58 +1,230 @@
+import { getServerRetryDelay } from '../utils/retryAfter.js';
+import { createBackoff } from '../utils/backoff.js';
+import { createIdempotencyKeyHandler, isRetrySafe } from './idempotencyKey.js';
+import { RetryBudget } from '../utils/retryBudget.js';
+
+/**
+ * Default retry condition: network errors and 5xx errors (and 429 when
+ * enabled), for requests that are safe to repeat
+ * @param {Error} error - Request error
+ * @param {string} header - Idempotency key header name
+ * @param {boolean} retryOnRateLimit - Whether 429 responses are retried
+ * @returns {boolean} True if the request should be retried
+ */
+function defaultRetryCondition(error, header, retryOnRateLimit) {
+  if (!isRetrySafe(error.config, header)) return false;
+  if (!error.response) return true;
+  const status = error.response.status;
+  return (retryOnRateLimit && status === 429) || (status >= 500 && status <= 599);
+}
+
 /**
  * Attaches a retry interceptor to automatically retry failed requests
+ *
+ * When the failed response carries `Retry-After` (seconds or HTTP-date),
+ * `RateLimit-Reset` or `X-RateLimit-Reset`/`X-RateLimit-Reset-After`, the
+ * server's delay is used instead of `retryDelay`, capped at `maxRetryAfter`.
+ * The wait is exposed as `error.retryDelay` (ms) for logging, and
+ * `error.retryAfter` holds the uncapped server delay. Both are set when the
+ * server asked for a delay even if no retry is made, e.g. on the last error
+ * once retries run out.
+ *
+ * By default only idempotent methods (GET, HEAD, OPTIONS, PUT, DELETE, TRACE)
+ * and requests carrying an `Idempotency-Key` header are retried. With
+ * `idempotencyKey` enabled, POST and PATCH requests get a generated key that
+ * is sent unchanged on every attempt, which makes them retryable too.
+ *
+ * Retries are skipped while the instance's circuit breaker
+ * (`withCircuitBreaker`) is open, and, with `budget` enabled, once the
+ * instance-wide RetryBudget is spent. The budget is stored on
+ * `instance._retryBudget`. Skipped retries reject with the original error,
+ * with `error.retrySuppressed` set to `'circuit-open'`, `'budget-exhausted'`
+ * or `'deadline'`.
+ *
+ * `attemptTimeout` and `deadline` are measured from when each request was
+ * first sent. Idempotency keys and timing are handled by one request
+ * interceptor, stored on `instance._retryRequestInterceptorId`, which is only
+ * attached when one of them is used.
+ *
+ * Every retry is recorded as `{ attempt, delay, error }`; the list is
+ * attached as `retryHistory` to the final response or error.
+ *
  * @param {import('axios').AxiosInstance} instance - The Axios instance
  * @param {Object} options - Retry configuration
  * @param {number} [options.retries=3] - Number of retry attempts
  * @param {number|Function} [options.retryDelay=1000] - Delay between retries (ms) or function
- * @param {Function} [options.retryCondition] - Function to determine if retry should occur
- * @param {boolean} [options.shouldResetTimeout=true] - Reset timeout on retry
+ * @param {string|Object|Function} [options.backoff] - Backoff strategy used instead of retryDelay (see createBackoff)
+ * @param {Function} [options.retryCondition] - Function to determine if retry should occur (default: network errors and 5xx of retry-safe requests)
+ * @param {boolean} [options.retryOnRateLimit=false] - Also retry 429 responses with the default retryCondition
+ * @param {boolean} [options.shouldResetTimeout=true] - Give every attempt the full timeout; when false, retries only get what is left of the first attempt's timeout
+ * @param {number} [options.attemptTimeout] - Timeout of each attempt (ms), instead of the request's `timeout`
+ * @param {number} [options.deadline] - Overall time for all attempts and delays (ms)
+ * @param {boolean} [options.respectRetryAfter=true] - Wait as long as the server's delay headers ask
+ * @param {number} [options.maxRetryAfter=60000] - Upper bound for server-supplied delays (ms)
+ * @param {boolean|Object} [options.idempotencyKey=false] - Add idempotency keys to non-idempotent requests (options of createIdempotencyKeyHandler)
+ * @param {boolean|Object|RetryBudget} [options.budget=false] - Limit retries across the instance (RetryBudget or its options)
+ * @param {(error: Error, info: {attempt: number, delay: number, config: Object}) => (void|Promise<void>)} [options.onRetry] - Called before waiting for each retry
+ * @param {(error: Error, info: {attempts: number, reason: string, history: Array}) => void} [options.onGiveUp] - Called when a retried or retryable request finally fails
  * @returns {number} Interceptor ID
  */
 export function attachRetryInterceptor(instance, {
   retries = 3,
   retryDelay = 1000,
-  retryCondition = (error) => {
-    // Default: retry on network errors and 5xx errors
-    return !error.response || (error.response.status >= 500 && error.response.status <= 599);
-  },
-  shouldResetTimeout = true
+  backoff,
+  retryCondition,
+  retryOnRateLimit = false,
+  shouldResetTimeout = true,
+  attemptTimeout,
+  deadline,
+  respectRetryAfter = true,
+  maxRetryAfter = 60000,
+  idempotencyKey = false,
+  budget = false,
+  onRetry,
+  onGiveUp
 } = {}) {
+  const backoffDelay = backoff ? createBackoff(backoff) : null;
+  const keyOptions = idempotencyKey === true ? {} : idempotencyKey || null;
+  const keyHeader = keyOptions?.header || 'Idempotency-Key';
+  const shouldRetry = retryCondition || ((error) => defaultRetryCondition(error, keyHeader, retryOnRateLimit));
+  
+  const addIdempotencyKey = keyOptions ? createIdempotencyKeyHandler(keyOptions) : null;
+  const tracksTime = Boolean(attemptTimeout || deadline || !shouldResetTimeout);
+  
+  if (addIdempotencyKey || tracksTime) {
+    instance._retryRequestInterceptorId = instance.interceptors.request.use((config) => {
+      // Replayed attempts keep the timing of the first one
+      if (tracksTime && config.__retryStartedAt === undefined) {
+        config.__retryStartedAt = Date.now();
+        config.__retryTimeout = attemptTimeout || config.timeout || 0;
+        const limit = Math.min(config.__retryTimeout || Infinity, deadline || Infinity);
+        if (limit !== Infinity) {
+          config.timeout = limit;
+        }
+      }
+      return addIdempotencyKey ? addIdempotencyKey(config) : config;
+    });
+  }
+  
+  let retryBudget = null;
+  if (budget) {
+    retryBudget = budget instanceof RetryBudget ? budget : new RetryBudget(budget === true ? {} : budget);
+    instance._retryBudget = retryBudget;
+  }
   
   const interceptorId = instance.interceptors.response.use(
-    (response) => response,
+    (response) => {
+      if (retryBudget) {
+        retryBudget.recordSuccess();
+      }
+      if (response.config && response.config.__retryHistory) {
+        response.retryHistory = response.config.__retryHistory;
+      }
+      return response;
+    },
     async (error) => {
       const config = error.config;
       
+      // Errors thrown before a request was built, e.g. by a request interceptor
+      if (!config) {
+        return Promise.reject(error);
+      }
+      
       // Initialize retry count
       if (!config.__retryCount) {
         config.__retryCount = 0;
       }
+      const history = config.__retryHistory || [];
       
-      // Check if we should retry
-      if (!retryCondition(error) || config.__retryCount >= retries) {
+      const giveUp = (reason) => {
+        if (history.length) {
+          error.retryHistory = history;
+        }
+        if (onGiveUp && (reason !== 'not-retryable' || history.length)) {
+          onGiveUp(error, { attempts: config.__retryCount, reason, history });
+        }
         return Promise.reject(error);
+      };
+      
+      const serverDelay = respectRetryAfter ? getServerRetryDelay(error.response) : null;
+      if (serverDelay !== null) {
+        error.retryAfter = serverDelay;
+        error.retryDelay = Math.min(serverDelay, maxRetryAfter);
+      }
+      
+      // Check if we should retry
+      if (!shouldRetry(error)) {
+        return giveUp('not-retryable');
+      }
+      if (config.__retryCount >= retries) {
+        return giveUp('retries-exhausted');
+      }
+      
+      const attempt = config.__retryCount + 1;
+      
+      // Calculate delay, preferring the one the server asked for
+      let delay;
+      if (backoffDelay) {
+        delay = backoffDelay(attempt, history.length ? history[history.length - 1].delay : undefined);
+      } else {
+        delay = typeof retryDelay === 'function' 
+          ? retryDelay(attempt)
+          : retryDelay;
+      }
+      if (serverDelay !== null) {
+        delay = Math.min(serverDelay, maxRetryAfter);
+      }
+      
+      // Time left for the next attempt, which starts after the delay
+      let timeout = Infinity;
+      if (config.__retryStartedAt !== undefined) {
+        const startsAfter = Date.now() - config.__retryStartedAt + delay;
+        const perAttempt = config.__retryTimeout || Infinity;
+        timeout = Math.min(
+          shouldResetTimeout ? perAttempt : perAttempt - startsAfter,
+          deadline ? deadline - startsAfter : Infinity
+        );
+        if (timeout <= 0) {
+          error.retrySuppressed = 'deadline';
+          return giveUp('deadline');
+        }
+      }
+      
+      // Don't add load while the circuit is open or the budget is spent
+      if (instance.getCircuitBreakerStatus && instance.getCircuitBreakerStatus().isOpen) {
+        error.retrySuppressed = 'circuit-open';
+        return giveUp('circuit-open');
+      }
+      if (retryBudget && !retryBudget.tryRetry()) {
+        error.retrySuppressed = 'budget-exhausted';
+        return giveUp('budget-exhausted');
       }
       
       // Increment retry count
-      config.__retryCount += 1;
+      config.__retryCount = attempt;
+      error.retryDelay = delay;
       
-      // Calculate delay
-      const delay = typeof retryDelay === 'function' 
-        ? retryDelay(config.__retryCount)
-        : retryDelay;
+      // The next attempt gets its own config, so the recorded error's config
+      // doesn't end up referencing its own history
+      const nextConfig = {
+        ...config,
+        __retryHistory: [...history, { attempt, delay, error }]
+      };
+      if (timeout !== Infinity) {
+        nextConfig.timeout = Math.ceil(timeout);
+      }
       
-      // Reset timeout if needed
-      if (shouldResetTimeout && config.timeout) {
-        config.timeout = config.timeout;
+      if (onRetry) {
+        await onRetry(error, { attempt, delay, config: nextConfig });
       }
       
       // Wait before retrying
       await new Promise(resolve => setTimeout(resolve, delay));
       
       // Retry the request
-      return instance(config);
+      return instance(nextConfig);
     }
   );
   
   return interceptorId;
-}
\ No newline at end of file
+}
@@ -0,0 +1,346 @@
+import axios from 'axios';
+import { sha256, hmacSha256, toHex, base64Encode } from '../utils/crypto.js';
+
+/**
+ * Marks adapters wrapped by the signing interceptor so a replayed config
+ * (retry, refresh) is not wrapped - and signed - twice
+ */
+const ORIGINAL_ADAPTER = Symbol('hcAxiosOriginalAdapter');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * Create a signing error
+ * @param {string} message - Error message
+ * @param {Object} config - Request config
+ * @returns {Error} Error with code REQUEST_SIGNING_ERROR
+ */
+function createSigningError(message, config) {
+  const error = new Error(message);
+  error.code = 'REQUEST_SIGNING_ERROR';
+  error.config = config;
+  return error;
+}
+
+/**
+ * RFC 3986 percent-encoding (encodeURIComponent leaves !'()* alone)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function strictEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Canonical path: every segment decoded then strictly re-encoded
+ * @param {string} pathname - URL path
+ * @param {boolean} doubleEncode - Encode each segment a second time (SigV4 for non-S3 services)
+ * @returns {string} Canonical path
+ */
+function canonicalPath(pathname, doubleEncode) {
+  const encoded = (pathname || '/')
+    .split('/')
+    .map(segment => {
+      const once = strictEncode(safeDecode(segment));
+      return doubleEncode ? strictEncode(once) : once;
+    })
+    .join('/');
+  return encoded || '/';
+}
+
+/**
+ * Canonical query string: encoded pairs sorted by name, then value
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {string} Canonical query string
+ */
+function canonicalQuery(searchParams) {
+  return Array.from(searchParams)
+    .map(([name, value]) => [strictEncode(name), strictEncode(value)])
+    .sort(([nameA, valueA], [nameB, valueB]) => {
+      if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+      if (valueA === valueB) return 0;
+      return valueA < valueB ? -1 : 1;
+    })
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Hash the serialized request body
+ * @param {*} data - Body as handed to the adapter
+ * @returns {string|null} Lowercase hex SHA-256, or null if the body cannot be read synchronously
+ */
+function hashPayload(data) {
+  if (data === undefined || data === null) return toHex(sha256(''));
+  if (typeof data === 'string' || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    return toHex(sha256(data));
+  }
+  if (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) {
+    return toHex(sha256(data.toString()));
+  }
+  // FormData, Blob, streams...
+  return null;
+}
+
+/**
+ * Build the canonical representation of a request
+ * Runs on the config handed to the adapter, so the URL, params, headers and
+ * serialized body are exactly what goes over the wire.
+ *
+ * @param {Object} config - Adapter request config
+ * @param {Object} options
+ * @param {string[]} options.signedHeaders - Lowercase header names to sign (missing ones are skipped)
+ * @param {boolean} [options.doubleEncodePath=false] - Encode path segments twice
+ * @param {boolean} [options.allowUnsignedPayload=false] - Use UNSIGNED-PAYLOAD for unreadable bodies instead of failing
+ * @returns {{method: string, url: URL, path: string, query: string, headers: Array<[string, string]>, signedHeaders: string, payloadHash: string, canonicalRequest: string}}
+ */
+export function canonicalizeRequest(config, {
+  signedHeaders,
+  doubleEncodePath = false,
+  allowUnsignedPayload = false
+}) {
+  const url = new URL(axios.getUri(config), 'http://localhost');
+  const method = (config.method || 'get').toUpperCase();
+  const headers = axios.AxiosHeaders.from(config.headers || {});
+
+  const canonicalHeaders = Array.from(new Set(signedHeaders.map(name => name.toLowerCase())))
+    .map(name => {
+      const value = name === 'host' ? url.host : headers.get(name);
+      return value === undefined || value === null || value === false
+        ? null
+        : [name, String(value).trim().replace(/\s+/g, ' ')];
+    })
+    .filter(Boolean)
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+
+  let payloadHash = hashPayload(config.data);
+  if (payloadHash === null) {
+    if (!allowUnsignedPayload) {
+      throw createSigningError('Request body cannot be signed; serialize it first or enable allowUnsignedPayload', config);
+    }
+    payloadHash = UNSIGNED_PAYLOAD;
+  }
+
+  const path = canonicalPath(url.pathname, doubleEncodePath);
+  const query = canonicalQuery(url.searchParams);
+  const signedHeaderList = canonicalHeaders.map(([name]) => name).join(';');
+  const canonicalRequest = [
+    method,
+    path,
+    query,
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaderList,
+    payloadHash
+  ].join('\n');
+
+  return {
+    method,
+    url,
+    path,
+    query,
+    headers: canonicalHeaders,
+    signedHeaders: signedHeaderList,
+    payloadHash,
+    canonicalRequest
+  };
+}
+
+const resolveValue = async (value) => (typeof value === 'function' ? value() : value);
+
+/**
+ * Generic HMAC-SHA256 signer
+ * Signs `timestamp + "\n" + canonicalRequest` and writes the key id,
+ * timestamp and signature into configurable headers.
+ */
+function createHmacSigner({
+  keyId,
+  secret,
+  signedHeaders = ['host', 'content-type'],
+  signatureHeader = 'X-Signature',
+  keyIdHeader = 'X-Key-Id',
+  timestampHeader = 'X-Timestamp',
+  signedHeadersHeader = 'X-Signed-Headers',
+  encoding = 'hex',
+  allowUnsignedPayload = false,
+  now = () => new Date()
+}) {
+  if (!secret) {
+    throw new Error('Request signing requires a secret');
+  }
+  if (encoding !== 'hex' && encoding !== 'base64') {
+    throw new Error(`Unsupported signature encoding '${encoding}'`);
+  }
+
+  return async (config) => {
+    const key = await resolveValue(secret);
+    const timestamp = now().toISOString();
+    const { canonicalRequest, signedHeaders: headerList } = canonicalizeRequest(config, {
+      signedHeaders,
+      allowUnsignedPayload
+    });
+    const mac = hmacSha256(key, `${timestamp}\n${canonicalRequest}`);
+
+    if (keyId !== undefined && keyIdHeader) {
+      config.headers.set(keyIdHeader, await resolveValue(keyId));
+    }
+    config.headers.set(timestampHeader, timestamp);
+    if (signedHeadersHeader) {
+      config.headers.set(signedHeadersHeader, headerList);
+    }
+    config.headers.set(signatureHeader, encoding === 'base64' ? base64Encode(mac) : toHex(mac));
+    return config;
+  };
+}
+
+/**
+ * Format a date as the SigV4 basic ISO 8601 timestamp (20150830T123600Z)
+ * @param {Date} date - Date to format
+ * @returns {string} Timestamp
+ */
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * AWS Signature Version 4 signer
+ */
+function createAwsSigV4Signer({
+  region,
+  service,
+  credentials,
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  signedHeaders = [],
+  allowUnsignedPayload = false,
+  now = () => new Date()
+}) {
+  if (!region || !service) {
+    throw new Error('AWS SigV4 signing requires a region and a service');
+  }
+  if (!credentials && (!accessKeyId || !secretAccessKey)) {
+    throw new Error('AWS SigV4 signing requires credentials or an accessKeyId and secretAccessKey');
+  }
+
+  const isS3 = service === 's3';
+
+  return async (config) => {
+    const creds = credentials ? await resolveValue(credentials) : { accessKeyId, secretAccessKey, sessionToken };
+    const amzDate = toAmzDate(now());
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+    config.headers.set('X-Amz-Date', amzDate);
+    if (creds.sessionToken) {
+      config.headers.set('X-Amz-Security-Token', creds.sessionToken);
+    }
+
+    const amzHeaders = Object.keys(config.headers.toJSON())
+      .map(name => name.toLowerCase())
+      .filter(name => name.startsWith('x-amz-'));
+
+    // S3 expects the payload hash in a header; compute it before the header list is fixed
+    if (isS3) {
+      const payloadHash = hashPayload(config.data);
+      config.headers.set('X-Amz-Content-Sha256', payloadHash ?? UNSIGNED_PAYLOAD);
+      amzHeaders.push('x-amz-content-sha256');
+    }
+
+    const canonical = canonicalizeRequest(config, {
+      signedHeaders: ['host', 'content-type', ...amzHeaders, ...signedHeaders],
+      doubleEncodePath: !isS3,
+      allowUnsignedPayload: allowUnsignedPayload || isS3
+    });
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      toHex(sha256(canonical.canonicalRequest))
+    ].join('\n');
+
+    const dateKey = hmacSha256(`AWS4${creds.secretAccessKey}`, dateStamp);
+    const regionKey = hmacSha256(dateKey, region);
+    const serviceKey = hmacSha256(regionKey, service);
+    const signingKey = hmacSha256(serviceKey, 'aws4_request');
+    const signature = toHex(hmacSha256(signingKey, stringToSign));
+
+    config.headers.set(
+      'Authorization',
+      `AWS4-HMAC-SHA256 Credential=${creds.accessKeyId}/${scope}, SignedHeaders=${canonical.signedHeaders}, Signature=${signature}`
+    );
+    return config;
+  };
+}
+
+const SIGNERS = {
+  hmac: createHmacSigner,
+  'aws-sigv4': createAwsSigV4Signer
+};
+
+/**
+ * Create a request interceptor function that signs requests
+ *
+ * Signing has to see the request exactly as it is sent, so instead of
+ * signing in the interceptor itself it wraps the request's adapter. The
+ * signature is therefore computed after every other request interceptor and
+ * after `transformRequest`, whatever the registration order.
+ *
+ * @param {Object} options - Signing options (see attachSigningInterceptor)
+ * @returns {(config: Object) => Object} Request interceptor
+ */
+export function createRequestSigner({ preset = 'hmac', shouldSign, ...options } = {}) {
+  const createSigner = SIGNERS[preset];
+  if (!createSigner) {
+    throw new Error(`Unknown request signing preset '${preset}'`);
+  }
+  const sign = createSigner(options);
+
+  return (config) => {
+    if (shouldSign && !shouldSign(config)) {
+      return config;
+    }
+
+    const baseAdapter = config.adapter?.[ORIGINAL_ADAPTER] || config.adapter;
+    const signingAdapter = async (adapterConfig) => {
+      await sign(adapterConfig);
+      return axios.getAdapter(baseAdapter)(adapterConfig);
+    };
+    signingAdapter[ORIGINAL_ADAPTER] = baseAdapter;
+    config.adapter = signingAdapter;
+    return config;
+  };
+}
+
+/**
+ * Request signing interceptor
+ * @param {import('axios').AxiosInstance} instance - The Axios instance
+ * @param {Object} options - Signing configuration
+ * @param {'hmac'|'aws-sigv4'} [options.preset='hmac'] - Signature scheme
+ * @param {Function} [options.shouldSign] - `(config) => boolean`, skip signing when false
+ * @param {boolean} [options.allowUnsignedPayload=false] - Sign FormData/stream bodies as UNSIGNED-PAYLOAD instead of failing
+ * @param {Function} [options.now] - Clock, returns a Date
+ * @param {string|Function} [options.keyId] - hmac: key identifier sent in `keyIdHeader`
+ * @param {string|Uint8Array|Function} [options.secret] - hmac: shared secret, or a (possibly async) function returning it
+ * @param {string[]} [options.signedHeaders] - Headers to sign (hmac default: host, content-type; aws-sigv4: additional headers)
+ * @param {string} [options.signatureHeader='X-Signature'] - hmac: signature header
+ * @param {string} [options.keyIdHeader='X-Key-Id'] - hmac: key id header
+ * @param {string} [options.timestampHeader='X-Timestamp'] - hmac: timestamp header
+ * @param {string|null} [options.signedHeadersHeader='X-Signed-Headers'] - hmac: header listing the signed headers
+ * @param {'hex'|'base64'} [options.encoding='hex'] - hmac: signature encoding
+ * @param {string} [options.region] - aws-sigv4: region
+ * @param {string} [options.service] - aws-sigv4: service name
+ * @param {Object|Function} [options.credentials] - aws-sigv4: `{accessKeyId, secretAccessKey, sessionToken}` or a (possibly async) function returning them
+ * @returns {number} Interceptor ID
+ */
+export function attachSigningInterceptor(instance, options = {}) {
+  return instance.interceptors.request.use(createRequestSigner(options));
+}
@@ -0,0 +1,292 @@
+import { InterceptorConditions } from './interceptorConditions.js';
+import { TokenProvider } from './tokenProvider.js';
+
+/**
+ * Authentication schemes for the auth interceptor
+ *
+ * A scheme knows how to place a credential on an outgoing request. Every
+ * scheme is a plain object with a `type` (used for status reporting) and an
+ * `apply(config, credential)` method that mutates and returns the config.
+ */
+
+/**
+ * Base64 encode a string in both Node and browser environments
+ * @param {string} value - Value to encode
+ * @returns {string} Base64 encoded value
+ */
+function encodeBase64(value) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(value, 'utf8').toString('base64');
+  }
+  // btoa only accepts latin1, so escape multi-byte characters first
+  return btoa(unescape(encodeURIComponent(value)));
+}
+
+export class AuthSchemes {
+  /**
+   * Bearer token scheme (`Authorization: Bearer <token>`)
+   * @param {Object} [options]
+   * @param {string} [options.header='Authorization'] - Header to write
+   * @param {string} [options.prefix='Bearer'] - Value prefix
+   * @returns {Object} Auth scheme
+   */
+  static bearer({ header = 'Authorization', prefix = 'Bearer' } = {}) {
+    return {
+      type: 'bearer',
+      apply(config, credential) {
+        config.headers = config.headers || {};
+        config.headers[header] = prefix ? `${prefix} ${credential}` : `${credential}`;
+        return config;
+      }
+    };
+  }
+
+  /**
+   * `Authorization: Token <token>` scheme used by Django REST framework and similar APIs
+   * @param {Object} [options]
+   * @param {string} [options.header='Authorization'] - Header to write
+   * @returns {Object} Auth scheme
+   */
+  static token({ header = 'Authorization' } = {}) {
+    return { ...AuthSchemes.bearer({ header, prefix: 'Token' }), type: 'token' };
+  }
+
+  /**
+   * HTTP Basic scheme
+   * The credential may be `{ username, password }`, a `username:password`
+   * string, or an already base64 encoded string (with `encoded: true`).
+   * @param {Object} [options]
+   * @param {boolean} [options.encoded=false] - Whether string credentials are already encoded
+   * @returns {Object} Auth scheme
+   */
+  static basic({ encoded = false } = {}) {
+    return {
+      type: 'basic',
+      apply(config, credential) {
+        let value;
+        if (typeof credential === 'object') {
+          value = encodeBase64(`${credential.username || ''}:${credential.password || ''}`);
+        } else {
+          value = encoded ? credential : encodeBase64(`${credential}`);
+        }
+
+        config.headers = config.headers || {};
+        config.headers.Authorization = `Basic ${value}`;
+        return config;
+      }
+    };
+  }
+
+  /**
+   * API key scheme, sent either as a header or as a query string parameter
+   * @param {Object} [options]
+   * @param {string} [options.name='X-API-Key'] - Header or query parameter name
+   * @param {'header'|'query'} [options.in='header'] - Where to place the key
+   * @param {string} [options.prefix] - Optional value prefix (header only)
+   * @returns {Object} Auth scheme
+   */
+  static apiKey({ name = 'X-API-Key', in: location = 'header', prefix } = {}) {
+    if (location !== 'header' && location !== 'query') {
+      throw new Error(`Invalid API key location '${location}'. Expected 'header' or 'query'`);
+    }
+
+    return {
+      type: location === 'query' ? 'apiKeyQuery' : 'apiKey',
+      apply(config, credential) {
+        if (location === 'query' && config.params instanceof URLSearchParams) {
+          // Copied, as for plain objects, so the caller's params are left as they were
+          config.params = new URLSearchParams(config.params);
+          config.params.set(name, credential);
+        } else if (location === 'query') {
+          config.params = { ...(config.params || {}), [name]: credential };
+        } else {
+          config.headers = config.headers || {};
+          config.headers[name] = prefix ? `${prefix} ${credential}` : `${credential}`;
+        }
+        return config;
+      }
+    };
+  }
+
+  /**
+   * Custom scheme backed by a function
+   * @param {(config: Object, credential: *) => Object|void} applyFn - Applies the credential
+   * @param {string} [type='custom'] - Name reported in interceptor status
+   * @returns {Object} Auth scheme
+   */
+  static custom(applyFn, type = 'custom') {
+    if (typeof applyFn !== 'function') {
+      throw new Error('Custom auth scheme requires an apply function');
+    }
+
+    return {
+      type,
+      apply(config, credential) {
+        return applyFn(config, credential) || config;
+      }
+    };
+  }
+}
+
+/**
+ * Resolve a scheme definition into a scheme object
+ * Accepts a scheme name ('bearer', 'basic', 'token', 'apiKey'), a scheme
+ * object, a `{ type, ...options }` descriptor or an apply function.
+ * @param {string|Object|Function} [scheme='bearer'] - Scheme definition
+ * @returns {Object} Auth scheme
+ */
+export function resolveAuthScheme(scheme = 'bearer') {
+  if (typeof scheme === 'function') {
+    return AuthSchemes.custom(scheme);
+  }
+
+  if (scheme && typeof scheme === 'object') {
+    if (typeof scheme.apply === 'function') {
+      return { type: 'custom', ...scheme };
+    }
+    const { type, ...options } = scheme;
+    return resolveNamedScheme(type, options);
+  }
+
+  return resolveNamedScheme(scheme, {});
+}
+
+function resolveNamedScheme(type, options) {
+  switch (type) {
+    case 'bearer':
+      return AuthSchemes.bearer(options);
+    case 'token':
+      return AuthSchemes.token(options);
+    case 'basic':
+      return AuthSchemes.basic(options);
+    case 'apiKey':
+      return AuthSchemes.apiKey(options);
+    case 'apiKeyQuery':
+      return AuthSchemes.apiKey({ ...options, in: 'query' });
+    default:
+      throw new Error(`Unknown auth scheme '${type}'`);
+  }
+}
+
+/**
+ * Normalize the argument passed to useAuth / attachAuthInterceptor
+ * A bare function is treated as a bearer token getter for backward compatibility,
+ * and a bare TokenProvider as a bearer token source.
+ * @param {Function|TokenProvider|Object|null|undefined} options - Token getter, provider or auth options
+ * @returns {{getToken: Function|undefined, scheme: Object, rules: Array}} Normalized options
+ */
+export function normalizeAuthOptions(options) {
+  if (!options || typeof options === 'function') {
+    return { getToken: options || undefined, scheme: AuthSchemes.bearer(), rules: [] };
+  }
+
+  if (TokenProvider.isTokenProvider(options)) {
+    return { getToken: () => options.getAccessToken(), scheme: AuthSchemes.bearer(), rules: [] };
+  }
+
+  const getToken = options.getToken ||
+    (options.tokenProvider ? () => options.tokenProvider.getAccessToken() : undefined);
+
+  const rules = (options.schemes || []).map((rule) => ({
+    condition: typeof rule.match === 'function'
+      ? rule.match
+      : InterceptorConditions.urlMatches(rule.match),
+    match: rule.match,
+    scheme: resolveAuthScheme(rule.scheme),
+    getToken: rule.getToken
+  }));
+
+  return {
+    getToken,
+    scheme: resolveAuthScheme(options.scheme),
+    rules
+  };
+}
+
+/**
+ * Pick the scheme (and token getter) that applies to a request
+ * Rules are checked in order; the first match wins, otherwise the default scheme is used.
+ * @param {Object} normalized - Result of normalizeAuthOptions
+ * @param {Object} config - Request config
+ * @returns {{scheme: Object, getToken: Function|undefined}} Selected scheme
+ */
+export function selectAuthScheme(normalized, config) {
+  const rule = normalized.rules.find(r => r.condition(config));
+  if (rule) {
+    return { scheme: rule.scheme, getToken: rule.getToken || normalized.getToken };
+  }
+  return { scheme: normalized.scheme, getToken: normalized.getToken };
+}
+
+/**
+ * Read the per-request `authentication` option
+ *
+ * - `false` sends the request without credentials from the auth interceptor
+ *   and keeps the refresh interceptor away from it
+ * - `{ token, scheme }` uses another credential and/or scheme for this request;
+ *   `token` may be a value or a (possibly async) getter
+ *
+ * Axios reserves `auth` for its own HTTP Basic credentials, hence the separate key.
+ *
+ * @param {Object} config - Request config
+ * @returns {false|{token?: *, scheme?: *}|null} The override, or null when the request uses the instance settings
+ */
+export function getRequestAuthentication(config) {
+  const value = config?.authentication;
+  if (value === false) return false;
+  if (value && typeof value === 'object') return value;
+  return null;
+}
+
+/**
+ * Whether a request is sent with the instance's own token
+ * Requests that opt out or bring their own token are not refreshed.
+ * @param {Object} config - Request config
+ * @returns {boolean} True when the refresh interceptor may handle the request
+ */
+export function usesInstanceToken(config) {
+  const authentication = getRequestAuthentication(config);
+  return authentication === null || (authentication !== false && authentication.token === undefined);
+}
+
+/**
+ * Put a refreshed instance token on a request the way the auth interceptor would
+ * The request's `authentication.scheme`, or else the scheme selected for its
+ * URL, is applied. Requests that opt out, or whose scheme rule reads its own
+ * token, are left as they are.
+ * @param {Object|null|undefined} normalized - Result of normalizeAuthOptions (bearer when auth is not configured)
+ * @param {Object} config - Request config
+ * @param {*} token - New access token
+ * @returns {Object} The config
+ */
+export function applyInstanceToken(normalized, config, token) {
+  const authOptions = normalized || normalizeAuthOptions(null);
+  const authentication = getRequestAuthentication(config);
+  if (authentication === false) {
+    return config;
+  }
+
+  const selected = selectAuthScheme(authOptions, config);
+  if (selected.getToken !== authOptions.getToken) {
+    return config;
+  }
+
+  const scheme = authentication?.scheme ? resolveAuthScheme(authentication.scheme) : selected.scheme;
+  return scheme.apply(config, token);
+}
+
+/**
+ * Describe the configured schemes for interceptor status reporting
+ * @param {Function|Object} options - Options passed to useAuth
+ * @returns {{type: string, rules: Array<{match: *, type: string}>}} Scheme summary
+ */
+export function describeAuthScheme(options) {
+  const normalized = normalizeAuthOptions(options);
+  return {
+    type: normalized.scheme.type,
+    rules: normalized.rules.map(rule => ({
+      match: typeof rule.match === 'function' ? 'custom' : rule.match,
+      type: rule.scheme.type
+    }))
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Backoff strategies for retries
+ *
+ * - `constant` - always `baseDelay`
+ * - `linear` - `baseDelay * attempt`
+ * - `exponential` - `baseDelay * factor^(attempt - 1)`
+ * - `full-jitter` - random between 0 and the exponential delay
+ * - `equal-jitter` - half the exponential delay plus a random half
+ * - `decorrelated-jitter` - random between `baseDelay` and 3x the previous delay
+ *
+ * The jitter strategies spread retries from many clients so they don't hit a
+ * recovering server in sync. Every delay is capped at `maxDelay`.
+ */
+export const BACKOFF_STRATEGIES = [
+  'constant',
+  'linear',
+  'exponential',
+  'full-jitter',
+  'equal-jitter',
+  'decorrelated-jitter'
+];
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * Gives the same sequence for the same seed, so jittered delays can be
+ * asserted in tests.
+ * @param {number} seed - 32-bit seed
+ * @returns {() => number} Generator of numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Create a backoff function
+ * @param {string|Object|Function} [options] - Strategy name, options, or an existing backoff function (returned as is)
+ * @param {string} [options.strategy='exponential'] - One of BACKOFF_STRATEGIES
+ * @param {number} [options.baseDelay=1000] - First delay (ms)
+ * @param {number} [options.maxDelay=30000] - Upper bound for every delay (ms)
+ * @param {number} [options.factor=2] - Growth factor of the exponential strategies
+ * @param {number} [options.seed] - Seed for deterministic jitter
+ * @param {() => number} [options.random=Math.random] - Random source, used when no seed is given
+ * @returns {(attempt: number, previousDelay?: number) => number} Delay in ms for a 1-based attempt
+ */
+export function createBackoff(options = {}) {
+  if (typeof options === 'function') {
+    return options;
+  }
+  if (typeof options === 'string') {
+    options = { strategy: options };
+  }
+
+  const {
+    strategy = 'exponential',
+    baseDelay = 1000,
+    maxDelay = 30000,
+    factor = 2,
+    seed,
+    random = Math.random
+  } = options;
+
+  if (!BACKOFF_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown backoff strategy '${strategy}'`);
+  }
+
+  const nextRandom = seed !== undefined ? createSeededRandom(seed) : random;
+  const between = (min, max) => min + nextRandom() * (max - min);
+  const cap = (delay) => Math.round(Math.min(delay, maxDelay));
+  const exponential = (attempt) => Math.min(baseDelay * Math.pow(factor, attempt - 1), maxDelay);
+
+  return (attempt, previousDelay) => {
+    switch (strategy) {
+      case 'constant':
+        return cap(baseDelay);
+      case 'linear':
+        return cap(baseDelay * attempt);
+      case 'exponential':
+        return cap(exponential(attempt));
+      case 'full-jitter':
+        return cap(between(0, exponential(attempt)));
+      case 'equal-jitter': {
+        const half = exponential(attempt) / 2;
+        return cap(half + between(0, half));
+      }
+      case 'decorrelated-jitter':
+        return cap(between(baseDelay, Math.max(baseDelay, (previousDelay || baseDelay) * 3)));
+    }
+  };
+}
@@ -0,0 +1,115 @@
+import { readHeader } from './retryAfter.js';
+
+/**
+ * Parse a `Cache-Control` header
+ * @param {string} [header] - Header value
+ * @returns {Object<string, string|true>} Directives by lowercase name; directives without a value are `true`
+ */
+export function parseCacheControl(header) {
+  const directives = {};
+  if (!header) return directives;
+
+  const pattern = /([!#$%&'*+\-.^_`|~0-9A-Za-z]+)(?:\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^,\s]*)))?/g;
+  let match;
+  while ((match = pattern.exec(String(header))) !== null) {
+    const name = match[1].toLowerCase();
+    const value = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+    if (!(name in directives)) {
+      directives[name] = value === undefined || value === '' ? true : value;
+    }
+  }
+  return directives;
+}
+
+const seconds = (value) => {
+  if (value === undefined || value === true) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Read the caching metadata of a response (RFC 9111)
+ *
+ * The freshness lifetime comes from `s-maxage` (shared caches), `max-age`,
+ * `Expires` relative to `Date`, or, for responses with `Last-Modified` only,
+ * a heuristic of 10% of the time since the last modification.
+ *
+ * `staleWhileRevalidate` and `staleIfError` are the windows from the
+ * `stale-while-revalidate` and `stale-if-error` directives (RFC 5861), or
+ * null when the response doesn't set them.
+ *
+ * @param {{headers?: Object}} response - Response
+ * @param {Object} [options]
+ * @param {boolean} [options.shared=false] - Whether the cache is shared between users
+ * @param {number} [options.now=Date.now()] - Time the response was received
+ * @returns {{directives: Object, lifetime: number, age: number, etag?: string, lastModified?: string, noCache: boolean, mustRevalidate: boolean, staleWhileRevalidate: number|null, staleIfError: number|null}} Durations in ms
+ */
+export function getCachePolicy(response, { shared = false, now = Date.now() } = {}) {
+  const headers = response.headers;
+  const directives = parseCacheControl(readHeader(headers, 'cache-control'));
+  const date = parseDate(readHeader(headers, 'date'));
+  const lastModified = readHeader(headers, 'last-modified');
+
+  let lifetime = 0;
+  if (shared && seconds(directives['s-maxage']) !== null) {
+    lifetime = seconds(directives['s-maxage']) * 1000;
+  } else if (seconds(directives['max-age']) !== null) {
+    lifetime = seconds(directives['max-age']) * 1000;
+  } else if (readHeader(headers, 'expires') !== undefined) {
+    const expires = parseDate(readHeader(headers, 'expires'));
+    lifetime = expires === null ? 0 : Math.max(0, expires - (date ?? now));
+  } else if (lastModified) {
+    const modified = parseDate(lastModified);
+    if (modified !== null) {
+      lifetime = Math.max(0, ((date ?? now) - modified) / 10);
+    }
+  }
+
+  const window = (directive) => {
+    const value = seconds(directives[directive]);
+    return value === null ? null : value * 1000;
+  };
+
+  return {
+    directives,
+    lifetime,
+    age: (seconds(readHeader(headers, 'age')) || 0) * 1000,
+    etag: readHeader(headers, 'etag'),
+    lastModified,
+    noCache: Boolean(directives['no-cache']),
+    mustRevalidate: Boolean(directives['must-revalidate'] || (shared && directives['proxy-revalidate'])),
+    staleWhileRevalidate: window('stale-while-revalidate'),
+    staleIfError: window('stale-if-error')
+  };
+}
+
+/**
+ * Whether a response may be stored (RFC 9111 §3)
+ * @param {{headers?: Object}} response - Response
+ * @param {Object} [options]
+ * @param {boolean} [options.shared=false] - Whether the cache is shared between users
+ * @returns {boolean} False for `no-store`, `Vary: *` and, in shared caches, `private`
+ */
+export function isStorable(response, { shared = false } = {}) {
+  const directives = parseCacheControl(readHeader(response.headers, 'cache-control'));
+  if (directives['no-store']) return false;
+  if (shared && directives.private) return false;
+  return readHeader(response.headers, 'vary')?.trim() !== '*';
+}
+
+/**
+ * Header names listed in a response's `Vary` header
+ * @param {{headers?: Object}} response - Response
+ * @returns {string[]} Lowercase header names
+ */
+export function getVaryHeaders(response) {
+  const vary = readHeader(response.headers, 'vary');
+  if (!vary) return [];
+  return vary.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
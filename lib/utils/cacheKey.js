@@ -0,0 +1,91 @@
+import { readHeader } from './retryAfter.js';
+
+/**
+ * Cache key generation
+ *
+ * `createCacheKey` builds the default key of the cache interceptor:
+ *
+ *     method:fullUrl:params[:varyHeaders][@partition]
+ *
+ * - The method is lowercase.
+ * - The URL is resolved against `baseURL`, and its query string is sorted.
+ * - Params are serialized with sorted object keys, so `{a: 1, b: 2}` and
+ *   `{b: 2, a: 1}` share a key.
+ * - `varyHeaders` adds the request's values for those headers, so responses
+ *   in different languages or formats are cached side by side.
+ * - `partition` scopes the key, e.g. to the current user, so cached
+ *   responses are never served across users.
+ */
+
+const ABSOLUTE_URL = /^([a-z][a-z\d+\-.]*:)?\/\//i;
+
+/**
+ * JSON serialization with sorted object keys
+ * @param {*} value - Value to serialize
+ * @returns {string|undefined} Canonical JSON, or undefined for undefined values
+ */
+export function stableStringify(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item instanceof URLSearchParams) {
+      const sorted = new URLSearchParams(item);
+      sorted.sort();
+      return sorted.toString();
+    }
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      return Object.keys(item)
+        .sort()
+        .reduce((sorted, name) => {
+          sorted[name] = item[name];
+          return sorted;
+        }, {});
+    }
+    return item;
+  });
+}
+
+/**
+ * Full URL of a request, with its query string sorted
+ * @param {Object} config - Request config
+ * @returns {string} URL resolved against `baseURL`
+ */
+export function resolveCacheUrl(config) {
+  const url = config.url || '';
+  const fullUrl = config.baseURL && !ABSOLUTE_URL.test(url)
+    ? (url ? `${config.baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}` : config.baseURL)
+    : url;
+
+  const [path, query] = fullUrl.split('#')[0].split('?');
+  if (!query) {
+    return path;
+  }
+  const search = new URLSearchParams(query);
+  search.sort();
+  return `${path}?${search}`;
+}
+
+/**
+ * Build the canonical cache key of a request
+ * @param {Object} config - Request config
+ * @param {Object} [options]
+ * @param {string[]} [options.varyHeaders=[]] - Request headers whose values are part of the key
+ * @param {string|Function} [options.partition] - Partition name, or a function returning it for a config
+ * @returns {string} Cache key
+ */
+export function createCacheKey(config, { varyHeaders = [], partition } = {}) {
+  const method = (config.method || 'get').toLowerCase();
+  let key = `${method}:${resolveCacheUrl(config)}:${stableStringify(config.params || {})}`;
+
+  if (varyHeaders.length > 0) {
+    const values = varyHeaders.reduce((headers, name) => {
+      headers[name.toLowerCase()] = readHeader(config.headers, name) ?? null;
+      return headers;
+    }, {});
+    key += `:${stableStringify(values)}`;
+  }
+
+  const scope = typeof partition === 'function' ? partition(config) : partition;
+  if (scope !== undefined && scope !== null && scope !== '') {
+    key += `@${scope}`;
+  }
+  return key;
+}
@@ -0,0 +1,338 @@
+import { sha256, toHex, utf8Encode } from './crypto.js';
+
+/**
+ * Cache storage adapters
+ *
+ * `attachCacheInterceptor` keeps its entries in a storage adapter with an
+ * async interface, so they can live in memory, in Web Storage, in IndexedDB
+ * or on disk:
+ *
+ * - `get(key)` - Entry, or undefined
+ * - `set(key, entry)` - Store an entry
+ * - `delete(key)` - Remove an entry
+ * - `clear()` - Remove all entries
+ * - `keys()` - Stored keys, least recently used first
+ * - `getStats()` - `{entries, bytes, maxBytes, maxEntries, evictions}`
+ *
+ * The built-in adapters account sizes in bytes (the UTF-8 length of the
+ * serialized entry) and evict the least recently used entries once
+ * `maxBytes` or `maxEntries` is exceeded. Entries larger than `maxBytes` are
+ * not stored at all.
+ *
+ * The persistent adapters store responses as JSON, without their `config`
+ * and `request`, so the response data must be JSON-serializable. They read
+ * their index once, on first use; entries written by other tabs or
+ * processes afterwards are still found, but count towards the limits only
+ * once they have been read.
+ */
+
+/**
+ * Convert a cache entry into its JSON-serializable form
+ * @param {Object} entry - Cache entry with a `response`
+ * @returns {Object} Entry whose response only has data, status, statusText and headers
+ */
+export function toSerializableEntry(entry) {
+  const { data, status, statusText, headers } = entry.response;
+  return {
+    ...entry,
+    response: {
+      data,
+      status,
+      statusText,
+      headers: headers && typeof headers.toJSON === 'function' ? headers.toJSON() : headers
+    }
+  };
+}
+
+/**
+ * Size of a cache entry in bytes
+ * @param {Object} entry - Cache entry
+ * @returns {number} UTF-8 length of the serialized entry, or 0 when it can't be serialized
+ */
+export function getEntrySize(entry) {
+  try {
+    return utf8Encode(JSON.stringify(toSerializableEntry(entry))).length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Wrap a backend with LRU size accounting
+ *
+ * Backends implement `read(key)`, `write(key, record)`, `remove(key)`,
+ * `clear()` and `list()`, where records are `{key, size, time, entry}` and
+ * `list()` returns them without the entry.
+ */
+function createLRUStorage(backend, { maxBytes = Infinity, maxEntries = Infinity } = {}) {
+  let index = null; // key -> size, least recently used first
+  let loading = null;
+  let bytes = 0;
+  let evictions = 0;
+
+  const load = () => {
+    if (!loading) {
+      loading = backend.list().then((records) => {
+        records.sort((a, b) => a.time - b.time);
+        index = new Map(records.map(record => [record.key, record.size]));
+        bytes = records.reduce((total, record) => total + record.size, 0);
+      });
+    }
+    return loading;
+  };
+
+  const forget = (key) => {
+    if (index.has(key)) {
+      bytes -= index.get(key);
+      index.delete(key);
+    }
+  };
+
+  const storage = {
+    async get(key) {
+      await load();
+      const record = await backend.read(key);
+      if (!record) {
+        forget(key);
+        return undefined;
+      }
+      // Mark as most recently used
+      forget(key);
+      index.set(key, record.size);
+      bytes += record.size;
+      return record.entry;
+    },
+
+    async set(key, entry) {
+      await load();
+      const size = getEntrySize(entry);
+      forget(key);
+      if (size > maxBytes) {
+        await backend.remove(key);
+        return;
+      }
+
+      await backend.write(key, { key, size, time: Date.now(), entry });
+      index.set(key, size);
+      bytes += size;
+
+      for (const oldest of index.keys()) {
+        if (bytes <= maxBytes && index.size <= maxEntries) break;
+        forget(oldest);
+        evictions += 1;
+        await backend.remove(oldest);
+      }
+    },
+
+    async delete(key) {
+      await load();
+      forget(key);
+      await backend.remove(key);
+    },
+
+    async clear() {
+      await load();
+      await backend.clear();
+      index = new Map();
+      bytes = 0;
+    },
+
+    async keys() {
+      await load();
+      return [...index.keys()];
+    },
+
+    async getStats() {
+      await load();
+      return { entries: index.size, bytes, maxBytes, maxEntries, evictions };
+    }
+  };
+
+  return storage;
+}
+
+/**
+ * In-memory storage with LRU eviction
+ * Entries are kept as is, so responses are served with their original
+ * properties.
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes=Infinity] - Maximum total size in bytes
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+ * @returns {Object} Cache storage adapter
+ */
+export function createMemoryStorage(options = {}) {
+  const records = new Map();
+  return createLRUStorage({
+    read: async (key) => records.get(key),
+    write: async (key, record) => { records.set(key, record); },
+    remove: async (key) => { records.delete(key); },
+    clear: async () => { records.clear(); },
+    list: async () => []
+  }, options);
+}
+
+/**
+ * Web Storage (`localStorage`/`sessionStorage`) adapter
+ * @param {Storage} [webStorage=globalThis.localStorage] - Storage to use
+ * @param {Object} [options]
+ * @param {string} [options.prefix='hc-axios-cache:'] - Prefix of the storage keys
+ * @param {number} [options.maxBytes=Infinity] - Maximum total size in bytes
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+ * @returns {Object} Cache storage adapter
+ */
+export function createWebStorage(webStorage = globalThis.localStorage, {
+  prefix = 'hc-axios-cache:',
+  ...options
+} = {}) {
+  if (!webStorage) {
+    throw new Error('Web Storage is not available');
+  }
+
+  const storageKeys = () => {
+    const keys = [];
+    for (let i = 0; i < webStorage.length; i++) {
+      const key = webStorage.key(i);
+      if (key?.startsWith(prefix)) keys.push(key);
+    }
+    return keys;
+  };
+
+  const read = (storageKey) => {
+    try {
+      return JSON.parse(webStorage.getItem(storageKey)) || undefined;
+    } catch (error) {
+      return undefined;
+    }
+  };
+
+  return createLRUStorage({
+    read: async (key) => read(prefix + key),
+    write: async (key, record) => {
+      webStorage.setItem(prefix + key, JSON.stringify({ ...record, entry: toSerializableEntry(record.entry) }));
+    },
+    remove: async (key) => { webStorage.removeItem(prefix + key); },
+    clear: async () => {
+      storageKeys().forEach(key => webStorage.removeItem(key));
+    },
+    list: async () => storageKeys()
+      .map(read)
+      .filter(Boolean)
+      .map(({ key, size, time }) => ({ key, size, time }))
+  }, options);
+}
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB adapter
+ * @param {Object} [options]
+ * @param {string} [options.dbName='hc-axios-cache'] - Database name
+ * @param {string} [options.storeName='responses'] - Object store name
+ * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] - IndexedDB implementation
+ * @param {number} [options.maxBytes=Infinity] - Maximum total size in bytes
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+ * @returns {Object} Cache storage adapter
+ */
+export function createIndexedDBStorage({
+  dbName = 'hc-axios-cache',
+  storeName = 'responses',
+  indexedDB = globalThis.indexedDB,
+  ...options
+} = {}) {
+  if (!indexedDB) {
+    throw new Error('IndexedDB is not available');
+  }
+
+  let db = null;
+  const open = () => {
+    if (!db) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: 'key' });
+      };
+      db = promisify(request);
+    }
+    return db;
+  };
+
+  const run = async (mode, operation) => {
+    const database = await open();
+    const store = database.transaction(storeName, mode).objectStore(storeName);
+    return promisify(operation(store));
+  };
+
+  return createLRUStorage({
+    read: (key) => run('readonly', store => store.get(key)),
+    write: (key, record) => run('readwrite', store => store.put({ ...record, entry: toSerializableEntry(record.entry) })),
+    remove: (key) => run('readwrite', store => store.delete(key)),
+    clear: () => run('readwrite', store => store.clear()),
+    list: async () => (await run('readonly', store => store.getAll()))
+      .map(({ key, size, time }) => ({ key, size, time }))
+  }, options);
+}
+
+/**
+ * Filesystem adapter for Node.js
+ * Each entry is a JSON file named after the SHA-256 of its key.
+ * @param {Object} options
+ * @param {string} options.directory - Directory for the cache files (created when missing)
+ * @param {number} [options.maxBytes=Infinity] - Maximum total size in bytes
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+ * @returns {Object} Cache storage adapter
+ */
+export function createFileStorage({ directory, ...options } = {}) {
+  if (!directory) {
+    throw new Error('A cache directory is required');
+  }
+
+  let fs = null;
+  const load = async () => {
+    if (!fs) {
+      fs = await import('fs/promises');
+      await fs.mkdir(directory, { recursive: true });
+    }
+    return fs;
+  };
+
+  const fileName = (key) => `${toHex(sha256(key))}.json`;
+  const filePath = (name) => `${directory}/${name}`;
+
+  const read = async (name) => {
+    try {
+      return JSON.parse(await (await load()).readFile(filePath(name), 'utf8'));
+    } catch (error) {
+      return undefined;
+    }
+  };
+
+  const removeFile = async (name) => {
+    try {
+      await (await load()).unlink(filePath(name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  const cacheFiles = async () => (await (await load()).readdir(directory))
+    .filter(name => /^[0-9a-f]{64}\.json$/.test(name));
+
+  return createLRUStorage({
+    read: (key) => read(fileName(key)),
+    write: async (key, record) => {
+      await (await load()).writeFile(
+        filePath(fileName(key)),
+        JSON.stringify({ ...record, entry: toSerializableEntry(record.entry) })
+      );
+    },
+    remove: (key) => removeFile(fileName(key)),
+    clear: async () => {
+      await Promise.all((await cacheFiles()).map(removeFile));
+    },
+    list: async () => (await Promise.all((await cacheFiles()).map(read)))
+      .filter(Boolean)
+      .map(({ key, size, time }) => ({ key, size, time }))
+  }, options);
+}
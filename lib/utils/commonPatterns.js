@@ -20,18 +20,27 @@ export function createApiClient(baseURL, options = {}) {
 
 /**
  * Resource pattern (RESTful operations)
+ *
+ * With `cacheTags`, cached reads are tagged and every successful write
+ * invalidates the tags, on top of the cache's URL-based invalidation.
+ *
  * @param {import('axios').AxiosInstance} instance - Axios instance
  * @param {string} resourcePath - Resource path
+ * @param {Object} [options] - Resource options
+ * @param {string[]} [options.cacheTags] - Cache tags of the resource's responses
  * @returns {Object} Resource methods
  */
-export function createResource(instance, resourcePath) {
+export function createResource(instance, resourcePath, { cacheTags } = {}) {
+  // Configs are only passed with tags, so untagged resources call the instance as before
+  const read = cacheTags ? [{ cacheTags }] : [];
+  const write = cacheTags ? [{ cacheInvalidate: cacheTags }] : [];
   return {
-    list: (params) => instance.get(resourcePath, { params }),
-    get: (id) => instance.get(`${resourcePath}/${id}`),
-    create: (data) => instance.post(resourcePath, data),
-    update: (id, data) => instance.put(`${resourcePath}/${id}`, data),
-    patch: (id, data) => instance.patch(`${resourcePath}/${id}`, data),
-    delete: (id) => instance.delete(`${resourcePath}/${id}`)
+    list: (params) => instance.get(resourcePath, { params, ...read[0] }),
+    get: (id) => instance.get(`${resourcePath}/${id}`, ...read),
+    create: (data) => instance.post(resourcePath, data, ...write),
+    update: (id, data) => instance.put(`${resourcePath}/${id}`, data, ...write),
+    patch: (id, data) => instance.patch(`${resourcePath}/${id}`, data, ...write),
+    delete: (id) => instance.delete(`${resourcePath}/${id}`, ...write)
   };
 }
 
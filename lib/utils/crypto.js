@@ -0,0 +1,307 @@
+/**
+ * Small, dependency free crypto helpers
+ *
+ * Hashes are implemented in plain JavaScript so they are synchronous and
+ * behave the same in browsers and every supported Node version. Random bytes
+ * come from the platform's `crypto.getRandomValues`, or from Node's crypto
+ * module where there is no global `crypto` (Node before 19).
+ */
+
+// Loaded up front so the helpers below can stay synchronous
+const nodeCrypto = typeof process !== 'undefined' && process.versions?.node
+  ? await import(/* webpackIgnore: true */ 'crypto').then(module => module.default || module, () => null)
+  : null;
+
+const globalCrypto = () => (typeof globalThis !== 'undefined' ? globalThis.crypto : undefined);
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} value - String to encode
+ * @returns {Uint8Array} UTF-8 bytes
+ */
+export function utf8Encode(value) {
+  if (typeof TextEncoder !== 'undefined') {
+    return new TextEncoder().encode(value);
+  }
+  const binary = unescape(encodeURIComponent(value));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Normalize hash input to bytes
+ * @param {string|Uint8Array|ArrayBuffer} data - Input
+ * @returns {Uint8Array} Bytes
+ */
+function toBytes(data) {
+  if (typeof data === 'string') return utf8Encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('Expected a string, Uint8Array or ArrayBuffer');
+}
+
+/**
+ * Hex encode bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Lowercase hex string
+ */
+export function toHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += bytes[i].toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Base64 encode bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export function base64Encode(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Base64url encode bytes without padding (RFC 4648 §5)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+export function base64UrlEncode(bytes) {
+  return base64Encode(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Cryptographically secure random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ * @throws {Error} If the platform has no secure random source
+ */
+export function randomBytes(length) {
+  const source = globalCrypto();
+  const bytes = new Uint8Array(length);
+  if (source && typeof source.getRandomValues === 'function') {
+    source.getRandomValues(bytes);
+  } else if (nodeCrypto && typeof nodeCrypto.randomFillSync === 'function') {
+    nodeCrypto.randomFillSync(bytes);
+  } else {
+    throw new Error('crypto.getRandomValues is not available in this environment');
+  }
+  return bytes;
+}
+
+/**
+ * Random (version 4) UUID
+ * @returns {string} UUID such as `3b241101-e2bb-4255-8caf-4136c566a962`
+ */
+export function randomUUID() {
+  const source = globalCrypto();
+  if (source && typeof source.randomUUID === 'function') {
+    return source.randomUUID();
+  }
+  if (!source && nodeCrypto && typeof nodeCrypto.randomUUID === 'function') {
+    return nodeCrypto.randomUUID();
+  }
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = toHex(bytes);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 digest
+ * @param {string|Uint8Array|ArrayBuffer} data - Input (strings are UTF-8 encoded)
+ * @returns {Uint8Array} 32 byte digest
+ */
+export function sha256(data) {
+  const bytes = toBytes(data);
+  const bitLength = bytes.length * 8;
+
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the 64-bit big-endian length
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const temp1 = (h + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (S0 + maj) >>> 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) >>> 0;
+    }
+
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+    hash[5] += f;
+    hash[6] += g;
+    hash[7] += h;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+  return digest;
+}
+
+/**
+ * HMAC-SHA256 (RFC 2104)
+ * @param {string|Uint8Array|ArrayBuffer} key - Secret key (strings are UTF-8 encoded)
+ * @param {string|Uint8Array|ArrayBuffer} data - Message
+ * @returns {Uint8Array} 32 byte MAC
+ */
+export function hmacSha256(key, data) {
+  const BLOCK_SIZE = 64;
+  let keyBytes = toBytes(key);
+  if (keyBytes.length > BLOCK_SIZE) {
+    keyBytes = sha256(keyBytes);
+  }
+
+  const inner = new Uint8Array(BLOCK_SIZE);
+  const outer = new Uint8Array(BLOCK_SIZE);
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    const byte = keyBytes[i] || 0;
+    inner[i] = byte ^ 0x36;
+    outer[i] = byte ^ 0x5c;
+  }
+
+  const message = toBytes(data);
+  const innerInput = new Uint8Array(BLOCK_SIZE + message.length);
+  innerInput.set(inner);
+  innerInput.set(message, BLOCK_SIZE);
+
+  const outerInput = new Uint8Array(BLOCK_SIZE + 32);
+  outerInput.set(outer);
+  outerInput.set(sha256(innerInput), BLOCK_SIZE);
+  return sha256(outerInput);
+}
+
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+const MD5_K = Uint32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+/**
+ * MD5 digest (RFC 1321)
+ * Only for protocols that mandate it, such as HTTP Digest authentication.
+ * @param {string|Uint8Array|ArrayBuffer} data - Input (strings are UTF-8 encoded)
+ * @returns {Uint8Array} 16 byte digest
+ */
+export function md5(data) {
+  const bytes = toBytes(data);
+  const bitLength = bytes.length * 8;
+
+  // Same padding as SHA-256, but the length is little-endian
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+  view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+  const hash = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+  const m = new Uint32Array(16);
+  const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      m[i] = view.getUint32(offset + i * 4, true);
+    }
+
+    let [a, b, c, d] = hash;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const temp = d;
+      d = c;
+      c = b;
+      b = (b + rotl((a + f + MD5_K[i] + m[g]) >>> 0, MD5_SHIFTS[i])) >>> 0;
+      a = temp;
+    }
+
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((value, i) => digestView.setUint32(i * 4, value, true));
+  return digest;
+}
@@ -0,0 +1,191 @@
+import axios from 'axios';
+import { md5, sha256, toHex, randomBytes } from './crypto.js';
+
+/**
+ * Parse a `WWW-Authenticate` header into its challenges
+ * Handles several challenges in one header (`Digest realm="a", Basic realm="b"`)
+ * and quoted values containing commas.
+ *
+ * @param {string} header - Header value
+ * @returns {Array<{scheme: string, params: Object<string, string>, token68?: string}>} Challenges; param names are lowercase
+ */
+export function parseAuthenticateHeader(header) {
+  const challenges = [];
+  if (!header) return challenges;
+
+  const input = String(header);
+  let pos = 0;
+  let current = null;
+
+  const skip = (pattern) => {
+    while (pos < input.length && pattern.test(input[pos])) pos++;
+  };
+  const readToken = () => {
+    const start = pos;
+    while (pos < input.length && /[!#$%&'*+\-.^_`|~0-9A-Za-z]/.test(input[pos])) pos++;
+    return input.slice(start, pos);
+  };
+  const readQuoted = () => {
+    let value = '';
+    pos++; // opening quote
+    while (pos < input.length && input[pos] !== '"') {
+      if (input[pos] === '\\') pos++;
+      value += input[pos] ?? '';
+      pos++;
+    }
+    pos++; // closing quote
+    return value;
+  };
+
+  while (pos < input.length) {
+    skip(/[\s,]/);
+    const token = readToken();
+    if (!token) {
+      // Unparseable character: skip it rather than loop forever
+      pos++;
+      continue;
+    }
+    skip(/\s/);
+
+    if (input[pos] === '=' && current) {
+      // auth-param of the current challenge
+      pos++;
+      skip(/\s/);
+      current.params[token.toLowerCase()] = input[pos] === '"' ? readQuoted() : readToken();
+      continue;
+    }
+
+    // A token not followed by '=' starts a new challenge
+    current = { scheme: token, params: {} };
+    challenges.push(current);
+
+    // token68 form: `Negotiate abc123==`
+    const token68 = /^([A-Za-z0-9\-._~+/]+=*)\s*(,|$)/.exec(input.slice(pos));
+    if (token68) {
+      current.token68 = token68[1];
+      pos += token68[1].length;
+    }
+  }
+
+  return challenges;
+}
+
+const DIGEST_ALGORITHMS = {
+  'MD5': md5,
+  'SHA-256': sha256
+};
+
+/**
+ * HTTP Digest authentication (RFC 7616)
+ *
+ * Keeps one session per origin with the server's latest challenge and a
+ * nonce count, so requests after the first challenge are authorized
+ * up front. Supports MD5, SHA-256 and their `-sess` variants with
+ * `qop=auth` (and RFC 2069 servers that send no qop).
+ */
+export class DigestAuthHandler {
+  /**
+   * @param {Object} [options]
+   * @param {() => string} [options.createCnonce] - Client nonce generator (random 16 bytes, hex encoded)
+   */
+  constructor({ createCnonce = () => toHex(randomBytes(16)) } = {}) {
+    this.scheme = 'Digest';
+    this.sessions = new Map();
+    this.createCnonce = createCnonce;
+  }
+
+  /**
+   * Whether a challenge can be answered
+   * @param {{params: Object}} challenge - Parsed Digest challenge
+   * @returns {boolean} True for supported algorithms and qop values
+   */
+  supports({ params }) {
+    const { name } = this._algorithm(params.algorithm);
+    if (!DIGEST_ALGORITHMS[name] || !params.nonce) return false;
+    return !params.qop || params.qop.split(',').some(qop => qop.trim() === 'auth');
+  }
+
+  /**
+   * Store the challenge sent with a 401
+   * @param {{params: Object}} challenge - Parsed Digest challenge
+   * @param {{config: Object, credentials: {username: string, password: string}}} context
+   */
+  handleChallenge({ params }, { config, credentials }) {
+    const previous = this.sessions.get(this._origin(config));
+    this.sessions.set(this._origin(config), {
+      ...params,
+      credentials,
+      nc: previous?.nonce === params.nonce ? previous.nc : 0
+    });
+  }
+
+  /**
+   * Build the Authorization header for a request
+   * @param {Object} config - Request config
+   * @returns {string|null} Header value, or null without a session for the request's origin
+   */
+  authorize(config) {
+    const session = this.sessions.get(this._origin(config));
+    if (!session) return null;
+
+    const { name, sess } = this._algorithm(session.algorithm);
+    const hash = (value) => toHex(DIGEST_ALGORITHMS[name](value));
+    const { username, password } = session.credentials;
+    const url = new URL(axios.getUri(config), 'http://localhost');
+    const uri = `${url.pathname}${url.search}`;
+    const method = (config.method || 'get').toUpperCase();
+    const qop = session.qop ? 'auth' : null;
+
+    session.nc += 1;
+    const nc = session.nc.toString(16).padStart(8, '0');
+    const cnonce = this.createCnonce();
+
+    let ha1 = hash(`${username}:${session.realm}:${password}`);
+    if (sess) {
+      ha1 = hash(`${ha1}:${session.nonce}:${cnonce}`);
+    }
+    const ha2 = hash(`${method}:${uri}`);
+    const response = qop
+      ? hash(`${ha1}:${session.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+      : hash(`${ha1}:${session.nonce}:${ha2}`);
+
+    const quote = (value) => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    const parts = [
+      `username=${quote(username)}`,
+      `realm=${quote(session.realm)}`,
+      `nonce=${quote(session.nonce)}`,
+      `uri=${quote(uri)}`,
+      `algorithm=${session.algorithm || 'MD5'}`,
+      `response=${quote(response)}`
+    ];
+    if (session.opaque !== undefined) {
+      parts.push(`opaque=${quote(session.opaque)}`);
+    }
+    if (qop) {
+      parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce=${quote(cnonce)}`);
+    }
+    return `Digest ${parts.join(', ')}`;
+  }
+
+  /**
+   * Forget the session for a request's origin (or every session)
+   * @param {Object} [config] - Request config
+   */
+  reset(config) {
+    if (config) {
+      this.sessions.delete(this._origin(config));
+    } else {
+      this.sessions.clear();
+    }
+  }
+
+  _algorithm(algorithm = 'MD5') {
+    const upper = algorithm.toUpperCase();
+    const sess = upper.endsWith('-SESS');
+    return { name: sess ? upper.slice(0, -5) : upper, sess };
+  }
+
+  _origin(config) {
+    return new URL(axios.getUri(config), 'http://localhost').origin;
+  }
+}
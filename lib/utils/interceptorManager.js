@@ -1,3 +1,9 @@
+import { resolveAuthScheme, getRequestAuthentication, usesInstanceToken } from './authSchemes.js';
+import { whenResolved } from './tokenProvider.js';
+import { getServerRetryDelay } from './retryAfter.js';
+import { createBackoff } from './backoff.js';
+import { createRequestSigner } from '../interceptors/signing.js';
+
 /**
  * Enhanced interceptor management utilities with complete implementations
  */
@@ -11,6 +17,7 @@ export class InterceptorManager {
     this.errorHandler = this._createErrorHandler();
     this.interceptorConfig = new Map(); // Store original configurations
     this.cleanupCallbacks = new Set(); // For instance destruction cleanup
+    this.backoffs = new WeakMap(); // Backoff strategy of each retry config
     
     // Dynamic interceptor registry
     this.interceptorRegistry = this._buildInterceptorRegistry();
@@ -104,6 +111,13 @@ export class InterceptorManager {
         hasRequestLogic: true,
         hasResponseLogic: false,
         configurable: true
+      },
+      requestSigning: {
+        method: 'useRequestSigning',
+        removeMethod: 'removeRequestSigning',
+        hasRequestLogic: true,
+        hasResponseLogic: false,
+        configurable: true
       }
     };
   }
@@ -789,6 +803,9 @@ export class InterceptorManager {
         case 'refreshToken':
           return this._applyRefreshTokenLogic(data, type, config);
           
+        case 'requestSigning':
+          return this._applyRequestSigningLogic(data, type, config);
+          
         default:
           console.warn(`[InterceptorManager] No logic implementation for '${interceptorName}'`);
           return type === 'responseError' || type === 'requestError' ? Promise.reject(data) : data;
@@ -813,12 +830,28 @@ export class InterceptorManager {
    * @private
    */
   _applyAuthLogic(data, type, config) {
-    if (type === 'request') {
-      const token = this._getAuthToken(config);
-      if (token) {
-        data.headers = data.headers || {};
-        data.headers.Authorization = `Bearer ${token}`;
+    if (type === 'request' && !data.__isRefreshRequest) {
+      const authentication = getRequestAuthentication(data);
+      if (authentication === false) {
+        return data;
+      }
+
+      const scheme = resolveAuthScheme(authentication?.scheme || config.scheme);
+      if (authentication?.token === undefined) {
+        const token = this._getAuthToken(config);
+        if (token) {
+          scheme.apply(data, token);
+        }
+        return data;
       }
+
+      const token = typeof authentication.token === 'function' ? authentication.token() : authentication.token;
+      return whenResolved(token, (resolved) => {
+        if (resolved) {
+          scheme.apply(data, resolved);
+        }
+        return data;
+      });
     }
     return data;
   }
@@ -865,6 +898,18 @@ export class InterceptorManager {
     return data;
   }
 
+  /**
+   * Backoff strategy of a retry config
+   * Created once, so seeded jitter moves on between retries.
+   * @private
+   */
+  _getBackoff(config) {
+    if (!this.backoffs.has(config)) {
+      this.backoffs.set(config, createBackoff(config.backoff));
+    }
+    return this.backoffs.get(config);
+  }
+
   /**
    * Apply retry interceptor logic
    * @private
@@ -885,9 +930,23 @@ export class InterceptorManager {
       if (shouldRetry && retryConfig.__retryCount < retries) {
         retryConfig.__retryCount += 1;
         
-        const delay = typeof retryDelay === 'function' 
-          ? retryDelay(retryConfig.__retryCount)
-          : retryDelay;
+        let delay;
+        if (config.backoff) {
+          delay = this._getBackoff(config)(retryConfig.__retryCount, retryConfig.__retryDelay);
+        } else {
+          delay = typeof retryDelay === 'function' 
+            ? retryDelay(retryConfig.__retryCount)
+            : retryDelay;
+        }
+        
+        // Prefer the delay the server asked for (Retry-After, rate limit reset)
+        const serverDelay = config.respectRetryAfter === false ? null : getServerRetryDelay(data.response);
+        if (serverDelay !== null) {
+          data.retryAfter = serverDelay;
+          delay = Math.min(serverDelay, config.maxRetryAfter ?? 60000);
+        }
+        data.retryDelay = delay;
+        retryConfig.__retryDelay = delay;
         
         // Return a promise that retries after delay
         return new Promise((resolve, reject) => {
@@ -1031,7 +1090,7 @@ export class InterceptorManager {
    * @private
    */
   _applyRefreshTokenLogic(data, type, config) {
-    if (type === 'responseError' && data.response?.status === 401) {
+    if (type === 'responseError' && data.response?.status === 401 && usesInstanceToken(data.config)) {
       const originalRequest = data.config;
       
       if (!originalRequest._retry) {
@@ -1078,6 +1137,24 @@ export class InterceptorManager {
     return Promise.reject(data);
   }
 
+  /**
+   * Apply request signing interceptor logic
+   * @private
+   */
+  _applyRequestSigningLogic(data, type, config) {
+    if (type === 'request') {
+      if (!this._requestSigners) {
+        this._requestSigners = new WeakMap();
+      }
+      // One signer per conditional config, so option validation runs once
+      if (!this._requestSigners.has(config)) {
+        this._requestSigners.set(config, createRequestSigner(config));
+      }
+      return this._requestSigners.get(config)(data);
+    }
+    return data;
+  }
+
   // Helper methods for interceptor logic
 
   /**
@@ -1432,6 +1509,7 @@ export class InterceptorManager {
         cachedResponses: this._cache ? this._cache.size : 0,
         rateLimitEntries: this._rateLimitRequests ? this._rateLimitRequests.length : 0
       },
+      cache: this.instance?.cache?.getStats ? this.instance.cache.getStats() : null,
       health: this._getHealthMetrics()
     };
   }
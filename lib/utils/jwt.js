@@ -0,0 +1,51 @@
+/**
+ * Minimal JWT helpers
+ *
+ * Only decodes the payload; signatures are NOT verified. Used to read the
+ * `exp` claim for proactive token refresh.
+ */
+
+/**
+ * Decode a base64url string to text
+ * @param {string} input - base64url encoded string
+ * @returns {string} Decoded text
+ */
+function decodeBase64Url(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(padded, 'base64').toString('utf8');
+  }
+  return decodeURIComponent(escape(atob(padded)));
+}
+
+/**
+ * Decode the payload of a JWT
+ * @param {string} token - Encoded JWT
+ * @returns {Object|null} Payload claims, or null if the token is not a decodable JWT
+ */
+export function decodeJwtPayload(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const payload = JSON.parse(decodeBase64Url(parts[1]));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the expiry time of a JWT
+ * @param {string} token - Encoded JWT
+ * @returns {number|null} Expiry as a millisecond timestamp, or null if unknown
+ */
+export function getJwtExpiry(token) {
+  const payload = decodeJwtPayload(token);
+  if (!payload || typeof payload.exp !== 'number') return null;
+  return payload.exp * 1000;
+}
@@ -0,0 +1,379 @@
+import axios from 'axios';
+import { TokenProvider } from './tokenProvider.js';
+import { base64Encode, base64UrlEncode, randomBytes, sha256, utf8Encode } from './crypto.js';
+
+/**
+ * OAuth 2.0 client flows
+ *
+ * Supports the client_credentials, refresh_token and authorization_code
+ * (with PKCE) grants against a token endpoint, storing tokens in a
+ * TokenProvider so they can be shared with the auth and refresh interceptors.
+ */
+
+// Stand-in refresh token so the refresh interceptor can re-run the
+// client_credentials grant, which has no refresh token of its own
+const CLIENT_CREDENTIALS_REFRESH = 'client_credentials';
+
+/**
+ * Generate a PKCE code verifier (RFC 7636 §4.1)
+ * @param {number} [length=64] - Verifier length, between 43 and 128 characters
+ * @returns {string} Code verifier
+ */
+export function generateCodeVerifier(length = 64) {
+  if (length < 43 || length > 128) {
+    throw new Error('PKCE code verifier length must be between 43 and 128 characters');
+  }
+  // base64url yields 4 characters per 3 bytes
+  return base64UrlEncode(randomBytes(Math.ceil((length * 3) / 4))).slice(0, length);
+}
+
+/**
+ * Create a PKCE code challenge (RFC 7636 §4.2)
+ * @param {string} codeVerifier - Code verifier
+ * @param {'S256'|'plain'} [method='S256'] - Challenge method
+ * @returns {string} Code challenge
+ */
+export function createCodeChallenge(codeVerifier, method = 'S256') {
+  if (method === 'plain') return codeVerifier;
+  if (method !== 'S256') {
+    throw new Error(`Unsupported PKCE code challenge method '${method}'`);
+  }
+  return base64UrlEncode(sha256(codeVerifier));
+}
+
+/**
+ * Join scopes into the space separated form used by OAuth2
+ * @param {string|string[]} [scope] - Scope(s)
+ * @returns {string|undefined} Scope string
+ */
+function formatScope(scope) {
+  if (!scope) return undefined;
+  return Array.isArray(scope) ? scope.join(' ') : scope;
+}
+
+export class OAuth2Client {
+  /**
+   * @param {Object} options
+   * @param {string} options.tokenUrl - Token endpoint
+   * @param {string} [options.authorizationUrl] - Authorization endpoint (authorization_code grant)
+   * @param {string} options.clientId - Client identifier
+   * @param {string} [options.clientSecret] - Client secret (omit for public clients)
+   * @param {string|string[]} [options.scope] - Default scope(s)
+   * @param {string} [options.redirectUri] - Default redirect URI
+   * @param {'client_credentials'|'authorization_code'} [options.grantType='authorization_code'] - Grant used to obtain tokens
+   * @param {'basic'|'body'} [options.clientAuthentication='basic'] - How the client secret is sent
+   * @param {TokenProvider} [options.tokenProvider] - Token storage (defaults to in-memory)
+   * @param {import('axios').AxiosInstance|Function} [options.httpClient=axios] - Client used to call the token endpoint
+   * @param {number} [options.expirySkew=30000] - Treat tokens as expired this many milliseconds early
+   */
+  constructor({
+    tokenUrl,
+    authorizationUrl,
+    clientId,
+    clientSecret,
+    scope,
+    redirectUri,
+    grantType = 'authorization_code',
+    clientAuthentication = 'basic',
+    tokenProvider = new TokenProvider(),
+    httpClient = axios,
+    expirySkew = 30000
+  } = {}) {
+    if (!tokenUrl) {
+      throw new Error('OAuth2Client requires a tokenUrl');
+    }
+    if (!clientId) {
+      throw new Error('OAuth2Client requires a clientId');
+    }
+    if (grantType !== 'client_credentials' && grantType !== 'authorization_code') {
+      throw new Error(`Unsupported OAuth2 grant type '${grantType}'`);
+    }
+
+    this.tokenUrl = tokenUrl;
+    this.authorizationUrl = authorizationUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = formatScope(scope);
+    this.redirectUri = redirectUri;
+    this.grantType = grantType;
+    this.clientAuthentication = clientAuthentication;
+    this.tokenProvider = tokenProvider;
+    this.httpClient = httpClient;
+    this.expirySkew = expirySkew;
+
+    this.expiresAt = null;
+    this.grantedScope = null;
+    // Token endpoint calls in flight, by request body
+    this.pendingRequests = new Map();
+  }
+
+  /**
+   * Build the axios config for a token endpoint request
+   * @param {Object} params - Grant parameters
+   * @returns {import('axios').AxiosRequestConfig} Request config
+   */
+  createTokenRequestConfig(params) {
+    const body = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) body.append(key, value);
+    });
+
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    if (this.clientSecret && this.clientAuthentication === 'basic') {
+      // RFC 6749 §2.3.1: credentials are form-encoded before base64 encoding
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${base64Encode(utf8Encode(credentials))}`;
+    } else {
+      body.append('client_id', this.clientId);
+      if (this.clientSecret) body.append('client_secret', this.clientSecret);
+    }
+
+    return {
+      method: 'post',
+      url: this.tokenUrl,
+      headers,
+      data: body.toString()
+    };
+  }
+
+  /**
+   * Parse a token endpoint response and record expiry and granted scope
+   * @param {import('axios').AxiosResponse} response - Token endpoint response
+   * @returns {{token: string, refreshToken?: string, expiresAt: number|null, scope: string|null, tokenType: string}} Tokens
+   */
+  parseTokenResponse(response) {
+    const data = response?.data || {};
+    if (data.error) {
+      throw createOAuth2Error(data, response);
+    }
+    if (!data.access_token) {
+      throw new Error('Invalid OAuth2 token response: missing access_token');
+    }
+
+    this.expiresAt = data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null;
+    this.grantedScope = data.scope || this.grantedScope;
+
+    return {
+      token: data.access_token,
+      refreshToken: data.refresh_token,
+      expiresAt: this.expiresAt,
+      scope: data.scope || null,
+      tokenType: data.token_type || 'Bearer'
+    };
+  }
+
+  /**
+   * Call the token endpoint, store the tokens and return them
+   * @param {Object} params - Grant parameters
+   * @returns {Promise<Object>} Parsed tokens
+   */
+  async requestToken(params) {
+    const config = this.createTokenRequestConfig(params);
+    let response;
+    try {
+      response = await this.sendTokenRequest(config);
+    } catch (error) {
+      if (error.response?.data?.error) {
+        throw createOAuth2Error(error.response.data, error.response);
+      }
+      throw error;
+    }
+
+    const tokens = this.parseTokenResponse(response);
+    await this.tokenProvider.set(
+      tokens.refreshToken
+        ? { token: tokens.token, refreshToken: tokens.refreshToken }
+        : { token: tokens.token }
+    );
+    return tokens;
+  }
+
+  /**
+   * Send a request to the token endpoint
+   * Identical requests in flight share one call, so the auth interceptor
+   * (through getAccessToken) and the refresh interceptor never fetch the
+   * same token twice.
+   * @param {import('axios').AxiosRequestConfig} config - Request config (see createTokenRequestConfig)
+   * @returns {Promise<import('axios').AxiosResponse>} Token endpoint response
+   */
+  sendTokenRequest(config) {
+    const key = config.data;
+    if (!this.pendingRequests.has(key)) {
+      const request = Promise.resolve()
+        .then(() => (typeof this.httpClient.request === 'function'
+          ? this.httpClient.request(config)
+          : this.httpClient(config)))
+        .finally(() => this.pendingRequests.delete(key));
+      this.pendingRequests.set(key, request);
+    }
+    return this.pendingRequests.get(key);
+  }
+
+  /**
+   * Obtain a token with the client_credentials grant
+   * @param {Object} [options]
+   * @param {string|string[]} [options.scope] - Scope(s), defaults to the client scope
+   * @returns {Promise<Object>} Parsed tokens
+   */
+  clientCredentials({ scope } = {}) {
+    return this.requestToken({
+      grant_type: 'client_credentials',
+      scope: formatScope(scope) || this.scope
+    });
+  }
+
+  /**
+   * Obtain new tokens with the refresh_token grant
+   * @param {string} [refreshToken] - Refresh token, defaults to the stored one
+   * @param {Object} [options]
+   * @param {string|string[]} [options.scope] - Narrower scope to request
+   * @returns {Promise<Object>} Parsed tokens
+   */
+  async refresh(refreshToken, { scope } = {}) {
+    const token = refreshToken || await this.tokenProvider.getRefreshToken();
+    if (!token) {
+      throw new Error('No refresh token available');
+    }
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: token,
+      scope: formatScope(scope)
+    });
+  }
+
+  /**
+   * Create an authorization URL with PKCE parameters
+   * Keep the returned `codeVerifier` and `state` until the redirect comes back.
+   * @param {Object} [options]
+   * @param {string|string[]} [options.scope] - Scope(s), defaults to the client scope
+   * @param {string} [options.redirectUri] - Redirect URI, defaults to the client redirect URI
+   * @param {string} [options.state] - Opaque state, generated when omitted
+   * @param {string} [options.codeVerifier] - Code verifier, generated when omitted
+   * @param {Object} [options.params] - Extra query parameters (e.g. prompt, audience)
+   * @returns {{url: string, state: string, codeVerifier: string, codeChallenge: string}} Authorization request
+   */
+  createAuthorizationRequest({ scope, redirectUri, state, codeVerifier, params = {} } = {}) {
+    if (!this.authorizationUrl) {
+      throw new Error('OAuth2Client requires an authorizationUrl to start the authorization_code flow');
+    }
+
+    const verifier = codeVerifier || generateCodeVerifier();
+    const codeChallenge = createCodeChallenge(verifier);
+    const requestState = state || base64UrlEncode(randomBytes(16));
+
+    const query = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      state: requestState
+    });
+    const redirect = redirectUri || this.redirectUri;
+    const requestScope = formatScope(scope) || this.scope;
+    if (redirect) query.set('redirect_uri', redirect);
+    if (requestScope) query.set('scope', requestScope);
+    Object.entries(params).forEach(([key, value]) => query.set(key, value));
+
+    const separator = this.authorizationUrl.includes('?') ? '&' : '?';
+    return {
+      url: `${this.authorizationUrl}${separator}${query.toString()}`,
+      state: requestState,
+      codeVerifier: verifier,
+      codeChallenge
+    };
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {Object} options
+   * @param {string} options.code - Authorization code from the redirect
+   * @param {string} options.codeVerifier - Verifier from createAuthorizationRequest
+   * @param {string} [options.redirectUri] - Redirect URI used in the authorization request
+   * @returns {Promise<Object>} Parsed tokens
+   */
+  exchangeCode({ code, codeVerifier, redirectUri } = {}) {
+    if (!code) {
+      throw new Error('Authorization code is required');
+    }
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: codeVerifier,
+      redirect_uri: redirectUri || this.redirectUri
+    });
+  }
+
+  /**
+   * Whether the current access token is expired (or about to be)
+   * @returns {boolean} True when expired
+   */
+  isExpired() {
+    return this.expiresAt !== null && this.expiresAt - this.expirySkew <= Date.now();
+  }
+
+  /**
+   * Current access token
+   * With the client_credentials grant a new token is fetched when none is
+   * stored or it has expired; concurrent callers share one request (see
+   * sendTokenRequest).
+   * @returns {Promise<string|null>} Access token
+   */
+  async getAccessToken() {
+    const token = await this.tokenProvider.getAccessToken();
+    if (this.grantType !== 'client_credentials' || (token && !this.isExpired())) {
+      return token;
+    }
+    return (await this.clientCredentials()).token;
+  }
+
+  /**
+   * Options for useRefreshToken / attachRefreshInterceptor
+   * The refresh call uses the refresh_token grant, or re-runs the
+   * client_credentials grant when that is the configured grant type.
+   * @returns {Object} Refresh interceptor options
+   */
+  createRefreshOptions() {
+    const tokenProvider = this.tokenProvider;
+    return {
+      getAccessToken: () => tokenProvider.getAccessToken(),
+      getRefreshToken: async () => {
+        const refreshToken = await tokenProvider.getRefreshToken();
+        if (refreshToken) return refreshToken;
+        return this.grantType === 'client_credentials' ? CLIENT_CREDENTIALS_REFRESH : null;
+      },
+      setAccessToken: (token) => tokenProvider.set({ token }),
+      setRefreshToken: (refreshToken) => tokenProvider.set({ refreshToken }),
+      onRefreshTokenFail: () => tokenProvider.clear(),
+      refreshUrl: this.tokenUrl,
+      refreshRequestConfig: (refreshToken) => this.createTokenRequestConfig(
+        refreshToken === CLIENT_CREDENTIALS_REFRESH
+          ? { grant_type: 'client_credentials', scope: this.scope }
+          : { grant_type: 'refresh_token', refresh_token: refreshToken }
+      ),
+      handleRefreshResponse: (response) => this.parseTokenResponse(response),
+      refreshClient: (config) => this.sendTokenRequest(config),
+      proactiveRefresh: { getExpiry: () => this.expiresAt, skew: this.expirySkew }
+    };
+  }
+}
+
+/**
+ * Create an error from an OAuth2 error response (RFC 6749 §5.2)
+ * @param {Object} data - Error response body
+ * @param {import('axios').AxiosResponse} [response] - Response
+ * @returns {Error} Error with `code`, `error` and `errorDescription`
+ */
+function createOAuth2Error(data, response) {
+  const error = new Error(
+    `OAuth2 token request failed: ${data.error}${data.error_description ? ` (${data.error_description})` : ''}`
+  );
+  error.code = 'OAUTH2_ERROR';
+  error.error = data.error;
+  error.errorDescription = data.error_description;
+  error.response = response;
+  return error;
+}
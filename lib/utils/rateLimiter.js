@@ -0,0 +1,179 @@
+/**
+ * Rate limiting algorithms
+ *
+ * - `sliding-window-log` - at most `maxRequests` in any `windowMs`, exact.
+ *   Keeps one timestamp per allowed request (a ring of `maxRequests`).
+ * - `sliding-window-counter` - counts per fixed window, weighting the
+ *   previous window's count by how much of it still overlaps the sliding
+ *   window. Approximate, with constant memory.
+ * - `token-bucket` - refills `maxRequests` tokens per `windowMs`, holding up
+ *   to `burst` (default `maxRequests`), so bursts are allowed.
+ * - `leaky-bucket` - drains `maxRequests` per `windowMs` at a constant rate,
+ *   holding up to `burst` (default 1), so requests are evenly spaced.
+ *
+ * Every algorithm accounts a request in constant time.
+ */
+export const RATE_LIMIT_ALGORITHMS = [
+  'sliding-window-log',
+  'sliding-window-counter',
+  'token-bucket',
+  'leaky-bucket'
+];
+
+// Tolerance for the floating point refill and drain arithmetic
+const EPSILON = 1e-9;
+
+// Each algorithm returns `acquire(now)`, which takes a slot or returns the
+// wait, and `remaining(now)`, which counts the free slots without taking one
+
+const createSlidingWindowLog = ({ maxRequests, windowMs }) => {
+  const times = []; // Ring buffer, oldest at `head` once full
+  let head = 0;
+
+  return {
+    acquire: (now) => {
+      if (times.length < maxRequests) {
+        times.push(now);
+        return 0;
+      }
+      const oldest = times[head];
+      if (now - oldest > windowMs) {
+        times[head] = now;
+        head = (head + 1) % maxRequests;
+        return 0;
+      }
+      return oldest + windowMs + 1 - now;
+    },
+    remaining: (now) => maxRequests - times.filter(time => now - time <= windowMs).length
+  };
+};
+
+const createSlidingWindowCounter = ({ maxRequests, windowMs }) => {
+  let windowStart = null;
+  let current = 0;
+  let previous = 0;
+
+  const roll = (now) => {
+    if (windowStart === null) {
+      windowStart = now - (now % windowMs);
+    }
+    const elapsedWindows = Math.floor((now - windowStart) / windowMs);
+    if (elapsedWindows > 0) {
+      previous = elapsedWindows === 1 ? current : 0;
+      current = 0;
+      windowStart += elapsedWindows * windowMs;
+    }
+    return previous * (1 - (now - windowStart) / windowMs) + current;
+  };
+
+  return {
+    acquire: (now) => {
+      if (roll(now) + 1 <= maxRequests + EPSILON) {
+        current += 1;
+        return 0;
+      }
+      if (current + 1 > maxRequests) {
+        return windowStart + windowMs - now;
+      }
+      // When the previous window's share has shrunk enough
+      const neededOverlap = (maxRequests - current - 1) / previous;
+      return Math.max(1, Math.ceil(windowStart + windowMs * (1 - neededOverlap) - now));
+    },
+    remaining: (now) => Math.max(0, Math.floor(maxRequests - roll(now) + EPSILON))
+  };
+};
+
+const createTokenBucket = ({ maxRequests, windowMs, burst = maxRequests }) => {
+  const rate = maxRequests / windowMs; // Tokens per ms
+  let tokens = burst;
+  let last = null;
+
+  const refill = (now) => {
+    if (last !== null) {
+      tokens = Math.min(burst, tokens + Math.max(0, now - last) * rate);
+    }
+    last = now;
+    return tokens;
+  };
+
+  return {
+    acquire: (now) => {
+      if (refill(now) + EPSILON >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.max(1, Math.ceil((1 - tokens) / rate));
+    },
+    remaining: (now) => Math.floor(refill(now) + EPSILON)
+  };
+};
+
+const createLeakyBucket = ({ maxRequests, windowMs, burst = 1 }) => {
+  const interval = windowMs / maxRequests; // ms per drained request
+  let level = 0;
+  let last = null;
+
+  const leak = (now) => {
+    if (last !== null) {
+      level = Math.max(0, level - Math.max(0, now - last) / interval);
+    }
+    last = now;
+    return level;
+  };
+
+  return {
+    acquire: (now) => {
+      if (leak(now) + 1 <= burst + EPSILON) {
+        level += 1;
+        return 0;
+      }
+      return Math.max(1, Math.ceil((level + 1 - burst) * interval));
+    },
+    remaining: (now) => Math.max(0, Math.floor(burst - leak(now) + EPSILON))
+  };
+};
+
+const ALGORITHMS = {
+  'sliding-window-log': createSlidingWindowLog,
+  'sliding-window-counter': createSlidingWindowCounter,
+  'token-bucket': createTokenBucket,
+  'leaky-bucket': createLeakyBucket
+};
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options]
+ * @param {string} [options.algorithm='sliding-window-log'] - One of RATE_LIMIT_ALGORITHMS
+ * @param {number} [options.maxRequests=100] - Requests allowed per window
+ * @param {number} [options.windowMs=60000] - Window length in milliseconds
+ * @param {number} [options.burst] - Bucket capacity (`token-bucket` and `leaky-bucket`)
+ * @returns {{algorithm: string, tryAcquire: (now?: number) => number, remaining: (now?: number) => number}}
+ *   Limiter whose `tryAcquire` takes a slot and returns 0, or returns the ms until one may
+ *   be free (Infinity when none ever will), and whose `remaining` counts the free slots
+ */
+export function createRateLimiter({
+  algorithm = 'sliding-window-log',
+  maxRequests = 100,
+  windowMs = 60000,
+  burst
+} = {}) {
+  if (!RATE_LIMIT_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown rate limit algorithm '${algorithm}'`);
+  }
+
+  let limit;
+  if (!(maxRequests > 0) || burst <= 0) {
+    limit = { acquire: () => Infinity, remaining: () => 0 };
+  } else if (maxRequests === Infinity || (algorithm !== 'sliding-window-log' && !(windowMs > 0))) {
+    // Rates need a finite limit and a window; without them nothing is limited
+    limit = { acquire: () => 0, remaining: () => Infinity };
+  } else {
+    limit = ALGORITHMS[algorithm]({ maxRequests, windowMs, burst });
+  }
+
+  return {
+    algorithm,
+    tryAcquire: (now = Date.now()) => limit.acquire(now),
+    remaining: (now = Date.now()) => limit.remaining(now)
+  };
+}
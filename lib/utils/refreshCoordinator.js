@@ -0,0 +1,319 @@
+/**
+ * Cross-tab token refresh coordination
+ *
+ * When several browser tabs share a refresh token, only one of them may use
+ * it at a time or rotating refresh tokens invalidate each other. The
+ * coordinator elects a single tab (the lock holder) to run the refresh and
+ * broadcasts the resulting tokens to every other tab.
+ *
+ * Lock adapters implement:
+ * - `acquire(ttl)` → Promise<boolean> — true when this tab holds the lock
+ * - `release()` → releases the lock if held by this tab
+ * - `publish(message)` → sends a message to the other tabs (not to itself)
+ * - `subscribe(listener)` → listens for messages, returns an unsubscribe function
+ * - `close()` (optional) → releases underlying resources
+ */
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * In-memory lock adapter
+ * Adapters created from the same `shared` state behave like tabs of one
+ * browser, which makes the coordinator testable without browser APIs.
+ */
+export class MemoryLockAdapter {
+  /**
+   * @param {Object} [shared] - State shared between "tabs" (see MemoryLockAdapter.createShared)
+   */
+  constructor(shared = MemoryLockAdapter.createShared()) {
+    this.id = createId();
+    this.shared = shared;
+  }
+
+  /**
+   * Create state to share between several adapters
+   * @returns {{lock: Object|null, listeners: Map}} Shared state
+   */
+  static createShared() {
+    return { lock: null, listeners: new Map() };
+  }
+
+  async acquire(ttl) {
+    const { lock } = this.shared;
+    if (lock && lock.owner !== this.id && lock.expires > Date.now()) {
+      return false;
+    }
+    this.shared.lock = { owner: this.id, expires: Date.now() + ttl };
+    return true;
+  }
+
+  async release() {
+    if (this.shared.lock?.owner === this.id) {
+      this.shared.lock = null;
+    }
+  }
+
+  publish(message) {
+    this.shared.listeners.forEach((listeners, owner) => {
+      if (owner === this.id) return;
+      listeners.forEach(listener => listener(message));
+    });
+  }
+
+  subscribe(listener) {
+    if (!this.shared.listeners.has(this.id)) {
+      this.shared.listeners.set(this.id, new Set());
+    }
+    const listeners = this.shared.listeners.get(this.id);
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  close() {
+    this.shared.listeners.delete(this.id);
+  }
+}
+
+/**
+ * Browser lock adapter
+ * Holds the lock in localStorage and broadcasts messages through a
+ * BroadcastChannel, falling back to `storage` events where BroadcastChannel
+ * is not available.
+ */
+export class StorageLockAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.channelName='hc-axios-token-refresh'] - BroadcastChannel name and storage key prefix
+   * @param {Storage} [options.storage=localStorage] - Storage holding the lock
+   * @param {Function} [options.BroadcastChannel=globalThis.BroadcastChannel] - BroadcastChannel implementation (null to use storage events)
+   * @param {Object} [options.eventTarget=window] - Target receiving `storage` events
+   * @param {number} [options.settleDelay=50] - Wait before confirming a lock write, to detect competing writers
+   */
+  constructor({
+    channelName = 'hc-axios-token-refresh',
+    storage = typeof localStorage !== 'undefined' ? localStorage : null,
+    BroadcastChannel: Channel = typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null,
+    eventTarget = typeof window !== 'undefined' ? window : null,
+    settleDelay = 50
+  } = {}) {
+    if (!storage) {
+      throw new Error('StorageLockAdapter requires localStorage or a storage option');
+    }
+
+    this.id = createId();
+    this.storage = storage;
+    this.lockKey = `${channelName}:lock`;
+    this.messageKey = `${channelName}:message`;
+    this.settleDelay = settleDelay;
+    this.eventTarget = eventTarget;
+    this.channel = Channel ? new Channel(channelName) : null;
+    // Node's BroadcastChannel would otherwise keep the process alive
+    this.channel?.unref?.();
+  }
+
+  _readLock() {
+    try {
+      return JSON.parse(this.storage.getItem(this.lockKey));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async acquire(ttl) {
+    const current = this._readLock();
+    if (current && current.owner !== this.id && current.expires > Date.now()) {
+      return false;
+    }
+
+    this.storage.setItem(this.lockKey, JSON.stringify({ owner: this.id, expires: Date.now() + ttl }));
+
+    // Another tab may have written at the same moment; the last writer wins
+    await delay(this.settleDelay);
+    return this._readLock()?.owner === this.id;
+  }
+
+  async release() {
+    if (this._readLock()?.owner === this.id) {
+      this.storage.removeItem(this.lockKey);
+    }
+  }
+
+  publish(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    // Writing then removing the key fires a storage event in every other tab
+    this.storage.setItem(this.messageKey, JSON.stringify({ ...message, nonce: createId() }));
+    this.storage.removeItem(this.messageKey);
+  }
+
+  subscribe(listener) {
+    if (this.channel) {
+      const handler = (event) => listener(event.data);
+      this.channel.addEventListener('message', handler);
+      return () => this.channel.removeEventListener('message', handler);
+    }
+
+    if (!this.eventTarget) {
+      return () => {};
+    }
+
+    const handler = (event) => {
+      if (event.key !== this.messageKey || !event.newValue) return;
+      try {
+        listener(JSON.parse(event.newValue));
+      } catch (error) {
+        // Ignore malformed messages
+      }
+    };
+    this.eventTarget.addEventListener('storage', handler);
+    return () => this.eventTarget.removeEventListener('storage', handler);
+  }
+
+  close() {
+    this.channel?.close();
+  }
+}
+
+export class RefreshCoordinator {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.lock] - Lock adapter (defaults to StorageLockAdapter in browsers, MemoryLockAdapter elsewhere)
+   * @param {number} [options.timeout=10000] - How long a waiting tab waits for another tab's tokens
+   * @param {number} [options.lockTtl=15000] - Lock expiry, so a closed tab cannot hold the lock forever
+   */
+  constructor({ lock, timeout = 10000, lockTtl = 15000 } = {}) {
+    this.lock = lock || RefreshCoordinator.createDefaultLock();
+    this.timeout = timeout;
+    this.lockTtl = lockTtl;
+    this.tokenListeners = new Set();
+    this.waiters = new Set();
+    this.unsubscribe = this.lock.subscribe((message) => this._handleMessage(message));
+  }
+
+  /**
+   * Pick the lock adapter for the current environment
+   * @returns {Object} Lock adapter
+   */
+  static createDefaultLock() {
+    if (typeof localStorage !== 'undefined') {
+      return new StorageLockAdapter();
+    }
+    return new MemoryLockAdapter();
+  }
+
+  /**
+   * Run a refresh, or wait for the tab that is already running one
+   * @param {() => Promise<{token: string, refreshToken?: string}>} refreshFn - Performs the refresh in this tab
+   * @returns {Promise<{token: string, refreshToken?: string}>} The new tokens
+   */
+  async run(refreshFn) {
+    // Start listening before trying the lock so a fast broadcast is not missed
+    const waiter = this._createWaiter();
+
+    let acquired;
+    try {
+      acquired = await this.lock.acquire(this.lockTtl);
+    } catch (error) {
+      waiter.cancel();
+      throw error;
+    }
+
+    if (!acquired) {
+      return waiter.promise;
+    }
+
+    waiter.cancel();
+    try {
+      const tokens = await refreshFn();
+      this.lock.publish({ type: 'tokens', tokens });
+      return tokens;
+    } catch (error) {
+      this.lock.publish({ type: 'failed', message: error?.message });
+      throw error;
+    } finally {
+      await this.lock.release();
+    }
+  }
+
+  /**
+   * Listen for tokens refreshed by another tab
+   * Listeners run before waiting requests are resumed.
+   * @param {(tokens: Object) => (void|Promise<void>)} listener - Receives `{ token, refreshToken }`
+   * @returns {Function} Unsubscribe function
+   */
+  onTokens(listener) {
+    this.tokenListeners.add(listener);
+    return () => this.tokenListeners.delete(listener);
+  }
+
+  /**
+   * Stop listening to other tabs and release adapter resources
+   * Tabs still waiting for another tab's tokens are rejected.
+   */
+  close() {
+    this.unsubscribe();
+    const error = new Error('Refresh coordinator was closed while waiting for another tab');
+    error.code = 'REFRESH_COORDINATION_CLOSED';
+    this.waiters.forEach((waiter) => {
+      waiter.cancel();
+      waiter.reject(error);
+    });
+    this.tokenListeners.clear();
+    this.lock.close?.();
+  }
+
+  _createWaiter() {
+    let timer;
+    const waiter = {};
+    waiter.promise = new Promise((resolve, reject) => {
+      waiter.resolve = resolve;
+      waiter.reject = reject;
+    });
+    // Only observed when this tab ends up waiting; rejections are expected otherwise
+    waiter.promise.catch(() => {});
+    waiter.cancel = () => {
+      clearTimeout(timer);
+      this.waiters.delete(waiter);
+    };
+
+    timer = setTimeout(() => {
+      waiter.cancel();
+      const error = new Error(`Timed out after ${this.timeout}ms waiting for another tab to refresh the token`);
+      error.code = 'REFRESH_COORDINATION_TIMEOUT';
+      waiter.reject(error);
+    }, this.timeout);
+
+    this.waiters.add(waiter);
+    return waiter;
+  }
+
+  async _handleMessage(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'tokens') {
+      for (const listener of this.tokenListeners) {
+        try {
+          await listener(message.tokens);
+        } catch (error) {
+          console.error('Error in refresh coordinator listener:', error);
+        }
+      }
+      this.waiters.forEach((waiter) => {
+        waiter.cancel();
+        waiter.resolve(message.tokens);
+      });
+    } else if (message.type === 'failed') {
+      const error = new Error(`Token refresh failed in another tab${message.message ? `: ${message.message}` : ''}`);
+      error.code = 'REFRESH_FAILED_IN_OTHER_TAB';
+      this.waiters.forEach((waiter) => {
+        waiter.cancel();
+        waiter.reject(error);
+      });
+    }
+  }
+}
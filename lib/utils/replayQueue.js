@@ -0,0 +1,76 @@
+/**
+ * Requests paused while shared work is in flight (a token refresh, an
+ * authentication handshake) and replayed in the order they were paused once
+ * it completes.
+ */
+export class ReplayQueue {
+  /**
+   * @param {Object} [options]
+   * @param {(cause: *, config: Object, error: Error) => *} [options.createError] - Builds the rejection for each paused request
+   * @param {string} [options.clearMessage='interceptor was removed'] - Cause used by clear()
+   */
+  constructor({
+    createError = (cause) => cause,
+    clearMessage = 'interceptor was removed'
+  } = {}) {
+    this.items = [];
+    this.createError = createError;
+    this.clearMessage = clearMessage;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Pause a request until the shared work completes
+   * @param {Object} config - Config to replay
+   * @param {Error} error - Error that paused the request
+   * @returns {Promise} Settles with the replayed response
+   */
+  enqueue(config, error) {
+    return new Promise((resolve, reject) => {
+      this.items.push({ config, error, resolve, reject });
+    });
+  }
+
+  /**
+   * Replay every paused request
+   * @param {Function} send - Sends a request config
+   * @param {(config: Object) => void} [prepare] - Updates each config (e.g. its Authorization header) before it is sent
+   */
+  replay(send, prepare) {
+    const items = this.items;
+    this.items = [];
+    items.forEach(({ config, resolve, reject }) => {
+      try {
+        if (prepare) {
+          config.headers = config.headers || {};
+          prepare(config);
+        }
+        resolve(send(config));
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Reject every paused request
+   * @param {*} cause - Why the shared work failed
+   */
+  rejectAll(cause) {
+    const items = this.items;
+    this.items = [];
+    items.forEach(({ config, error, reject }) => {
+      reject(this.createError(cause, config, error));
+    });
+  }
+
+  /**
+   * Reject paused requests when the interceptor is removed
+   */
+  clear() {
+    this.rejectAll(new Error(this.clearMessage));
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Read a response header from AxiosHeaders or a plain headers object
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name, matched case-insensitively
+ * @returns {string|undefined} Header value
+ */
+export function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    const value = headers.get(name);
+    return value == null ? undefined : String(value);
+  }
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  const value = key ? headers[key] : undefined;
+  return Array.isArray(value) ? value[0] : value == null ? undefined : String(value);
+}
+
+/**
+ * Parse a `Retry-After` value (delay-seconds or HTTP-date)
+ * @param {string} value - Header value
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {number|null} Delay in ms (never negative), or null when unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null) return null;
+  const trimmed = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(Number(trimmed) * 1000);
+  }
+
+  // Negative or malformed numbers are not dates
+  if (/^[\d.+-]+$/.test(trimmed)) return null;
+
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Parse a rate limit reset value
+ * Values that look like a Unix timestamp (seconds or ms) are treated as a
+ * point in time, smaller values as seconds to wait.
+ * @param {string} value - Header value
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {number|null} Delay in ms (never negative), or null when unparseable
+ */
+export function parseRateLimitReset(value, now = Date.now()) {
+  if (value == null) return null;
+  const trimmed = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(trimmed)) return null;
+
+  const number = Number(trimmed);
+  if (number >= 1e12) return Math.max(0, number - now);
+  if (number >= 1e9) return Math.max(0, number * 1000 - now);
+  return Math.round(number * 1000);
+}
+
+/**
+ * Work out how long the server asked us to wait before retrying
+ *
+ * `Retry-After` always applies. The reset headers (`RateLimit-Reset`,
+ * `X-RateLimit-Reset-After`, `X-RateLimit-Reset`) only apply to 429 responses
+ * or when the matching remaining header reports an exhausted quota, since
+ * they are sent with every response by most APIs.
+ *
+ * @param {{status?: number, headers?: Object}} response - Failed response
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {number|null} Delay in ms, or null when the server did not ask for one
+ */
+export function getServerRetryDelay(response, now = Date.now()) {
+  if (!response) return null;
+  const headers = response.headers;
+
+  const retryAfter = parseRetryAfter(readHeader(headers, 'retry-after'), now);
+  if (retryAfter !== null) return retryAfter;
+
+  const exhausted = (remainingHeader) => {
+    if (response.status === 429) return true;
+    // An empty header reports nothing, not an exhausted quota
+    const remaining = readHeader(headers, remainingHeader)?.trim();
+    return Boolean(remaining) && Number(remaining) <= 0;
+  };
+
+  if (exhausted('ratelimit-remaining')) {
+    const reset = parseRetryAfter(readHeader(headers, 'ratelimit-reset'), now);
+    if (reset !== null) return reset;
+  }
+
+  if (exhausted('x-ratelimit-remaining')) {
+    const resetAfter = parseRetryAfter(readHeader(headers, 'x-ratelimit-reset-after'), now);
+    if (resetAfter !== null) return resetAfter;
+
+    const reset = parseRateLimitReset(readHeader(headers, 'x-ratelimit-reset'), now);
+    if (reset !== null) return reset;
+  }
+
+  return null;
+}
+
+// First `key=number` parameter in a structured header value
+const readParam = (value, keys) => {
+  if (value === undefined) return null;
+  const match = value.match(new RegExp(`(?:^|[;,\\s])(?:${keys.join('|')})=(\\d+(?:\\.\\d+)?)`));
+  return match ? Number(match[1]) : null;
+};
+
+// Leading number of a value such as `100` or `100, 100;w=60`
+const readNumber = (value) => {
+  if (value === undefined) return null;
+  const match = value.trim().match(/^\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+};
+
+/**
+ * Read the quota a server reports in its rate limit headers
+ *
+ * Understands the IETF headers, both the separate `RateLimit-Limit`,
+ * `RateLimit-Remaining` and `RateLimit-Reset` and the combined `RateLimit`
+ * (`limit=100, remaining=50, reset=30` or `"default";r=50;t=30`), with the
+ * window from `RateLimit-Policy` (`100;w=60` or `"default";q=100;w=60`), and
+ * falls back to `X-RateLimit-Limit`, `X-RateLimit-Remaining` and
+ * `X-RateLimit-Reset-After` or `X-RateLimit-Reset`.
+ *
+ * @param {Object} headers - Response headers
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {{limit: number|null, remaining: number|null, reset: number|null, windowMs: number|null}|null}
+ *   Quota with the delay until it resets in ms, or null when no header was sent
+ */
+export function parseRateLimitHeaders(headers, now = Date.now()) {
+  const combined = readHeader(headers, 'ratelimit');
+  const policy = readHeader(headers, 'ratelimit-policy');
+  const first = (...values) => values.find(value => value !== null && !Number.isNaN(value)) ?? null;
+
+  const limit = first(
+    readParam(combined, ['limit']),
+    readNumber(readHeader(headers, 'ratelimit-limit')),
+    readParam(policy, ['q']) ?? readNumber(policy),
+    readNumber(readHeader(headers, 'x-ratelimit-limit'))
+  );
+  const remaining = first(
+    readParam(combined, ['remaining', 'r']),
+    readNumber(readHeader(headers, 'ratelimit-remaining')),
+    readNumber(readHeader(headers, 'x-ratelimit-remaining'))
+  );
+  const resetSeconds = first(
+    readParam(combined, ['reset', 't']),
+    readNumber(readHeader(headers, 'ratelimit-reset'))
+  );
+  const reset = first(
+    resetSeconds === null ? null : Math.round(resetSeconds * 1000),
+    parseRetryAfter(readHeader(headers, 'x-ratelimit-reset-after'), now),
+    parseRateLimitReset(readHeader(headers, 'x-ratelimit-reset'), now)
+  );
+  const windowSeconds = readParam(policy, ['w']) ?? readParam(readHeader(headers, 'ratelimit-limit'), ['w']);
+
+  if (limit === null && remaining === null && reset === null) {
+    return null;
+  }
+  return {
+    limit,
+    remaining,
+    reset,
+    windowMs: windowSeconds === null ? null : windowSeconds * 1000
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Instance-wide retry budget
+ *
+ * Caps retries at a percentage of recent successful requests, plus a small
+ * floor so retries still work at low traffic. When most requests fail (an
+ * outage) there are few successes to earn budget from, so retries stop
+ * multiplying the load on the struggling server.
+ *
+ * Successes and retries are counted in time slots covering the last `ttl` ms;
+ * older slots are dropped as time moves on.
+ */
+export class RetryBudget {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ratio=0.2] - Retries allowed per successful request
+   * @param {number} [options.minRetriesPerSecond=10] - Retries allowed regardless of successes
+   * @param {number} [options.ttl=10000] - Window in which successes and retries count (ms)
+   * @param {number} [options.slots=10] - Number of time slots the window is split into
+   * @param {() => number} [options.now=Date.now] - Clock
+   */
+  constructor({
+    ratio = 0.2,
+    minRetriesPerSecond = 10,
+    ttl = 10000,
+    slots = 10,
+    now = Date.now
+  } = {}) {
+    if (ratio < 0 || minRetriesPerSecond < 0) {
+      throw new Error('Retry budget ratio and minRetriesPerSecond must not be negative');
+    }
+    this.ratio = ratio;
+    this.minRetriesPerSecond = minRetriesPerSecond;
+    this.ttl = ttl;
+    this.slotDuration = ttl / slots;
+    this.now = now;
+    this.slots = [];
+    this.suppressed = 0;
+  }
+
+  /**
+   * Count a successful request, earning `ratio` retries
+   */
+  recordSuccess() {
+    this._currentSlot().successes += 1;
+  }
+
+  /**
+   * Take a retry from the budget
+   * @returns {boolean} True if the retry may be sent, false if the budget is spent
+   */
+  tryRetry() {
+    if (this.available() < 1) {
+      this.suppressed += 1;
+      return false;
+    }
+    this._currentSlot().retries += 1;
+    return true;
+  }
+
+  /**
+   * Retries that may still be sent in the current window
+   * @returns {number} Whole retries left
+   */
+  available() {
+    const { successes, retries } = this._totals();
+    const floor = this.minRetriesPerSecond * (this.ttl / 1000);
+    return Math.max(0, Math.floor(floor + successes * this.ratio - retries));
+  }
+
+  /**
+   * Budget statistics
+   * @returns {{ratio: number, minRetriesPerSecond: number, ttl: number, successes: number, retries: number, available: number, suppressed: number}}
+   */
+  getStats() {
+    const { successes, retries } = this._totals();
+    return {
+      ratio: this.ratio,
+      minRetriesPerSecond: this.minRetriesPerSecond,
+      ttl: this.ttl,
+      successes,
+      retries,
+      available: this.available(),
+      suppressed: this.suppressed
+    };
+  }
+
+  /**
+   * Forget all counted requests and retries
+   */
+  reset() {
+    this.slots = [];
+    this.suppressed = 0;
+  }
+
+  _currentSlot() {
+    const index = Math.floor(this.now() / this.slotDuration);
+    this._prune(index);
+    let slot = this.slots[this.slots.length - 1];
+    if (!slot || slot.index !== index) {
+      slot = { index, successes: 0, retries: 0 };
+      this.slots.push(slot);
+    }
+    return slot;
+  }
+
+  _totals() {
+    this._prune(Math.floor(this.now() / this.slotDuration));
+    return this.slots.reduce((totals, slot) => ({
+      successes: totals.successes + slot.successes,
+      retries: totals.retries + slot.retries
+    }), { successes: 0, retries: 0 });
+  }
+
+  _prune(index) {
+    const oldest = index - Math.round(this.ttl / this.slotDuration) + 1;
+    while (this.slots.length && this.slots[0].index < oldest) {
+      this.slots.shift();
+    }
+  }
+}
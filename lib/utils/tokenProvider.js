@@ -0,0 +1,186 @@
+/**
+ * Token provider shared by the auth and refresh interceptors
+ *
+ * Wraps token storage behind a single get/set/clear/onChange interface so
+ * that storage can be synchronous (memory, localStorage) or asynchronous
+ * (IndexedDB, keychain wrappers, secret managers).
+ */
+
+/**
+ * Invoke a callback with a value that may or may not be a promise.
+ * Synchronous values are handled synchronously so that sync token getters
+ * keep their existing timing.
+ * @param {*} value - Plain value or thenable
+ * @param {Function} callback - Receives the resolved value
+ * @returns {*} Callback result, or a promise of it when value was a thenable
+ */
+export function whenResolved(value, callback) {
+  if (value && typeof value.then === 'function') {
+    return value.then(callback);
+  }
+  return callback(value);
+}
+
+/**
+ * Create an in-memory storage adapter
+ * @param {Object} [initialTokens] - Initial tokens
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStorage(initialTokens = {}) {
+  let tokens = { ...initialTokens };
+  return {
+    get: () => tokens,
+    set: (next) => {
+      tokens = { ...tokens, ...next };
+    },
+    clear: () => {
+      tokens = {};
+    }
+  };
+}
+
+export class TokenProvider {
+  /**
+   * @param {Object} [options]
+   * @param {() => (Object|Promise<Object>)} [options.get] - Returns `{ token, refreshToken }`
+   * @param {(tokens: Object) => (void|Promise<void>)} [options.set] - Persists a partial `{ token, refreshToken }` update
+   * @param {() => (void|Promise<void>)} [options.clear] - Removes stored tokens
+   * @param {() => (string|Promise<string>)} [options.getAccessToken] - Optional direct access token reader
+   * @param {() => (string|Promise<string>)} [options.getRefreshToken] - Optional direct refresh token reader
+   * @param {Object} [options.initialTokens] - Initial tokens for the default in-memory storage
+   */
+  constructor({ get, set, clear, getAccessToken, getRefreshToken, initialTokens } = {}) {
+    if (get && typeof set !== 'function') {
+      throw new Error('TokenProvider requires a set function when a get function is provided');
+    }
+
+    this.storage = get
+      ? { get, set, clear, getAccessToken, getRefreshToken }
+      : createMemoryStorage(initialTokens);
+    this.listeners = new Set();
+  }
+
+  /**
+   * Build a provider from the individual getter/setter callbacks used by useRefreshToken
+   * @param {Object} callbacks
+   * @param {Function} [callbacks.getAccessToken]
+   * @param {Function} [callbacks.getRefreshToken]
+   * @param {Function} [callbacks.setAccessToken]
+   * @param {Function} [callbacks.setRefreshToken]
+   * @param {Function} [callbacks.clear]
+   * @returns {TokenProvider}
+   */
+  static fromCallbacks({ getAccessToken, getRefreshToken, setAccessToken, setRefreshToken, clear } = {}) {
+    return new TokenProvider({
+      get: () => whenResolved(getAccessToken?.(), (token) =>
+        whenResolved(getRefreshToken?.(), (refreshToken) => ({ token, refreshToken }))
+      ),
+      set: async ({ token, refreshToken }) => {
+        if (token !== undefined) await setAccessToken?.(token);
+        if (refreshToken !== undefined) await setRefreshToken?.(refreshToken);
+      },
+      clear,
+      // Read each token through its own callback instead of fetching both
+      getAccessToken: getAccessToken && (() => getAccessToken()),
+      getRefreshToken: getRefreshToken && (() => getRefreshToken())
+    });
+  }
+
+  /**
+   * Check whether a value looks like a token provider
+   * @param {*} value - Value to check
+   * @returns {boolean}
+   */
+  static isTokenProvider(value) {
+    return !!value &&
+      typeof value === 'object' &&
+      typeof value.get === 'function' &&
+      typeof value.set === 'function' &&
+      typeof value.getAccessToken === 'function' &&
+      typeof value.getRefreshToken === 'function';
+  }
+
+  /**
+   * Get the current tokens
+   * @returns {Promise<{token: string|null, refreshToken: string|null}>}
+   */
+  async get() {
+    const tokens = (await this.storage.get()) || {};
+    return {
+      token: tokens.token ?? null,
+      refreshToken: tokens.refreshToken ?? null
+    };
+  }
+
+  /**
+   * Get the current access token
+   * @returns {Promise<string|null>}
+   */
+  async getAccessToken() {
+    if (this.storage.getAccessToken) {
+      return (await this.storage.getAccessToken()) ?? null;
+    }
+    return (await this.get()).token;
+  }
+
+  /**
+   * Get the current refresh token
+   * @returns {Promise<string|null>}
+   */
+  async getRefreshToken() {
+    if (this.storage.getRefreshToken) {
+      return (await this.storage.getRefreshToken()) ?? null;
+    }
+    return (await this.get()).refreshToken;
+  }
+
+  /**
+   * Store new tokens; omitted keys are left untouched
+   * @param {{token?: string, refreshToken?: string}} tokens - Tokens to store
+   * @returns {Promise<void>}
+   */
+  async set(tokens = {}) {
+    await this.storage.set(tokens);
+    // Read back the merged state only when someone is listening
+    if (this.listeners.size > 0) {
+      this._emit(await this.get());
+    }
+  }
+
+  /**
+   * Remove all stored tokens
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (this.storage.clear) {
+      await this.storage.clear();
+    } else {
+      await this.storage.set({ token: null, refreshToken: null });
+    }
+    this._emit({ token: null, refreshToken: null });
+  }
+
+  /**
+   * Subscribe to token changes
+   * @param {(tokens: {token: string|null, refreshToken: string|null}) => void} listener - Change listener
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners of a token change
+   * @private
+   */
+  _emit(tokens) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(tokens);
+      } catch (error) {
+        console.error('Error in token provider listener:', error);
+      }
+    });
+  }
+}
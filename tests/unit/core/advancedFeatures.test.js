@@ -142,6 +142,46 @@ describe("advancedFeatures", () => {
       expect(error.retryDelay).toBeLessThanOrEqual(100);
     });
 
+    test("should use seeded jittered backoff strategies", async () => {
+      attachAdvancedFeatures(mockInstance, commonPatterns);
+
+      const retryDelays = async (options) => {
+        const errors = [new Error("Error 1"), new Error("Error 2")];
+        mockInstance.request
+          .mockRejectedValueOnce(errors[0])
+          .mockRejectedValueOnce(errors[1])
+          .mockResolvedValueOnce({ data: "success" });
+
+        await mockInstance.requestWithRetry({ url: "/api/data" }, options);
+        return errors.map((error) => error.retryDelay);
+      };
+
+      const options = { retries: 3, baseDelay: 20, backoff: "full-jitter", seed: 7 };
+      const first = await retryDelays(options);
+      const second = await retryDelays(options);
+
+      expect(first).toEqual(second);
+      expect(first[0]).toBeLessThanOrEqual(20);
+      expect(first[1]).toBeLessThanOrEqual(40);
+
+      const linear = await retryDelays({ retries: 3, baseDelay: 5, backoff: "linear" });
+      expect(linear).toEqual([5, 10]);
+    });
+
+    test("should pass the previous delay to custom backoff functions", async () => {
+      attachAdvancedFeatures(mockInstance, commonPatterns);
+
+      const backoff = jest.fn((attempt, previousDelay) => (previousDelay || 0) + 1);
+      mockInstance.request
+        .mockRejectedValueOnce(new Error("Error 1"))
+        .mockRejectedValueOnce(new Error("Error 2"))
+        .mockResolvedValueOnce({ data: "success" });
+
+      await mockInstance.requestWithRetry({ url: "/api/data" }, { retries: 3, backoff });
+
+      expect(backoff.mock.calls).toEqual([[1, undefined], [2, 1]]);
+    });
+
     test("should use default retry condition", async () => {
       attachAdvancedFeatures(mockInstance, commonPatterns);
 
@@ -163,7 +163,9 @@ describe('instanceState', () => {
         dedupe: {
           pendingRequests: 2,
           keys: ['key1', 'key2']
-        }
+        },
+        retryBudget: null,
+        cache: null
       });
     });
 
@@ -426,6 +428,22 @@ describe('instanceState', () => {
       expect(stats.circuitBreaker).toBeNull();
     });
 
+    test('should include retry budget stats', () => {
+      mockInstance._retryBudget = { getStats: jest.fn().mockReturnValue({ available: 3, suppressed: 1 }) };
+
+      attachInstanceState(mockInstance, interceptorIds, utilities);
+
+      expect(mockInstance.getStats().retryBudget).toEqual({ available: 3, suppressed: 1 });
+    });
+
+    test('should include cache stats', () => {
+      mockInstance.cache = { getStats: jest.fn().mockReturnValue({ hits: 2, misses: 1 }) };
+
+      attachInstanceState(mockInstance, interceptorIds, utilities);
+
+      expect(mockInstance.getStats().cache).toEqual({ hits: 2, misses: 1 });
+    });
+
     test('should handle missing deduplication', () => {
       mockInstance.getDedupeStats = undefined;
       
@@ -602,6 +620,64 @@ test('should handle missing interceptor manager methods', () => {
 });
   });
 
+  describe('getInterceptorStatus', () => {
+    test('should report the active auth scheme', () => {
+      const interceptorStatus = {
+        auth: {
+          enabled: true,
+          lastEnabled: new Date(),
+          config: {
+            getToken: () => 'key',
+            scheme: 'apiKey',
+            schemes: [{ match: '/legacy/*', scheme: 'basic' }]
+          }
+        },
+        retry: { enabled: false, lastEnabled: null, config: null }
+      };
+      attachInstanceState(mockInstance, interceptorIds, utilities, interceptorStatus);
+
+      const status = mockInstance.getInterceptorStatus();
+
+      expect(status.auth.scheme).toEqual({
+        type: 'apiKey',
+        rules: [{ match: '/legacy/*', type: 'basic' }]
+      });
+      expect(status.retry.scheme).toBeUndefined();
+    });
+
+    test('should report bearer for plain token getters', () => {
+      const interceptorStatus = {
+        auth: { enabled: true, lastEnabled: new Date(), config: () => 'token' }
+      };
+      attachInstanceState(mockInstance, interceptorIds, utilities, interceptorStatus);
+
+      expect(mockInstance.getInterceptorStatus().auth.scheme).toEqual({ type: 'bearer', rules: [] });
+    });
+
+    test('should omit scheme when auth is disabled', () => {
+      const interceptorStatus = {
+        auth: { enabled: false, lastEnabled: null, config: null }
+      };
+      attachInstanceState(mockInstance, interceptorIds, utilities, interceptorStatus);
+
+      expect(mockInstance.getInterceptorStatus().auth.scheme).toBeUndefined();
+    });
+
+    test('should report rate limit bucket usage', () => {
+      const buckets = [{ name: 'default', remaining: 4, queued: 0, allowed: 1, limited: 0 }];
+      const interceptorStatus = {
+        rateLimit: { enabled: true, lastEnabled: new Date(), config: { maxRequests: 5 } }
+      };
+      mockInstance._rateLimiter = { getBucketStats: jest.fn(() => buckets) };
+      attachInstanceState(mockInstance, interceptorIds, utilities, interceptorStatus);
+
+      expect(mockInstance.getInterceptorStatus().rateLimit.buckets).toBe(buckets);
+
+      interceptorStatus.rateLimit.enabled = false;
+      expect(mockInstance.getInterceptorStatus().rateLimit.buckets).toBeUndefined();
+    });
+  });
+
   describe('chaining and return values', () => {
     test('should support method chaining', () => {
       attachInstanceState(mockInstance, interceptorIds, utilities);
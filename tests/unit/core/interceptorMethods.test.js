@@ -18,6 +18,8 @@ describe("InterceptorMethods", () => {
       cache: { request: null, response: null },
       timeout: { request: null, response: null },
       rateLimit: null,
+      signing: null,
+      challengeAuth: { request: null, response: null },
     };
 
     // Initialize interceptor status tracking
@@ -30,6 +32,8 @@ describe("InterceptorMethods", () => {
       cache: { enabled: false, lastEnabled: null, config: null },
       timeout: { enabled: false, lastEnabled: null, config: null },
       rateLimit: { enabled: false, lastEnabled: null, config: null },
+      signing: { enabled: false, lastEnabled: null, config: null },
+      challengeAuth: { enabled: false, lastEnabled: null, config: null },
     };
 
     // Initialize event emitter
@@ -91,6 +95,10 @@ describe("InterceptorMethods", () => {
         .fn()
         .mockReturnValue({ request: 10, response: 11 }),
       attachRateLimitInterceptor: jest.fn().mockReturnValue(12),
+      attachSigningInterceptor: jest.fn().mockReturnValue(13),
+      attachChallengeAuthInterceptor: jest
+        .fn()
+        .mockReturnValue({ request: 14, response: 15 }),
     };
   });
 
@@ -111,6 +119,8 @@ describe("InterceptorMethods", () => {
     expect(mockInstance.useCache).toBeDefined();
     expect(mockInstance.useSmartTimeout).toBeDefined();
     expect(mockInstance.useRateLimit).toBeDefined();
+    expect(mockInstance.useRequestSigning).toBeDefined();
+    expect(mockInstance.useChallengeAuth).toBeDefined();
   });
 
   test("should attach auth interceptor", () => {
@@ -214,6 +224,23 @@ describe("InterceptorMethods", () => {
     expect(mockInstance.interceptors.response.eject).toHaveBeenCalledWith(999);
   });
 
+  test("should eject the proactive refresh request interceptor when re-configuring", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    interceptorIds.refresh = 999;
+    mockInstance._refreshRequestInterceptorId = 888;
+    mockInstance.useRefreshToken({ refreshUrl: "/refresh" });
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(888);
+    expect(mockInstance._refreshRequestInterceptorId).toBeUndefined();
+  });
+
   test("should attach retry interceptor", () => {
     attachInterceptorMethods(
       mockInstance,
@@ -234,6 +261,41 @@ describe("InterceptorMethods", () => {
     expect(interceptorStatus.retry.enabled).toBe(true);
   });
 
+  test("should replace the request interceptor of a previous useRetry", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    mockInstance._retryRequestInterceptorId = 321;
+    mockInstance.useRetry({ idempotencyKey: true });
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(321);
+    expect(mockInstance._retryRequestInterceptorId).toBeUndefined();
+  });
+
+  test("should clean up the retry request interceptor and budget on removal", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    interceptorIds.retry = 3;
+    mockInstance._retryRequestInterceptorId = 654;
+    mockInstance._retryBudget = { getStats: jest.fn() };
+    mockInstance.removeRetry();
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(654);
+    expect(mockInstance._retryRequestInterceptorId).toBeUndefined();
+    expect(mockInstance._retryBudget).toBeUndefined();
+  });
+
   test("should remove existing retry interceptor before adding new one", () => {
     attachInterceptorMethods(
       mockInstance,
@@ -423,9 +485,92 @@ describe("InterceptorMethods", () => {
     );
 
     interceptorIds.rateLimit = 999;
+    const stop = jest.fn();
+    mockInstance._rateLimiter = { stop };
     mockInstance.useRateLimit({ maxRequests: 5 });
 
     expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(999);
+    expect(stop).toHaveBeenCalledTimes(1);
+  });
+
+  test("should attach request signing interceptor", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    const options = { keyId: "client", secret: "s3cret" };
+    mockInstance.useRequestSigning(options);
+
+    expect(mockAttachers.attachSigningInterceptor).toHaveBeenCalledWith(
+      mockInstance,
+      options
+    );
+    expect(interceptorIds.signing).toBe(13);
+    expect(interceptorStatus.signing.enabled).toBe(true);
+    expect(interceptorEvents.emit).toHaveBeenCalledWith(
+      "interceptor:enabled",
+      expect.objectContaining({ name: "signing", config: options })
+    );
+  });
+
+  test("should replace an existing request signing interceptor", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    interceptorIds.signing = 999;
+    mockInstance.useRequestSigning({ secret: "s3cret" });
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(999);
+    expect(interceptorIds.signing).toBe(13);
+  });
+
+  test("should attach challenge auth interceptors", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    const options = { username: "admin", password: "secret" };
+    mockInstance.useChallengeAuth(options);
+
+    expect(mockAttachers.attachChallengeAuthInterceptor).toHaveBeenCalledWith(
+      mockInstance,
+      options
+    );
+    expect(interceptorIds.challengeAuth).toEqual({ request: 14, response: 15 });
+    expect(interceptorStatus.challengeAuth.enabled).toBe(true);
+  });
+
+  test("should reject paused requests when challenge auth is replaced", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    const clear = jest.fn();
+    mockInstance._challengeAuthQueue = { clear };
+    interceptorIds.challengeAuth = { request: 21, response: 22 };
+
+    mockInstance.useChallengeAuth({ username: "admin", password: "secret" });
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(21);
+    expect(mockInstance.interceptors.response.eject).toHaveBeenCalledWith(22);
+    expect(clear).toHaveBeenCalled();
   });
 
   // === REMOVAL METHOD TESTS ===
@@ -453,6 +598,43 @@ describe("InterceptorMethods", () => {
     });
   });
 
+  test("should remove the proactive refresh request interceptor", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    interceptorIds.refresh = 456;
+    mockInstance._refreshRequestInterceptorId = 789;
+
+    mockInstance.removeRefreshToken();
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(789);
+    expect(mockInstance._refreshRequestInterceptorId).toBeUndefined();
+  });
+
+  test("should stop cross-tab refresh coordination on removal", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    const cleanup = jest.fn();
+    interceptorIds.refresh = 456;
+    mockInstance._refreshCoordinatorCleanup = cleanup;
+
+    mockInstance.removeRefreshToken();
+
+    expect(cleanup).toHaveBeenCalled();
+    expect(mockInstance._refreshCoordinatorCleanup).toBeUndefined();
+  });
+
   test("should remove retry interceptor", () => {
     attachInterceptorMethods(
       mockInstance,
@@ -575,6 +757,52 @@ describe("InterceptorMethods", () => {
     expect(interceptorStatus.rateLimit.enabled).toBe(false);
   });
 
+  test("should remove request signing interceptor", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    interceptorIds.signing = 999;
+    interceptorStatus.signing.enabled = true;
+
+    mockInstance.removeRequestSigning();
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(999);
+    expect(interceptorIds.signing).toBeNull();
+    expect(interceptorStatus.signing.enabled).toBe(false);
+  });
+
+  test("should remove challenge auth interceptors and reset handlers", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    const clear = jest.fn();
+    const reset = jest.fn();
+    mockInstance._challengeAuthQueue = { clear };
+    mockInstance._challengeAuthHandlers = [{ reset }, {}];
+    interceptorIds.challengeAuth = { request: 21, response: 22 };
+    interceptorStatus.challengeAuth.enabled = true;
+
+    mockInstance.removeChallengeAuth();
+
+    expect(mockInstance.interceptors.request.eject).toHaveBeenCalledWith(21);
+    expect(mockInstance.interceptors.response.eject).toHaveBeenCalledWith(22);
+    expect(interceptorIds.challengeAuth).toEqual({ request: null, response: null });
+    expect(interceptorStatus.challengeAuth.enabled).toBe(false);
+    expect(clear).toHaveBeenCalled();
+    expect(reset).toHaveBeenCalled();
+    expect(mockInstance._challengeAuthQueue).toBeUndefined();
+  });
+
   // === NULL INTERCEPTOR ID HANDLING ===
 
   test("should handle null auth interceptor ID when removing", () => {
@@ -744,12 +972,14 @@ describe("InterceptorMethods", () => {
     // Add some auth state
     mockInstance._authTokenProvider = jest.fn();
     mockInstance._authCache = new Map();
+    mockInstance._authOptions = { rules: [] };
 
     interceptorIds.auth = 123;
     mockInstance.removeAuth();
 
     expect(mockInstance._authTokenProvider).toBeUndefined();
     expect(mockInstance._authCache).toBeUndefined();
+    expect(mockInstance._authOptions).toBeUndefined();
   });
 
   test("should clean up cache state and call clear", () => {
@@ -773,6 +1003,23 @@ describe("InterceptorMethods", () => {
     expect(mockInstance._cacheKeyGenerator).toBeUndefined();
   });
 
+  test("should remove the cache API", () => {
+    attachInterceptorMethods(
+      mockInstance,
+      interceptorIds,
+      mockAttachers,
+      interceptorStatus,
+      interceptorEvents
+    );
+
+    mockInstance.cache = { invalidate: jest.fn() };
+
+    interceptorIds.cache = { request: 1, response: 2 };
+    mockInstance.removeCache();
+
+    expect(mockInstance.cache).toBeUndefined();
+  });
+
   test("should clean up timeout handlers", () => {
     attachInterceptorMethods(
       mockInstance,
@@ -1,5 +1,6 @@
 import { describe, test, expect, jest, beforeEach } from "@jest/globals";
 import { attachSetupMethods } from "../../../lib/core/setupMethods.js";
+import { OAuth2Client } from "../../../lib/utils/oauth2.js";
 
 describe("setupMethods", () => {
   let mockInstance;
@@ -76,6 +77,77 @@ describe("setupMethods", () => {
       expect(mockInstance.useAuth).toHaveBeenCalled();
       expect(mockInstance.useRefreshToken).toHaveBeenCalled();
     });
+
+    test("should pass auth scheme options through to useAuth", () => {
+      attachSetupMethods(mockInstance);
+
+      const getToken = () => "api-key";
+      const schemes = [{ match: "/legacy/*", scheme: "basic" }];
+      mockInstance.setupAuth({ getToken, scheme: "apiKey", schemes });
+
+      expect(mockInstance.useAuth).toHaveBeenCalledWith({
+        getToken,
+        tokenProvider: undefined,
+        scheme: "apiKey",
+        schemes,
+      });
+    });
+
+    test("should share a token provider between auth and refresh", () => {
+      attachSetupMethods(mockInstance);
+
+      const tokenProvider = { getAccessToken: jest.fn() };
+      mockInstance.setupAuth({
+        tokenProvider,
+        refresh: { refreshUrl: "/refresh" },
+      });
+
+      expect(mockInstance.useAuth).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenProvider })
+      );
+      expect(mockInstance.useRefreshToken).toHaveBeenCalledWith({
+        tokenProvider,
+        refreshUrl: "/refresh",
+      });
+    });
+  });
+
+  describe("setupOAuth2", () => {
+    test("should wire auth and refresh from client options", async () => {
+      attachSetupMethods(mockInstance);
+      const onRefreshTokenFail = jest.fn();
+
+      const result = mockInstance.setupOAuth2({
+        tokenUrl: "https://auth.example.com/token",
+        clientId: "app",
+        refresh: { onRefreshTokenFail },
+      });
+
+      expect(result).toBe(mockInstance);
+      expect(mockInstance.oauth2).toBeInstanceOf(OAuth2Client);
+      expect(mockInstance.useRefreshToken).toHaveBeenCalledWith(
+        expect.objectContaining({
+          refreshUrl: "https://auth.example.com/token",
+          onRefreshTokenFail,
+        })
+      );
+
+      await mockInstance.oauth2.tokenProvider.set({ token: "stored" });
+      const getToken = mockInstance.useAuth.mock.calls[0][0];
+      expect(await getToken()).toBe("stored");
+    });
+
+    test("should accept an existing client", () => {
+      attachSetupMethods(mockInstance);
+      const client = new OAuth2Client({ tokenUrl: "/token", clientId: "app" });
+
+      mockInstance.setupOAuth2(client);
+
+      expect(mockInstance.oauth2).toBe(client);
+      expect(mockInstance.useRefreshToken).toHaveBeenCalledWith(
+        expect.objectContaining({ refreshUrl: "/token" })
+      );
+    });
   });
 
   describe("setupCommonGroups", () => {
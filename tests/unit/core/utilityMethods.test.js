@@ -128,6 +128,24 @@ describe("utilityMethods", () => {
       expect(results[2].value.data).toBe(3);
     });
 
+    test("should never run more requests than the limit", async () => {
+      attachUtilityMethods(mockInstance, utilities, responseTransformers);
+      let running = 0;
+      let maxRunning = 0;
+      const requests = [5, 30, 30, 30, 30, 20].map((ms, i) => async () => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        running -= 1;
+        return i;
+      });
+
+      const results = await mockInstance.concurrent(requests, 2);
+
+      expect(maxRunning).toBe(2);
+      expect(results.map(({ value }) => value)).toEqual([0, 1, 2, 3, 4, 5]);
+    });
+
     test("should handle rejections in concurrent requests", async () => {
       attachUtilityMethods(mockInstance, utilities, responseTransformers);
 
@@ -1,12 +1,12 @@
 import { describe, test, expect, jest, beforeEach } from '@jest/globals';
 import { attachAuthInterceptor } from '../../../lib/interceptors/auth.js';
+import { TokenProvider } from '../../../lib/utils/tokenProvider.js';
 
 /**
  * Tests for auth interceptor
  * 
  * Note: These tests are written to match the current implementation behavior,
  * including limitations like:
- * - Not supporting async token getter functions
  * - Mutating the original config object
  */
 describe('Auth Interceptor', () => {
@@ -134,9 +134,7 @@ describe('Auth Interceptor', () => {
       expect(() => interceptorHandler(config)).toThrow('Token retrieval failed');
     });
 
-    test('should not handle async getTokenFn (returns promise object)', () => {
-      // Note: Current implementation doesn't support async token functions
-      // Consider awaiting the token before passing it for async token retrieval
+    test('should await async getTokenFn', async () => {
       const asyncGetTokenFn = jest.fn().mockResolvedValue('async-token');
       attachAuthInterceptor(mockInstance, asyncGetTokenFn);
 
@@ -144,8 +142,21 @@ describe('Auth Interceptor', () => {
       const result = interceptorHandler(config);
 
       expect(asyncGetTokenFn).toHaveBeenCalledTimes(1);
-      // The current implementation would add the Promise object as the token
-      expect(result.headers.Authorization).toBe('Bearer [object Promise]');
+      expect(result).toBeInstanceOf(Promise);
+      expect((await result).headers.Authorization).toBe('Bearer async-token');
+    });
+
+    test('should not add header when async getTokenFn resolves to null', async () => {
+      attachAuthInterceptor(mockInstance, jest.fn().mockResolvedValue(null));
+
+      const result = await interceptorHandler({ url: '/api/test' });
+      expect(result.headers?.Authorization).toBeUndefined();
+    });
+
+    test('should reject when async getTokenFn rejects', async () => {
+      attachAuthInterceptor(mockInstance, jest.fn().mockRejectedValue(new Error('Keychain locked')));
+
+      await expect(interceptorHandler({ url: '/api/test' })).rejects.toThrow('Keychain locked');
     });
 
     test('should handle getTokenFn being null/undefined', () => {
@@ -229,6 +240,18 @@ describe('Auth Interceptor', () => {
 
       expect(result.headers.Authorization).toBe('Bearer test-token');
     });
+
+    test('should leave refresh requests sent through the instance untouched', () => {
+      const getTokenFn = jest.fn().mockReturnValue('expired-token');
+      attachAuthInterceptor(mockInstance, getTokenFn);
+
+      const config = { url: '/auth/refresh', __isRefreshRequest: true };
+      const result = interceptorHandler(config);
+
+      expect(result).toBe(config);
+      expect(result.headers).toBeUndefined();
+      expect(getTokenFn).not.toHaveBeenCalled();
+    });
   });
 
   describe('integration scenarios', () => {
@@ -295,4 +318,150 @@ describe('Auth Interceptor', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('auth schemes', () => {
+    test('should accept an options object with a scheme name', () => {
+      attachAuthInterceptor(mockInstance, {
+        getToken: () => 'key-123',
+        scheme: { type: 'apiKey', name: 'X-Api-Key' }
+      });
+
+      const result = interceptorHandler({ url: '/api/test' });
+
+      expect(result.headers['X-Api-Key']).toBe('key-123');
+      expect(result.headers.Authorization).toBeUndefined();
+    });
+
+    test('should default to bearer when options object has no scheme', () => {
+      attachAuthInterceptor(mockInstance, { getToken: () => 'abc' });
+
+      const result = interceptorHandler({ url: '/api/test' });
+      expect(result.headers.Authorization).toBe('Bearer abc');
+    });
+
+    test('should send api keys as query params', () => {
+      attachAuthInterceptor(mockInstance, {
+        getToken: () => 'key-123',
+        scheme: 'apiKeyQuery'
+      });
+
+      const result = interceptorHandler({ url: '/api/test', params: { q: 'x' } });
+      expect(result.params).toEqual({ q: 'x', 'X-API-Key': 'key-123' });
+    });
+
+    test('should select schemes per URL', () => {
+      const getLegacyCredentials = jest.fn(() => ({ username: 'svc', password: 'secret' }));
+      attachAuthInterceptor(mockInstance, {
+        getToken: () => 'jwt',
+        schemes: [
+          { match: '/legacy/*', scheme: 'basic', getToken: getLegacyCredentials }
+        ]
+      });
+
+      const legacy = interceptorHandler({ url: '/legacy/report' });
+      const modern = interceptorHandler({ url: '/api/report' });
+
+      expect(legacy.headers.Authorization).toBe(`Basic ${Buffer.from('svc:secret').toString('base64')}`);
+      expect(modern.headers.Authorization).toBe('Bearer jwt');
+      expect(getLegacyCredentials).toHaveBeenCalledTimes(1);
+    });
+
+    test('should support custom scheme functions', () => {
+      attachAuthInterceptor(mockInstance, {
+        getToken: () => 'abc',
+        scheme: (config, token) => {
+          config.headers = { ...config.headers, 'X-Custom-Auth': token.toUpperCase() };
+        }
+      });
+
+      const result = interceptorHandler({ url: '/api/test' });
+      expect(result.headers['X-Custom-Auth']).toBe('ABC');
+    });
+
+    test('should throw at attach time for unknown schemes', () => {
+      expect(() => attachAuthInterceptor(mockInstance, { getToken: () => 'a', scheme: 'nope' }))
+        .toThrow("Unknown auth scheme 'nope'");
+    });
+  });
+
+  describe('token providers', () => {
+    test('should accept a TokenProvider directly', async () => {
+      const provider = new TokenProvider({ initialTokens: { token: 'provided' } });
+      attachAuthInterceptor(mockInstance, provider);
+
+      const result = await interceptorHandler({ url: '/api/test' });
+      expect(result.headers.Authorization).toBe('Bearer provided');
+    });
+
+    test('should accept a tokenProvider option together with a scheme', async () => {
+      const provider = new TokenProvider({ initialTokens: { token: 'key-1' } });
+      attachAuthInterceptor(mockInstance, { tokenProvider: provider, scheme: 'apiKey' });
+
+      const result = await interceptorHandler({ url: '/api/test' });
+      expect(result.headers['X-API-Key']).toBe('key-1');
+    });
+
+    test('should pick up tokens stored after attaching', async () => {
+      const provider = new TokenProvider();
+      attachAuthInterceptor(mockInstance, provider);
+
+      expect((await interceptorHandler({})).headers?.Authorization).toBeUndefined();
+
+      await provider.set({ token: 'late' });
+      expect((await interceptorHandler({})).headers.Authorization).toBe('Bearer late');
+    });
+  });
+
+  describe('per-request authentication', () => {
+    test('should skip requests with authentication: false', () => {
+      const getTokenFn = jest.fn(() => 'instance-token');
+      attachAuthInterceptor(mockInstance, getTokenFn);
+
+      const result = interceptorHandler({ url: 'https://cdn.example.com/lib.js', authentication: false });
+
+      expect(result.headers).toBeUndefined();
+      expect(getTokenFn).not.toHaveBeenCalled();
+    });
+
+    test('should use a request token with the instance scheme', () => {
+      const getTokenFn = jest.fn(() => 'instance-token');
+      attachAuthInterceptor(mockInstance, getTokenFn);
+
+      const result = interceptorHandler({ url: '/api/test', authentication: { token: 'other-token' } });
+
+      expect(result.headers.Authorization).toBe('Bearer other-token');
+      expect(getTokenFn).not.toHaveBeenCalled();
+    });
+
+    test('should use a request scheme with the instance token', () => {
+      attachAuthInterceptor(mockInstance, { getToken: () => 'instance-token' });
+
+      const result = interceptorHandler({ url: '/api/test', authentication: { scheme: 'token' } });
+
+      expect(result.headers.Authorization).toBe('Token instance-token');
+    });
+
+    test('should resolve async request token getters', async () => {
+      attachAuthInterceptor(mockInstance, () => 'instance-token');
+
+      const result = await interceptorHandler({
+        url: '/partner',
+        authentication: { token: async () => 'partner-key', scheme: { type: 'apiKey', name: 'X-Partner-Key' } }
+      });
+
+      expect(result.headers['X-Partner-Key']).toBe('partner-key');
+      expect(result.headers.Authorization).toBeUndefined();
+    });
+
+    test('should override per-URL scheme rules', () => {
+      attachAuthInterceptor(mockInstance, {
+        getToken: () => 'jwt',
+        schemes: [{ match: '/legacy/*', scheme: 'basic', getToken: () => 'svc:secret' }]
+      });
+
+      const result = interceptorHandler({ url: '/legacy/report', authentication: { token: 'override', scheme: 'bearer' } });
+
+      expect(result.headers.Authorization).toBe('Bearer override');
+    });
+  });
+});
@@ -1,5 +1,35 @@
-import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { describe, test, expect, jest, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import axios from 'axios';
 import { attachCacheInterceptor } from '../../../lib/interceptors/cache.js';
+import { createWebStorage } from '../../../lib/utils/cacheStorage.js';
+import { createResource } from '../../../lib/utils/commonPatterns.js';
+import { attachUtilityMethods } from '../../../lib/core/utilityMethods.js';
+
+// Axios instance whose adapter answers with the queued responses, failing
+// non-2xx ones like the real adapters do
+const createRecordingApi = (options) => {
+  const sent = [];
+  const queue = [];
+  const adapter = jest.fn(async (config) => {
+    sent.push(config);
+    const { status = 200, data = 'fresh', headers = {}, networkError = false } = queue.shift() || {};
+    if (networkError) {
+      throw new axios.AxiosError('Network Error', 'ERR_NETWORK', config);
+    }
+    const response = { data, status, statusText: '', headers: new axios.AxiosHeaders(headers), config };
+    if (!config.validateStatus(status)) {
+      throw new axios.AxiosError('Request failed', 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    return response;
+  });
+  const api = axios.create({ adapter });
+  attachCacheInterceptor(api, options);
+  return { api, sent, respond: (...responses) => queue.push(...responses) };
+};
+
+// Let background refreshes finish
+const flushRefreshes = () => new Promise(resolve => setTimeout(resolve, 0));
 
 describe('Cache Interceptor', () => {
   let mockInstance;
@@ -76,7 +106,7 @@ describe('Cache Interceptor', () => {
 
     test('should not return expired cache', async () => {
       jest.clearAllMocks(); // Clear previous mock calls
-      const options = { maxAge: 100 }; // 100ms
+      const options = { maxAge: 100, coalesce: false }; // 100ms
       attachCacheInterceptor(mockInstance, options);
       [requestInterceptor] = mockInstance.interceptors.request.use.mock.calls[0];
       [responseInterceptor] = mockInstance.interceptors.response.use.mock.calls[0];
@@ -116,7 +146,8 @@ describe('Cache Interceptor', () => {
 
   describe('response interception', () => {
     beforeEach(() => {
-      attachCacheInterceptor(mockInstance);
+      // Without coalescing, misses leave the adapter alone
+      attachCacheInterceptor(mockInstance, { coalesce: false });
       [requestInterceptor] = mockInstance.interceptors.request.use.mock.calls[0];
       [responseInterceptor] = mockInstance.interceptors.response.use.mock.calls[0];
     });
@@ -168,7 +199,7 @@ describe('Cache Interceptor', () => {
 
     test('should enforce max cache size', async () => {
       jest.clearAllMocks(); // Clear previous mock calls
-      const options = { maxSize: 2 };
+      const options = { maxSize: 2, coalesce: false };
       attachCacheInterceptor(mockInstance, options);
       [requestInterceptor] = mockInstance.interceptors.request.use.mock.calls[0];
       [responseInterceptor] = mockInstance.interceptors.response.use.mock.calls[0];
@@ -274,7 +305,7 @@ describe('Cache Interceptor', () => {
   describe('cache cleanup', () => {
     test('should clean expired entries when adding new ones', async () => {
       jest.clearAllMocks(); // Clear previous mock calls
-      const options = { maxAge: 100 }; // 100ms
+      const options = { maxAge: 100, coalesce: false }; // 100ms
       attachCacheInterceptor(mockInstance, options);
       [requestInterceptor] = mockInstance.interceptors.request.use.mock.calls[0];
       [responseInterceptor] = mockInstance.interceptors.response.use.mock.calls[0];
@@ -413,4 +444,966 @@ describe('Cache Interceptor', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('http mode', () => {
+    let now;
+
+    const createApi = (options = {}) => createRecordingApi({ mode: 'http', ...options });
+
+    beforeEach(() => {
+      now = Date.parse('2026-01-01T00:00:00Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => attachCacheInterceptor(mockInstance, { mode: 'lru' })).toThrow("Unknown cache mode 'lru'");
+    });
+
+    test('should serve responses while fresh according to max-age', async () => {
+      const { api, sent, respond } = createApi({ maxAge: 1 });
+      respond({ data: 'v1', headers: { 'Cache-Control': 'max-age=60' } });
+
+      await api.get('/users');
+      now += 30000;
+      const cached = await api.get('/users');
+
+      expect(sent).toHaveLength(1);
+      expect(cached.data).toBe('v1');
+
+      now += 30000;
+      respond({ data: 'v2' });
+      expect((await api.get('/users')).data).toBe('v2');
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should not extend freshness when serving from the cache', async () => {
+      const { api, sent, respond } = createApi();
+      respond({ headers: { 'Cache-Control': 'max-age=10' } });
+
+      await api.get('/users');
+      now += 9000;
+      await api.get('/users');
+      now += 2000;
+      await api.get('/users');
+
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should take the Age header into account', async () => {
+      const { api, sent, respond } = createApi();
+      respond({ headers: { 'Cache-Control': 'max-age=60', Age: '50' } });
+
+      await api.get('/users');
+      now += 11000;
+      await api.get('/users');
+
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should use Expires when there is no max-age', async () => {
+      const { api, sent, respond } = createApi();
+      respond({
+        headers: {
+          Date: new Date(now).toUTCString(),
+          Expires: new Date(now + 5000).toUTCString()
+        }
+      });
+
+      await api.get('/users');
+      now += 4000;
+      await api.get('/users');
+
+      expect(sent).toHaveLength(1);
+    });
+
+    test('should never store no-store responses and drop the stored one', async () => {
+      const { api, sent, respond } = createApi();
+      respond(
+        { headers: { 'Cache-Control': 'max-age=60' } },
+        { headers: { 'Cache-Control': 'no-store' } }
+      );
+
+      await api.get('/users');
+      await api.get('/users', { headers: { 'Cache-Control': 'no-cache' } });
+      await api.get('/users');
+
+      expect(sent).toHaveLength(3);
+    });
+
+    test('should store private responses in private caches only', async () => {
+      const privateCache = createApi();
+      privateCache.respond({ headers: { 'Cache-Control': 'private, max-age=60' } });
+      await privateCache.api.get('/me');
+      await privateCache.api.get('/me');
+      expect(privateCache.sent).toHaveLength(1);
+
+      const sharedCache = createApi({ shared: true });
+      sharedCache.respond({ headers: { 'Cache-Control': 'private, max-age=60' } });
+      await sharedCache.api.get('/me');
+      await sharedCache.api.get('/me');
+      expect(sharedCache.sent).toHaveLength(2);
+    });
+
+    test('should bypass the cache for requests with Cache-Control: no-store', async () => {
+      const { api, sent, respond } = createApi();
+      respond({ headers: { 'Cache-Control': 'max-age=60' } });
+
+      await api.get('/users');
+      await api.get('/users', { headers: { 'Cache-Control': 'no-store' } });
+
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should revalidate stale responses with If-None-Match and serve 304 from the cache', async () => {
+      const { api, sent, respond } = createApi();
+      respond(
+        { data: 'v1', headers: { 'Cache-Control': 'max-age=10', ETag: '"v1"', 'X-Version': '1' } },
+        { status: 304, data: '', headers: { 'Cache-Control': 'max-age=60', 'X-Version': '2' } }
+      );
+
+      await api.get('/users');
+      now += 20000;
+      const revalidated = await api.get('/users');
+
+      expect(sent[1].headers.get('If-None-Match')).toBe('"v1"');
+      expect(revalidated.status).toBe(200);
+      expect(revalidated.data).toBe('v1');
+      expect(revalidated.headers.get('ETag')).toBe('"v1"');
+      expect(revalidated.headers.get('X-Version')).toBe('2');
+
+      // Fresh again for the max-age sent with the 304
+      now += 50000;
+      expect((await api.get('/users')).data).toBe('v1');
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should revalidate with If-Modified-Since and accept resolved 304s', async () => {
+      const lastModified = new Date(now - 1000000).toUTCString();
+      const { api, sent, respond } = createApi();
+      respond(
+        { data: 'v1', headers: { 'Cache-Control': 'no-cache', 'Last-Modified': lastModified } },
+        { status: 304 }
+      );
+
+      await api.get('/users');
+      const revalidated = await api.get('/users', { validateStatus: () => true });
+
+      expect(sent[1].headers.get('If-Modified-Since')).toBe(lastModified);
+      expect(sent[1].headers.has('If-None-Match')).toBe(false);
+      expect(revalidated.status).toBe(200);
+      expect(revalidated.data).toBe('v1');
+    });
+
+    test('should replace the stored response when revalidation returns a new one', async () => {
+      const { api, sent, respond } = createApi();
+      respond(
+        { data: 'v1', headers: { 'Cache-Control': 'no-cache', ETag: '"v1"' } },
+        { data: 'v2', headers: { 'Cache-Control': 'no-cache', ETag: '"v2"' } },
+        { status: 304 }
+      );
+
+      await api.get('/users');
+      expect((await api.get('/users')).data).toBe('v2');
+      expect((await api.get('/users')).data).toBe('v2');
+      expect(sent[2].headers.get('If-None-Match')).toBe('"v2"');
+    });
+
+    test('should pass on errors other than 304 during revalidation', async () => {
+      const { api, respond } = createApi();
+      respond(
+        { headers: { 'Cache-Control': 'no-cache', ETag: '"v1"' } },
+        { status: 500 }
+      );
+
+      await api.get('/users');
+      await expect(api.get('/users')).rejects.toMatchObject({ response: { status: 500 } });
+    });
+
+    test('should refetch stale responses without validators', async () => {
+      const { api, sent, respond } = createApi();
+      respond({ headers: { 'Cache-Control': 'max-age=1' } });
+
+      await api.get('/users');
+      now += 2000;
+      await api.get('/users');
+
+      expect(sent).toHaveLength(2);
+      expect(sent[1].headers.has('If-None-Match')).toBe(false);
+    });
+
+    test('should only reuse responses for requests matching Vary', async () => {
+      const { api, sent, respond } = createApi();
+      respond(
+        { data: 'en', headers: { 'Cache-Control': 'max-age=60', Vary: 'Accept-Language' } },
+        { data: 'de', headers: { 'Cache-Control': 'max-age=60', Vary: 'Accept-Language' } }
+      );
+
+      await api.get('/greeting', { headers: { 'Accept-Language': 'en' } });
+      expect((await api.get('/greeting', { headers: { 'Accept-Language': 'en' } })).data).toBe('en');
+      expect((await api.get('/greeting', { headers: { 'Accept-Language': 'de' } })).data).toBe('de');
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should not store responses with Vary: *', async () => {
+      const { api, sent, respond } = createApi();
+      respond({ headers: { 'Cache-Control': 'max-age=60', Vary: '*' } });
+
+      await api.get('/users');
+      await api.get('/users');
+
+      expect(sent).toHaveLength(2);
+    });
+  });
+
+  describe('http mode with the Node http adapter', () => {
+    let server;
+    let baseURL;
+    let hits;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        hits += 1;
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'max-age=60',
+          Vary: 'Accept-Encoding'
+        });
+        res.end(JSON.stringify({ hits }));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      hits = 0;
+    });
+
+    test('should reuse Vary: Accept-Encoding responses despite headers added by the adapter', async () => {
+      const api = axios.create({ baseURL, adapter: 'http' });
+      attachCacheInterceptor(api, { mode: 'http' });
+
+      await api.get('/users');
+      const response = await api.get('/users');
+
+      expect(hits).toBe(1);
+      expect(response.data).toEqual({ hits: 1 });
+      expect(response.cached).toBe(true);
+    });
+  });
+
+  describe('stale responses', () => {
+    let now;
+
+    beforeEach(() => {
+      now = Date.parse('2026-01-01T00:00:00Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should serve stale responses while refreshing them in the background', async () => {
+      const { api, sent, respond } = createRecordingApi({ maxAge: 1000, staleWhileRevalidate: 5000 });
+      respond({ data: 'v1' }, { data: 'v2' });
+
+      await api.get('/users');
+      now += 3000;
+      const stale = await api.get('/users');
+
+      expect(stale.data).toBe('v1');
+      expect(stale.stale).toBe(true);
+
+      await flushRefreshes();
+      expect(sent).toHaveLength(2);
+
+      const fresh = await api.get('/users');
+      expect(fresh.data).toBe('v2');
+      expect(fresh.stale).toBeUndefined();
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should run one background refresh per entry at a time', async () => {
+      const { api, sent, respond } = createRecordingApi({ maxAge: 1000, staleWhileRevalidate: 5000 });
+      respond({ data: 'v1' }, { data: 'v2' });
+
+      await api.get('/users');
+      now += 3000;
+      const responses = await Promise.all([api.get('/users'), api.get('/users'), api.get('/users')]);
+      await flushRefreshes();
+
+      expect(responses.map(response => response.data)).toEqual(['v1', 'v1', 'v1']);
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should keep the stale response when the refresh fails', async () => {
+      const { api, sent, respond } = createRecordingApi({ maxAge: 1000, staleWhileRevalidate: 5000 });
+      respond({ data: 'v1' }, { status: 500 }, { data: 'v2' });
+
+      await api.get('/users');
+      now += 2000;
+      await api.get('/users');
+      await flushRefreshes();
+
+      const stale = await api.get('/users');
+      await flushRefreshes();
+
+      expect(stale.data).toBe('v1');
+      expect(stale.stale).toBe(true);
+      expect(sent).toHaveLength(3);
+    });
+
+    test('should wait for the network once the stale window has passed', async () => {
+      const { api, sent, respond } = createRecordingApi({ maxAge: 1000, staleWhileRevalidate: 5000 });
+      respond({ data: 'v1' }, { data: 'v2' });
+
+      await api.get('/users');
+      now += 7000;
+      const response = await api.get('/users');
+
+      expect(response.data).toBe('v2');
+      expect(response.stale).toBeUndefined();
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should serve stale responses on 5xx and network errors', async () => {
+      const { api, respond } = createRecordingApi({ maxAge: 1000, staleIfError: 10000 });
+      respond({ data: 'v1' }, { status: 503 }, { networkError: true });
+
+      await api.get('/users');
+      now += 2000;
+      const afterServerError = await api.get('/users');
+      const afterNetworkError = await api.get('/users');
+
+      expect(afterServerError).toEqual(expect.objectContaining({ data: 'v1', status: 200, stale: true }));
+      expect(afterNetworkError).toEqual(expect.objectContaining({ data: 'v1', stale: true }));
+    });
+
+    test('should serve stale responses for 5xx answers accepted by validateStatus', async () => {
+      const { api, respond } = createRecordingApi({ maxAge: 1000, staleIfError: 10000 });
+      respond({ data: 'v1' }, { status: 502 });
+
+      await api.get('/users');
+      now += 2000;
+      const response = await api.get('/users', { validateStatus: () => true });
+
+      expect(response).toEqual(expect.objectContaining({ data: 'v1', stale: true }));
+    });
+
+    test('should pass on client errors and errors after the stale window', async () => {
+      const { api, respond } = createRecordingApi({ maxAge: 1000, staleIfError: 10000 });
+      respond({ data: 'v1' }, { status: 404 }, { status: 503 });
+
+      await api.get('/users');
+      now += 2000;
+      await expect(api.get('/users')).rejects.toMatchObject({ response: { status: 404 } });
+
+      now += 10000;
+      await expect(api.get('/users')).rejects.toMatchObject({ response: { status: 503 } });
+    });
+
+    test('should not store stale responses again', async () => {
+      const { api, sent, respond } = createRecordingApi({ maxAge: 1000, staleIfError: 5000 });
+      respond({ data: 'v1' }, { status: 503 }, { status: 503 });
+
+      await api.get('/users');
+      now += 2000;
+      expect((await api.get('/users')).stale).toBe(true);
+
+      now += 4000;
+      await expect(api.get('/users')).rejects.toMatchObject({ response: { status: 503 } });
+      expect(sent).toHaveLength(3);
+    });
+
+    test('should use the stale-while-revalidate and stale-if-error directives in http mode', async () => {
+      const { api, sent, respond } = createRecordingApi({ mode: 'http' });
+      respond(
+        { data: 'v1', headers: { 'Cache-Control': 'max-age=1, stale-while-revalidate=5, stale-if-error=60' } },
+        { status: 500 },
+        { status: 500 }
+      );
+
+      await api.get('/users');
+      now += 3000;
+      expect((await api.get('/users')).stale).toBe(true);
+      await flushRefreshes();
+
+      now += 10000;
+      expect(await api.get('/users')).toEqual(expect.objectContaining({ data: 'v1', stale: true }));
+      expect(sent).toHaveLength(3);
+    });
+
+    test('should revalidate conditionally in the background in http mode', async () => {
+      const { api, sent, respond } = createRecordingApi({ mode: 'http', staleWhileRevalidate: 60000 });
+      respond(
+        { data: 'v1', headers: { 'Cache-Control': 'max-age=1', ETag: '"v1"' } },
+        { status: 304, headers: { 'Cache-Control': 'max-age=100' } }
+      );
+
+      await api.get('/users');
+      now += 2000;
+      await api.get('/users');
+      await flushRefreshes();
+
+      expect(sent[1].headers.get('If-None-Match')).toBe('"v1"');
+      const fresh = await api.get('/users');
+      expect(fresh.data).toBe('v1');
+      expect(fresh.stale).toBeUndefined();
+      expect(sent).toHaveLength(2);
+    });
+
+    test('should never serve must-revalidate responses stale', async () => {
+      const { api, sent, respond } = createRecordingApi({ mode: 'http', staleWhileRevalidate: 60000, staleIfError: 60000 });
+      respond(
+        { data: 'v1', headers: { 'Cache-Control': 'max-age=1, must-revalidate' } },
+        { status: 503 }
+      );
+
+      await api.get('/users');
+      now += 2000;
+
+      await expect(api.get('/users')).rejects.toMatchObject({ response: { status: 503 } });
+      expect(sent).toHaveLength(2);
+    });
+  });
+
+  describe('invalidation', () => {
+    // Cache a GET for every URL, answering each with its own URL
+    const cacheUrls = async (api, urls, config) => {
+      for (const url of urls) {
+        await api.get(url, config);
+      }
+    };
+
+    const createApi = (options) => {
+      const adapter = jest.fn(async (config) => ({
+        data: config.url, status: 200, statusText: 'OK', headers: {}, config
+      }));
+      const api = axios.create({ adapter });
+      attachCacheInterceptor(api, options);
+      const isCached = async (url, config) => {
+        const calls = adapter.mock.calls.length;
+        await api.get(url, config);
+        return adapter.mock.calls.length === calls;
+      };
+      return { api, adapter, isCached };
+    };
+
+    test('should expose the cache API on the instance', () => {
+      attachCacheInterceptor(mockInstance);
+
+      expect(mockInstance.cache).toEqual({
+        invalidate: expect.any(Function),
+        invalidateUrl: expect.any(Function),
+        clear: expect.any(Function),
+        export: expect.any(Function),
+        import: expect.any(Function),
+        warm: expect.any(Function),
+        getStats: expect.any(Function)
+      });
+    });
+
+    test('should invalidate by key', async () => {
+      const { api, isCached } = createApi();
+      await cacheUrls(api, ['/users', '/posts']);
+
+      expect(await api.cache.invalidate('get:/users:{}')).toBe(1);
+
+      expect(await isCached('/users')).toBe(false);
+      expect(await isCached('/posts')).toBe(true);
+    });
+
+    test('should invalidate by key pattern', async () => {
+      const { api, isCached } = createApi();
+      await cacheUrls(api, ['/users', '/users/1', '/posts']);
+
+      expect(await api.cache.invalidate(/^get:\/users/)).toBe(2);
+
+      expect(await isCached('/users/1')).toBe(false);
+      expect(await isCached('/posts')).toBe(true);
+    });
+
+    test('should invalidate by tag', async () => {
+      const { api, isCached } = createApi();
+      await api.get('/users', { cacheTags: ['users', 'lists'] });
+      await api.get('/posts', { cacheTags: ['lists'] });
+      await api.get('/settings');
+
+      expect(await api.cache.invalidate(['lists'])).toBe(2);
+
+      expect(await isCached('/users')).toBe(false);
+      expect(await isCached('/posts')).toBe(false);
+      expect(await isCached('/settings')).toBe(true);
+    });
+
+    test('should invalidate a URL with its parent and sub-paths', async () => {
+      const { api, isCached } = createApi();
+      await cacheUrls(api, ['/users', '/users/1', '/users/1/posts', '/users/2', '/users-archive']);
+
+      expect(await api.cache.invalidateUrl('https://api.example.com/users/1?expand=true')).toBe(3);
+
+      expect(await isCached('/users/2')).toBe(true);
+      expect(await isCached('/users-archive')).toBe(true);
+    });
+
+    test('should clear all entries', async () => {
+      const { api, isCached } = createApi();
+      await cacheUrls(api, ['/users', '/posts']);
+
+      await api.cache.clear();
+
+      expect(await isCached('/users')).toBe(false);
+      expect(await isCached('/posts')).toBe(false);
+    });
+
+    test('should purge related GETs after a successful mutation', async () => {
+      const { api, isCached } = createApi();
+      await cacheUrls(api, ['/users', '/users/1', '/users/2', '/posts']);
+
+      await api.put('/users/1', { name: 'Ann' });
+
+      expect(await isCached('/posts')).toBe(true);
+      expect(await isCached('/users/2')).toBe(true);
+      expect(await isCached('/users')).toBe(false);
+      expect(await isCached('/users/1')).toBe(false);
+    });
+
+    test('should not purge after failed mutations', async () => {
+      const adapter = jest.fn(async (config) => {
+        if (config.method === 'get') {
+          return { data: 'ok', status: 200, statusText: 'OK', headers: {}, config };
+        }
+        const response = { data: '', status: 422, statusText: '', headers: {}, config };
+        throw new axios.AxiosError('Request failed', 'ERR_BAD_REQUEST', config, null, response);
+      });
+      const api = axios.create({ adapter });
+      attachCacheInterceptor(api);
+      await api.get('/users');
+
+      await expect(api.post('/users', {})).rejects.toThrow('Request failed');
+      await api.get('/users');
+
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    test('should apply cacheInvalidate targets of a mutation', async () => {
+      const { api, isCached } = createApi({ invalidateOnMutation: false });
+      await api.get('/users', { cacheTags: ['users'] });
+      await api.get('/stats', { cacheTags: ['stats'] });
+
+      await api.post('/users', {}, { cacheInvalidate: ['stats'] });
+
+      expect(await isCached('/users')).toBe(true);
+      expect(await isCached('/stats')).toBe(false);
+    });
+
+    test('should use a custom mutation rule', async () => {
+      const rule = jest.fn(() => /^get:\/stats/);
+      const { api, isCached } = createApi({ invalidateOnMutation: rule });
+      await cacheUrls(api, ['/users', '/stats']);
+
+      await api.delete('/users/1');
+
+      expect(rule).toHaveBeenCalledWith(expect.objectContaining({ method: 'delete', url: '/users/1' }));
+      expect(await isCached('/users')).toBe(true);
+      expect(await isCached('/stats')).toBe(false);
+    });
+
+    test('should report invalidation errors and still return the mutation response', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failure = new Error('rule failed');
+      const { api, isCached } = createApi({ invalidateOnMutation: () => { throw failure; } });
+      await cacheUrls(api, ['/users']);
+
+      const response = await api.post('/users', {});
+
+      expect(response.status).toBe(200);
+      expect(consoleError).toHaveBeenCalledWith('Error invalidating cache after mutation:', failure);
+      expect(await isCached('/users')).toBe(true);
+      consoleError.mockRestore();
+    });
+
+    test('should invalidate entries persisted before the instance was created', async () => {
+      const webStorage = {
+        items: new Map(),
+        get length() { return this.items.size; },
+        key(i) { return [...this.items.keys()][i] ?? null; },
+        getItem(key) { return this.items.get(key) ?? null; },
+        setItem(key, value) { this.items.set(key, value); },
+        removeItem(key) { this.items.delete(key); }
+      };
+      const first = createApi({ storage: createWebStorage(webStorage) });
+      await first.api.get('/users', { cacheTags: ['users'] });
+
+      const second = createApi({ storage: createWebStorage(webStorage) });
+      expect(await second.api.cache.invalidate('users')).toBe(1);
+      expect(await second.isCached('/users')).toBe(false);
+    });
+
+    test('should integrate with createResource cache tags', async () => {
+      const { api, adapter, isCached } = createApi({ invalidateOnMutation: false });
+      const users = createResource(api, '/users', { cacheTags: ['users'] });
+
+      await users.list({ page: 1 });
+      await users.get(1);
+      await users.create({ name: 'Ann' });
+
+      expect(await isCached('/users/1')).toBe(false);
+      await users.list({ page: 1 });
+      expect(adapter).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('statistics', () => {
+    let now;
+
+    beforeEach(() => {
+      now = Date.parse('2026-01-01T00:00:00Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should mark responses with their cache status, key and age', async () => {
+      const { api, respond } = createRecordingApi({ maxAge: 10000 });
+      respond({ data: 'v1' });
+
+      const first = await api.get('/users', { params: { page: 1 } });
+      now += 2500;
+      const second = await api.get('/users', { params: { page: 1 } });
+
+      expect(first.cached).toBe(false);
+      expect(first.cacheKey).toBe('get:/users:{"page":1}');
+      expect(first.cacheAge).toBeUndefined();
+      expect(second.cached).toBe(true);
+      expect(second.cacheKey).toBe('get:/users:{"page":1}');
+      expect(second.cacheAge).toBe(2500);
+    });
+
+    test('should count hits, misses and the storage size', async () => {
+      const { api, respond } = createRecordingApi({ maxAge: 1000, maxSize: 1 });
+      respond({ data: 'users' }, { data: 'posts' }, { data: 'users' });
+
+      await api.get('/users');
+      await api.get('/users');
+      await api.get('/posts');
+      await api.get('/users');
+
+      expect(api.cache.getStats()).toEqual(expect.objectContaining({
+        hits: 1,
+        misses: 3,
+        hitRate: 0.25,
+        entries: 1,
+        bytes: expect.any(Number),
+        evictions: 2
+      }));
+    });
+
+    test('should count revalidations and mark 304 answers', async () => {
+      const { api, respond } = createRecordingApi({ mode: 'http' });
+      respond(
+        { data: 'v1', headers: { 'Cache-Control': 'max-age=10', ETag: '"v1"' } },
+        { status: 304, headers: { 'Cache-Control': 'max-age=10' } }
+      );
+
+      await api.get('/users');
+      now += 20000;
+      const response = await api.get('/users');
+
+      expect(response.data).toBe('v1');
+      expect(response).toEqual(expect.objectContaining({ cached: true, revalidated: true, cacheAge: 0 }));
+      expect(api.cache.getStats()).toEqual(expect.objectContaining({
+        hits: 0,
+        misses: 2,
+        revalidations: 1,
+        notModified: 1
+      }));
+    });
+
+    test('should count stale hits and background refreshes', async () => {
+      const { api, respond } = createRecordingApi({ maxAge: 1000, staleWhileRevalidate: 5000 });
+      respond({ data: 'v1' }, { data: 'v2' });
+
+      await api.get('/users');
+      now += 3000;
+      const stale = await api.get('/users');
+      await flushRefreshes();
+
+      expect(stale.cached).toBe(true);
+      expect(stale.cacheAge).toBe(3000);
+      expect(api.cache.getStats()).toEqual(expect.objectContaining({
+        hits: 1,
+        staleHits: 1,
+        misses: 1,
+        backgroundRefreshes: 1
+      }));
+    });
+
+    test('should count invalidations', async () => {
+      const { api, respond } = createRecordingApi();
+      respond({ data: 'users' }, { data: 'posts' });
+      await api.get('/users');
+      await api.get('/posts');
+
+      await api.cache.invalidate(/users/);
+      await api.cache.invalidateUrl('/posts');
+
+      expect(api.cache.getStats()).toEqual(expect.objectContaining({ invalidations: 2, entries: 0, bytes: 0 }));
+    });
+
+    test('should report null storage figures when the storage has no stats', async () => {
+      const entries = new Map();
+      const storage = {
+        get: async (key) => entries.get(key),
+        set: async (key, entry) => { entries.set(key, entry); },
+        delete: async (key) => { entries.delete(key); }
+      };
+      const { api } = createRecordingApi({ storage });
+      await api.get('/users');
+
+      expect(api.cache.getStats()).toEqual(expect.objectContaining({ entries: null, bytes: null, evictions: null }));
+    });
+  });
+
+  describe('keys and coalescing', () => {
+    // Adapter whose responses are sent on demand, so requests overlap
+    const createGatedApi = (options) => {
+      const pending = [];
+      const adapter = jest.fn((config) => new Promise((resolve, reject) => {
+        pending.push({ config, resolve, reject });
+      }));
+      const api = axios.create({ adapter });
+      attachCacheInterceptor(api, options);
+      const respond = (data, status = 200) => {
+        const { config, resolve } = pending.shift();
+        resolve({ data, status, statusText: '', headers: new axios.AxiosHeaders(), config });
+      };
+      const waitForRequests = async (count) => {
+        while (adapter.mock.calls.length < count) {
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      };
+      return { api, adapter, pending, respond, waitForRequests };
+    };
+
+    test('should share entries between reordered params', async () => {
+      const { api, sent, respond } = createRecordingApi();
+      respond({ data: 'page' });
+
+      await api.get('/users', { params: { page: 1, sort: 'name' } });
+      const response = await api.get('/users', { params: { sort: 'name', page: 1 } });
+
+      expect(sent).toHaveLength(1);
+      expect(response.cached).toBe(true);
+    });
+
+    test('should key responses by their full URL', async () => {
+      const { api, sent } = createRecordingApi();
+
+      await api.get('/users', { baseURL: 'https://a.test' });
+      await api.get('/users', { baseURL: 'https://b.test' });
+      const response = await api.get('https://a.test/users');
+
+      expect(sent).toHaveLength(2);
+      expect(response.cacheKey).toBe('get:https://a.test/users:{}');
+    });
+
+    test('should cache each variant of the vary headers', async () => {
+      const { api, sent, respond } = createRecordingApi({ varyHeaders: ['Accept-Language'] });
+      respond({ data: 'Hallo' }, { data: 'Hello' });
+
+      await api.get('/greeting', { headers: { 'Accept-Language': 'de' } });
+      await api.get('/greeting', { headers: { 'Accept-Language': 'en' } });
+      const german = await api.get('/greeting', { headers: { 'Accept-Language': 'de' } });
+
+      expect(sent).toHaveLength(2);
+      expect(german.data).toBe('Hallo');
+    });
+
+    test('should keep partitions apart', async () => {
+      let user = 'ann';
+      const { api, sent, respond } = createRecordingApi({ partition: () => user });
+      respond({ data: 'ann' }, { data: 'bob' });
+
+      await api.get('/me');
+      user = 'bob';
+      const bob = await api.get('/me');
+      user = 'ann';
+      const ann = await api.get('/me');
+
+      expect(sent).toHaveLength(2);
+      expect(bob.data).toBe('bob');
+      expect(ann.data).toBe('ann');
+      expect(ann.cacheKey).toBe('get:/me:{}@ann');
+    });
+
+    test('should send one request for concurrent misses', async () => {
+      const { api, adapter, respond, waitForRequests } = createGatedApi();
+
+      const first = api.get('/users', { headers: { 'X-Caller': 'first' } });
+      const second = api.get('/users', { headers: { 'X-Caller': 'second' } });
+      await waitForRequests(1);
+      respond('[{"id":1}]');
+      const [a, b] = await Promise.all([first, second]);
+
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(a.data).toEqual([{ id: 1 }]);
+      expect(b.data).toEqual([{ id: 1 }]);
+      expect(b.data).not.toBe(a.data);
+      expect(b.config.headers['X-Caller']).toBe('second');
+      expect(api.cache.getStats()).toEqual(expect.objectContaining({ misses: 1, coalesced: 1 }));
+
+      expect((await api.get('/users')).cached).toBe(true);
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    test('should pass failures on to the waiting requests', async () => {
+      const { api, pending, waitForRequests } = createGatedApi();
+
+      const first = api.get('/users', { headers: { 'X-Caller': 'first' } });
+      const second = api.get('/users', { headers: { 'X-Caller': 'second' } });
+      await waitForRequests(1);
+      const { config, reject } = pending.shift();
+      reject(new axios.AxiosError('Network Error', 'ERR_NETWORK', config));
+
+      await expect(first).rejects.toThrow('Network Error');
+      const error = await second.catch(e => e);
+      expect(axios.isAxiosError(error)).toBe(true);
+      expect(error.code).toBe('ERR_NETWORK');
+      expect(error.config.headers['X-Caller']).toBe('second');
+    });
+
+    test('should send the waiting requests when the first is cancelled', async () => {
+      const { api, adapter, pending, respond, waitForRequests } = createGatedApi();
+
+      const first = api.get('/users');
+      const second = api.get('/users');
+      await waitForRequests(1);
+      pending.shift().reject(new axios.CanceledError());
+      await expect(first).rejects.toThrow('canceled');
+
+      await waitForRequests(2);
+      respond('ok');
+
+      expect((await second).data).toBe('ok');
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not coalesce when disabled', async () => {
+      const { api, adapter, respond, waitForRequests } = createGatedApi({ coalesce: false });
+
+      const first = api.get('/users');
+      const second = api.get('/users');
+      await waitForRequests(2);
+      respond('a');
+      respond('b');
+
+      expect((await first).data).toBe('a');
+      expect((await second).data).toBe('b');
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('snapshots and warm-up', () => {
+    let now;
+
+    beforeEach(() => {
+      now = Date.parse('2026-01-01T00:00:00Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should export a versioned snapshot that other instances import', async () => {
+      const source = createRecordingApi({ maxAge: 60000 });
+      source.respond({ data: { id: 1 } });
+      await source.api.get('/users/1', { cacheTags: ['users'] });
+
+      const snapshot = JSON.parse(JSON.stringify(await source.api.cache.export()));
+      expect(snapshot).toEqual({
+        version: 1,
+        createdAt: now,
+        entries: [{
+          key: 'get:/users/1:{}',
+          entry: expect.objectContaining({ timestamp: now, tags: ['users'] })
+        }]
+      });
+
+      const target = createRecordingApi({ maxAge: 60000 });
+      expect(await target.api.cache.import(JSON.stringify(snapshot))).toBe(1);
+      now += 1000;
+      const response = await target.api.get('/users/1');
+
+      expect(target.sent).toHaveLength(0);
+      expect(response.data).toEqual({ id: 1 });
+      expect(response.cacheAge).toBe(1000);
+      expect(await target.api.cache.invalidate('users')).toBe(1);
+    });
+
+    test('should keep validators for revalidation', async () => {
+      const source = createRecordingApi({ mode: 'http' });
+      source.respond({ data: 'v1', headers: { 'Cache-Control': 'max-age=10', ETag: '"v1"' } });
+      await source.api.get('/users');
+      const snapshot = await source.api.cache.export();
+
+      const target = createRecordingApi({ mode: 'http' });
+      await target.api.cache.import(snapshot);
+      target.respond({ status: 304 });
+      now += 20000;
+      const response = await target.api.get('/users');
+
+      expect(target.sent[0].headers['If-None-Match']).toBe('"v1"');
+      expect(response.data).toBe('v1');
+      expect(response.revalidated).toBe(true);
+    });
+
+    test('should skip expired entries', async () => {
+      const source = createRecordingApi({ maxAge: 1000 });
+      await source.api.get('/old');
+      now += 500;
+      await source.api.get('/new');
+      const snapshot = await source.api.cache.export();
+      expect(snapshot.entries.map(({ key }) => key)).toEqual(['get:/old:{}', 'get:/new:{}']);
+
+      now += 700;
+      const target = createRecordingApi({ maxAge: 1000 });
+      expect(await target.api.cache.import(snapshot)).toBe(1);
+      expect((await target.api.cache.export()).entries.map(({ key }) => key)).toEqual(['get:/new:{}']);
+    });
+
+    test('should reject unknown snapshots', async () => {
+      const { api } = createRecordingApi();
+
+      await expect(api.cache.import({ version: 2, entries: [] })).rejects.toMatchObject({
+        message: 'Unsupported cache snapshot version 2',
+        code: 'CACHE_SNAPSHOT_INVALID'
+      });
+      await expect(api.cache.import(null)).rejects.toThrow('Invalid cache snapshot');
+    });
+
+    test('should warm the cache with bounded concurrency', async () => {
+      const { api, sent, respond } = createRecordingApi();
+      attachUtilityMethods(api, {}, {});
+      await api.get('/cached');
+      respond({ data: 'a' }, { status: 500 }, { data: 'c' });
+
+      const results = await api.cache.warm(['/a', { url: '/b', method: 'post' }, '/cached', '/c'], { concurrency: 2 });
+
+      expect(results.map(({ status }) => status)).toEqual(['fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+      expect(sent.map(config => `${config.method} ${config.url}`)).toEqual(['get /cached', 'get /a', 'get /b', 'get /c']);
+      expect((await api.get('/c')).cached).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, test, expect, jest, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import http from 'http';
+import crypto from 'crypto';
+import axios from 'axios';
+import { attachChallengeAuthInterceptor } from '../../../lib/interceptors/challengeAuth.js';
+import { DigestAuthHandler, parseAuthenticateHeader } from '../../../lib/utils/digestAuth.js';
+
+// Local server protected by Digest authentication
+const USERS = { Mufasa: 'Circle of Life' };
+let server;
+let baseUrl;
+let requests;
+let serverOptions;
+
+const hash = (algorithm, value) => crypto.createHash(algorithm === 'SHA-256' ? 'sha256' : 'md5').update(value).digest('hex');
+
+const verifyDigest = (req, header) => {
+  const [challenge] = parseAuthenticateHeader(header);
+  if (!challenge || challenge.scheme !== 'Digest') return false;
+  const p = challenge.params;
+  const algorithm = serverOptions.algorithm;
+  if (p.nonce !== serverOptions.nonce || p.algorithm !== algorithm || p.uri !== req.url) return false;
+  const password = USERS[p.username];
+  if (!password) return false;
+
+  const ha1 = hash(algorithm, `${p.username}:${p.realm}:${password}`);
+  const ha2 = hash(algorithm, `${req.method}:${p.uri}`);
+  return p.response === hash(algorithm, `${ha1}:${p.nonce}:${p.nc}:${p.cnonce}:${p.qop}:${ha2}`);
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const authorization = req.headers.authorization;
+    requests.push({ url: req.url, method: req.method, authorization });
+
+    if (authorization && verifyDigest(req, authorization)) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ ok: true, url: req.url }));
+    }
+
+    res.writeHead(401, {
+      'WWW-Authenticate': `Digest realm="appliance", qop="auth", algorithm=${serverOptions.algorithm}, nonce="${serverOptions.nonce}", opaque="op4que"`
+    });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  serverOptions = { algorithm: 'MD5', nonce: 'nonce-1' };
+});
+
+const createApi = (options = {}) => {
+  const api = axios.create({ baseURL: baseUrl });
+  attachChallengeAuthInterceptor(api, { username: 'Mufasa', password: 'Circle of Life', ...options });
+  return api;
+};
+
+const ncOf = (authorization) => parseAuthenticateHeader(authorization)[0].params.nc;
+
+describe('Challenge Auth Interceptor', () => {
+  test('should return request and response interceptor ids', () => {
+    const instance = {
+      interceptors: {
+        request: { use: jest.fn().mockReturnValue(3) },
+        response: { use: jest.fn().mockReturnValue(4) }
+      }
+    };
+
+    expect(attachChallengeAuthInterceptor(instance, { username: 'u', password: 'p' })).toEqual({ request: 3, response: 4 });
+    expect(instance._challengeAuthQueue.size).toBe(0);
+  });
+
+  test('should answer a Digest challenge and replay the request', async () => {
+    const response = await createApi().get('/status', { params: { verbose: 1 } });
+
+    expect(response.data).toEqual({ ok: true, url: '/status?verbose=1' });
+    expect(requests).toHaveLength(2);
+    expect(requests[0].authorization).toBeUndefined();
+    expect(requests[1].authorization).toMatch(/^Digest username="Mufasa", realm="appliance", nonce="nonce-1", uri="\/status\?verbose=1", algorithm=MD5/);
+    expect(requests[1].authorization).toContain('opaque="op4que"');
+    expect(ncOf(requests[1].authorization)).toBe('00000001');
+  });
+
+  test('should support SHA-256 challenges', async () => {
+    serverOptions.algorithm = 'SHA-256';
+
+    await expect(createApi().post('/config', { a: 1 })).resolves.toMatchObject({ status: 200 });
+    expect(requests[1].authorization).toContain('algorithm=SHA-256');
+  });
+
+  test('should authorize later requests up front and count the nonce', async () => {
+    const api = createApi();
+
+    await api.get('/a');
+    await api.get('/b');
+    await api.get('/c');
+
+    expect(requests.map(r => r.url)).toEqual(['/a', '/a', '/b', '/c']);
+    expect(requests.slice(1).map(r => ncOf(r.authorization))).toEqual(['00000001', '00000002', '00000003']);
+  });
+
+  test('should only answer challenges when preemptive authorization is disabled', async () => {
+    const api = createApi({ preemptive: false });
+
+    await api.get('/a');
+    await api.get('/b');
+
+    expect(requests.map(r => r.url)).toEqual(['/a', '/a', '/b', '/b']);
+    expect(requests[2].authorization).toBeUndefined();
+  });
+
+  test('should pick up a new nonce and reset the count', async () => {
+    const api = createApi();
+    await api.get('/a');
+
+    serverOptions.nonce = 'nonce-2';
+    await api.get('/b');
+
+    expect(requests.map(r => r.url)).toEqual(['/a', '/a', '/b', '/b']);
+    expect(requests[3].authorization).toContain('nonce="nonce-2"');
+    expect(ncOf(requests[3].authorization)).toBe('00000001');
+  });
+
+  test('should pause concurrent challenged requests and replay them in order', async () => {
+    let release;
+    const credentials = jest.fn(() => new Promise(resolve => { release = resolve; }));
+    const api = createApi({ credentials, preemptive: false });
+
+    const pending = Promise.all(['/1', '/2', '/3'].map(url => api.get(url)));
+    // Hold the credentials until every request has been challenged and paused
+    while (api._challengeAuthQueue.size < 3) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    release({ username: 'Mufasa', password: 'Circle of Life' });
+    const responses = await pending;
+
+    expect(responses.map(r => r.data.url)).toEqual(['/1', '/2', '/3']);
+    expect(credentials).toHaveBeenCalledTimes(1);
+  });
+
+  test('should give up after the last attempt', async () => {
+    const onAuthFail = jest.fn();
+    const api = createApi({ password: 'wrong', onAuthFail });
+
+    await expect(api.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(requests).toHaveLength(2);
+    expect(onAuthFail).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject paused requests when the challenge cannot be answered', async () => {
+    const api = createApi({ credentials: () => Promise.reject(new Error('vault locked')) });
+
+    await expect(api.get('/a')).rejects.toMatchObject({
+      code: 'CHALLENGE_AUTH_FAILED',
+      message: 'Challenge authentication failed: vault locked',
+      response: { status: 401 }
+    });
+  });
+
+  test('should ignore 401 responses without a supported challenge', async () => {
+    serverOptions.algorithm = 'SHA-512-256';
+
+    await expect(createApi().get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should run multi-leg handshakes through custom handlers', async () => {
+    const legs = [];
+    const handler = {
+      scheme: 'Digest',
+      state: null,
+      handleChallenge(challenge) {
+        legs.push(challenge.params.nonce);
+        this.state = challenge;
+      },
+      authorize() {
+        return this.state ? `Custom leg-${legs.length}` : null;
+      }
+    };
+    const api = createApi({ handlers: [handler, new DigestAuthHandler()], maxAttempts: 2 });
+
+    await expect(api.get('/a')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(requests.map(r => r.authorization)).toEqual([undefined, 'Custom leg-1', 'Custom leg-2']);
+  });
+});
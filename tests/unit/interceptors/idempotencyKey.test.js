@@ -0,0 +1,133 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import axios from 'axios';
+import {
+  attachIdempotencyKeyInterceptor,
+  createIdempotencyKeyHandler,
+  isRetrySafe,
+  IDEMPOTENT_METHODS
+} from '../../../lib/interceptors/idempotencyKey.js';
+import { attachRetryInterceptor } from '../../../lib/interceptors/retry.js';
+
+// Axios instance whose adapter records the config it receives
+const createApi = (respond = () => ({ status: 200 })) => {
+  const sent = [];
+  const adapter = jest.fn(async (config) => {
+    sent.push(config);
+    const { status } = respond(sent.length);
+    const response = { data: {}, status, statusText: '', headers: {}, config };
+    if (status >= 400) {
+      throw new axios.AxiosError('Request failed', 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    return response;
+  });
+  return { api: axios.create({ adapter }), sent };
+};
+
+describe('Idempotency Key Interceptor', () => {
+  test('should add a key to POST and PATCH requests only', async () => {
+    const { api, sent } = createApi();
+    attachIdempotencyKeyInterceptor(api);
+
+    await api.post('/orders', { qty: 1 });
+    await api.patch('/orders/1', { qty: 2 });
+    await api.get('/orders');
+    await api.put('/orders/1', { qty: 3 });
+
+    expect(sent[0].headers.get('Idempotency-Key')).toMatch(/^[0-9a-f-]{36}$/);
+    expect(sent[1].headers.get('Idempotency-Key')).not.toBe(sent[0].headers.get('Idempotency-Key'));
+    expect(sent[2].headers.has('Idempotency-Key')).toBe(false);
+    expect(sent[3].headers.has('Idempotency-Key')).toBe(false);
+  });
+
+  test('should keep a key set by the caller', async () => {
+    const { api, sent } = createApi();
+    attachIdempotencyKeyInterceptor(api);
+
+    await api.post('/orders', {}, { headers: { 'idempotency-key': 'order-42' } });
+
+    expect(sent[0].headers.get('Idempotency-Key')).toBe('order-42');
+  });
+
+  test('should support a custom header, methods and key generator', async () => {
+    const { api, sent } = createApi();
+    const generateKey = jest.fn(config => `key-${config.url}`);
+    attachIdempotencyKeyInterceptor(api, { header: 'X-Request-Id', methods: ['POST', 'DELETE'], generateKey });
+
+    await api.delete('/orders/1');
+    await api.patch('/orders/1', {});
+
+    expect(sent[0].headers.get('X-Request-Id')).toBe('key-/orders/1');
+    expect(sent[1].headers.has('X-Request-Id')).toBe(false);
+  });
+
+  test('should send the same key on every retry attempt', async () => {
+    const { api, sent } = createApi(attempt => ({ status: attempt < 3 ? 503 : 201 }));
+    attachRetryInterceptor(api, { retries: 3, retryDelay: 0, idempotencyKey: true });
+
+    const response = await api.post('/payments', { amount: 10 });
+
+    expect(response.status).toBe(201);
+    expect(sent).toHaveLength(3);
+    const keys = sent.map(config => config.headers.get('Idempotency-Key'));
+    expect(keys[0]).toBeTruthy();
+    expect(new Set(keys).size).toBe(1);
+  });
+
+  test('should not retry POST requests without a key', async () => {
+    const { api, sent } = createApi(() => ({ status: 503 }));
+    attachRetryInterceptor(api, { retries: 3, retryDelay: 0 });
+
+    await expect(api.post('/payments', { amount: 10 })).rejects.toMatchObject({ response: { status: 503 } });
+    expect(sent).toHaveLength(1);
+  });
+
+  test('should generate keys without a global crypto', async () => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+    try {
+      const { api, sent } = createApi();
+      attachRetryInterceptor(api, { idempotencyKey: true });
+
+      await api.post('/payments', { amount: 10 });
+
+      expect(sent[0].headers.get('Idempotency-Key')).toMatch(/^[0-9a-f-]{36}$/);
+    } finally {
+      Object.defineProperty(globalThis, 'crypto', descriptor);
+    }
+  });
+
+  test('should fail clearly when no key can be generated', async () => {
+    const { api, sent } = createApi();
+    const failure = new Error('no random source');
+    attachRetryInterceptor(api, {
+      idempotencyKey: { generateKey: () => { throw failure; } }
+    });
+
+    await expect(api.post('/payments', { amount: 10 })).rejects.toMatchObject({
+      code: 'IDEMPOTENCY_KEY_FAILED',
+      message: 'Could not generate an Idempotency-Key header: no random source',
+      cause: failure
+    });
+    expect(sent).toHaveLength(0);
+  });
+
+  test('should expose the handler for combined request interceptors', () => {
+    const handler = createIdempotencyKeyHandler({ generateKey: () => 'fixed' });
+
+    expect(handler({ method: 'post' }).headers).toEqual({ 'Idempotency-Key': 'fixed' });
+    expect(handler({ method: 'get' }).headers).toBeUndefined();
+  });
+
+  describe('isRetrySafe', () => {
+    test('should accept idempotent methods and keyed requests', () => {
+      IDEMPOTENT_METHODS.forEach(method => {
+        expect(isRetrySafe({ method: method.toUpperCase() })).toBe(true);
+      });
+      expect(isRetrySafe({})).toBe(true);
+      expect(isRetrySafe(undefined)).toBe(true);
+      expect(isRetrySafe({ method: 'post' })).toBe(false);
+      expect(isRetrySafe({ method: 'post', headers: { 'Idempotency-Key': 'k' } })).toBe(true);
+      expect(isRetrySafe({ method: 'patch', headers: { 'X-Request-Id': 'k' } }, 'x-request-id')).toBe(true);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import axios from 'axios';
 import { attachRateLimitInterceptor } from '../../../lib/interceptors/rateLimit.js';
 
 describe('RateLimit Interceptor', () => {
@@ -475,4 +476,400 @@ describe('RateLimit Interceptor', () => {
     await expect(requestInterceptor(config)).rejects.toThrow('Rate limit exceeded');
     expect(onLimit).toHaveBeenCalledTimes(2);
   });
-});
\ No newline at end of file
+
+  describe('algorithms', () => {
+    test('should use the selected algorithm', async () => {
+      attachRateLimitInterceptor(mockInstance, { algorithm: 'token-bucket', maxRequests: 10, windowMs: 1000, burst: 2 });
+      const config = { url: '/api/data' };
+
+      await requestInterceptor(config);
+      await requestInterceptor(config);
+      await expect(requestInterceptor(config)).rejects.toMatchObject({
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: 100
+      });
+
+      jest.advanceTimersByTime(100);
+      await expect(requestInterceptor(config)).resolves.toBe(config);
+      expect(mockInstance._rateLimiter.algorithm).toBe('token-bucket');
+    });
+
+    test('should reject unknown algorithms and modes', () => {
+      expect(() => attachRateLimitInterceptor(mockInstance, { algorithm: 'fixed' }))
+        .toThrow("Unknown rate limit algorithm 'fixed'");
+      expect(() => attachRateLimitInterceptor(mockInstance, { mode: 'drop' }))
+        .toThrow("Unknown rate limit mode 'drop'");
+    });
+  });
+
+  describe('queue mode', () => {
+    const settled = (promise) => {
+      const state = { done: false };
+      promise.then(
+        value => Object.assign(state, { done: true, value }),
+        error => Object.assign(state, { done: true, error })
+      );
+      return state;
+    };
+
+    test('should delay requests until a slot opens, in order', async () => {
+      attachRateLimitInterceptor(mockInstance, { mode: 'queue', maxRequests: 1, windowMs: 1000 });
+
+      await requestInterceptor({ url: '/1' });
+      const second = settled(requestInterceptor({ url: '/2' }));
+      const third = settled(requestInterceptor({ url: '/3' }));
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(second.done).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(second.value).toEqual({ url: '/2' });
+      expect(third.done).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1001);
+      expect(third.value).toEqual({ url: '/3' });
+      expect(mockInstance._rateLimiter.getBucketStats()[0].queued).toBe(0);
+    });
+
+    test('should reject requests that wait longer than maxWait', async () => {
+      const onLimit = jest.fn();
+      attachRateLimitInterceptor(mockInstance, { mode: 'queue', maxRequests: 1, windowMs: 1000, maxWait: 500, onLimit });
+
+      await requestInterceptor({ url: '/1' });
+      await expect(requestInterceptor({ url: '/2' })).rejects.toMatchObject({
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: 1001
+      });
+      expect(onLimit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject queued requests once maxWait has passed', async () => {
+      attachRateLimitInterceptor(mockInstance, { mode: 'queue', maxRequests: 1, windowMs: 1000, maxWait: 1500 });
+
+      await requestInterceptor({ url: '/1' });
+      const second = settled(requestInterceptor({ url: '/2' }));
+      const third = settled(requestInterceptor({ url: '/3' }));
+
+      await jest.advanceTimersByTimeAsync(1500);
+
+      expect(second.value).toEqual({ url: '/2' });
+      expect(third.error.message).toBe('Rate limit exceeded: waited 1500ms');
+      expect(third.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    });
+
+    test('should cancel queued requests when their signal aborts', async () => {
+      attachRateLimitInterceptor(mockInstance, { mode: 'queue', maxRequests: 1, windowMs: 1000 });
+      const controller = new AbortController();
+
+      await requestInterceptor({ url: '/1' });
+      const second = settled(requestInterceptor({ url: '/2', signal: controller.signal }));
+      const third = settled(requestInterceptor({ url: '/3' }));
+
+      controller.abort();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(axios.isCancel(second.error)).toBe(true);
+      expect(second.error.config.url).toBe('/2');
+
+      await jest.advanceTimersByTimeAsync(1001);
+      expect(third.value).toEqual({ url: '/3' });
+    });
+
+    test('should cancel already aborted requests at once', async () => {
+      attachRateLimitInterceptor(mockInstance, { mode: 'queue', maxRequests: 1, windowMs: 1000 });
+
+      await requestInterceptor({ url: '/1' });
+      const error = await requestInterceptor({ url: '/2', signal: AbortSignal.abort() }).catch(e => e);
+
+      expect(axios.isCancel(error)).toBe(true);
+      expect(mockInstance._rateLimiter.getBucketStats()[0].queued).toBe(0);
+    });
+
+    test('should release queued requests when stopped', async () => {
+      attachRateLimitInterceptor(mockInstance, { mode: 'queue', maxRequests: 1, windowMs: 60000 });
+
+      await requestInterceptor({ url: '/1' });
+      const second = settled(requestInterceptor({ url: '/2' }));
+
+      mockInstance._rateLimiter.stop();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(second.value).toEqual({ url: '/2' });
+    });
+  });
+
+  describe('buckets', () => {
+    test('should give matching requests their own limits', async () => {
+      attachRateLimitInterceptor(mockInstance, {
+        maxRequests: 1,
+        windowMs: 1000,
+        buckets: [{ name: 'search', match: '/search/*', maxRequests: 2 }]
+      });
+
+      await requestInterceptor({ url: '/search/users' });
+      await requestInterceptor({ url: '/search/orders' });
+      await expect(requestInterceptor({ url: '/search/users' })).rejects.toMatchObject({
+        code: 'RATE_LIMIT_EXCEEDED',
+        bucket: 'search'
+      });
+
+      await requestInterceptor({ url: '/users' });
+      await expect(requestInterceptor({ url: '/users' })).rejects.toMatchObject({ bucket: 'default' });
+    });
+
+    test('should use the first rule whose selectors all match', async () => {
+      attachRateLimitInterceptor(mockInstance, {
+        maxRequests: 10,
+        buckets: [
+          { match: /^\/users/, method: ['post', 'put'], maxRequests: 1 },
+          { match: /^\/users/, maxRequests: 5 }
+        ]
+      });
+
+      await requestInterceptor({ url: '/users', method: 'post' });
+      await requestInterceptor({ url: '/users', method: 'get' });
+      await expect(requestInterceptor({ url: '/users/1', method: 'PUT' })).rejects.toMatchObject({
+        bucket: 'POST,PUT /^\\/users/'
+      });
+
+      const stats = mockInstance._rateLimiter.getBucketStats();
+      expect(stats.map(bucket => [bucket.name, bucket.allowed, bucket.limited])).toEqual([
+        ['default', 0, 0],
+        ['POST,PUT /^\\/users/', 1, 1],
+        ['/^\\/users/', 1, 0]
+      ]);
+    });
+
+    test('should match hosts and keep a bucket per host', async () => {
+      attachRateLimitInterceptor(mockInstance, {
+        buckets: [
+          { name: 'internal', host: /\.internal$/, maxRequests: 100 },
+          { name: 'hosts', host: /./, key: 'host', maxRequests: 1 }
+        ]
+      });
+
+      await requestInterceptor({ baseURL: 'https://a.test', url: '/1' });
+      await requestInterceptor({ url: 'https://b.test/1' });
+      await requestInterceptor({ url: 'https://api.internal/1' });
+      await expect(requestInterceptor({ url: 'https://a.test/2' })).rejects.toMatchObject({
+        bucket: 'hosts:a.test'
+      });
+      // Relative URLs have no host
+      await requestInterceptor({ url: '/relative' });
+
+      expect(mockInstance._rateLimiter.getBucketStats().map(bucket => bucket.name))
+        .toEqual(['default', 'internal', 'hosts:a.test', 'hosts:b.test']);
+    });
+
+    test('should drop idle keyed buckets when new keys arrive', async () => {
+      attachRateLimitInterceptor(mockInstance, {
+        buckets: [{ name: 'hosts', host: /./, key: 'host', maxRequests: 1, windowMs: 1000 }]
+      });
+
+      await requestInterceptor({ url: 'https://a.test/1' });
+      jest.advanceTimersByTime(500);
+      await requestInterceptor({ url: 'https://b.test/1' });
+      jest.advanceTimersByTime(600);
+      await requestInterceptor({ url: 'https://c.test/1' });
+
+      // b.test is still inside its window
+      expect(mockInstance._rateLimiter.getBucketStats().map(bucket => bucket.name))
+        .toEqual(['default', 'hosts:b.test', 'hosts:c.test']);
+      await expect(requestInterceptor({ url: 'https://b.test/2' })).rejects.toMatchObject({
+        bucket: 'hosts:b.test'
+      });
+      await requestInterceptor({ url: 'https://a.test/2' });
+    });
+
+    test('should select buckets with custom key and match functions', async () => {
+      const key = jest.fn(config => config.headers.tenant);
+      attachRateLimitInterceptor(mockInstance, {
+        buckets: [{ name: 'tenant', match: config => Boolean(config.headers?.tenant), key, maxRequests: 1 }]
+      });
+
+      await requestInterceptor({ url: '/a', headers: { tenant: 'acme' } });
+      await requestInterceptor({ url: '/a', headers: { tenant: 'globex' } });
+      await expect(requestInterceptor({ url: '/b', headers: { tenant: 'acme' } })).rejects.toMatchObject({
+        bucket: 'tenant:acme'
+      });
+      await requestInterceptor({ url: '/c' });
+
+      expect(key).toHaveBeenCalledTimes(3);
+    });
+
+    test('should report usage per bucket', async () => {
+      attachRateLimitInterceptor(mockInstance, {
+        mode: 'queue',
+        maxRequests: 5,
+        windowMs: 1000,
+        buckets: [{ name: 'slow', match: '/slow', algorithm: 'token-bucket', maxRequests: 1 }]
+      });
+
+      await requestInterceptor({ url: '/fast' });
+      await requestInterceptor({ url: '/slow' });
+      requestInterceptor({ url: '/slow' });
+
+      expect(mockInstance._rateLimiter.getBucketStats()).toEqual([
+        {
+          name: 'default',
+          algorithm: 'sliding-window-log',
+          maxRequests: 5,
+          windowMs: 1000,
+          remaining: 4,
+          queued: 0,
+          allowed: 1,
+          limited: 0,
+          server: null
+        },
+        {
+          name: 'slow',
+          algorithm: 'token-bucket',
+          maxRequests: 1,
+          windowMs: 1000,
+          remaining: 0,
+          queued: 1,
+          allowed: 1,
+          limited: 0,
+          server: null
+        }
+      ]);
+
+      mockInstance._rateLimiter.stop();
+      expect(mockInstance._rateLimiter.getBucketStats()[1].queued).toBe(0);
+    });
+
+    test('should reject unknown algorithms in rules', () => {
+      expect(() => attachRateLimitInterceptor(mockInstance, { buckets: [{ algorithm: 'fixed' }] }))
+        .toThrow("Unknown rate limit algorithm 'fixed'");
+    });
+  });
+
+  describe('adaptive', () => {
+    let onResponse;
+    let onResponseError;
+
+    const respond = (config, headers, status = 200) => onResponse({ config, status, headers });
+
+    beforeEach(() => {
+      mockInstance.interceptors.response = {
+        use: jest.fn((fulfilled, rejected) => {
+          onResponse = fulfilled;
+          onResponseError = rejected;
+          return 2;
+        }),
+        eject: jest.fn()
+      };
+      jest.setSystemTime(0);
+    });
+
+    test('should not watch responses unless enabled', () => {
+      attachRateLimitInterceptor(mockInstance);
+
+      expect(mockInstance.interceptors.response.use).not.toHaveBeenCalled();
+    });
+
+    test('should learn the limit and window from the headers', async () => {
+      attachRateLimitInterceptor(mockInstance, { adaptive: true, maxRequests: 100, windowMs: 60000 });
+      const config = { url: '/users' };
+
+      await requestInterceptor(config);
+      const response = respond(config, { 'RateLimit-Policy': '2;w=1', 'RateLimit-Remaining': '9' });
+
+      expect(response.config).toBe(config);
+      expect(mockInstance._rateLimiter.getBucketStats()[0]).toMatchObject({
+        maxRequests: 2,
+        windowMs: 1000,
+        server: { limit: 2, remaining: 9, resetAt: null, pausedUntil: null }
+      });
+
+      await requestInterceptor({ url: '/users' });
+      await requestInterceptor({ url: '/users' });
+      await expect(requestInterceptor({ url: '/users' })).rejects.toMatchObject({ code: 'RATE_LIMIT_EXCEEDED' });
+    });
+
+    test('should wait for the reset once the quota is used up', async () => {
+      attachRateLimitInterceptor(mockInstance, { adaptive: true });
+      const config = { url: '/users' };
+
+      await requestInterceptor(config);
+      respond(config, { 'X-RateLimit-Limit': '2', 'X-RateLimit-Remaining': '1', 'X-RateLimit-Reset-After': '10' });
+
+      await requestInterceptor({ url: '/users' });
+      await expect(requestInterceptor({ url: '/users' })).rejects.toMatchObject({
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: 10000
+      });
+
+      jest.setSystemTime(10000);
+      await expect(requestInterceptor({ url: '/users' })).resolves.toEqual({ url: '/users' });
+    });
+
+    test('should space requests out as the quota runs low', async () => {
+      attachRateLimitInterceptor(mockInstance, { adaptive: { slowdownAt: 0.5 }, mode: 'queue' });
+      const config = { url: '/users' };
+
+      await requestInterceptor(config);
+      respond(config, { RateLimit: 'limit=10, remaining=7, reset=60' });
+
+      // Above half of the quota, requests go straight through
+      await requestInterceptor({ url: '/users' });
+      await requestInterceptor({ url: '/users' });
+      // Five left for the next 60s, one every 12s
+      let sent = false;
+      requestInterceptor({ url: '/users' }).then(() => { sent = true; });
+      await jest.advanceTimersByTimeAsync(11999);
+      expect(sent).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(sent).toBe(true);
+      expect(mockInstance._rateLimiter.getBucketStats()[0].server.remaining).toBe(4);
+    });
+
+    test('should pause on 429 until the server says to retry', async () => {
+      attachRateLimitInterceptor(mockInstance, { adaptive: true });
+      const config = { url: '/users' };
+      const error = { config, response: { config, status: 429, headers: { 'Retry-After': '5' } } };
+
+      await requestInterceptor(config);
+      await expect(onResponseError(error)).rejects.toBe(error);
+
+      expect(mockInstance._rateLimiter.getBucketStats()[0].server).toEqual({
+        limit: null,
+        remaining: null,
+        resetAt: null,
+        pausedUntil: 5000
+      });
+      await expect(requestInterceptor({ url: '/users' })).rejects.toMatchObject({ retryAfter: 5000 });
+
+      jest.setSystemTime(5000);
+      await expect(requestInterceptor({ url: '/users' })).resolves.toEqual({ url: '/users' });
+      // Errors without a response pass through
+      await expect(onResponseError(new Error('Network Error'))).rejects.toThrow('Network Error');
+    });
+
+    test('should learn per bucket', async () => {
+      attachRateLimitInterceptor(mockInstance, {
+        adaptive: true,
+        buckets: [{ host: /./, key: 'host' }]
+      });
+      const a = { url: 'https://a.test/1' };
+      const b = { url: 'https://b.test/1' };
+
+      await requestInterceptor(a);
+      await requestInterceptor(b);
+      respond(a, { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '30' });
+
+      await expect(requestInterceptor({ url: 'https://a.test/2' })).rejects.toMatchObject({ bucket: '/./:a.test' });
+      await expect(requestInterceptor({ url: 'https://b.test/2' })).resolves.toBeDefined();
+    });
+
+    test('should stop watching responses when stopped', () => {
+      attachRateLimitInterceptor(mockInstance, { adaptive: true });
+
+      mockInstance._rateLimiter.stop();
+      mockInstance._rateLimiter.stop();
+
+      expect(mockInstance.interceptors.response.eject).toHaveBeenCalledTimes(1);
+      expect(mockInstance.interceptors.response.eject).toHaveBeenCalledWith(2);
+    });
+  });
+});
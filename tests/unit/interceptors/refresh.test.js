@@ -6,10 +6,15 @@ jest.unstable_mockModule("axios", () => {
   };
 });
 
-const { attachRefreshInterceptor } = await import(
+const { attachRefreshInterceptor, TokenRefreshFailedError } = await import(
   "../../../lib/interceptors/refresh.js"
 );
 const axios = (await import("axios")).default;
+const { TokenProvider } = await import("../../../lib/utils/tokenProvider.js");
+const { normalizeAuthOptions } = await import("../../../lib/utils/authSchemes.js");
+const { RefreshCoordinator, MemoryLockAdapter } = await import(
+  "../../../lib/utils/refreshCoordinator.js"
+);
 
 describe("attachRefreshInterceptor", () => {
   let mockInstance;
@@ -95,7 +100,7 @@ describe("attachRefreshInterceptor", () => {
 
     const error = {
       response: { status: 401 },
-      config: { _retry: true },
+      config: { __refreshAttempts: 1 },
     };
 
     await expect(errorHandler(error)).rejects.toBe(error);
@@ -111,7 +116,10 @@ describe("attachRefreshInterceptor", () => {
     };
     mockOptions.getRefreshToken.mockReturnValue(null);
 
-    await expect(errorHandler(error)).rejects.toBe(error);
+    const rejection = await errorHandler(error).catch((e) => e);
+    expect(rejection).toBeInstanceOf(TokenRefreshFailedError);
+    expect(rejection.cause).toBeNull();
+    expect(rejection.originalError).toBe(error);
     expect(mockOptions.onRefreshTokenFail).toHaveBeenCalled();
   });
 
@@ -162,7 +170,7 @@ describe("attachRefreshInterceptor", () => {
       headers: { Authorization: "Bearer new-access-token" },
       method: "get",
       url: "/api/protected",
-      _retry: true,
+      __refreshAttempts: 1,
     });
 
     expect(result).toBe(retriedResponse);
@@ -181,7 +189,11 @@ describe("attachRefreshInterceptor", () => {
     const refreshError = new Error("Refresh failed");
     axios.mockRejectedValue(refreshError);
 
-    await expect(errorHandler(error)).rejects.toBe(refreshError);
+    const rejection = await errorHandler(error).catch((e) => e);
+    expect(rejection).toBeInstanceOf(TokenRefreshFailedError);
+    expect(rejection.code).toBe("TOKEN_REFRESH_FAILED");
+    expect(rejection.cause).toBe(refreshError);
+    expect(rejection.config).toEqual({ __refreshAttempts: 1 });
 
     expect(mockOptions.onRefreshTokenFail).toHaveBeenCalled();
     expect(mockOptions.setAccessToken).not.toHaveBeenCalled();
@@ -434,7 +446,758 @@ describe("attachRefreshInterceptor", () => {
       method: "get",
       url: "/api/protected",
       headers: { Authorization: "Bearer new-access-token" },
-      _retry: true,
+      __refreshAttempts: 1,
+    });
+  });
+
+  describe("async token storage", () => {
+    test("should support async refresh token getters and setters", async () => {
+      const stored = {};
+      mockOptions.getRefreshToken = jest.fn().mockResolvedValue("async-refresh");
+      mockOptions.setAccessToken = jest.fn(async (token) => {
+        stored.token = token;
+      });
+      mockOptions.setRefreshToken = jest.fn(async (token) => {
+        stored.refreshToken = token;
+      });
+
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      axios.mockResolvedValue({
+        data: { token: "new-access", refreshToken: "new-refresh" },
+      });
+      mockInstance.mockResolvedValue({ data: "ok" });
+
+      await errorHandler({ response: { status: 401 }, config: {} });
+
+      expect(axios).toHaveBeenCalledWith(
+        expect.objectContaining({ params: { refreshToken: "async-refresh" } })
+      );
+      expect(stored).toEqual({ token: "new-access", refreshToken: "new-refresh" });
+    });
+
+    test("should still share one refresh between concurrent requests", async () => {
+      mockOptions.getRefreshToken = jest.fn().mockResolvedValue("async-refresh");
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      axios.mockResolvedValue({
+        data: { token: "new-access", refreshToken: "new-refresh" },
+      });
+      mockInstance.mockResolvedValue({ data: "ok" });
+
+      await Promise.all([
+        errorHandler({ response: { status: 401 }, config: {} }),
+        errorHandler({ response: { status: 401 }, config: {} }),
+      ]);
+
+      expect(mockOptions.getRefreshToken).toHaveBeenCalledTimes(1);
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(mockInstance).toHaveBeenCalledTimes(2);
+    });
+
+    test("should reject every waiting request with its own error when refresh token is missing", async () => {
+      mockOptions.getRefreshToken = jest.fn().mockResolvedValue(null);
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      const error1 = { response: { status: 401 }, config: {} };
+      const error2 = { response: { status: 401 }, config: {} };
+
+      const results = await Promise.allSettled([
+        errorHandler(error1),
+        errorHandler(error2),
+      ]);
+
+      expect(results[0].reason).toBeInstanceOf(TokenRefreshFailedError);
+      expect(results[0].reason.originalError).toBe(error1);
+      expect(results[1].reason.originalError).toBe(error2);
+      expect(mockOptions.onRefreshTokenFail).toHaveBeenCalledTimes(1);
+      expect(axios).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("token provider", () => {
+    test("should read and store tokens through the provider", async () => {
+      const tokenProvider = new TokenProvider({
+        initialTokens: { token: "old", refreshToken: "provider-refresh" },
+      });
+      const onChange = jest.fn();
+      tokenProvider.onChange(onChange);
+
+      attachRefreshInterceptor(mockInstance, {
+        tokenProvider,
+        onRefreshTokenFail: jest.fn(),
+        refreshUrl: "/auth/refresh",
+      });
+
+      axios.mockResolvedValue({
+        data: { token: "fresh", refreshToken: "fresh-refresh" },
+      });
+      mockInstance.mockResolvedValue({ data: "ok" });
+
+      await errorHandler({ response: { status: 401 }, config: {} });
+
+      expect(axios).toHaveBeenCalledWith(
+        expect.objectContaining({ params: { refreshToken: "provider-refresh" } })
+      );
+      expect(await tokenProvider.get()).toEqual({
+        token: "fresh",
+        refreshToken: "fresh-refresh",
+      });
+      expect(onChange).toHaveBeenCalledWith({
+        token: "fresh",
+        refreshToken: "fresh-refresh",
+      });
+      expect(mockInstance).toHaveBeenCalledWith(
+        expect.objectContaining({ headers: { Authorization: "Bearer fresh" } })
+      );
+    });
+
+    test("should fail when the provider has no refresh token", async () => {
+      const onRefreshTokenFail = jest.fn();
+      attachRefreshInterceptor(mockInstance, {
+        tokenProvider: new TokenProvider(),
+        onRefreshTokenFail,
+        refreshUrl: "/auth/refresh",
+      });
+
+      const error = { response: { status: 401 }, config: {} };
+      await expect(errorHandler(error)).rejects.toMatchObject({
+        name: "TokenRefreshFailedError",
+        originalError: error,
+      });
+      expect(onRefreshTokenFail).toHaveBeenCalled();
+    });
+  });
+
+  describe("proactive refresh", () => {
+    let requestHandler;
+
+    const makeJwt = (exp) => {
+      const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+      return `${encode({ alg: "none" })}.${encode({ exp })}.sig`;
+    };
+
+    beforeEach(() => {
+      mockInstance.interceptors.request = {
+        use: jest.fn((onFulfilled) => {
+          requestHandler = onFulfilled;
+          return 77;
+        }),
+      };
+      axios.mockResolvedValue({
+        data: { token: "fresh", refreshToken: "fresh-refresh" },
+      });
+    });
+
+    test("should not register a request interceptor by default", () => {
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      expect(mockInstance.interceptors.request.use).not.toHaveBeenCalled();
+      expect(mockInstance._refreshRequestInterceptorId).toBeUndefined();
+    });
+
+    test("should not refresh ahead of requests that bring their own credentials", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) + 10)
+      );
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      await requestHandler({ url: "/cdn", authentication: false });
+      await requestHandler({ url: "/partner", authentication: { token: "partner" } });
+
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test("should register a request interceptor and store its ID", () => {
+      const id = attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      expect(id).toBe(123);
+      expect(mockInstance._refreshRequestInterceptorId).toBe(77);
+    });
+
+    test("should refresh before sending when the JWT is about to expire", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) + 10)
+      );
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      const config = await requestHandler({ url: "/data", headers: {} });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(mockOptions.setAccessToken).toHaveBeenCalledWith("fresh");
+      expect(config.headers.Authorization).toBe("Bearer fresh");
+    });
+
+    test("should apply the new token with the auth scheme of the request", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) + 10)
+      );
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      mockInstance._authOptions = normalizeAuthOptions({
+        getToken: mockOptions.getAccessToken,
+        scheme: "token",
+        schemes: [{ match: "/keys/*", scheme: { type: "apiKey", name: "X-Key" } }],
+      });
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      const [data, keys] = await Promise.all([
+        requestHandler({ url: "/data", headers: {} }),
+        requestHandler({ url: "/keys/1", headers: {} }),
+      ]);
+
+      expect(data.headers).toEqual({ Authorization: "Token fresh" });
+      expect(keys.headers).toEqual({ "X-Key": "fresh" });
+    });
+
+    test("should leave requests alone when the token is not close to expiry", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) + 3600)
+      );
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      const config = await requestHandler({ url: "/data", headers: {} });
+
+      expect(axios).not.toHaveBeenCalled();
+      expect(config.headers.Authorization).toBeUndefined();
+    });
+
+    test("should skip tokens without a readable expiry", async () => {
+      mockOptions.getAccessToken.mockReturnValue("opaque-token");
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      await requestHandler({ url: "/data", headers: {} });
+
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test("should honour a custom skew and expiry getter", async () => {
+      mockOptions.getAccessToken.mockReturnValue("opaque-token");
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      const getExpiry = jest.fn().mockResolvedValue(new Date(Date.now() + 90000));
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: { skew: 120000, getExpiry },
+      });
+
+      const config = await requestHandler({ url: "/data", headers: {} });
+
+      expect(getExpiry).toHaveBeenCalledWith("opaque-token");
+      expect(config.headers.Authorization).toBe("Bearer fresh");
+    });
+
+    test("should share one refresh between concurrent requests and the 401 handler", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) - 1)
+      );
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      mockInstance.mockResolvedValue({ data: "ok" });
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      await Promise.all([
+        requestHandler({ url: "/a", headers: {} }),
+        requestHandler({ url: "/b", headers: {} }),
+        errorHandler({ response: { status: 401 }, config: {} }),
+      ]);
+
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test("should send the request unchanged when there is no refresh token", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) - 1)
+      );
+      mockOptions.getRefreshToken.mockReturnValue(null);
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      const config = await requestHandler({ url: "/data", headers: {} });
+
+      expect(axios).not.toHaveBeenCalled();
+      expect(config.headers.Authorization).toBeUndefined();
+      expect(mockOptions.onRefreshTokenFail).not.toHaveBeenCalled();
+    });
+
+    test("should send the request with the current token when the refresh call fails", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) + 10)
+      );
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      axios.mockRejectedValue(new Error("refresh failed"));
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      const config = await requestHandler({ url: "/data", headers: { Authorization: "Bearer current" } });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(config.headers.Authorization).toBe("Bearer current");
+      expect(mockOptions.onRefreshTokenFail).not.toHaveBeenCalled();
+    });
+
+    test("should report a failed proactive refresh that a 401 waits on", async () => {
+      mockOptions.getAccessToken.mockReturnValue(
+        makeJwt(Math.floor(Date.now() / 1000) - 1)
+      );
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      const refreshError = new Error("refresh failed");
+      axios.mockRejectedValue(refreshError);
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        proactiveRefresh: true,
+      });
+
+      const [config, failed] = await Promise.allSettled([
+        requestHandler({ url: "/data", headers: {} }),
+        errorHandler({ response: { status: 401 }, config: { url: "/other" } }),
+      ]);
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(config.status).toBe("fulfilled");
+      expect(failed.reason).toMatchObject({ name: "TokenRefreshFailedError", cause: refreshError });
+      expect(mockOptions.onRefreshTokenFail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("refresh client", () => {
+    beforeEach(() => {
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+    });
+
+    test("should send the refresh request through the instance when configured", async () => {
+      mockInstance.request = jest.fn().mockResolvedValue({
+        data: { token: "fresh", refreshToken: "fresh-refresh" },
+      });
+      mockInstance.mockResolvedValue({ data: "ok" });
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        refreshClient: "instance",
+      });
+
+      await errorHandler({ response: { status: 401 }, config: {} });
+
+      expect(axios).not.toHaveBeenCalled();
+      expect(mockInstance.request).toHaveBeenCalledWith({
+        method: "post",
+        url: "/auth/refresh",
+        params: { refreshToken: "refresh-token" },
+        __isRefreshRequest: true,
+      });
+      expect(mockOptions.setAccessToken).toHaveBeenCalledWith("fresh");
+    });
+
+    test("should not try to refresh when the refresh request itself returns 401", async () => {
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        refreshClient: "instance",
+      });
+
+      const error = {
+        response: { status: 401 },
+        config: { url: "/auth/refresh", __isRefreshRequest: true },
+      };
+
+      await expect(errorHandler(error)).rejects.toBe(error);
+      expect(mockOptions.getRefreshToken).not.toHaveBeenCalled();
+    });
+
+    test("should use a dedicated client's request method", async () => {
+      const refreshClient = {
+        request: jest.fn().mockResolvedValue({
+          data: { token: "fresh", refreshToken: "fresh-refresh" },
+        }),
+      };
+      mockInstance.mockResolvedValue({ data: "ok" });
+      attachRefreshInterceptor(mockInstance, { ...mockOptions, refreshClient });
+
+      await errorHandler({ response: { status: 401 }, config: {} });
+
+      expect(axios).not.toHaveBeenCalled();
+      expect(refreshClient.request).toHaveBeenCalledWith(
+        expect.objectContaining({ url: "/auth/refresh" })
+      );
+    });
+
+    test("should accept a plain function as client", async () => {
+      const refreshClient = jest.fn().mockResolvedValue({
+        data: { token: "fresh", refreshToken: "fresh-refresh" },
+      });
+      mockInstance.mockResolvedValue({ data: "ok" });
+      attachRefreshInterceptor(mockInstance, { ...mockOptions, refreshClient });
+
+      await errorHandler({ response: { status: 401 }, config: {} });
+
+      expect(refreshClient).toHaveBeenCalledTimes(1);
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test("should let refresh requests pass the proactive check", async () => {
+      let requestHandler;
+      mockInstance.interceptors.request = {
+        use: jest.fn((onFulfilled) => {
+          requestHandler = onFulfilled;
+          return 77;
+        }),
+      };
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        refreshClient: "instance",
+        proactiveRefresh: { getExpiry: () => Date.now() },
+      });
+
+      const config = { url: "/auth/refresh", __isRefreshRequest: true };
+
+      expect(await requestHandler(config)).toBe(config);
+      expect(mockOptions.getAccessToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cross-tab coordination", () => {
+    const createTab = (shared, onTokenChange, coordinatorOptions = {}) => {
+      let handler;
+      const tab = jest.fn().mockResolvedValue({ data: "ok" });
+      tab.interceptors = {
+        response: {
+          use: jest.fn((onSuccess, onError) => {
+            handler = onError;
+            return 1;
+          }),
+        },
+      };
+      const tokenProvider = new TokenProvider({
+        initialTokens: { token: "old", refreshToken: "refresh-1" },
+      });
+      if (onTokenChange) tokenProvider.onChange(onTokenChange);
+      const onRefreshTokenFail = jest.fn();
+      const coordinator = new RefreshCoordinator({
+        lock: new MemoryLockAdapter(shared),
+        ...coordinatorOptions,
+      });
+      attachRefreshInterceptor(tab, {
+        tokenProvider,
+        onRefreshTokenFail,
+        refreshUrl: "/auth/refresh",
+        coordination: coordinator,
+      });
+      return {
+        tab,
+        tokenProvider,
+        onRefreshTokenFail,
+        coordinator,
+        handle: (error) => handler(error),
+      };
+    };
+
+    test("should refresh once across tabs and share the new tokens", async () => {
+      const shared = MemoryLockAdapter.createShared();
+      const tabA = createTab(shared);
+      const tabB = createTab(shared);
+      let respond;
+      axios.mockImplementation(() => new Promise((resolve) => { respond = resolve; }));
+
+      const first = tabA.handle({ response: { status: 401 }, config: {} });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const second = tabB.handle({ response: { status: 401 }, config: {} });
+
+      respond({ data: { token: "fresh", refreshToken: "refresh-2" } });
+      await Promise.all([first, second]);
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(await tabB.tokenProvider.get()).toEqual({
+        token: "fresh",
+        refreshToken: "refresh-2",
+      });
+      expect(tabB.tab).toHaveBeenCalledWith(
+        expect.objectContaining({ headers: { Authorization: "Bearer fresh" } })
+      );
+      tabA.coordinator.close();
+      tabB.coordinator.close();
+    });
+
+    test("should update idle tabs when another tab refreshes", async () => {
+      const shared = MemoryLockAdapter.createShared();
+      const onChange = jest.fn();
+      const tabA = createTab(shared);
+      const tabB = createTab(shared, onChange);
+      axios.mockResolvedValue({ data: { token: "fresh", refreshToken: "refresh-2" } });
+
+      await tabA.handle({ response: { status: 401 }, config: {} });
+
+      expect(onChange).toHaveBeenCalledWith({ token: "fresh", refreshToken: "refresh-2" });
+      tabA.coordinator.close();
+      tabB.coordinator.close();
+    });
+
+    test("should report failures from the refreshing tab in waiting tabs", async () => {
+      const shared = MemoryLockAdapter.createShared();
+      const tabA = createTab(shared);
+      const tabB = createTab(shared);
+      let fail;
+      axios.mockImplementation(() => new Promise((resolve, reject) => { fail = reject; }));
+
+      const first = tabA.handle({ response: { status: 401 }, config: {} });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const second = tabB.handle({ response: { status: 401 }, config: {} });
+
+      fail(new Error("invalid_grant"));
+
+      await expect(first).rejects.toThrow("invalid_grant");
+      await expect(second).rejects.toMatchObject({
+        cause: { code: "REFRESH_FAILED_IN_OTHER_TAB" },
+      });
+      expect(tabA.onRefreshTokenFail).toHaveBeenCalledTimes(1);
+      expect(tabB.onRefreshTokenFail).toHaveBeenCalledTimes(1);
+      tabA.coordinator.close();
+      tabB.coordinator.close();
+    });
+
+    test("should report a timed out wait for another tab as a failed refresh", async () => {
+      const shared = MemoryLockAdapter.createShared();
+      const tabA = createTab(shared);
+      const tabB = createTab(shared, null, { timeout: 20 });
+      axios.mockImplementation(() => new Promise(() => {}));
+
+      const first = tabA.handle({ response: { status: 401 }, config: {} });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      const second = tabB.handle({ response: { status: 401 }, config: {} });
+
+      await expect(second).rejects.toMatchObject({
+        cause: { code: "REFRESH_COORDINATION_TIMEOUT" },
+      });
+      expect(tabB.onRefreshTokenFail).toHaveBeenCalledTimes(1);
+      first.catch(() => {});
+      tabA.coordinator.close();
+      tabB.coordinator.close();
+    });
+
+    test("should not refresh again when another tab rotated the tokens before the lock was taken", async () => {
+      const tabA = createTab(MemoryLockAdapter.createShared());
+      const acquire = tabA.coordinator.lock.acquire.bind(tabA.coordinator.lock);
+      // Another tab's refresh lands while this tab is taking the lock
+      tabA.coordinator.lock.acquire = async (ttl) => {
+        await tabA.tokenProvider.set({ token: "rotated", refreshToken: "refresh-2" });
+        return acquire(ttl);
+      };
+
+      await tabA.handle({ response: { status: 401 }, config: {} });
+
+      expect(axios).not.toHaveBeenCalled();
+      expect(tabA.onRefreshTokenFail).not.toHaveBeenCalled();
+      expect(tabA.tab).toHaveBeenCalledWith(
+        expect.objectContaining({ headers: { Authorization: "Bearer rotated" } })
+      );
+      tabA.coordinator.close();
+    });
+
+    test("should store a cleanup function on the instance", () => {
+      const coordinator = new RefreshCoordinator({ lock: new MemoryLockAdapter() });
+      const close = jest.spyOn(coordinator, "close");
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        coordination: coordinator,
+      });
+
+      mockInstance._refreshCoordinatorCleanup();
+
+      // Coordinators passed in by the caller are left open
+      expect(close).not.toHaveBeenCalled();
+      coordinator.close();
+    });
+  });
+
+  describe("refresh triggers and request queue", () => {
+    beforeEach(() => {
+      mockOptions.getRefreshToken.mockReturnValue("refresh-token");
+      axios.mockResolvedValue({
+        data: { token: "fresh", refreshToken: "fresh-refresh" },
+      });
+      mockInstance.mockImplementation((config) => Promise.resolve({ config }));
+    });
+
+    test("should refresh on configured status codes", async () => {
+      attachRefreshInterceptor(mockInstance, {
+        ...mockOptions,
+        shouldRefresh: [401, 419],
+      });
+
+      await errorHandler({ response: { status: 419 }, config: {} });
+
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test("should refresh when a predicate matches", async () => {
+      const shouldRefresh = (error) =>
+        error.response.status === 403 && error.response.data?.code === "token_expired";
+      attachRefreshInterceptor(mockInstance, { ...mockOptions, shouldRefresh });
+
+      const forbidden = { response: { status: 403, data: { code: "forbidden" } }, config: {} };
+      await expect(errorHandler(forbidden)).rejects.toBe(forbidden);
+      expect(axios).not.toHaveBeenCalled();
+
+      await errorHandler({ response: { status: 403, data: { code: "token_expired" } }, config: {} });
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test("should no longer refresh on 401 when other triggers are configured", async () => {
+      attachRefreshInterceptor(mockInstance, { ...mockOptions, shouldRefresh: [403] });
+
+      const error = { response: { status: 401 }, config: {} };
+      await expect(errorHandler(error)).rejects.toBe(error);
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test("should not refresh requests that opt out or bring their own token", async () => {
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      const optedOut = { response: { status: 401 }, config: { url: "/cdn", authentication: false } };
+      const ownToken = { response: { status: 401 }, config: { url: "/partner", authentication: { token: "x" } } };
+      await expect(errorHandler(optedOut)).rejects.toBe(optedOut);
+      await expect(errorHandler(ownToken)).rejects.toBe(ownToken);
+      expect(axios).not.toHaveBeenCalled();
+
+      // Only the scheme differs, so the instance token is still in use
+      await errorHandler({ response: { status: 401 }, config: { url: "/a", authentication: { scheme: "token" } } });
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test("should reject paused requests when the refresh token getter throws", async () => {
+      const getterError = new Error("storage unavailable");
+      mockOptions.getRefreshToken.mockImplementation(() => {
+        throw getterError;
+      });
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      const error = { response: { status: 401 }, config: { url: "/a" } };
+      await expect(errorHandler(error)).rejects.toMatchObject({
+        name: "TokenRefreshFailedError",
+        cause: getterError,
+        originalError: error,
+      });
+      expect(mockInstance._refreshQueue.size).toBe(0);
+      expect(mockOptions.onRefreshTokenFail).toHaveBeenCalledTimes(1);
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    test("should replay paused requests in the order they failed", async () => {
+      let resolveRefresh;
+      axios.mockReturnValue(new Promise((resolve) => { resolveRefresh = resolve; }));
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      const pending = ["/a", "/b", "/c"].map((url) =>
+        errorHandler({ response: { status: 401 }, config: { url } })
+      );
+      expect(mockInstance._refreshQueue.size).toBe(3);
+
+      resolveRefresh({ data: { token: "fresh", refreshToken: "fresh-refresh" } });
+      const responses = await Promise.all(pending);
+
+      expect(mockInstance.mock.calls.map(([config]) => config.url)).toEqual(["/a", "/b", "/c"]);
+      expect(responses.map(({ config }) => config.headers.Authorization)).toEqual([
+        "Bearer fresh",
+        "Bearer fresh",
+        "Bearer fresh",
+      ]);
+      expect(mockInstance._refreshQueue.size).toBe(0);
+    });
+
+    test("should replay paused requests with their auth scheme", async () => {
+      mockInstance._authOptions = normalizeAuthOptions({
+        getToken: mockOptions.getAccessToken,
+        scheme: { type: "apiKey", name: "X-Key" },
+      });
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      const responses = await Promise.all([
+        errorHandler({ response: { status: 401 }, config: { url: "/a" } }),
+        errorHandler({ response: { status: 401 }, config: { url: "/b", authentication: { scheme: "token" } } }),
+      ]);
+
+      expect(responses.map(({ config }) => config.headers)).toEqual([
+        { "X-Key": "fresh" },
+        { Authorization: "Token fresh" },
+      ]);
+    });
+
+    test("should replay a copy of the failed config", async () => {
+      attachRefreshInterceptor(mockInstance, mockOptions);
+      const config = { url: "/a" };
+
+      await errorHandler({ response: { status: 401 }, config });
+
+      expect(config).toEqual({ url: "/a" });
+      expect(mockInstance).toHaveBeenCalledWith(
+        expect.objectContaining({ url: "/a", __refreshAttempts: 1 })
+      );
+    });
+
+    test("should reject every paused request with a TokenRefreshFailedError", async () => {
+      const refreshError = new Error("invalid_grant");
+      axios.mockRejectedValue(refreshError);
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      const errors = [
+        { response: { status: 401 }, config: { url: "/a" } },
+        { response: { status: 401 }, config: { url: "/b" } },
+      ];
+      const results = await Promise.allSettled(errors.map(errorHandler));
+
+      results.forEach((result, index) => {
+        expect(result.reason).toBeInstanceOf(TokenRefreshFailedError);
+        expect(result.reason.message).toBe("Token refresh failed: invalid_grant");
+        expect(result.reason.cause).toBe(refreshError);
+        expect(result.reason.config.url).toBe(errors[index].config.url);
+        expect(result.reason.response).toBe(errors[index].response);
+      });
+      expect(mockInstance).not.toHaveBeenCalled();
+    });
+
+    test("should stop refreshing a request after maxRefreshAttempts", async () => {
+      attachRefreshInterceptor(mockInstance, { ...mockOptions, maxRefreshAttempts: 2 });
+
+      await errorHandler({ response: { status: 401 }, config: { __refreshAttempts: 1 } });
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(mockInstance).toHaveBeenCalledWith(
+        expect.objectContaining({ __refreshAttempts: 2 })
+      );
+
+      const error = { response: { status: 401 }, config: { __refreshAttempts: 2 } };
+      await expect(errorHandler(error)).rejects.toBe(error);
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    test("should reject paused requests when the queue is cleared", async () => {
+      axios.mockReturnValue(new Promise(() => {}));
+      attachRefreshInterceptor(mockInstance, mockOptions);
+
+      const pending = errorHandler({ response: { status: 401 }, config: { url: "/a" } });
+      mockInstance._refreshQueue.clear();
+
+      await expect(pending).rejects.toBeInstanceOf(TokenRefreshFailedError);
     });
   });
 });
@@ -1,5 +1,6 @@
 import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
 import { attachRetryInterceptor } from '../../../lib/interceptors/retry.js';
+import { RetryBudget } from '../../../lib/utils/retryBudget.js';
 
 describe('Retry Interceptor', () => {
   let mockInstance;
@@ -112,7 +113,8 @@ describe('Retry Interceptor', () => {
     
     expect(mockInstance).toHaveBeenCalledWith({
       url: '/api/data',
-      __retryCount: 1
+      __retryCount: 1,
+      __retryHistory: [{ attempt: 1, delay: 1000, error }]
     });
     expect(result.data).toEqual({ result: 'success' });
   });
@@ -282,7 +284,8 @@ describe('Retry Interceptor', () => {
     // Should have called instance with retry count
     expect(mockInstance).toHaveBeenCalledWith({
       url: '/api/data',
-      __retryCount: 1
+      __retryCount: 1,
+      __retryHistory: [{ attempt: 1, delay: 1000, error }]
     });
     
     expect(result.data).toBe('success');
@@ -312,7 +315,8 @@ describe('Retry Interceptor', () => {
     expect(mockInstance).toHaveBeenCalledTimes(1);
     expect(mockInstance).toHaveBeenCalledWith({
       url: '/api/data',
-      __retryCount: 1
+      __retryCount: 1,
+      __retryHistory: [{ attempt: 1, delay: 100, error }]
     });
   });
 
@@ -352,7 +356,8 @@ describe('Retry Interceptor', () => {
     
     expect(mockInstance).toHaveBeenCalledWith({
       url: '/api/data',
-      __retryCount: 1
+      __retryCount: 1,
+      __retryHistory: [{ attempt: 1, delay: 1000, error }]
     });
   });
 
@@ -427,7 +432,8 @@ describe('Retry Interceptor', () => {
     const result = await promise;
     expect(result.data).toBe('recovered');
     expect(mockInstance).toHaveBeenCalledWith({
-      __retryCount: 1
+      __retryCount: 1,
+      __retryHistory: [{ attempt: 1, delay: 1000, error }]
     });
   });
 
@@ -439,9 +445,385 @@ describe('Retry Interceptor', () => {
       // No config at all
     };
     
-    // This will throw because the interceptor tries to access config.__retryCount
-    await expect(errorInterceptor(error)).rejects.toThrow(
-      "Cannot read properties of undefined (reading '__retryCount')"
-    );
+    // Passed on as is, e.g. when a request interceptor failed
+    await expect(errorInterceptor(error)).rejects.toBe(error);
+    expect(mockInstance).not.toHaveBeenCalled();
+  });
+
+  test('should not retry non-idempotent requests by default', async () => {
+    attachRetryInterceptor(mockInstance);
+
+    const error = { config: { url: '/api/orders', method: 'post' }, response: { status: 503 } };
+
+    await expect(errorInterceptor(error)).rejects.toBe(error);
+    expect(mockInstance).not.toHaveBeenCalled();
+  });
+
+  test('should retry idempotent methods and requests with an idempotency key', async () => {
+    attachRetryInterceptor(mockInstance);
+    mockInstance.mockResolvedValue({ data: 'success' });
+
+    for (const config of [
+      { url: '/api/orders/1', method: 'PUT' },
+      { url: '/api/orders/1', method: 'delete' },
+      { url: '/api/orders', method: 'post', headers: { 'Idempotency-Key': 'abc' } }
+    ]) {
+      const promise = errorInterceptor({ config, response: { status: 503 } });
+      await jest.runOnlyPendingTimersAsync();
+      await expect(promise).resolves.toEqual({ data: 'success' });
+    }
+    expect(mockInstance).toHaveBeenCalledTimes(3);
+  });
+
+  test('should attach the idempotency key interceptor when opted in', () => {
+    mockInstance.interceptors.request = { use: jest.fn().mockReturnValue(9) };
+
+    attachRetryInterceptor(mockInstance, { idempotencyKey: { header: 'X-Request-Id' } });
+
+    expect(mockInstance.interceptors.request.use).toHaveBeenCalledTimes(1);
+    expect(mockInstance._retryRequestInterceptorId).toBe(9);
+  });
+
+  test('should use a backoff strategy instead of retryDelay', async () => {
+    attachRetryInterceptor(mockInstance, {
+      retryDelay: 5000,
+      backoff: { strategy: 'exponential', baseDelay: 100, factor: 3 }
+    });
+    mockInstance.mockResolvedValue({ data: 'success' });
+
+    const error = { config: { url: '/api/data', __retryCount: 2 }, response: { status: 500 } };
+    const promise = errorInterceptor(error);
+
+    expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 900);
+    expect(error.retryDelay).toBe(900);
+    await jest.runOnlyPendingTimersAsync();
+    await promise;
+  });
+
+  test('should pass the previous delay to the backoff function', async () => {
+    const backoff = jest.fn().mockReturnValue(42);
+    attachRetryInterceptor(mockInstance, { backoff });
+    mockInstance.mockResolvedValue({ data: 'success' });
+
+    const promise = errorInterceptor({
+      config: { url: '/api/data', __retryCount: 1, __retryHistory: [{ attempt: 1, delay: 300 }] },
+      response: { status: 500 }
+    });
+
+    expect(backoff).toHaveBeenCalledWith(2, 300);
+    await jest.runOnlyPendingTimersAsync();
+    await promise;
+  });
+
+  describe('retry storm protection', () => {
+    const serverError = () => ({ config: { url: '/api/data' }, response: { status: 503 } });
+
+    test('should not retry while the circuit breaker is open', async () => {
+      mockInstance.getCircuitBreakerStatus = jest.fn().mockReturnValue({ isOpen: true });
+      attachRetryInterceptor(mockInstance);
+
+      const error = serverError();
+
+      await expect(errorInterceptor(error)).rejects.toBe(error);
+      expect(error.retrySuppressed).toBe('circuit-open');
+      expect(mockInstance).not.toHaveBeenCalled();
+    });
+
+    test('should stop retrying once the budget is spent', async () => {
+      const budget = new RetryBudget({ minRetriesPerSecond: 0.1, ttl: 10000 });
+      attachRetryInterceptor(mockInstance, { budget });
+      mockInstance.mockResolvedValue({ data: 'success' });
+
+      const first = errorInterceptor(serverError());
+      await jest.runOnlyPendingTimersAsync();
+      await expect(first).resolves.toEqual({ data: 'success' });
+
+      const error = serverError();
+      await expect(errorInterceptor(error)).rejects.toBe(error);
+      expect(error.retrySuppressed).toBe('budget-exhausted');
+      expect(mockInstance).toHaveBeenCalledTimes(1);
+      expect(budget.getStats()).toMatchObject({ retries: 1, suppressed: 1 });
+    });
+
+    test('should earn budget from successful responses', () => {
+      let successInterceptor;
+      mockInstance.interceptors.response.use.mockImplementation((onSuccess) => {
+        successInterceptor = onSuccess;
+        return 1;
+      });
+
+      attachRetryInterceptor(mockInstance, { budget: { ratio: 0.5, minRetriesPerSecond: 0 } });
+      const response = { data: 'ok' };
+
+      expect(successInterceptor(response)).toBe(response);
+      successInterceptor(response);
+      expect(mockInstance._retryBudget).toBeInstanceOf(RetryBudget);
+      expect(mockInstance._retryBudget.getStats()).toMatchObject({ successes: 2, available: 1 });
+    });
+  });
+
+  describe('lifecycle hooks and history', () => {
+    const serverError = (config = {}) => ({ config: { url: '/api/data', ...config }, response: { status: 503 } });
+
+    test('should call onRetry before waiting for each retry', async () => {
+      const onRetry = jest.fn().mockResolvedValue(undefined);
+      attachRetryInterceptor(mockInstance, { retryDelay: 250, onRetry });
+      mockInstance.mockResolvedValueOnce({ data: 'success' });
+
+      const error = serverError();
+      const promise = errorInterceptor(error);
+      await Promise.resolve();
+
+      expect(onRetry).toHaveBeenCalledWith(error, {
+        attempt: 1,
+        delay: 250,
+        config: expect.objectContaining({ url: '/api/data', __retryCount: 1 })
+      });
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+    });
+
+    test('should attach the retry history to the final response', () => {
+      let successInterceptor;
+      mockInstance.interceptors.response.use.mockImplementation((onSuccess) => {
+        successInterceptor = onSuccess;
+        return 1;
+      });
+      attachRetryInterceptor(mockInstance);
+
+      const history = [{ attempt: 1, delay: 1000, error: new Error('503') }];
+      const response = successInterceptor({ data: 'ok', config: { __retryHistory: history } });
+
+      expect(response.retryHistory).toBe(history);
+      expect(successInterceptor({ data: 'ok', config: {} }).retryHistory).toBeUndefined();
+    });
+
+    test('should report giving up with the history', async () => {
+      const onGiveUp = jest.fn();
+      attachRetryInterceptor(mockInstance, { retries: 1, onGiveUp });
+
+      const first = serverError({ __retryCount: 1, __retryHistory: [{ attempt: 1, delay: 1000, error: 'first' }] });
+      await expect(errorInterceptor(first)).rejects.toBe(first);
+
+      expect(first.retryHistory).toEqual([{ attempt: 1, delay: 1000, error: 'first' }]);
+      expect(onGiveUp).toHaveBeenCalledWith(first, {
+        attempts: 1,
+        reason: 'retries-exhausted',
+        history: first.retryHistory
+      });
+    });
+
+    test('should only report non-retryable errors after a retry', async () => {
+      const onGiveUp = jest.fn();
+      attachRetryInterceptor(mockInstance, { onGiveUp });
+
+      const notFound = { config: { url: '/api/data' }, response: { status: 404 } };
+      await expect(errorInterceptor(notFound)).rejects.toBe(notFound);
+      expect(onGiveUp).not.toHaveBeenCalled();
+
+      const afterRetry = {
+        config: { url: '/api/data', __retryCount: 1, __retryHistory: [{ attempt: 1, delay: 1000 }] },
+        response: { status: 404 }
+      };
+      await expect(errorInterceptor(afterRetry)).rejects.toBe(afterRetry);
+      expect(onGiveUp).toHaveBeenCalledWith(afterRetry, expect.objectContaining({ reason: 'not-retryable' }));
+    });
+  });
+
+  describe('attempt timeout and deadline', () => {
+    let requestInterceptor;
+
+    beforeEach(() => {
+      jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+      mockInstance.interceptors.request = {
+        use: jest.fn((handler) => {
+          requestInterceptor = handler;
+          return 5;
+        })
+      };
+      mockInstance.mockResolvedValue({ data: 'success' });
+    });
+
+    const failAfter = async (config, ms) => {
+      jest.advanceTimersByTime(ms);
+      return { config, response: { status: 503 } };
+    };
+
+    test('should only attach the request interceptor when timing is used', () => {
+      attachRetryInterceptor(mockInstance);
+      expect(mockInstance.interceptors.request.use).not.toHaveBeenCalled();
+
+      attachRetryInterceptor(mockInstance, { attemptTimeout: 1000 });
+      expect(mockInstance._retryRequestInterceptorId).toBe(5);
+    });
+
+    test('should give every attempt the attempt timeout', async () => {
+      attachRetryInterceptor(mockInstance, { attemptTimeout: 2000, retryDelay: 100 });
+
+      const config = requestInterceptor({ url: '/api/data', timeout: 30000 });
+      expect(config.timeout).toBe(2000);
+
+      const promise = errorInterceptor(await failAfter(config, 2000));
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+
+      expect(mockInstance.mock.calls[0][0].timeout).toBe(2000);
+      // Replayed attempts keep the first attempt's timing
+      expect(requestInterceptor(mockInstance.mock.calls[0][0]).__retryStartedAt).toBe(config.__retryStartedAt);
+    });
+
+    test('should share the original timeout when shouldResetTimeout is false', async () => {
+      attachRetryInterceptor(mockInstance, { shouldResetTimeout: false, retryDelay: 500 });
+
+      const config = requestInterceptor({ url: '/api/data', timeout: 5000 });
+      const promise = errorInterceptor(await failAfter(config, 1500));
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+
+      expect(mockInstance.mock.calls[0][0].timeout).toBe(3000);
+    });
+
+    test('should cap attempts at the time left before the deadline', async () => {
+      attachRetryInterceptor(mockInstance, { attemptTimeout: 4000, deadline: 6000, retryDelay: 1000 });
+
+      const config = requestInterceptor({ url: '/api/data' });
+      expect(config.timeout).toBe(4000);
+
+      const promise = errorInterceptor(await failAfter(config, 2500));
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+
+      expect(mockInstance.mock.calls[0][0].timeout).toBe(2500);
+    });
+
+    test('should give up when the deadline leaves no time for another attempt', async () => {
+      const onGiveUp = jest.fn();
+      attachRetryInterceptor(mockInstance, { deadline: 3000, retryDelay: 1000, onGiveUp });
+
+      const config = requestInterceptor({ url: '/api/data' });
+      expect(config.timeout).toBe(3000);
+
+      const error = await failAfter(config, 2000);
+      await expect(errorInterceptor(error)).rejects.toBe(error);
+
+      expect(error.retrySuppressed).toBe('deadline');
+      expect(onGiveUp).toHaveBeenCalledWith(error, expect.objectContaining({ reason: 'deadline', attempts: 0 }));
+      expect(mockInstance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('server-requested delays', () => {
+    const throttled = (headers, status = 429) => ({
+      config: { url: '/api/data' },
+      response: { status, headers }
+    });
+
+    test('should retry 429 responses only with retryOnRateLimit', async () => {
+      attachRetryInterceptor(mockInstance);
+      const error = throttled({ 'Retry-After': '1' });
+      await expect(errorInterceptor(error)).rejects.toBe(error);
+      expect(mockInstance).not.toHaveBeenCalled();
+
+      attachRetryInterceptor(mockInstance, { retryOnRateLimit: true });
+      mockInstance.mockResolvedValueOnce({ data: 'success' });
+
+      const promise = errorInterceptor(throttled({}));
+      await jest.runOnlyPendingTimersAsync();
+
+      await expect(promise).resolves.toEqual({ data: 'success' });
+    });
+
+    test('should wait for Retry-After seconds instead of retryDelay', async () => {
+      attachRetryInterceptor(mockInstance, { retryDelay: 100 });
+      mockInstance.mockResolvedValueOnce({ data: 'success' });
+
+      const error = throttled({ 'Retry-After': '5' }, 503);
+      const promise = errorInterceptor(error);
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 5000);
+      expect(error.retryDelay).toBe(5000);
+      expect(error.retryAfter).toBe(5000);
+
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+    });
+
+    test('should wait until a Retry-After HTTP-date', async () => {
+      jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+      attachRetryInterceptor(mockInstance, { retryOnRateLimit: true });
+      mockInstance.mockResolvedValueOnce({ data: 'success' });
+
+      const promise = errorInterceptor(throttled({ 'retry-after': 'Thu, 01 Jan 2026 00:00:12 GMT' }));
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 12000);
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+    });
+
+    test('should cap server delays at maxRetryAfter', async () => {
+      attachRetryInterceptor(mockInstance, { maxRetryAfter: 10000, retryOnRateLimit: true });
+      mockInstance.mockResolvedValueOnce({ data: 'success' });
+
+      const error = throttled({ 'Retry-After': '3600' });
+      const promise = errorInterceptor(error);
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 10000);
+      expect(error.retryDelay).toBe(10000);
+      expect(error.retryAfter).toBe(3600000);
+
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+    });
+
+    test('should use rate limit reset headers of exhausted quotas', async () => {
+      attachRetryInterceptor(mockInstance);
+      mockInstance.mockResolvedValue({ data: 'success' });
+
+      const promise = errorInterceptor(throttled({ 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '2' }, 503));
+      expect(setTimeoutSpy).toHaveBeenLastCalledWith(expect.any(Function), 2000);
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+
+      // Quota left: the reset header is informational only
+      const promise2 = errorInterceptor(throttled({ 'RateLimit-Remaining': '10', 'RateLimit-Reset': '30' }, 503));
+      expect(setTimeoutSpy).toHaveBeenLastCalledWith(expect.any(Function), 1000);
+      await jest.runOnlyPendingTimersAsync();
+      await promise2;
+    });
+
+    test('should ignore server delays when respectRetryAfter is false', async () => {
+      attachRetryInterceptor(mockInstance, { retryDelay: 250, respectRetryAfter: false, retryOnRateLimit: true });
+      mockInstance.mockResolvedValueOnce({ data: 'success' });
+
+      const error = throttled({ 'Retry-After': '5' });
+      const promise = errorInterceptor(error);
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 250);
+      expect(error.retryAfter).toBeUndefined();
+      await jest.runOnlyPendingTimersAsync();
+      await promise;
+    });
+
+    test('should expose the server delay when giving up', async () => {
+      attachRetryInterceptor(mockInstance, { retries: 0 });
+
+      const error = throttled({ 'Retry-After': '7' });
+
+      await expect(errorInterceptor(error)).rejects.toBe(error);
+      expect(error.retryAfter).toBe(7000);
+      expect(error.retryDelay).toBe(7000);
+    });
+
+    test('should expose the capped server delay on the last error once retries run out', async () => {
+      attachRetryInterceptor(mockInstance, { retries: 1, maxRetryAfter: 10000 });
+
+      const error = throttled({ 'Retry-After': '3600' }, 503);
+      error.config.__retryCount = 1;
+
+      await expect(errorInterceptor(error)).rejects.toBe(error);
+      expect(mockInstance).not.toHaveBeenCalled();
+      expect(error.retryAfter).toBe(3600000);
+      expect(error.retryDelay).toBe(10000);
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,219 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import crypto from 'crypto';
+import axios from 'axios';
+import {
+  attachSigningInterceptor,
+  createRequestSigner,
+  canonicalizeRequest
+} from '../../../lib/interceptors/signing.js';
+
+const NOW = new Date('2015-08-30T12:36:00Z');
+const EMPTY_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+// Axios instance whose adapter records the config it receives
+const createApi = (config = {}) => {
+  const sent = [];
+  const adapter = jest.fn(async (requestConfig) => {
+    sent.push(requestConfig);
+    return { data: {}, status: 200, statusText: 'OK', headers: {}, config: requestConfig };
+  });
+  const api = axios.create({ baseURL: 'https://api.example.com', adapter, ...config });
+  return { api, adapter, sent };
+};
+
+const hmacHex = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('Request Signing Interceptor', () => {
+  test('should attach a request interceptor and return its id', () => {
+    const instance = { interceptors: { request: { use: jest.fn().mockReturnValue(7) } } };
+
+    expect(attachSigningInterceptor(instance, { secret: 'secret' })).toBe(7);
+    expect(instance.interceptors.request.use).toHaveBeenCalledWith(expect.any(Function));
+  });
+
+  test('should validate options', () => {
+    expect(() => createRequestSigner({ preset: 'rsa' })).toThrow("Unknown request signing preset 'rsa'");
+    expect(() => createRequestSigner({})).toThrow('Request signing requires a secret');
+    expect(() => createRequestSigner({ secret: 's', encoding: 'base32' })).toThrow("Unsupported signature encoding 'base32'");
+    expect(() => createRequestSigner({ preset: 'aws-sigv4', region: 'eu-west-1' })).toThrow('requires a region and a service');
+    expect(() => createRequestSigner({ preset: 'aws-sigv4', region: 'eu-west-1', service: 'execute-api' }))
+      .toThrow('requires credentials');
+  });
+
+  describe('hmac preset', () => {
+    test('should sign the canonical request with the timestamp', async () => {
+      const { api, sent } = createApi();
+      attachSigningInterceptor(api, { keyId: 'client-1', secret: 'top-secret', now: () => NOW });
+
+      await api.post('/orders/42', { qty: 1 }, { params: { b: '2', a: '1' } });
+
+      const headers = sent[0].headers;
+      const canonical = [
+        'POST',
+        '/orders/42',
+        'a=1&b=2',
+        'content-type:application/json\nhost:api.example.com\n',
+        'content-type;host',
+        sha256Hex('{"qty":1}')
+      ].join('\n');
+
+      expect(headers.get('X-Key-Id')).toBe('client-1');
+      expect(headers.get('X-Timestamp')).toBe(NOW.toISOString());
+      expect(headers.get('X-Signed-Headers')).toBe('content-type;host');
+      expect(headers.get('X-Signature')).toBe(hmacHex('top-secret', `${NOW.toISOString()}\n${canonical}`));
+    });
+
+    test('should sign after every other request interceptor', async () => {
+      const { api, sent } = createApi();
+      // Registered before signing, so axios runs it after the signing interceptor
+      api.interceptors.request.use((config) => {
+        config.headers['X-Tenant'] = 'late';
+        config.params = { ...config.params, late: 'yes' };
+        return config;
+      });
+      attachSigningInterceptor(api, { secret: 'secret', signedHeaders: ['x-tenant'], now: () => NOW });
+      // Registered after signing, so axios runs it first
+      api.interceptors.request.use((config) => {
+        config.data = { changed: true };
+        return config;
+      });
+
+      await api.put('/items', { original: true });
+
+      const canonical = [
+        'PUT',
+        '/items',
+        'late=yes',
+        'x-tenant:late\n',
+        'x-tenant',
+        sha256Hex('{"changed":true}')
+      ].join('\n');
+      expect(sent[0].headers.get('X-Signature')).toBe(hmacHex('secret', `${NOW.toISOString()}\n${canonical}`));
+    });
+
+    test('should resolve async secrets and support base64 signatures', async () => {
+      const { api, sent } = createApi();
+      const secret = jest.fn().mockResolvedValue('rotated');
+      attachSigningInterceptor(api, { secret, encoding: 'base64', keyIdHeader: null, now: () => NOW });
+
+      await api.get('/ping');
+
+      const canonical = ['GET', '/ping', '', 'host:api.example.com\n', 'host', EMPTY_HASH].join('\n');
+      const expected = crypto.createHmac('sha256', 'rotated').update(`${NOW.toISOString()}\n${canonical}`).digest('base64');
+      expect(secret).toHaveBeenCalledTimes(1);
+      expect(sent[0].headers.get('X-Signature')).toBe(expected);
+      expect(sent[0].headers.has('X-Key-Id')).toBe(false);
+    });
+
+    test('should skip requests rejected by shouldSign', async () => {
+      const { api, sent } = createApi();
+      attachSigningInterceptor(api, { secret: 'secret', shouldSign: (config) => config.url !== '/public' });
+
+      await api.get('/public');
+      await api.get('/private');
+
+      expect(sent[0].headers.has('X-Signature')).toBe(false);
+      expect(sent[1].headers.has('X-Signature')).toBe(true);
+    });
+
+    test('should sign replayed configs once', async () => {
+      const { api, adapter, sent } = createApi();
+      attachSigningInterceptor(api, { secret: 'secret' });
+
+      const response = await api.get('/retry-me');
+      await api.request(response.config);
+
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(sent[1].headers.get('X-Signature')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should refuse bodies it cannot hash unless unsigned payloads are allowed', async () => {
+      const body = new FormData();
+      body.append('file', 'contents');
+
+      const strict = createApi();
+      attachSigningInterceptor(strict.api, { secret: 'secret' });
+      await expect(strict.api.post('/upload', body)).rejects.toMatchObject({ code: 'REQUEST_SIGNING_ERROR' });
+      expect(strict.adapter).not.toHaveBeenCalled();
+
+      const lenient = createApi();
+      attachSigningInterceptor(lenient.api, { secret: 'secret', allowUnsignedPayload: true });
+      await lenient.api.post('/upload', body);
+      expect(lenient.sent[0].headers.has('X-Signature')).toBe(true);
+    });
+  });
+
+  describe('aws-sigv4 preset', () => {
+    const credentials = {
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY'
+    };
+
+    test('should match the AWS documentation example', async () => {
+      const { api, sent } = createApi({ baseURL: 'https://iam.amazonaws.com' });
+      attachSigningInterceptor(api, { preset: 'aws-sigv4', region: 'us-east-1', service: 'iam', ...credentials, now: () => NOW });
+
+      await api.get('/', {
+        params: { Action: 'ListUsers', Version: '2010-05-08' },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8' }
+      });
+
+      expect(sent[0].headers.get('X-Amz-Date')).toBe('20150830T123600Z');
+      expect(sent[0].headers.get('Authorization')).toBe(
+        'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/iam/aws4_request, ' +
+        'SignedHeaders=content-type;host;x-amz-date, ' +
+        'Signature=5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7'
+      );
+    });
+
+    test('should sign temporary credentials from a provider', async () => {
+      const { api, sent } = createApi();
+      const provider = jest.fn().mockResolvedValue({ ...credentials, sessionToken: 'session' });
+      attachSigningInterceptor(api, { preset: 'aws-sigv4', region: 'eu-west-1', service: 'execute-api', credentials: provider });
+
+      await api.get('/stage/resource');
+
+      expect(provider).toHaveBeenCalled();
+      expect(sent[0].headers.get('X-Amz-Security-Token')).toBe('session');
+      expect(sent[0].headers.get('Authorization')).toContain('SignedHeaders=host;x-amz-date;x-amz-security-token,');
+    });
+
+    test('should add the payload hash header for S3', async () => {
+      const { api, sent } = createApi({ baseURL: 'https://bucket.s3.amazonaws.com' });
+      attachSigningInterceptor(api, { preset: 'aws-sigv4', region: 'us-east-1', service: 's3', ...credentials });
+
+      await api.put('/photos/a b.txt', 'hello', { headers: { 'Content-Type': 'text/plain' } });
+
+      expect(sent[0].headers.get('X-Amz-Content-Sha256')).toBe(sha256Hex('hello'));
+      expect(sent[0].headers.get('Authorization'))
+        .toContain('SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date,');
+    });
+  });
+
+  describe('canonicalizeRequest', () => {
+    const canonicalize = (config, options = {}) => canonicalizeRequest(
+      { method: 'get', headers: {}, ...config },
+      { signedHeaders: ['host'], ...options }
+    );
+
+    test('should normalize path encoding and sort the query', () => {
+      const result = canonicalize({ url: "https://example.com/a b/it's?z=1&a=2&a=1&sp=x y" });
+
+      expect(result.path).toBe('/a%20b/it%27s');
+      expect(result.query).toBe('a=1&a=2&sp=x%20y&z=1');
+      expect(canonicalize({ url: 'https://example.com/a b' }, { doubleEncodePath: true }).path).toBe('/a%2520b');
+    });
+
+    test('should trim header values and skip missing headers', () => {
+      const result = canonicalize(
+        { url: 'https://example.com:8443/', headers: { 'X-Custom': '  a   b  ' } },
+        { signedHeaders: ['X-Custom', 'host', 'x-missing'] }
+      );
+
+      expect(result.headers).toEqual([['host', 'example.com:8443'], ['x-custom', 'a b']]);
+      expect(result.signedHeaders).toBe('host;x-custom');
+      expect(result.payloadHash).toBe(EMPTY_HASH);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+  AuthSchemes,
+  resolveAuthScheme,
+  normalizeAuthOptions,
+  selectAuthScheme,
+  describeAuthScheme,
+  getRequestAuthentication,
+  usesInstanceToken,
+  applyInstanceToken
+} from '../../../lib/utils/authSchemes.js';
+
+describe('AuthSchemes', () => {
+  describe('bearer', () => {
+    test('should set Authorization header with Bearer prefix', () => {
+      const config = AuthSchemes.bearer().apply({}, 'abc');
+      expect(config.headers.Authorization).toBe('Bearer abc');
+    });
+
+    test('should support custom header and prefix', () => {
+      const config = AuthSchemes.bearer({ header: 'X-Auth', prefix: 'JWT' }).apply({ headers: {} }, 'abc');
+      expect(config.headers['X-Auth']).toBe('JWT abc');
+      expect(config.headers.Authorization).toBeUndefined();
+    });
+
+    test('should omit prefix when empty', () => {
+      const config = AuthSchemes.bearer({ prefix: '' }).apply({}, 'abc');
+      expect(config.headers.Authorization).toBe('abc');
+    });
+  });
+
+  describe('token', () => {
+    test('should use Token prefix', () => {
+      const scheme = AuthSchemes.token();
+      expect(scheme.type).toBe('token');
+      expect(scheme.apply({}, 'abc').headers.Authorization).toBe('Token abc');
+    });
+  });
+
+  describe('basic', () => {
+    test('should encode username/password objects', () => {
+      const config = AuthSchemes.basic().apply({}, { username: 'user', password: 'pass' });
+      expect(config.headers.Authorization).toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`);
+    });
+
+    test('should encode user:pass strings', () => {
+      const config = AuthSchemes.basic().apply({}, 'user:pass');
+      expect(config.headers.Authorization).toBe('Basic dXNlcjpwYXNz');
+    });
+
+    test('should pass through pre-encoded strings', () => {
+      const config = AuthSchemes.basic({ encoded: true }).apply({}, 'dXNlcjpwYXNz');
+      expect(config.headers.Authorization).toBe('Basic dXNlcjpwYXNz');
+    });
+
+    test('should encode multi-byte characters', () => {
+      const config = AuthSchemes.basic().apply({}, { username: 'üser', password: 'päss' });
+      expect(config.headers.Authorization).toBe(`Basic ${Buffer.from('üser:päss').toString('base64')}`);
+    });
+  });
+
+  describe('apiKey', () => {
+    test('should set X-API-Key header by default', () => {
+      const config = AuthSchemes.apiKey().apply({ headers: { Accept: 'json' } }, 'key-1');
+      expect(config.headers['X-API-Key']).toBe('key-1');
+      expect(config.headers.Accept).toBe('json');
+    });
+
+    test('should support custom header name and prefix', () => {
+      const config = AuthSchemes.apiKey({ name: 'Authorization', prefix: 'ApiKey' }).apply({}, 'key-1');
+      expect(config.headers.Authorization).toBe('ApiKey key-1');
+    });
+
+    test('should add key to query params', () => {
+      const scheme = AuthSchemes.apiKey({ name: 'api_key', in: 'query' });
+      const config = scheme.apply({ params: { page: 2 } }, 'key-1');
+
+      expect(scheme.type).toBe('apiKeyQuery');
+      expect(config.params).toEqual({ page: 2, api_key: 'key-1' });
+      expect(config.headers).toBeUndefined();
+    });
+
+    test('should not mutate the original params object', () => {
+      const params = { page: 2 };
+      AuthSchemes.apiKey({ in: 'query' }).apply({ params }, 'key-1');
+      expect(params).toEqual({ page: 2 });
+    });
+
+    test('should keep URLSearchParams params', () => {
+      const params = new URLSearchParams('page=2&tag=a&tag=b');
+      const config = AuthSchemes.apiKey({ name: 'api_key', in: 'query' }).apply({ params }, 'key-1');
+
+      expect(config.params).toBeInstanceOf(URLSearchParams);
+      expect(config.params.toString()).toBe('page=2&tag=a&tag=b&api_key=key-1');
+      expect(params.toString()).toBe('page=2&tag=a&tag=b');
+    });
+
+    test('should reject unknown locations', () => {
+      expect(() => AuthSchemes.apiKey({ in: 'cookie' })).toThrow("Invalid API key location 'cookie'");
+    });
+  });
+
+  describe('custom', () => {
+    test('should call the apply function', () => {
+      const applyFn = jest.fn((config, credential) => {
+        config.headers = { 'X-Signature': credential };
+        return config;
+      });
+      const config = AuthSchemes.custom(applyFn).apply({}, 'sig');
+
+      expect(applyFn).toHaveBeenCalledWith(expect.any(Object), 'sig');
+      expect(config.headers['X-Signature']).toBe('sig');
+    });
+
+    test('should return the config when apply function returns nothing', () => {
+      const original = {};
+      const result = AuthSchemes.custom((config) => { config.touched = true; }).apply(original, 'x');
+      expect(result).toBe(original);
+      expect(result.touched).toBe(true);
+    });
+
+    test('should require a function', () => {
+      expect(() => AuthSchemes.custom()).toThrow('Custom auth scheme requires an apply function');
+    });
+  });
+});
+
+describe('resolveAuthScheme', () => {
+  test('should default to bearer', () => {
+    expect(resolveAuthScheme().type).toBe('bearer');
+  });
+
+  test('should resolve scheme names', () => {
+    expect(resolveAuthScheme('basic').type).toBe('basic');
+    expect(resolveAuthScheme('token').type).toBe('token');
+    expect(resolveAuthScheme('apiKey').type).toBe('apiKey');
+    expect(resolveAuthScheme('apiKeyQuery').type).toBe('apiKeyQuery');
+  });
+
+  test('should resolve descriptors with options', () => {
+    const scheme = resolveAuthScheme({ type: 'apiKey', name: 'X-Key' });
+    expect(scheme.apply({}, 'k').headers['X-Key']).toBe('k');
+  });
+
+  test('should wrap functions as custom schemes', () => {
+    expect(resolveAuthScheme(() => {}).type).toBe('custom');
+  });
+
+  test('should pass scheme objects through', () => {
+    const scheme = AuthSchemes.basic();
+    expect(resolveAuthScheme(scheme).type).toBe('basic');
+  });
+
+  test('should throw on unknown names', () => {
+    expect(() => resolveAuthScheme('digest')).toThrow("Unknown auth scheme 'digest'");
+  });
+});
+
+describe('normalizeAuthOptions / selectAuthScheme', () => {
+  test('should treat a function as a bearer token getter', () => {
+    const getToken = () => 't';
+    const normalized = normalizeAuthOptions(getToken);
+
+    expect(normalized.getToken).toBe(getToken);
+    expect(normalized.scheme.type).toBe('bearer');
+    expect(normalized.rules).toEqual([]);
+  });
+
+  test('should handle missing options', () => {
+    expect(normalizeAuthOptions(null).getToken).toBeUndefined();
+    expect(normalizeAuthOptions(undefined).scheme.type).toBe('bearer');
+  });
+
+  test('should select the first matching rule', () => {
+    const legacyToken = () => 'legacy';
+    const normalized = normalizeAuthOptions({
+      getToken: () => 'default',
+      scheme: 'bearer',
+      schemes: [
+        { match: '/legacy/*', scheme: 'basic', getToken: legacyToken },
+        { match: /\/partners\//, scheme: { type: 'apiKey', in: 'query' } },
+        { match: (config) => config.method === 'delete', scheme: 'token' }
+      ]
+    });
+
+    const legacy = selectAuthScheme(normalized, { url: '/legacy/users' });
+    expect(legacy.scheme.type).toBe('basic');
+    expect(legacy.getToken).toBe(legacyToken);
+
+    const partners = selectAuthScheme(normalized, { url: '/api/partners/1' });
+    expect(partners.scheme.type).toBe('apiKeyQuery');
+    expect(partners.getToken()).toBe('default');
+
+    expect(selectAuthScheme(normalized, { url: '/x', method: 'delete' }).scheme.type).toBe('token');
+    expect(selectAuthScheme(normalized, { url: '/users' }).scheme.type).toBe('bearer');
+  });
+
+  test('should describe configured schemes', () => {
+    expect(describeAuthScheme(() => 't')).toEqual({ type: 'bearer', rules: [] });
+
+    expect(describeAuthScheme({
+      getToken: () => 't',
+      scheme: 'apiKey',
+      schemes: [
+        { match: '/legacy/*', scheme: 'basic' },
+        { match: () => true, scheme: 'token' }
+      ]
+    })).toEqual({
+      type: 'apiKey',
+      rules: [
+        { match: '/legacy/*', type: 'basic' },
+        { match: 'custom', type: 'token' }
+      ]
+    });
+  });
+});
+
+describe('per-request authentication', () => {
+  test('should read the authentication override', () => {
+    expect(getRequestAuthentication({})).toBeNull();
+    expect(getRequestAuthentication(undefined)).toBeNull();
+    expect(getRequestAuthentication({ authentication: false })).toBe(false);
+    expect(getRequestAuthentication({ authentication: { token: 't' } })).toEqual({ token: 't' });
+  });
+
+  test('should leave axios basic auth credentials alone', () => {
+    expect(getRequestAuthentication({ auth: { username: 'u', password: 'p' } })).toBeNull();
+  });
+
+  test('should tell whether the instance token is used', () => {
+    expect(usesInstanceToken({})).toBe(true);
+    expect(usesInstanceToken({ authentication: { scheme: 'token' } })).toBe(true);
+    expect(usesInstanceToken({ authentication: false })).toBe(false);
+    expect(usesInstanceToken({ authentication: { token: 'other' } })).toBe(false);
+  });
+});
+
+describe('applyInstanceToken', () => {
+  const authOptions = normalizeAuthOptions({
+    getToken: () => 'stale',
+    scheme: 'token',
+    schemes: [
+      { match: '/keys/*', scheme: { type: 'apiKey', name: 'X-Key' } },
+      { match: '/partner/*', scheme: 'bearer', getToken: () => 'partner' }
+    ]
+  });
+
+  test('should use the scheme selected for the request', () => {
+    expect(applyInstanceToken(authOptions, { url: '/data', headers: {} }, 'fresh').headers)
+      .toEqual({ Authorization: 'Token fresh' });
+    expect(applyInstanceToken(authOptions, { url: '/keys/1', headers: {} }, 'fresh').headers)
+      .toEqual({ 'X-Key': 'fresh' });
+  });
+
+  test('should honour the per-request scheme', () => {
+    const config = { url: '/data', headers: {}, authentication: { scheme: 'apiKey' } };
+
+    expect(applyInstanceToken(authOptions, config, 'fresh').headers).toEqual({ 'X-API-Key': 'fresh' });
+  });
+
+  test('should leave requests with other credentials alone', () => {
+    expect(applyInstanceToken(authOptions, { url: '/partner/1', headers: {} }, 'fresh').headers).toEqual({});
+    expect(applyInstanceToken(authOptions, { url: '/data', headers: {}, authentication: false }, 'fresh').headers)
+      .toEqual({});
+  });
+
+  test('should default to bearer without auth options', () => {
+    expect(applyInstanceToken(undefined, { url: '/data' }, 'fresh').headers).toEqual({ Authorization: 'Bearer fresh' });
+  });
+});
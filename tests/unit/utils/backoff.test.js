@@ -0,0 +1,89 @@
+import { describe, test, expect } from '@jest/globals';
+import { createBackoff, createSeededRandom, BACKOFF_STRATEGIES } from '../../../lib/utils/backoff.js';
+
+const delays = (backoff, attempts = 5) => {
+  const result = [];
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    result.push(backoff(attempt, result[result.length - 1]));
+  }
+  return result;
+};
+
+describe('backoff', () => {
+  describe('createSeededRandom', () => {
+    test('should repeat the sequence for a seed', () => {
+      const a = createSeededRandom(42);
+      const b = createSeededRandom(42);
+      const c = createSeededRandom(43);
+
+      const sequence = [a(), a(), a()];
+      expect([b(), b(), b()]).toEqual(sequence);
+      expect(c()).not.toBe(sequence[0]);
+      sequence.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('createBackoff', () => {
+    test('should compute deterministic strategies', () => {
+      expect(delays(createBackoff({ strategy: 'constant', baseDelay: 100 }))).toEqual([100, 100, 100, 100, 100]);
+      expect(delays(createBackoff({ strategy: 'linear', baseDelay: 100 }))).toEqual([100, 200, 300, 400, 500]);
+      expect(delays(createBackoff({ baseDelay: 100 }))).toEqual([100, 200, 400, 800, 1600]);
+      expect(delays(createBackoff({ baseDelay: 100, factor: 3, maxDelay: 1000 }))).toEqual([100, 300, 900, 1000, 1000]);
+    });
+
+    test('should accept a strategy name or a function', () => {
+      const custom = (attempt) => attempt * 7;
+
+      expect(createBackoff(custom)).toBe(custom);
+      expect(delays(createBackoff('constant'), 2)).toEqual([1000, 1000]);
+      expect(() => createBackoff('fibonacci')).toThrow("Unknown backoff strategy 'fibonacci'");
+    });
+
+    test('should keep full jitter between 0 and the exponential delay', () => {
+      const backoff = createBackoff({ strategy: 'full-jitter', baseDelay: 100, maxDelay: 1000, seed: 1 });
+
+      delays(backoff, 8).forEach((delay, index) => {
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThanOrEqual(Math.min(100 * 2 ** index, 1000));
+      });
+    });
+
+    test('should keep equal jitter in the upper half of the exponential delay', () => {
+      const backoff = createBackoff({ strategy: 'equal-jitter', baseDelay: 100, seed: 1 });
+
+      delays(backoff).forEach((delay, index) => {
+        const exponential = 100 * 2 ** index;
+        expect(delay).toBeGreaterThanOrEqual(exponential / 2);
+        expect(delay).toBeLessThanOrEqual(exponential);
+      });
+    });
+
+    test('should grow decorrelated jitter from the previous delay', () => {
+      const backoff = createBackoff({ strategy: 'decorrelated-jitter', baseDelay: 100, maxDelay: 5000, seed: 3 });
+      const result = delays(backoff, 8);
+
+      result.forEach((delay, index) => {
+        const previous = index === 0 ? 100 : result[index - 1];
+        expect(delay).toBeGreaterThanOrEqual(100);
+        expect(delay).toBeLessThanOrEqual(Math.min(previous * 3, 5000));
+      });
+    });
+
+    test('should give the same jitter for the same seed', () => {
+      BACKOFF_STRATEGIES.forEach(strategy => {
+        const first = delays(createBackoff({ strategy, seed: 99 }));
+        const second = delays(createBackoff({ strategy, seed: 99 }));
+        expect(first).toEqual(second);
+      });
+    });
+
+    test('should use the provided random source without a seed', () => {
+      const backoff = createBackoff({ strategy: 'full-jitter', baseDelay: 1000, random: () => 0.25 });
+
+      expect(delays(backoff, 3)).toEqual([250, 500, 1000]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect } from '@jest/globals';
+import { AxiosHeaders } from 'axios';
+import {
+  parseCacheControl,
+  getCachePolicy,
+  isStorable,
+  getVaryHeaders
+} from '../../../lib/utils/cacheControl.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const httpDate = (time) => new Date(time).toUTCString();
+
+describe('cacheControl utils', () => {
+  describe('parseCacheControl', () => {
+    test('should parse directives with and without values', () => {
+      expect(parseCacheControl('public, Max-Age=60, no-cache')).toEqual({
+        public: true,
+        'max-age': '60',
+        'no-cache': true
+      });
+    });
+
+    test('should unquote quoted values and keep the first occurrence', () => {
+      expect(parseCacheControl('private="Set-Cookie, X-\\"Id\\"", max-age=5, max-age=10')).toEqual({
+        private: 'Set-Cookie, X-"Id"',
+        'max-age': '5'
+      });
+    });
+
+    test('should return no directives for a missing header', () => {
+      expect(parseCacheControl(undefined)).toEqual({});
+      expect(parseCacheControl('')).toEqual({});
+    });
+  });
+
+  describe('getCachePolicy', () => {
+    test('should use max-age and ignore s-maxage in private caches', () => {
+      const policy = getCachePolicy({ headers: { 'cache-control': 'max-age=60, s-maxage=600' } }, { now: NOW });
+      expect(policy.lifetime).toBe(60000);
+    });
+
+    test('should prefer s-maxage in shared caches', () => {
+      const response = { headers: { 'cache-control': 'max-age=60, s-maxage=600, proxy-revalidate' } };
+      const policy = getCachePolicy(response, { shared: true, now: NOW });
+      expect(policy.lifetime).toBe(600000);
+      expect(policy.mustRevalidate).toBe(true);
+      expect(getCachePolicy(response, { now: NOW }).mustRevalidate).toBe(false);
+    });
+
+    test('should fall back to Expires relative to Date', () => {
+      const headers = new AxiosHeaders({
+        Date: httpDate(NOW - 10000),
+        Expires: httpDate(NOW + 20000)
+      });
+      expect(getCachePolicy({ headers }, { now: NOW }).lifetime).toBe(30000);
+    });
+
+    test('should treat an invalid Expires as already expired', () => {
+      const headers = { expires: '0', 'last-modified': httpDate(NOW - 1000000) };
+      expect(getCachePolicy({ headers }, { now: NOW }).lifetime).toBe(0);
+    });
+
+    test('should use 10% of the time since Last-Modified as a heuristic', () => {
+      const headers = { 'last-modified': httpDate(NOW - 1000000) };
+      const policy = getCachePolicy({ headers }, { now: NOW });
+      expect(policy.lifetime).toBe(100000);
+      expect(policy.lastModified).toBe(headers['last-modified']);
+    });
+
+    test('should read Age, ETag and no-cache', () => {
+      const policy = getCachePolicy({
+        headers: { 'cache-control': 'no-cache, must-revalidate', age: '30', etag: '"v1"' }
+      }, { now: NOW });
+
+      expect(policy).toEqual(expect.objectContaining({
+        lifetime: 0,
+        age: 30000,
+        etag: '"v1"',
+        noCache: true,
+        mustRevalidate: true
+      }));
+    });
+
+    test('should read the stale-while-revalidate and stale-if-error windows', () => {
+      const policy = getCachePolicy({
+        headers: { 'cache-control': 'max-age=60, stale-while-revalidate=30, stale-if-error=86400' }
+      }, { now: NOW });
+
+      expect(policy.staleWhileRevalidate).toBe(30000);
+      expect(policy.staleIfError).toBe(86400000);
+      expect(getCachePolicy({ headers: {} }, { now: NOW })).toEqual(expect.objectContaining({
+        staleWhileRevalidate: null,
+        staleIfError: null
+      }));
+    });
+
+    test('should ignore negative or malformed max-age', () => {
+      expect(getCachePolicy({ headers: { 'cache-control': 'max-age=-1' } }, { now: NOW }).lifetime).toBe(0);
+      expect(getCachePolicy({ headers: { 'cache-control': 'max-age=abc' } }, { now: NOW }).lifetime).toBe(0);
+    });
+  });
+
+  describe('isStorable', () => {
+    test('should reject no-store responses', () => {
+      expect(isStorable({ headers: { 'cache-control': 'no-store' } })).toBe(false);
+      expect(isStorable({ headers: { 'cache-control': 'max-age=60' } })).toBe(true);
+      expect(isStorable({ headers: {} })).toBe(true);
+    });
+
+    test('should reject private responses in shared caches only', () => {
+      const response = { headers: { 'cache-control': 'private, max-age=60' } };
+      expect(isStorable(response)).toBe(true);
+      expect(isStorable(response, { shared: true })).toBe(false);
+    });
+
+    test('should reject Vary: *', () => {
+      expect(isStorable({ headers: { vary: '*' } })).toBe(false);
+    });
+  });
+
+  describe('getVaryHeaders', () => {
+    test('should list lowercase header names', () => {
+      expect(getVaryHeaders({ headers: { Vary: 'Accept-Language, Accept ,' } })).toEqual(['accept-language', 'accept']);
+      expect(getVaryHeaders({ headers: {} })).toEqual([]);
+    });
+  });
+});
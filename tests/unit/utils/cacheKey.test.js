@@ -0,0 +1,69 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { AxiosHeaders } from 'axios';
+import { createCacheKey, resolveCacheUrl, stableStringify } from '../../../lib/utils/cacheKey.js';
+
+describe('cacheKey utils', () => {
+  describe('stableStringify', () => {
+    test('should sort object keys at every level', () => {
+      expect(stableStringify({ b: 2, a: { d: 4, c: 3 } })).toBe('{"a":{"c":3,"d":4},"b":2}');
+    });
+
+    test('should keep array order and drop undefined values', () => {
+      expect(stableStringify({ list: [3, 1, 2], missing: undefined })).toBe('{"list":[3,1,2]}');
+    });
+
+    test('should sort URLSearchParams', () => {
+      expect(stableStringify(new URLSearchParams('b=2&a=1'))).toBe('"a=1&b=2"');
+    });
+  });
+
+  describe('resolveCacheUrl', () => {
+    test('should resolve relative URLs against baseURL', () => {
+      expect(resolveCacheUrl({ baseURL: 'https://api.test/v1/', url: '/users' })).toBe('https://api.test/v1/users');
+      expect(resolveCacheUrl({ baseURL: 'https://api.test/v1' })).toBe('https://api.test/v1');
+    });
+
+    test('should keep absolute URLs', () => {
+      expect(resolveCacheUrl({ baseURL: 'https://api.test', url: 'https://other.test/users' })).toBe('https://other.test/users');
+      expect(resolveCacheUrl({ url: '/users' })).toBe('/users');
+    });
+
+    test('should sort the query string and drop the fragment', () => {
+      expect(resolveCacheUrl({ url: '/users?sort=name&page=2#top' })).toBe('/users?page=2&sort=name');
+    });
+  });
+
+  describe('createCacheKey', () => {
+    test('should build the same key for reordered params', () => {
+      const a = createCacheKey({ method: 'GET', url: '/users', params: { page: 1, sort: 'name' } });
+      const b = createCacheKey({ method: 'get', url: '/users', params: { sort: 'name', page: 1 } });
+
+      expect(a).toBe('get:/users:{"page":1,"sort":"name"}');
+      expect(b).toBe(a);
+    });
+
+    test('should default to GET without params', () => {
+      expect(createCacheKey({ url: '/users' })).toBe('get:/users:{}');
+    });
+
+    test('should include the vary header values', () => {
+      const config = {
+        url: '/users',
+        headers: new AxiosHeaders({ 'Accept-Language': 'de' })
+      };
+
+      expect(createCacheKey(config, { varyHeaders: ['Accept-Language', 'Accept'] }))
+        .toBe('get:/users:{}:{"accept":null,"accept-language":"de"}');
+    });
+
+    test('should append the partition', () => {
+      const partition = jest.fn(() => 'user-1');
+      const config = { url: '/users' };
+
+      expect(createCacheKey(config, { partition })).toBe('get:/users:{}@user-1');
+      expect(partition).toHaveBeenCalledWith(config);
+      expect(createCacheKey(config, { partition: 'tenant-a' })).toBe('get:/users:{}@tenant-a');
+      expect(createCacheKey(config, { partition: () => null })).toBe('get:/users:{}');
+    });
+  });
+});
@@ -0,0 +1,316 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import axios from 'axios';
+import {
+  createMemoryStorage,
+  createWebStorage,
+  createIndexedDBStorage,
+  createFileStorage,
+  getEntrySize,
+  toSerializableEntry
+} from '../../../lib/utils/cacheStorage.js';
+import { attachCacheInterceptor } from '../../../lib/interceptors/cache.js';
+
+const entry = (data) => ({
+  response: { data, status: 200, statusText: 'OK', headers: {}, config: { url: '/' } },
+  timestamp: 1
+});
+
+// Map-backed stand-in for localStorage/sessionStorage
+const createFakeWebStorage = () => {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+    items
+  };
+};
+
+// Just enough of IndexedDB for the adapter: one object store keyed by `key`
+const createFakeIndexedDB = () => {
+  const databases = new Map();
+  const request = (run) => {
+    const req = {};
+    setTimeout(() => {
+      req.result = run();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+  return {
+    open: jest.fn((name) => {
+      const req = {};
+      setTimeout(() => {
+        const isNew = !databases.has(name);
+        if (isNew) databases.set(name, new Map());
+        const records = databases.get(name);
+        req.result = {
+          createObjectStore: jest.fn(),
+          transaction: () => ({
+            objectStore: () => ({
+              get: (key) => request(() => records.get(key)),
+              put: (record) => request(() => { records.set(record.key, structuredClone(record)); }),
+              delete: (key) => request(() => { records.delete(key); }),
+              clear: () => request(() => { records.clear(); }),
+              getAll: () => request(() => [...records.values()])
+            })
+          })
+        };
+        if (isNew) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }),
+    databases
+  };
+};
+
+describe('cacheStorage', () => {
+  describe('entry sizes', () => {
+    test('should serialize responses without config and request', () => {
+      const headers = new axios.AxiosHeaders({ ETag: '"v1"' });
+      const serializable = toSerializableEntry({
+        response: { data: { id: 1 }, status: 200, statusText: 'OK', headers, config: {}, request: {} },
+        timestamp: 5
+      });
+
+      expect(serializable).toEqual({
+        response: { data: { id: 1 }, status: 200, statusText: 'OK', headers: { ETag: '"v1"' } },
+        timestamp: 5
+      });
+    });
+
+    test('should count UTF-8 bytes', () => {
+      expect(getEntrySize(entry('é')) - getEntrySize(entry('e'))).toBe(1);
+    });
+
+    test('should report 0 for entries that cannot be serialized', () => {
+      const data = {};
+      data.self = data;
+      expect(getEntrySize(entry(data))).toBe(0);
+    });
+  });
+
+  describe('memory storage', () => {
+    test('should store and return entries as is', async () => {
+      const storage = createMemoryStorage();
+      const stored = entry('a');
+
+      await storage.set('a', stored);
+
+      expect(await storage.get('a')).toBe(stored);
+      expect(await storage.get('missing')).toBeUndefined();
+    });
+
+    test('should evict the least recently used entries by count', async () => {
+      const storage = createMemoryStorage({ maxEntries: 2 });
+
+      await storage.set('a', entry('a'));
+      await storage.set('b', entry('b'));
+      await storage.get('a');
+      await storage.set('c', entry('c'));
+
+      expect(await storage.keys()).toEqual(['a', 'c']);
+      expect((await storage.getStats()).evictions).toBe(1);
+    });
+
+    test('should evict the least recently used entries by bytes', async () => {
+      const size = getEntrySize(entry('x'.repeat(100)));
+      const storage = createMemoryStorage({ maxBytes: size * 2 });
+
+      await storage.set('a', entry('x'.repeat(100)));
+      await storage.set('b', entry('y'.repeat(100)));
+      await storage.get('a');
+      await storage.set('c', entry('z'.repeat(100)));
+
+      expect(await storage.keys()).toEqual(['a', 'c']);
+      expect(await storage.getStats()).toEqual({
+        entries: 2,
+        bytes: size * 2,
+        maxBytes: size * 2,
+        maxEntries: Infinity,
+        evictions: 1
+      });
+    });
+
+    test('should not store entries larger than maxBytes', async () => {
+      const storage = createMemoryStorage({ maxBytes: 50 });
+
+      await storage.set('big', entry('x'.repeat(100)));
+
+      expect(await storage.get('big')).toBeUndefined();
+      expect((await storage.getStats()).bytes).toBe(0);
+    });
+
+    test('should replace entries without double counting', async () => {
+      const storage = createMemoryStorage();
+
+      await storage.set('a', entry('first'));
+      await storage.set('a', entry('second'));
+
+      expect((await storage.get('a')).response.data).toBe('second');
+      expect((await storage.getStats()).bytes).toBe(getEntrySize(entry('second')));
+    });
+
+    test('should delete and clear entries', async () => {
+      const storage = createMemoryStorage();
+      await storage.set('a', entry('a'));
+      await storage.set('b', entry('b'));
+
+      await storage.delete('a');
+      expect(await storage.keys()).toEqual(['b']);
+
+      await storage.clear();
+      expect(await storage.keys()).toEqual([]);
+      expect((await storage.getStats()).bytes).toBe(0);
+    });
+  });
+
+  describe('web storage', () => {
+    test('should require a storage', () => {
+      expect(() => createWebStorage(null)).toThrow('Web Storage is not available');
+    });
+
+    test('should persist serialized entries under a prefix', async () => {
+      const webStorage = createFakeWebStorage();
+      const storage = createWebStorage(webStorage, { prefix: 'test:' });
+
+      await storage.set('a', entry({ id: 1 }));
+
+      expect(JSON.parse(webStorage.getItem('test:a')).entry.response).toEqual({
+        data: { id: 1 },
+        status: 200,
+        statusText: 'OK',
+        headers: {}
+      });
+      expect((await storage.get('a')).response.config).toBeUndefined();
+    });
+
+    test('should rebuild its index from existing items', async () => {
+      const webStorage = createFakeWebStorage();
+      webStorage.setItem('other', 'kept');
+      const first = createWebStorage(webStorage);
+      await first.set('a', entry('a'));
+      await first.set('b', entry('b'));
+
+      const second = createWebStorage(webStorage, { maxEntries: 2 });
+      expect(await second.keys()).toEqual(['a', 'b']);
+
+      await second.set('c', entry('c'));
+      expect(await second.keys()).toEqual(['b', 'c']);
+      expect(webStorage.getItem('hc-axios-cache:a')).toBeNull();
+
+      await second.clear();
+      expect([...webStorage.items.keys()]).toEqual(['other']);
+    });
+
+    test('should treat corrupt items as missing', async () => {
+      const webStorage = createFakeWebStorage();
+      webStorage.setItem('hc-axios-cache:a', '{not json');
+      const storage = createWebStorage(webStorage);
+
+      expect(await storage.keys()).toEqual([]);
+      expect(await storage.get('a')).toBeUndefined();
+    });
+  });
+
+  describe('IndexedDB storage', () => {
+    test('should require IndexedDB', () => {
+      expect(() => createIndexedDBStorage({ indexedDB: null })).toThrow('IndexedDB is not available');
+    });
+
+    test('should persist entries and rebuild its index', async () => {
+      const indexedDB = createFakeIndexedDB();
+      const first = createIndexedDBStorage({ indexedDB });
+
+      await first.set('a', entry('a'));
+      await first.set('b', entry('b'));
+      await first.delete('b');
+      expect(indexedDB.open).toHaveBeenCalledTimes(1);
+
+      const second = createIndexedDBStorage({ indexedDB });
+      expect(await second.keys()).toEqual(['a']);
+      expect((await second.get('a')).response).toEqual({ data: 'a', status: 200, statusText: 'OK', headers: {} });
+
+      await second.clear();
+      expect(indexedDB.databases.get('hc-axios-cache').size).toBe(0);
+    });
+  });
+
+  describe('file storage', () => {
+    let directory;
+
+    afterEach(async () => {
+      if (directory) {
+        await rm(directory, { recursive: true, force: true });
+        directory = undefined;
+      }
+    });
+
+    test('should require a directory', () => {
+      expect(() => createFileStorage()).toThrow('A cache directory is required');
+    });
+
+    test('should persist entries as files and rebuild its index', async () => {
+      directory = await mkdtemp(join(tmpdir(), 'hc-axios-cache-'));
+      const cacheDirectory = join(directory, 'nested');
+      const first = createFileStorage({ directory: cacheDirectory });
+
+      await first.set('a', entry({ id: 1 }));
+      await first.set('b', entry({ id: 2 }));
+      expect(await readdir(cacheDirectory)).toHaveLength(2);
+
+      const second = createFileStorage({ directory: cacheDirectory, maxEntries: 2 });
+      expect((await second.get('a')).response.data).toEqual({ id: 1 });
+
+      await second.set('c', entry({ id: 3 }));
+      expect(await second.keys()).toEqual(['a', 'c']);
+      expect(await second.get('b')).toBeUndefined();
+
+      await second.delete('missing');
+      await second.clear();
+      expect(await readdir(cacheDirectory)).toEqual([]);
+    });
+  });
+
+  describe('with the cache interceptor', () => {
+    test('should serve persisted responses to a new instance', async () => {
+      const webStorage = createFakeWebStorage();
+      const adapter = jest.fn(async (config) => ({
+        data: { id: 1 }, status: 200, statusText: 'OK', headers: {}, config
+      }));
+
+      const first = axios.create({ adapter });
+      attachCacheInterceptor(first, { storage: createWebStorage(webStorage) });
+      await first.get('/users');
+
+      const second = axios.create({ adapter });
+      attachCacheInterceptor(second, { storage: createWebStorage(webStorage) });
+      const response = await second.get('/users');
+
+      expect(adapter).toHaveBeenCalledTimes(1);
+      expect(response.data).toEqual({ id: 1 });
+      expect(response.config.url).toBe('/users');
+    });
+
+    test('should not fail requests when the storage fails', async () => {
+      const storage = {
+        get: jest.fn().mockRejectedValue(new Error('unavailable')),
+        set: jest.fn().mockRejectedValue(new Error('quota exceeded')),
+        delete: jest.fn()
+      };
+      const api = axios.create({
+        adapter: async (config) => ({ data: 'ok', status: 200, statusText: 'OK', headers: {}, config })
+      });
+      attachCacheInterceptor(api, { storage });
+
+      expect((await api.get('/users')).data).toBe('ok');
+      expect(storage.set).toHaveBeenCalled();
+    });
+  });
+});
@@ -295,6 +295,26 @@ describe("commonPatterns", () => {
       resource.get(123);
       expect(mockInstance.get).toHaveBeenCalledWith("/users//123");
     });
+
+    describe("with cache tags", () => {
+      test("should tag reads and invalidate the tags on writes", () => {
+        const resource = createResource(mockInstance, "/users", { cacheTags: ["users"] });
+
+        resource.list({ page: 2 });
+        resource.get(1);
+        resource.create({ name: "Ann" });
+        resource.update(1, { name: "Bo" });
+        resource.patch(1, { name: "Cy" });
+        resource.delete(1);
+
+        expect(mockInstance.get).toHaveBeenCalledWith("/users", { params: { page: 2 }, cacheTags: ["users"] });
+        expect(mockInstance.get).toHaveBeenCalledWith("/users/1", { cacheTags: ["users"] });
+        expect(mockInstance.post).toHaveBeenCalledWith("/users", { name: "Ann" }, { cacheInvalidate: ["users"] });
+        expect(mockInstance.put).toHaveBeenCalledWith("/users/1", { name: "Bo" }, { cacheInvalidate: ["users"] });
+        expect(mockInstance.patch).toHaveBeenCalledWith("/users/1", { name: "Cy" }, { cacheInvalidate: ["users"] });
+        expect(mockInstance.delete).toHaveBeenCalledWith("/users/1", { cacheInvalidate: ["users"] });
+      });
+    });
   });
 
   describe("uploadFile", () => {
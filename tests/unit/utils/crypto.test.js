@@ -0,0 +1,127 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import nodeCrypto from 'crypto';
+import {
+  sha256,
+  hmacSha256,
+  md5,
+  toHex,
+  base64Encode,
+  base64UrlEncode,
+  randomBytes,
+  randomUUID,
+  utf8Encode
+} from '../../../lib/utils/crypto.js';
+
+describe('crypto', () => {
+  describe('sha256', () => {
+    test.each([
+      ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+      ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+      [
+        'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq',
+        '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+      ]
+    ])('should hash %j', (input, expected) => {
+      expect(toHex(sha256(input))).toBe(expected);
+    });
+
+    test('should hash inputs spanning several blocks', () => {
+      expect(toHex(sha256('a'.repeat(1000)))).toBe(
+        '41edece42d63e8d9bf515a9ba6932e1c20cbc9f5a5d134645adb5db1b9737ea3'
+      );
+    });
+
+    test('should accept bytes and UTF-8 encode strings', () => {
+      expect(sha256(utf8Encode('héllo'))).toEqual(sha256('héllo'));
+      expect(sha256(new Uint8Array([1, 2, 3]).buffer)).toEqual(sha256(new Uint8Array([1, 2, 3])));
+      expect(() => sha256(42)).toThrow('Expected a string, Uint8Array or ArrayBuffer');
+    });
+  });
+
+  describe('hmacSha256', () => {
+    // RFC 4231 test cases 1, 2 and 6 (key longer than the block size)
+    test.each([
+      [
+        new Uint8Array(20).fill(0x0b),
+        'Hi There',
+        'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7'
+      ],
+      [
+        'Jefe',
+        'what do ya want for nothing?',
+        '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+      ],
+      [
+        new Uint8Array(131).fill(0xaa),
+        'Test Using Larger Than Block-Size Key - Hash Key First',
+        '60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54'
+      ]
+    ])('should match RFC 4231 vector %#', (key, data, expected) => {
+      expect(toHex(hmacSha256(key, data))).toBe(expected);
+    });
+  });
+
+  describe('md5', () => {
+    // RFC 1321 test suite
+    test.each([
+      ['', 'd41d8cd98f00b204e9800998ecf8427e'],
+      ['abc', '900150983cd24fb0d6963f7d28e17f72'],
+      ['message digest', 'f96b697d7cb7938d525a2f31aaf161d0'],
+      [
+        '12345678901234567890123456789012345678901234567890123456789012345678901234567890',
+        '57edf4a22be3c955ac49da2e2107b67a'
+      ]
+    ])('should hash %j', (input, expected) => {
+      expect(toHex(md5(input))).toBe(expected);
+    });
+  });
+
+  describe('encoding', () => {
+    test('should base64 and base64url encode bytes', () => {
+      const bytes = new Uint8Array([0xfb, 0xff, 0xfe, 0x01]);
+      expect(base64Encode(bytes)).toBe('+//+AQ==');
+      expect(base64UrlEncode(bytes)).toBe('-__-AQ');
+    });
+  });
+
+  describe('randomBytes', () => {
+    test('should return the requested number of random bytes', () => {
+      const a = randomBytes(32);
+      expect(a).toBeInstanceOf(Uint8Array);
+      expect(a).toHaveLength(32);
+      expect(toHex(a)).not.toBe(toHex(randomBytes(32)));
+    });
+
+    test('should fall back to the Node crypto module without a global crypto', () => {
+      const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+      const randomFillSync = jest.spyOn(nodeCrypto, 'randomFillSync');
+      Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+      try {
+        const bytes = randomBytes(16);
+        expect(bytes).toHaveLength(16);
+        expect(randomFillSync).toHaveBeenCalledWith(bytes);
+      } finally {
+        Object.defineProperty(globalThis, 'crypto', descriptor);
+        randomFillSync.mockRestore();
+      }
+    });
+  });
+
+  describe('randomUUID', () => {
+    test('should return distinct version 4 UUIDs', () => {
+      const uuid = randomUUID();
+      expect(uuid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(randomUUID()).not.toBe(uuid);
+    });
+
+    test('should build UUIDs from random bytes without crypto.randomUUID', () => {
+      const original = globalThis.crypto.randomUUID;
+      Object.defineProperty(globalThis.crypto, 'randomUUID', { value: undefined, configurable: true });
+      try {
+        expect(randomUUID()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      } finally {
+        Object.defineProperty(globalThis.crypto, 'randomUUID', { value: original, configurable: true, writable: true });
+      }
+    });
+  });
+});
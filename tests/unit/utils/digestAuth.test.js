@@ -0,0 +1,127 @@
+import { describe, test, expect } from '@jest/globals';
+import { DigestAuthHandler, parseAuthenticateHeader } from '../../../lib/utils/digestAuth.js';
+
+// RFC 7616 section 3.9.1 example
+const RFC_CHALLENGE = 'Digest realm="http-auth@example.org", qop="auth, auth-int", algorithm=SHA-256, ' +
+  'nonce="7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v", opaque="FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS", ' +
+  'Digest realm="http-auth@example.org", qop="auth, auth-int", algorithm=MD5, ' +
+  'nonce="7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v", opaque="FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS"';
+const RFC_CNONCE = 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ';
+const credentials = { username: 'Mufasa', password: 'Circle of Life' };
+const config = { method: 'get', url: 'http://www.example.org/dir/index.html' };
+
+const params = (authorization) => parseAuthenticateHeader(authorization)[0].params;
+
+describe('parseAuthenticateHeader', () => {
+  test('should split several challenges and unquote values', () => {
+    const challenges = parseAuthenticateHeader(RFC_CHALLENGE);
+
+    expect(challenges).toHaveLength(2);
+    expect(challenges[0]).toEqual({
+      scheme: 'Digest',
+      params: {
+        realm: 'http-auth@example.org',
+        qop: 'auth, auth-int',
+        algorithm: 'SHA-256',
+        nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+        opaque: 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS'
+      }
+    });
+    expect(challenges[1].params.algorithm).toBe('MD5');
+  });
+
+  test('should handle token68 credentials, bare schemes and escaped quotes', () => {
+    expect(parseAuthenticateHeader('Negotiate abc==, Basic realm="a, \\"b\\"", NTLM')).toEqual([
+      { scheme: 'Negotiate', params: {}, token68: 'abc==' },
+      { scheme: 'Basic', params: { realm: 'a, "b"' } },
+      { scheme: 'NTLM', params: {} }
+    ]);
+  });
+
+  test('should return no challenges for empty headers', () => {
+    expect(parseAuthenticateHeader(undefined)).toEqual([]);
+    expect(parseAuthenticateHeader('')).toEqual([]);
+  });
+});
+
+describe('DigestAuthHandler', () => {
+  const createHandler = (challengeIndex) => {
+    const handler = new DigestAuthHandler({ createCnonce: () => RFC_CNONCE });
+    handler.handleChallenge(parseAuthenticateHeader(RFC_CHALLENGE)[challengeIndex], { config, credentials });
+    return handler;
+  };
+
+  test('should compute the RFC 7616 SHA-256 response', () => {
+    const authorization = createHandler(0).authorize(config);
+
+    expect(params(authorization)).toEqual({
+      username: 'Mufasa',
+      realm: 'http-auth@example.org',
+      nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+      uri: '/dir/index.html',
+      algorithm: 'SHA-256',
+      response: '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1',
+      opaque: 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS',
+      qop: 'auth',
+      nc: '00000001',
+      cnonce: RFC_CNONCE
+    });
+  });
+
+  test('should compute the RFC 7616 MD5 response', () => {
+    expect(params(createHandler(1).authorize(config)).response).toBe('8ca523f5e9506fed4657c9700eebdbec');
+  });
+
+  test('should count requests per nonce', () => {
+    const handler = createHandler(1);
+    handler.authorize(config);
+
+    expect(params(handler.authorize(config)).nc).toBe('00000002');
+
+    // The same nonce again keeps counting
+    handler.handleChallenge(parseAuthenticateHeader(RFC_CHALLENGE)[1], { config, credentials });
+    expect(params(handler.authorize(config)).nc).toBe('00000003');
+  });
+
+  test('should support RFC 2069 challenges without qop', () => {
+    const handler = new DigestAuthHandler();
+    handler.handleChallenge({ params: { realm: 'r', nonce: 'n' } }, { config, credentials });
+
+    const result = params(handler.authorize(config));
+    expect(result.qop).toBeUndefined();
+    expect(result.nc).toBeUndefined();
+    expect(result.response).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  test('should create random cnonces without a global crypto', () => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+    try {
+      const handler = new DigestAuthHandler();
+      handler.handleChallenge(parseAuthenticateHeader(RFC_CHALLENGE)[0], { config, credentials });
+
+      const first = params(handler.authorize(config)).cnonce;
+      expect(first).toMatch(/^[0-9a-f]{32}$/);
+      expect(params(handler.authorize(config)).cnonce).not.toBe(first);
+    } finally {
+      Object.defineProperty(globalThis, 'crypto', descriptor);
+    }
+  });
+
+  test('should keep sessions per origin', () => {
+    const handler = createHandler(0);
+
+    expect(handler.authorize({ method: 'get', url: 'https://other.example.org/' })).toBeNull();
+    handler.reset(config);
+    expect(handler.authorize(config)).toBeNull();
+  });
+
+  test('should only support answerable challenges', () => {
+    const handler = new DigestAuthHandler();
+
+    expect(handler.supports({ params: { nonce: 'n', algorithm: 'SHA-256-sess' } })).toBe(true);
+    expect(handler.supports({ params: { nonce: 'n', algorithm: 'SHA-512-256' } })).toBe(false);
+    expect(handler.supports({ params: { nonce: 'n', qop: 'auth-int' } })).toBe(false);
+    expect(handler.supports({ params: {} })).toBe(false);
+  });
+});
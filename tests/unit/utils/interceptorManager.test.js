@@ -1,5 +1,6 @@
 import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
 import { InterceptorManager } from '../../../lib/utils/interceptorManager.js';
+import { createBackoff } from '../../../lib/utils/backoff.js';
 
 describe('InterceptorManager', () => {
   let mockInstance;
@@ -102,7 +103,7 @@ describe('InterceptorManager', () => {
     test('should build complete interceptor registry', () => {
       const expectedInterceptors = [
         'auth', 'refreshToken', 'retry', 'logging',
-        'cache', 'uploadProgress', 'smartTimeout', 'rateLimit'
+        'cache', 'uploadProgress', 'smartTimeout', 'rateLimit', 'requestSigning'
       ];
 
       expectedInterceptors.forEach(name => {
@@ -779,6 +780,20 @@ describe('InterceptorManager', () => {
       expect(result.headers.Authorization).toBe('Bearer test-token');
     });
 
+    test('should honour per-request authentication in auth logic', async () => {
+      const config = { getToken: () => 'test-token' };
+
+      const skipped = manager._applyAuthLogic({ headers: {}, authentication: false }, 'request', config);
+      const overridden = await manager._applyAuthLogic(
+        { headers: {}, authentication: { token: async () => 'other', scheme: 'token' } },
+        'request',
+        config
+      );
+
+      expect(skipped.headers.Authorization).toBeUndefined();
+      expect(overridden.headers.Authorization).toBe('Token other');
+    });
+
     test('should apply logging logic', () => {
       const data = { method: 'get', url: '/api/test' };
       const config = { logger: { log: jest.fn() } };
@@ -800,6 +815,47 @@ describe('InterceptorManager', () => {
       expect(result).toBeInstanceOf(Promise);
     });
 
+    test('should keep one backoff strategy per retry config', () => {
+      jest.useFakeTimers();
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      const config = { retries: 3, backoff: { strategy: 'full-jitter', seed: 42 } };
+      const retry = () => manager._applyRetryLogic(
+        { config: { url: '/api/test' }, response: { status: 500 } },
+        'responseError',
+        config
+      );
+
+      retry();
+      retry();
+      retry();
+
+      const expected = createBackoff(config.backoff);
+      expect(setTimeoutSpy.mock.calls.map(([, delay]) => delay)).toEqual([1, 1, 1].map(attempt => expected(attempt)));
+
+      setTimeoutSpy.mockRestore();
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    test('should wait for the delay the server asked for', () => {
+      jest.useFakeTimers();
+      const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+      const error = {
+        config: { url: '/api/test' },
+        response: { status: 429, headers: { 'Retry-After': '120' } }
+      };
+
+      manager._applyRetryLogic(error, 'responseError', { retries: 3, maxRetryAfter: 5000 });
+
+      expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 5000);
+      expect(error.retryAfter).toBe(120000);
+      expect(error.retryDelay).toBe(5000);
+
+      setTimeoutSpy.mockRestore();
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
     test('should apply cache logic', () => {
       // Initialize cache if it doesn't exist
       if (!manager._cache) {
@@ -1226,6 +1282,33 @@ describe('Additional interceptor logic implementation tests', () => {
       });
     });
   });
+
+  describe('_applyRequestSigningLogic', () => {
+    test('should defer signing to the adapter', () => {
+      const adapter = jest.fn();
+      const data = { url: '/orders', method: 'get', headers: {}, adapter };
+      const config = { secret: 'secret' };
+
+      const result = manager._applyRequestSigningLogic(data, 'request', config);
+
+      expect(result.adapter).toEqual(expect.any(Function));
+      expect(result.adapter).not.toBe(adapter);
+    });
+
+    test('should reuse the signer for the same conditional config', () => {
+      const config = { secret: 'secret' };
+
+      manager._applyRequestSigningLogic({ headers: {} }, 'request', config);
+      manager._applyRequestSigningLogic({ headers: {} }, 'request', config);
+
+      expect(manager._requestSigners.has(config)).toBe(true);
+    });
+
+    test('should pass responses through untouched', () => {
+      const response = { data: {} };
+      expect(manager._applyRequestSigningLogic(response, 'response', { secret: 'secret' })).toBe(response);
+    });
+  });
 });
 
 describe('Helper method tests', () => {
@@ -1594,6 +1677,14 @@ describe('Performance and debugging methods', () => {
       expect(metrics.conditionals.totalActivations).toBe(10);
       expect(metrics.conditionals.totalErrors).toBe(2);
     });
+
+    test('should include cache stats', () => {
+      expect(manager.getPerformanceMetrics().cache).toBeNull();
+
+      mockInstance.cache = { getStats: jest.fn().mockReturnValue({ hits: 3, misses: 1 }) };
+
+      expect(manager.getPerformanceMetrics().cache).toEqual({ hits: 3, misses: 1 });
+    });
   });
 
   describe('getDebugInfo', () => {
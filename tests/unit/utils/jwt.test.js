@@ -0,0 +1,34 @@
+import { describe, test, expect } from '@jest/globals';
+import { decodeJwtPayload, getJwtExpiry } from '../../../lib/utils/jwt.js';
+
+const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+const makeJwt = (payload) => `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}.signature`;
+
+describe('jwt', () => {
+  describe('decodeJwtPayload', () => {
+    test('should decode the payload claims', () => {
+      expect(decodeJwtPayload(makeJwt({ sub: 'user-1', name: 'Zoë' }))).toEqual({
+        sub: 'user-1',
+        name: 'Zoë'
+      });
+    });
+
+    test('should return null for values that are not JWTs', () => {
+      expect(decodeJwtPayload('opaque-token')).toBeNull();
+      expect(decodeJwtPayload('a.b')).toBeNull();
+      expect(decodeJwtPayload('a.!!!.c')).toBeNull();
+      expect(decodeJwtPayload(null)).toBeNull();
+    });
+  });
+
+  describe('getJwtExpiry', () => {
+    test('should return exp in milliseconds', () => {
+      expect(getJwtExpiry(makeJwt({ exp: 1700000000 }))).toBe(1700000000000);
+    });
+
+    test('should return null without an exp claim', () => {
+      expect(getJwtExpiry(makeJwt({ sub: 'user-1' }))).toBeNull();
+      expect(getJwtExpiry('opaque-token')).toBeNull();
+    });
+  });
+});
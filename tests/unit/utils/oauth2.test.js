@@ -0,0 +1,343 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import http from 'http';
+import axios from 'axios';
+import {
+  OAuth2Client,
+  generateCodeVerifier,
+  createCodeChallenge
+} from '../../../lib/utils/oauth2.js';
+import { TokenProvider } from '../../../lib/utils/tokenProvider.js';
+import { attachAuthInterceptor } from '../../../lib/interceptors/auth.js';
+import { attachRefreshInterceptor } from '../../../lib/interceptors/refresh.js';
+
+// Local mock token endpoint recording every request it receives
+let server;
+let baseUrl;
+let requests;
+let issued;
+
+const respond = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const handleToken = (req, res, params) => {
+  const grant = params.get('grant_type');
+
+  if (grant === 'client_credentials') {
+    issued += 1;
+    return respond(res, 200, {
+      access_token: `cc-token-${issued}`,
+      token_type: 'Bearer',
+      expires_in: 3600,
+      scope: params.get('scope') || 'default'
+    });
+  }
+
+  if (grant === 'authorization_code') {
+    if (params.get('code') !== 'valid-code') {
+      return respond(res, 400, { error: 'invalid_grant', error_description: 'Unknown code' });
+    }
+    return respond(res, 200, {
+      access_token: 'code-token',
+      refresh_token: 'refresh-1',
+      token_type: 'Bearer',
+      expires_in: 3600
+    });
+  }
+
+  if (grant === 'refresh_token') {
+    if (params.get('refresh_token') !== 'refresh-1') {
+      return respond(res, 400, { error: 'invalid_grant' });
+    }
+    return respond(res, 200, {
+      access_token: 'refreshed-token',
+      refresh_token: 'refresh-2',
+      token_type: 'Bearer',
+      expires_in: 3600
+    });
+  }
+
+  return respond(res, 400, { error: 'unsupported_grant_type' });
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(body);
+      requests.push({ url: req.url, headers: req.headers, params });
+
+      if (req.url === '/token') {
+        return handleToken(req, res, params);
+      }
+
+      // Protected resource accepting only the latest issued tokens
+      const auth = req.headers.authorization;
+      if (auth === 'Bearer refreshed-token' || auth === `Bearer cc-token-${issued}`) {
+        return respond(res, 200, { ok: true, auth });
+      }
+      return respond(res, 401, { error: 'invalid_token' });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  issued = 0;
+});
+
+const tokenRequests = () => requests.filter(r => r.url === '/token');
+
+describe('PKCE helpers', () => {
+  test('should generate verifiers of the requested length from the unreserved alphabet', () => {
+    const verifier = generateCodeVerifier(43);
+    expect(verifier).toHaveLength(43);
+    expect(verifier).toMatch(/^[A-Za-z0-9\-._~]+$/);
+    expect(generateCodeVerifier()).not.toBe(generateCodeVerifier());
+  });
+
+  test('should reject invalid verifier lengths', () => {
+    expect(() => generateCodeVerifier(42)).toThrow('between 43 and 128');
+    expect(() => generateCodeVerifier(129)).toThrow('between 43 and 128');
+  });
+
+  test('should create the S256 challenge from RFC 7636 appendix B', () => {
+    expect(createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+      .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+
+  test('should support the plain method and reject unknown ones', () => {
+    expect(createCodeChallenge('abc', 'plain')).toBe('abc');
+    expect(() => createCodeChallenge('abc', 'S512')).toThrow("Unsupported PKCE code challenge method 'S512'");
+  });
+});
+
+describe('OAuth2Client', () => {
+  test('should validate required options', () => {
+    expect(() => new OAuth2Client({ clientId: 'app' })).toThrow('requires a tokenUrl');
+    expect(() => new OAuth2Client({ tokenUrl: '/token' })).toThrow('requires a clientId');
+    expect(() => new OAuth2Client({ tokenUrl: '/token', clientId: 'app', grantType: 'password' }))
+      .toThrow("Unsupported OAuth2 grant type 'password'");
+  });
+
+  describe('client_credentials', () => {
+    test('should request a token with basic client authentication', async () => {
+      const client = new OAuth2Client({
+        tokenUrl: `${baseUrl}/token`,
+        clientId: 'my app',
+        clientSecret: 's3cret:x',
+        scope: ['read', 'write'],
+        grantType: 'client_credentials'
+      });
+
+      const tokens = await client.clientCredentials();
+
+      expect(tokens).toMatchObject({ token: 'cc-token-1', scope: 'read write', tokenType: 'Bearer' });
+      expect(tokens.expiresAt).toBeGreaterThan(Date.now());
+
+      const [request] = tokenRequests();
+      expect(request.headers['content-type']).toBe('application/x-www-form-urlencoded');
+      expect(request.headers.authorization).toBe(
+        `Basic ${Buffer.from('my%20app:s3cret%3Ax').toString('base64')}`
+      );
+      expect(request.params.get('grant_type')).toBe('client_credentials');
+      expect(request.params.get('scope')).toBe('read write');
+      expect(request.params.has('client_secret')).toBe(false);
+    });
+
+    test('should send credentials in the body when configured', async () => {
+      const client = new OAuth2Client({
+        tokenUrl: `${baseUrl}/token`,
+        clientId: 'app',
+        clientSecret: 'secret',
+        clientAuthentication: 'body',
+        grantType: 'client_credentials'
+      });
+
+      await client.clientCredentials({ scope: 'admin' });
+
+      const [request] = tokenRequests();
+      expect(request.headers.authorization).toBeUndefined();
+      expect(request.params.get('client_id')).toBe('app');
+      expect(request.params.get('client_secret')).toBe('secret');
+      expect(request.params.get('scope')).toBe('admin');
+    });
+
+    test('should fetch lazily and reuse the token until it expires', async () => {
+      const client = new OAuth2Client({
+        tokenUrl: `${baseUrl}/token`,
+        clientId: 'app',
+        clientSecret: 'secret',
+        grantType: 'client_credentials'
+      });
+
+      const [first, second] = await Promise.all([client.getAccessToken(), client.getAccessToken()]);
+      expect(first).toBe('cc-token-1');
+      expect(second).toBe('cc-token-1');
+      expect(await client.getAccessToken()).toBe('cc-token-1');
+      expect(tokenRequests()).toHaveLength(1);
+
+      client.expiresAt = Date.now();
+      expect(await client.getAccessToken()).toBe('cc-token-2');
+    });
+  });
+
+  describe('authorization_code with PKCE', () => {
+    const createClient = (options = {}) => new OAuth2Client({
+      tokenUrl: `${baseUrl}/token`,
+      authorizationUrl: 'https://auth.example.com/authorize',
+      clientId: 'spa',
+      redirectUri: 'https://app.example.com/callback',
+      scope: 'openid profile',
+      ...options
+    });
+
+    test('should build the authorization URL', () => {
+      const client = createClient();
+      const request = client.createAuthorizationRequest({ params: { prompt: 'login' } });
+      const url = new URL(request.url);
+
+      expect(url.origin + url.pathname).toBe('https://auth.example.com/authorize');
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        response_type: 'code',
+        client_id: 'spa',
+        redirect_uri: 'https://app.example.com/callback',
+        scope: 'openid profile',
+        state: request.state,
+        code_challenge: createCodeChallenge(request.codeVerifier),
+        code_challenge_method: 'S256',
+        prompt: 'login'
+      });
+    });
+
+    test('should require an authorization URL', () => {
+      const client = createClient({ authorizationUrl: undefined });
+      expect(() => client.createAuthorizationRequest()).toThrow('requires an authorizationUrl');
+    });
+
+    test('should exchange the code with the verifier and store the tokens', async () => {
+      const tokenProvider = new TokenProvider();
+      const client = createClient({ tokenProvider });
+      const { codeVerifier } = client.createAuthorizationRequest();
+
+      const tokens = await client.exchangeCode({ code: 'valid-code', codeVerifier });
+
+      expect(tokens).toMatchObject({ token: 'code-token', refreshToken: 'refresh-1' });
+      expect(await tokenProvider.get()).toEqual({ token: 'code-token', refreshToken: 'refresh-1' });
+
+      const [request] = tokenRequests();
+      expect(request.params.get('grant_type')).toBe('authorization_code');
+      expect(request.params.get('code_verifier')).toBe(codeVerifier);
+      expect(request.params.get('redirect_uri')).toBe('https://app.example.com/callback');
+      expect(request.params.get('client_id')).toBe('spa');
+    });
+
+    test('should surface OAuth2 error responses', async () => {
+      const client = createClient();
+
+      await expect(client.exchangeCode({ code: 'bad-code', codeVerifier: 'v' })).rejects.toMatchObject({
+        code: 'OAUTH2_ERROR',
+        error: 'invalid_grant',
+        errorDescription: 'Unknown code',
+        message: 'OAuth2 token request failed: invalid_grant (Unknown code)'
+      });
+    });
+
+    test('should refresh with the stored refresh token', async () => {
+      const tokenProvider = new TokenProvider({ initialTokens: { token: 'old', refreshToken: 'refresh-1' } });
+      const client = createClient({ tokenProvider });
+
+      const tokens = await client.refresh();
+
+      expect(tokens.token).toBe('refreshed-token');
+      expect(await tokenProvider.get()).toEqual({ token: 'refreshed-token', refreshToken: 'refresh-2' });
+      expect(tokenRequests()[0].params.get('refresh_token')).toBe('refresh-1');
+    });
+
+    test('should fail to refresh without a refresh token', async () => {
+      await expect(createClient().refresh()).rejects.toThrow('No refresh token available');
+    });
+  });
+
+  describe('with the auth and refresh interceptors', () => {
+    const createApi = (client) => {
+      const api = axios.create({ baseURL: baseUrl });
+      attachAuthInterceptor(api, () => client.getAccessToken());
+      attachRefreshInterceptor(api, client.createRefreshOptions());
+      return api;
+    };
+
+    test('should refresh through the token endpoint on 401 and replay the request', async () => {
+      const tokenProvider = new TokenProvider({ initialTokens: { token: 'expired', refreshToken: 'refresh-1' } });
+      const client = new OAuth2Client({ tokenUrl: `${baseUrl}/token`, clientId: 'spa', tokenProvider });
+
+      const response = await createApi(client).get('/resource');
+
+      expect(response.data).toEqual({ ok: true, auth: 'Bearer refreshed-token' });
+      expect(tokenRequests()).toHaveLength(1);
+      expect(tokenRequests()[0].params.get('grant_type')).toBe('refresh_token');
+      expect(await tokenProvider.get()).toEqual({ token: 'refreshed-token', refreshToken: 'refresh-2' });
+    });
+
+    test('should obtain client_credentials tokens automatically', async () => {
+      const client = new OAuth2Client({
+        tokenUrl: `${baseUrl}/token`,
+        clientId: 'service',
+        clientSecret: 'secret',
+        grantType: 'client_credentials'
+      });
+
+      const response = await createApi(client).get('/resource');
+
+      expect(response.data).toEqual({ ok: true, auth: 'Bearer cc-token-1' });
+      expect(tokenRequests()).toHaveLength(1);
+    });
+
+    test('should share one token request between the auth and refresh interceptors', async () => {
+      const tokenProvider = new TokenProvider({ initialTokens: { token: 'expiring' } });
+      const client = new OAuth2Client({
+        tokenUrl: `${baseUrl}/token`,
+        clientId: 'service',
+        clientSecret: 'secret',
+        grantType: 'client_credentials',
+        tokenProvider
+      });
+      client.expiresAt = Date.now();
+
+      // The request refreshes proactively while the auth getter fetches on its own
+      const [response, token] = await Promise.all([
+        createApi(client).get('/resource'),
+        client.getAccessToken()
+      ]);
+
+      expect(response.data).toEqual({ ok: true, auth: 'Bearer cc-token-1' });
+      expect(token).toBe('cc-token-1');
+      expect(tokenRequests()).toHaveLength(1);
+    });
+
+    test('should re-run client_credentials when the token is rejected', async () => {
+      const tokenProvider = new TokenProvider({ initialTokens: { token: 'revoked' } });
+      const client = new OAuth2Client({
+        tokenUrl: `${baseUrl}/token`,
+        clientId: 'service',
+        clientSecret: 'secret',
+        grantType: 'client_credentials',
+        tokenProvider
+      });
+
+      const response = await createApi(client).get('/resource');
+
+      expect(response.data).toEqual({ ok: true, auth: 'Bearer cc-token-1' });
+      expect(tokenRequests()[0].params.get('grant_type')).toBe('client_credentials');
+      expect(await tokenProvider.getAccessToken()).toBe('cc-token-1');
+    });
+  });
+});
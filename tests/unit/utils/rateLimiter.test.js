@@ -0,0 +1,124 @@
+import { describe, test, expect } from '@jest/globals';
+import { createRateLimiter, RATE_LIMIT_ALGORITHMS } from '../../../lib/utils/rateLimiter.js';
+
+// Outcome of a request at each time: 0 when allowed, else the wait
+const acquireAt = (limiter, times) => times.map(time => limiter.tryAcquire(time));
+
+describe('createRateLimiter', () => {
+  test('should list the algorithms and reject unknown ones', () => {
+    expect(RATE_LIMIT_ALGORITHMS).toEqual([
+      'sliding-window-log',
+      'sliding-window-counter',
+      'token-bucket',
+      'leaky-bucket'
+    ]);
+    expect(() => createRateLimiter({ algorithm: 'fixed' })).toThrow("Unknown rate limit algorithm 'fixed'");
+  });
+
+  test('should never allow requests without a positive limit', () => {
+    RATE_LIMIT_ALGORITHMS.forEach(algorithm => {
+      expect(createRateLimiter({ algorithm, maxRequests: 0 }).tryAcquire(0)).toBe(Infinity);
+    });
+  });
+
+  describe('sliding-window-log', () => {
+    test('should allow maxRequests in any window', () => {
+      const limiter = createRateLimiter({ maxRequests: 3, windowMs: 1000 });
+
+      expect(acquireAt(limiter, [0, 100, 200, 300])).toEqual([0, 0, 0, 701]);
+      expect(acquireAt(limiter, [1000, 1001, 1001])).toEqual([1, 0, 100]);
+    });
+
+    test('should keep constant memory for large limits', () => {
+      const limiter = createRateLimiter({ maxRequests: Number.MAX_SAFE_INTEGER, windowMs: 1000 });
+
+      for (let i = 0; i < 1000; i++) {
+        expect(limiter.tryAcquire(i)).toBe(0);
+      }
+    });
+  });
+
+  describe('sliding-window-counter', () => {
+    test('should weight the previous window by its overlap', () => {
+      const limiter = createRateLimiter({ algorithm: 'sliding-window-counter', maxRequests: 4, windowMs: 1000 });
+
+      expect(acquireAt(limiter, [0, 10, 20, 30, 40])).toEqual([0, 0, 0, 0, 960]);
+      // At 1250, 75% of the previous window's 4 requests still count
+      expect(limiter.tryAcquire(1250)).toBe(0);
+      expect(limiter.tryAcquire(1300)).toBe(200);
+      expect(limiter.tryAcquire(1500)).toBe(0);
+    });
+
+    test('should forget windows older than the previous one', () => {
+      const limiter = createRateLimiter({ algorithm: 'sliding-window-counter', maxRequests: 1, windowMs: 1000 });
+
+      expect(acquireAt(limiter, [0, 2100])).toEqual([0, 0]);
+    });
+  });
+
+  describe('token-bucket', () => {
+    test('should allow bursts and refill at a constant rate', () => {
+      const limiter = createRateLimiter({ algorithm: 'token-bucket', maxRequests: 10, windowMs: 1000, burst: 3 });
+
+      expect(acquireAt(limiter, [0, 0, 0, 0])).toEqual([0, 0, 0, 100]);
+      expect(acquireAt(limiter, [100, 150, 200])).toEqual([0, 50, 0]);
+    });
+
+    test('should default the burst to maxRequests', () => {
+      const limiter = createRateLimiter({ algorithm: 'token-bucket', maxRequests: 5, windowMs: 1000 });
+
+      expect(acquireAt(limiter, [0, 0, 0, 0, 0, 0])).toEqual([0, 0, 0, 0, 0, 200]);
+    });
+  });
+
+  describe('leaky-bucket', () => {
+    test('should space requests evenly', () => {
+      const limiter = createRateLimiter({ algorithm: 'leaky-bucket', maxRequests: 10, windowMs: 1000 });
+
+      expect(acquireAt(limiter, [0, 50, 100, 150, 200])).toEqual([0, 50, 0, 50, 0]);
+    });
+
+    test('should hold up to burst requests', () => {
+      const limiter = createRateLimiter({ algorithm: 'leaky-bucket', maxRequests: 10, windowMs: 1000, burst: 2 });
+
+      expect(acquireAt(limiter, [0, 0, 0, 100])).toEqual([0, 0, 100, 0]);
+    });
+  });
+
+  describe('remaining', () => {
+    test('should count free slots without taking one', () => {
+      const log = createRateLimiter({ maxRequests: 3, windowMs: 1000 });
+      acquireAt(log, [0, 100]);
+      expect(log.remaining(500)).toBe(1);
+      expect(log.remaining(500)).toBe(1);
+      expect(log.remaining(1050)).toBe(2);
+
+      const counter = createRateLimiter({ algorithm: 'sliding-window-counter', maxRequests: 4, windowMs: 1000 });
+      acquireAt(counter, [0, 10, 20, 30]);
+      expect(counter.remaining(1250)).toBe(1);
+    });
+
+    test('should count whole tokens in the bucket algorithms', () => {
+      const tokens = createRateLimiter({ algorithm: 'token-bucket', maxRequests: 10, windowMs: 1000, burst: 3 });
+      acquireAt(tokens, [0, 0, 0]);
+      expect(tokens.remaining(150)).toBe(1);
+
+      const leaky = createRateLimiter({ algorithm: 'leaky-bucket', maxRequests: 10, windowMs: 1000, burst: 2 });
+      expect(leaky.remaining(0)).toBe(2);
+      leaky.tryAcquire(0);
+      expect(leaky.remaining(50)).toBe(1);
+    });
+
+    test('should report no limit and never allowed limiters', () => {
+      expect(createRateLimiter({ maxRequests: 0 }).remaining(0)).toBe(0);
+      expect(createRateLimiter({ maxRequests: Infinity }).remaining(0)).toBe(Infinity);
+    });
+  });
+
+  test('should not limit rate based algorithms without a window', () => {
+    ['sliding-window-counter', 'token-bucket', 'leaky-bucket'].forEach(algorithm => {
+      const limiter = createRateLimiter({ algorithm, maxRequests: 1, windowMs: 0 });
+      expect(acquireAt(limiter, [0, 0, 0])).toEqual([0, 0, 0]);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import {
+  RefreshCoordinator,
+  MemoryLockAdapter,
+  StorageLockAdapter
+} from '../../../lib/utils/refreshCoordinator.js';
+
+const createTabs = (count, options = {}) => {
+  const shared = MemoryLockAdapter.createShared();
+  return Array.from({ length: count }, () =>
+    new RefreshCoordinator({ lock: new MemoryLockAdapter(shared), ...options })
+  );
+};
+
+const createStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+};
+
+describe('RefreshCoordinator', () => {
+  let tabs = [];
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.close());
+    tabs = [];
+    jest.useRealTimers();
+  });
+
+  test('should run the refresh when it holds the lock', async () => {
+    tabs = createTabs(1);
+    const refreshFn = jest.fn().mockResolvedValue({ token: 't1', refreshToken: 'r1' });
+
+    await expect(tabs[0].run(refreshFn)).resolves.toEqual({ token: 't1', refreshToken: 'r1' });
+    expect(refreshFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('should let only one tab refresh and share the tokens with the others', async () => {
+    tabs = createTabs(3);
+    let finish;
+    const leaderRefresh = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    const followerRefresh = jest.fn();
+
+    const leader = tabs[0].run(leaderRefresh);
+    await Promise.resolve();
+    const followers = [tabs[1].run(followerRefresh), tabs[2].run(followerRefresh)];
+
+    finish({ token: 'shared', refreshToken: 'rotated' });
+
+    const results = await Promise.all([leader, ...followers]);
+    expect(results).toEqual([
+      { token: 'shared', refreshToken: 'rotated' },
+      { token: 'shared', refreshToken: 'rotated' },
+      { token: 'shared', refreshToken: 'rotated' }
+    ]);
+    expect(leaderRefresh).toHaveBeenCalledTimes(1);
+    expect(followerRefresh).not.toHaveBeenCalled();
+  });
+
+  test('should notify token listeners in other tabs before resuming waiters', async () => {
+    tabs = createTabs(2);
+    const order = [];
+    tabs[1].onTokens(async (tokens) => {
+      await Promise.resolve();
+      order.push(`stored ${tokens.token}`);
+    });
+
+    let finish;
+    const leader = tabs[0].run(() => new Promise(resolve => { finish = resolve; }));
+    await Promise.resolve();
+    const follower = tabs[1].run(jest.fn()).then(() => order.push('resumed'));
+
+    finish({ token: 'new' });
+    await Promise.all([leader, follower]);
+
+    expect(order).toEqual(['stored new', 'resumed']);
+  });
+
+  test('should not notify its own token listeners', async () => {
+    tabs = createTabs(2);
+    const own = jest.fn();
+    const other = jest.fn();
+    tabs[0].onTokens(own);
+    tabs[1].onTokens(other);
+
+    await tabs[0].run(async () => ({ token: 'x' }));
+    await Promise.resolve();
+
+    expect(own).not.toHaveBeenCalled();
+    expect(other).toHaveBeenCalledWith({ token: 'x' });
+  });
+
+  test('should reject waiting tabs when the refresh fails', async () => {
+    tabs = createTabs(2);
+    let fail;
+    const leader = tabs[0].run(() => new Promise((resolve, reject) => { fail = reject; }));
+    await Promise.resolve();
+    const follower = tabs[1].run(jest.fn());
+
+    fail(new Error('invalid_grant'));
+
+    await expect(leader).rejects.toThrow('invalid_grant');
+    await expect(follower).rejects.toMatchObject({
+      code: 'REFRESH_FAILED_IN_OTHER_TAB',
+      message: 'Token refresh failed in another tab: invalid_grant'
+    });
+  });
+
+  test('should release the lock after refreshing', async () => {
+    tabs = createTabs(2);
+    await tabs[0].run(async () => ({ token: 'a' }));
+
+    const refreshFn = jest.fn().mockResolvedValue({ token: 'b' });
+    await expect(tabs[1].run(refreshFn)).resolves.toEqual({ token: 'b' });
+    expect(refreshFn).toHaveBeenCalled();
+  });
+
+  test('should time out when no tokens arrive', async () => {
+    jest.useFakeTimers();
+    tabs = createTabs(2, { timeout: 1000 });
+
+    const leader = tabs[0].run(() => new Promise(() => {}));
+    await Promise.resolve();
+    const follower = tabs[1].run(jest.fn());
+    const assertion = expect(follower).rejects.toMatchObject({ code: 'REFRESH_COORDINATION_TIMEOUT' });
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await assertion;
+    leader.catch(() => {});
+  });
+
+  test('should reject waiting tabs when closed', async () => {
+    tabs = createTabs(2);
+    const leader = tabs[0].run(() => new Promise(() => {}));
+    await Promise.resolve();
+    const follower = tabs[1].run(jest.fn());
+    await Promise.resolve();
+
+    tabs[1].close();
+
+    await expect(follower).rejects.toMatchObject({ code: 'REFRESH_COORDINATION_CLOSED' });
+    expect(tabs[1].waiters.size).toBe(0);
+    leader.catch(() => {});
+  });
+
+  test('should take over an expired lock', async () => {
+    tabs = createTabs(2, { lockTtl: -1 });
+    tabs[0].run(() => new Promise(() => {}));
+    await Promise.resolve();
+
+    const refreshFn = jest.fn().mockResolvedValue({ token: 'b' });
+    await expect(tabs[1].run(refreshFn)).resolves.toEqual({ token: 'b' });
+  });
+
+  test('should use a storage lock when localStorage is available', () => {
+    const lock = RefreshCoordinator.createDefaultLock();
+    expect(lock).toBeInstanceOf(StorageLockAdapter);
+    lock.close();
+  });
+
+  test('should fall back to a memory lock without localStorage', () => {
+    const { localStorage } = global;
+    delete global.localStorage;
+    try {
+      expect(RefreshCoordinator.createDefaultLock()).toBeInstanceOf(MemoryLockAdapter);
+    } finally {
+      global.localStorage = localStorage;
+    }
+  });
+});
+
+describe('StorageLockAdapter', () => {
+  test('should require storage', () => {
+    expect(() => new StorageLockAdapter({ storage: null })).toThrow('requires localStorage');
+  });
+
+  test('should acquire and release the lock in storage', async () => {
+    const storage = createStorage();
+    const tabA = new StorageLockAdapter({ storage, BroadcastChannel: null, settleDelay: 0 });
+    const tabB = new StorageLockAdapter({ storage, BroadcastChannel: null, settleDelay: 0 });
+
+    expect(await tabA.acquire(1000)).toBe(true);
+    expect(await tabB.acquire(1000)).toBe(false);
+
+    await tabA.release();
+    expect(storage.getItem('hc-axios-token-refresh:lock')).toBeNull();
+    expect(await tabB.acquire(1000)).toBe(true);
+  });
+
+  test('should lose the lock when another tab overwrites it before confirmation', async () => {
+    const storage = createStorage();
+    const tabA = new StorageLockAdapter({ storage, BroadcastChannel: null, settleDelay: 10 });
+
+    const attempt = tabA.acquire(1000);
+    storage.setItem('hc-axios-token-refresh:lock', JSON.stringify({ owner: 'other', expires: Date.now() + 1000 }));
+
+    expect(await attempt).toBe(false);
+  });
+
+  test('should broadcast through BroadcastChannel when available', () => {
+    const channels = [];
+    class FakeChannel {
+      constructor(name) {
+        this.name = name;
+        this.listeners = new Set();
+        channels.push(this);
+      }
+      postMessage(data) {
+        channels
+          .filter(channel => channel !== this && channel.name === this.name)
+          .forEach(channel => channel.listeners.forEach(listener => listener({ data })));
+      }
+      addEventListener(type, listener) { this.listeners.add(listener); }
+      removeEventListener(type, listener) { this.listeners.delete(listener); }
+      close() {}
+    }
+
+    const storage = createStorage();
+    const tabA = new StorageLockAdapter({ storage, BroadcastChannel: FakeChannel });
+    const tabB = new StorageLockAdapter({ storage, BroadcastChannel: FakeChannel });
+    const listener = jest.fn();
+    const unsubscribe = tabB.subscribe(listener);
+
+    tabA.publish({ type: 'tokens', tokens: { token: 't' } });
+    expect(listener).toHaveBeenCalledWith({ type: 'tokens', tokens: { token: 't' } });
+
+    unsubscribe();
+    tabA.publish({ type: 'failed' });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fall back to storage events', () => {
+    const handlers = new Set();
+    const eventTarget = {
+      addEventListener: (type, handler) => handlers.add(handler),
+      removeEventListener: (type, handler) => handlers.delete(handler)
+    };
+    const writes = [];
+    const storage = createStorage();
+    const setItem = storage.setItem;
+    storage.setItem = (key, value) => {
+      writes.push({ key, value });
+      setItem(key, value);
+    };
+
+    const tab = new StorageLockAdapter({ storage, BroadcastChannel: null, eventTarget });
+    const listener = jest.fn();
+    tab.subscribe(listener);
+
+    tab.publish({ type: 'tokens', tokens: { token: 't' } });
+    const message = writes.find(write => write.key === 'hc-axios-token-refresh:message');
+    expect(storage.getItem('hc-axios-token-refresh:message')).toBeNull();
+
+    // Simulate the event another tab would receive
+    handlers.forEach(handler => handler({ key: message.key, newValue: message.value }));
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'tokens', tokens: { token: 't' } }));
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { ReplayQueue } from '../../../lib/utils/replayQueue.js';
+
+describe('ReplayQueue', () => {
+  test('should replay paused requests in order after preparing them', async () => {
+    const queue = new ReplayQueue();
+    const first = queue.enqueue({ url: '/1' });
+    const second = queue.enqueue({ url: '/2', headers: { Accept: 'json' } });
+    const send = jest.fn(config => Promise.resolve(`${config.url} ${config.headers.Authorization}`));
+
+    expect(queue.size).toBe(2);
+    queue.replay(send, (config) => { config.headers.Authorization = 'token'; });
+
+    await expect(first).resolves.toBe('/1 token');
+    await expect(second).resolves.toBe('/2 token');
+    expect(send.mock.calls.map(([config]) => config.url)).toEqual(['/1', '/2']);
+    expect(queue.size).toBe(0);
+  });
+
+  test('should reject requests whose replay throws', async () => {
+    const queue = new ReplayQueue();
+    const paused = queue.enqueue({ url: '/1' });
+
+    queue.replay(() => { throw new Error('offline'); });
+
+    await expect(paused).rejects.toThrow('offline');
+  });
+
+  test('should reject every paused request with the created error', async () => {
+    const createError = jest.fn((cause, config) => new Error(`${config.url}: ${cause.message}`));
+    const queue = new ReplayQueue({ createError, clearMessage: 'gone' });
+    const originalError = new Error('401');
+    const paused = queue.enqueue({ url: '/1' }, originalError);
+
+    queue.clear();
+
+    await expect(paused).rejects.toThrow('/1: gone');
+    expect(createError).toHaveBeenCalledWith(expect.any(Error), { url: '/1' }, originalError);
+  });
+});
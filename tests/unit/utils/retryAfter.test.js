@@ -0,0 +1,137 @@
+import { describe, test, expect } from '@jest/globals';
+import { AxiosHeaders } from 'axios';
+import {
+  readHeader,
+  parseRetryAfter,
+  parseRateLimitReset,
+  parseRateLimitHeaders,
+  getServerRetryDelay
+} from '../../../lib/utils/retryAfter.js';
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+describe('retryAfter utils', () => {
+  describe('readHeader', () => {
+    test('should read plain and AxiosHeaders case-insensitively', () => {
+      expect(readHeader({ 'Retry-After': '5' }, 'retry-after')).toBe('5');
+      expect(readHeader({ 'retry-after': ['5', '6'] }, 'Retry-After')).toBe('5');
+      expect(readHeader(new AxiosHeaders({ 'Retry-After': 5 }), 'retry-after')).toBe('5');
+      expect(readHeader(undefined, 'retry-after')).toBeUndefined();
+      expect(readHeader({}, 'retry-after')).toBeUndefined();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('should parse delay-seconds', () => {
+      expect(parseRetryAfter('120', NOW)).toBe(120000);
+      expect(parseRetryAfter(' 1.5 ', NOW)).toBe(1500);
+      expect(parseRetryAfter('0', NOW)).toBe(0);
+    });
+
+    test('should parse HTTP-dates relative to now', () => {
+      expect(parseRetryAfter('Thu, 01 Jan 2026 00:01:00 GMT', NOW)).toBe(60000);
+      expect(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', NOW)).toBe(0);
+    });
+
+    test('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(undefined, NOW)).toBeNull();
+      expect(parseRetryAfter('-5', NOW)).toBeNull();
+      expect(parseRetryAfter('soon', NOW)).toBeNull();
+    });
+  });
+
+  describe('parseRateLimitReset', () => {
+    test('should tell timestamps from delays', () => {
+      expect(parseRateLimitReset('30', NOW)).toBe(30000);
+      expect(parseRateLimitReset(String(NOW / 1000 + 45), NOW)).toBe(45000);
+      expect(parseRateLimitReset(String(NOW + 2000), NOW)).toBe(2000);
+      expect(parseRateLimitReset(String(NOW / 1000 - 10), NOW)).toBe(0);
+      expect(parseRateLimitReset('tomorrow', NOW)).toBeNull();
+    });
+  });
+
+  describe('parseRateLimitHeaders', () => {
+    test('should read the X-RateLimit headers', () => {
+      expect(parseRateLimitHeaders({
+        'X-RateLimit-Limit': '5000',
+        'X-RateLimit-Remaining': '4999',
+        'X-RateLimit-Reset': String(NOW / 1000 + 3600)
+      }, NOW)).toEqual({ limit: 5000, remaining: 4999, reset: 3600000, windowMs: null });
+
+      expect(parseRateLimitHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset-after': '1.5' }, NOW))
+        .toEqual({ limit: null, remaining: 0, reset: 1500, windowMs: null });
+    });
+
+    test('should read the separate IETF headers and policy', () => {
+      const headers = new AxiosHeaders({
+        'RateLimit-Limit': '100, 100;w=60',
+        'RateLimit-Remaining': '42',
+        'RateLimit-Reset': '30'
+      });
+
+      expect(parseRateLimitHeaders(headers, NOW)).toEqual({ limit: 100, remaining: 42, reset: 30000, windowMs: 60000 });
+      expect(parseRateLimitHeaders({ 'RateLimit-Policy': '10;w=1', 'RateLimit-Remaining': '9' }, NOW))
+        .toEqual({ limit: 10, remaining: 9, reset: null, windowMs: 1000 });
+    });
+
+    test('should read the combined IETF header', () => {
+      expect(parseRateLimitHeaders({ RateLimit: 'limit=100, remaining=50, reset=30' }, NOW))
+        .toEqual({ limit: 100, remaining: 50, reset: 30000, windowMs: null });
+
+      expect(parseRateLimitHeaders({
+        RateLimit: '"default";r=50;t=30',
+        'RateLimit-Policy': '"default";q=100;w=60'
+      }, NOW)).toEqual({ limit: 100, remaining: 50, reset: 30000, windowMs: 60000 });
+    });
+
+    test('should prefer the IETF headers', () => {
+      expect(parseRateLimitHeaders({
+        'RateLimit-Remaining': '5',
+        'X-RateLimit-Remaining': '7',
+        'X-RateLimit-Limit': '10'
+      }, NOW)).toEqual({ limit: 10, remaining: 5, reset: null, windowMs: null });
+    });
+
+    test('should return null without rate limit headers', () => {
+      expect(parseRateLimitHeaders({ 'content-type': 'text/plain' }, NOW)).toBeNull();
+      expect(parseRateLimitHeaders(undefined, NOW)).toBeNull();
+      expect(parseRateLimitHeaders({ 'X-RateLimit-Remaining': 'many' }, NOW)).toBeNull();
+    });
+  });
+
+  describe('getServerRetryDelay', () => {
+    test('should prefer Retry-After', () => {
+      const response = {
+        status: 429,
+        headers: { 'Retry-After': '3', 'X-RateLimit-Reset-After': '9' }
+      };
+
+      expect(getServerRetryDelay(response, NOW)).toBe(3000);
+    });
+
+    test('should use reset headers on 429 responses', () => {
+      expect(getServerRetryDelay({ status: 429, headers: { 'RateLimit-Reset': '8' } }, NOW)).toBe(8000);
+      expect(getServerRetryDelay({ status: 429, headers: { 'X-RateLimit-Reset': String(NOW / 1000 + 20) } }, NOW)).toBe(20000);
+    });
+
+    test('should use reset headers only when the quota is exhausted', () => {
+      const headers = { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '4' };
+
+      expect(getServerRetryDelay({ status: 503, headers }, NOW)).toBe(4000);
+      expect(getServerRetryDelay({ status: 503, headers: { ...headers, 'X-RateLimit-Remaining': '12' } }, NOW)).toBeNull();
+      expect(getServerRetryDelay({ status: 503, headers: { 'RateLimit-Reset': '4' } }, NOW)).toBeNull();
+    });
+
+    test('should treat an empty remaining header as absent', () => {
+      const headers = { 'X-RateLimit-Remaining': '', 'X-RateLimit-Reset': '4', 'RateLimit-Remaining': ' ', 'RateLimit-Reset': '4' };
+
+      expect(getServerRetryDelay({ status: 503, headers }, NOW)).toBeNull();
+      expect(getServerRetryDelay({ status: 429, headers }, NOW)).toBe(4000);
+    });
+
+    test('should return null without a response or delay headers', () => {
+      expect(getServerRetryDelay(undefined, NOW)).toBeNull();
+      expect(getServerRetryDelay({ status: 500, headers: {} }, NOW)).toBeNull();
+    });
+  });
+});
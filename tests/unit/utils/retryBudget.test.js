@@ -0,0 +1,85 @@
+import { describe, test, expect } from '@jest/globals';
+import { RetryBudget } from '../../../lib/utils/retryBudget.js';
+
+const createBudget = (options = {}) => {
+  const clock = { time: 0 };
+  const budget = new RetryBudget({ now: () => clock.time, ...options });
+  return { budget, clock };
+};
+
+const retriesAllowed = (budget, max = 1000) => {
+  let count = 0;
+  while (count < max && budget.tryRetry()) count++;
+  return count;
+};
+
+describe('RetryBudget', () => {
+  test('should allow the floor of retries without successes', () => {
+    const { budget } = createBudget({ minRetriesPerSecond: 1, ttl: 5000 });
+
+    expect(budget.available()).toBe(5);
+    expect(retriesAllowed(budget)).toBe(5);
+    expect(budget.getStats()).toMatchObject({ retries: 5, available: 0, suppressed: 1 });
+  });
+
+  test('should earn retries from successful requests', () => {
+    const { budget } = createBudget({ ratio: 0.1, minRetriesPerSecond: 0 });
+
+    for (let i = 0; i < 50; i++) budget.recordSuccess();
+
+    expect(budget.available()).toBe(5);
+    expect(retriesAllowed(budget)).toBe(5);
+  });
+
+  test('should forget successes and retries older than the window', () => {
+    const { budget, clock } = createBudget({ ratio: 0.5, minRetriesPerSecond: 0, ttl: 1000, slots: 10 });
+
+    for (let i = 0; i < 10; i++) budget.recordSuccess();
+    expect(retriesAllowed(budget)).toBe(5);
+
+    clock.time = 500;
+    expect(budget.getStats()).toMatchObject({ successes: 10, retries: 5, available: 0 });
+
+    clock.time = 1000;
+    expect(budget.getStats()).toMatchObject({ successes: 0, retries: 0, available: 0 });
+
+    budget.recordSuccess();
+    budget.recordSuccess();
+    expect(budget.available()).toBe(1);
+  });
+
+  test('should drop slots one at a time', () => {
+    const { budget, clock } = createBudget({ ratio: 1, minRetriesPerSecond: 0, ttl: 1000, slots: 10 });
+
+    budget.recordSuccess();
+    clock.time = 300;
+    budget.recordSuccess();
+
+    clock.time = 1050;
+    expect(budget.getStats().successes).toBe(1);
+    clock.time = 1300;
+    expect(budget.getStats().successes).toBe(0);
+  });
+
+  test('should reset counters', () => {
+    const { budget } = createBudget({ minRetriesPerSecond: 0 });
+    budget.tryRetry();
+    budget.recordSuccess();
+
+    budget.reset();
+
+    expect(budget.getStats()).toEqual({
+      ratio: 0.2,
+      minRetriesPerSecond: 0,
+      ttl: 10000,
+      successes: 0,
+      retries: 0,
+      available: 0,
+      suppressed: 0
+    });
+  });
+
+  test('should reject negative settings', () => {
+    expect(() => new RetryBudget({ ratio: -1 })).toThrow('must not be negative');
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { TokenProvider, whenResolved } from '../../../lib/utils/tokenProvider.js';
+
+describe('TokenProvider', () => {
+  describe('in-memory storage', () => {
+    test('should start empty', async () => {
+      const provider = new TokenProvider();
+      expect(await provider.get()).toEqual({ token: null, refreshToken: null });
+    });
+
+    test('should use initial tokens', async () => {
+      const provider = new TokenProvider({ initialTokens: { token: 'a', refreshToken: 'r' } });
+
+      expect(await provider.getAccessToken()).toBe('a');
+      expect(await provider.getRefreshToken()).toBe('r');
+    });
+
+    test('should merge partial updates', async () => {
+      const provider = new TokenProvider({ initialTokens: { token: 'a', refreshToken: 'r' } });
+      await provider.set({ token: 'b' });
+
+      expect(await provider.get()).toEqual({ token: 'b', refreshToken: 'r' });
+    });
+
+    test('should clear tokens', async () => {
+      const provider = new TokenProvider({ initialTokens: { token: 'a', refreshToken: 'r' } });
+      await provider.clear();
+
+      expect(await provider.get()).toEqual({ token: null, refreshToken: null });
+    });
+  });
+
+  describe('custom storage', () => {
+    test('should support async get/set/clear', async () => {
+      let stored = { token: 't1', refreshToken: 'r1' };
+      const provider = new TokenProvider({
+        get: async () => stored,
+        set: async (tokens) => { stored = { ...stored, ...tokens }; },
+        clear: async () => { stored = {}; }
+      });
+
+      expect(await provider.getAccessToken()).toBe('t1');
+      await provider.set({ refreshToken: 'r2' });
+      expect(stored).toEqual({ token: 't1', refreshToken: 'r2' });
+      await provider.clear();
+      expect(await provider.get()).toEqual({ token: null, refreshToken: null });
+    });
+
+    test('should fall back to set when clear is not provided', async () => {
+      const set = jest.fn();
+      const provider = new TokenProvider({ get: () => ({}), set });
+
+      await provider.clear();
+      expect(set).toHaveBeenCalledWith({ token: null, refreshToken: null });
+    });
+
+    test('should require set when get is provided', () => {
+      expect(() => new TokenProvider({ get: () => ({}) }))
+        .toThrow('TokenProvider requires a set function when a get function is provided');
+    });
+
+    test('should handle get returning nothing', async () => {
+      const provider = new TokenProvider({ get: () => undefined, set: () => {} });
+      expect(await provider.get()).toEqual({ token: null, refreshToken: null });
+    });
+  });
+
+  describe('fromCallbacks', () => {
+    test('should bridge individual callbacks', async () => {
+      const setAccessToken = jest.fn();
+      const setRefreshToken = jest.fn();
+      const provider = TokenProvider.fromCallbacks({
+        getAccessToken: () => 'access',
+        getRefreshToken: async () => 'refresh',
+        setAccessToken,
+        setRefreshToken
+      });
+
+      expect(await provider.get()).toEqual({ token: 'access', refreshToken: 'refresh' });
+      expect(await provider.getRefreshToken()).toBe('refresh');
+
+      await provider.set({ token: 'new' });
+      expect(setAccessToken).toHaveBeenCalledWith('new');
+      expect(setRefreshToken).not.toHaveBeenCalled();
+    });
+
+    test('should only call the getter for the requested token', async () => {
+      const getAccessToken = jest.fn(() => 'access');
+      const getRefreshToken = jest.fn(() => 'refresh');
+      const provider = TokenProvider.fromCallbacks({ getAccessToken, getRefreshToken, setAccessToken: jest.fn() });
+
+      await provider.getRefreshToken();
+      expect(getRefreshToken).toHaveBeenCalledTimes(1);
+      expect(getAccessToken).not.toHaveBeenCalled();
+    });
+
+    test('should tolerate missing callbacks', async () => {
+      const provider = TokenProvider.fromCallbacks({});
+      expect(await provider.get()).toEqual({ token: null, refreshToken: null });
+      await expect(provider.set({ token: 'x' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('onChange', () => {
+    test('should notify listeners on set and clear', async () => {
+      const provider = new TokenProvider();
+      const listener = jest.fn();
+      provider.onChange(listener);
+
+      await provider.set({ token: 'a', refreshToken: 'r' });
+      await provider.clear();
+
+      expect(listener).toHaveBeenNthCalledWith(1, { token: 'a', refreshToken: 'r' });
+      expect(listener).toHaveBeenNthCalledWith(2, { token: null, refreshToken: null });
+    });
+
+    test('should unsubscribe', async () => {
+      const provider = new TokenProvider();
+      const listener = jest.fn();
+      const unsubscribe = provider.onChange(listener);
+
+      unsubscribe();
+      await provider.set({ token: 'a' });
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should isolate failing listeners', async () => {
+      const provider = new TokenProvider();
+      const good = jest.fn();
+      provider.onChange(() => { throw new Error('boom'); });
+      provider.onChange(good);
+
+      await provider.set({ token: 'a' });
+
+      expect(good).toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith('Error in token provider listener:', expect.any(Error));
+    });
+  });
+
+  describe('isTokenProvider', () => {
+    test('should detect providers', () => {
+      expect(TokenProvider.isTokenProvider(new TokenProvider())).toBe(true);
+      expect(TokenProvider.isTokenProvider({ getToken: () => 'x' })).toBe(false);
+      expect(TokenProvider.isTokenProvider(null)).toBe(false);
+      expect(TokenProvider.isTokenProvider(() => 'x')).toBe(false);
+    });
+  });
+});
+
+describe('whenResolved', () => {
+  test('should call back synchronously for plain values', () => {
+    expect(whenResolved(2, (v) => v * 2)).toBe(4);
+  });
+
+  test('should chain promises', async () => {
+    const result = whenResolved(Promise.resolve(2), (v) => v * 2);
+    expect(result).toBeInstanceOf(Promise);
+    expect(await result).toBe(4);
+  });
+});